@@ -8,1458 +8,19 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import fs from 'fs';
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
-import { submit_session, get_session_results, submit_and_poll_session } from './dist/navifare.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import sharp from 'sharp';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createNavifareServer } from './dist/server.js';
+import { SessionStore } from './dist/sessionStore.js';
+import { SessionEventStore } from './dist/eventStore.js';
+import { SERVER_INFO, SERVER_DESCRIPTION, TOOLS } from './dist/core/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 2091;
 
-// Initialize Gemini AI only when needed
-let genAI = null;
-function getGeminiAI() {
-  if (!genAI) {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY not configured');
-    }
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  }
-  return genAI;
-}
-
-// ============================================================================
-// Helper Functions (copied from stdio-server.js)
-// ============================================================================
-
-// Helper function to parse natural language flight requests using Gemini
-const MONTH_MAP = {
-  jan: 0,
-  feb: 1,
-  mar: 2,
-  apr: 3,
-  may: 4,
-  jun: 5,
-  jul: 6,
-  aug: 7,
-  sep: 8,
-  oct: 9,
-  nov: 10,
-  dec: 11
-};
-
-const CURRENCY_SYMBOL_MAP = {
-  '€': 'EUR',
-  '$': 'USD',
-  '£': 'GBP',
-  '¥': 'JPY',
-};
-
-function parseDateToIso(dateStr) {
-  if (!dateStr) return null;
-  const match = dateStr.trim().match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
-  if (!match) return null;
-  const day = Number(match[1]);
-  const monthKey = match[2].slice(0, 3).toLowerCase();
-  const monthIndex = MONTH_MAP[monthKey];
-  const year = Number(match[3]);
-  if (!Number.isFinite(day) || !Number.isFinite(year) || monthIndex === undefined) {
-    return null;
-  }
-  const utcDate = new Date(Date.UTC(year, monthIndex, day));
-  if (Number.isNaN(utcDate.getTime())) {
-    return null;
-  }
-  return utcDate.toISOString().split('T')[0];
-}
-
-function parseTimeTo24Hour(timeStr) {
-  if (!timeStr) return null;
-  const trimmed = timeStr.trim();
-  const meridiemMatch = trimmed.match(/([AP]M)$/i);
-  const meridiem = meridiemMatch ? meridiemMatch[1].toUpperCase() : null;
-  const timePart = meridiem ? trimmed.slice(0, -meridiem.length).trim() : trimmed;
-  const parts = timePart.split(':');
-  if (parts.length < 2) return null;
-  let hours = Number(parts[0]);
-  const minutes = Number(parts[1]);
-  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) {
-    return null;
-  }
-  if (meridiem) {
-    if (meridiem === 'AM') {
-      hours = hours % 12;
-    } else if (meridiem === 'PM') {
-      hours = hours % 12 + 12;
-    }
-  }
-  hours = (hours + 24) % 24;
-  const paddedH = String(hours).padStart(2, '0');
-  const paddedM = String(minutes).padStart(2, '0');
-  return `${paddedH}:${paddedM}:00`;
-}
-
-function parseBestPriceFromText(text) {
-  if (!text) return null;
-  const priceMatch = text.match(/Best price:\s*([^0-9\s]*)\s*([\d.,]+)/i);
-  if (!priceMatch) {
-    return null;
-  }
-  const symbol = priceMatch[1]?.trim() ?? '';
-  const amountRaw = priceMatch[2]?.trim() ?? '';
-  const numeric = Number(amountRaw.replace(/[^\d,.]/g, '').replace(',', '.'));
-  if (!Number.isFinite(numeric)) {
-    return null;
-  }
-  let currency = null;
-  if (symbol) {
-    currency = CURRENCY_SYMBOL_MAP[symbol] ?? null;
-  }
-  if (!currency) {
-    const lineSegment = priceMatch[0] ?? '';
-    const codeMatch = lineSegment.match(/\b([A-Z]{3})\b/);
-    if (codeMatch) {
-      currency = codeMatch[1];
-    }
-  }
-  return {
-    amount: numeric,
-    currency: currency ?? 'EUR',
-  };
-}
-
-function fallbackParseSegments(userRequest) {
-  const lines = userRequest.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
-  if (lines.length === 0) {
-    console.error('🛟 Fallback parser: no lines detected in user request');
-    return null;
-  }
-
-  const legSegments = [];
-  let currentLegIndex = 0;
-
-  const segmentRegex = /Flight\s+([A-Z0-9]+)\s+from\s+([A-Z]{3})(?:\s*\([^)]+\))?\s+to\s+([A-Z]{3})(?:\s*\([^)]+\))?\s+departing\s+(\d{1,2}\s+[A-Za-z]+\s+\d{4}),\s*([0-9]{1,2}:[0-9]{2}(?:\s*[AP]M)?)\s+and\s+arriving\s+(\d{1,2}\s+[A-Za-z]+\s+\d{4}),\s*([0-9]{1,2}:[0-9]{2}(?:\s*[AP]M)?)/i;
-
-  lines.forEach(line => {
-    if (/return itinerary/i.test(line)) {
-      currentLegIndex = 1;
-      return;
-    }
-    if (/outbound itinerary/i.test(line)) {
-      currentLegIndex = 0;
-      return;
-    }
-
-    const segmentMatch = line.match(segmentRegex);
-    if (!segmentMatch) {
-      return;
-    }
-
-    const [, fullFlight, departureAirport, arrivalAirport, departureDateStr, departureTimeStr, arrivalDateStr, arrivalTimeStr] = segmentMatch;
-
-    const airlineMatch = fullFlight.match(/^([A-Z]{1,3})(\d{1,4})$/i);
-    if (!airlineMatch) {
-      return;
-    }
-    const airlineCode = airlineMatch[1].toUpperCase();
-    const flightNumber = airlineMatch[2];
-
-    const departureDateIso = parseDateToIso(departureDateStr);
-    const arrivalDateIso = parseDateToIso(arrivalDateStr);
-    const departureTime = parseTimeTo24Hour(departureTimeStr);
-    const arrivalTime = parseTimeTo24Hour(arrivalTimeStr);
-
-    if (!departureDateIso || !arrivalDateIso || !departureTime || !arrivalTime) {
-      return;
-    }
-
-    const depDateObj = new Date(`${departureDateIso}T00:00:00Z`);
-    const arrDateObj = new Date(`${arrivalDateIso}T00:00:00Z`);
-    const plusDays = Math.max(0, Math.round((arrDateObj.getTime() - depDateObj.getTime()) / (24 * 60 * 60 * 1000)));
-
-    if (!legSegments[currentLegIndex]) {
-      legSegments[currentLegIndex] = [];
-    }
-
-    legSegments[currentLegIndex].push({
-      airline: airlineCode,
-      flightNumber,
-      departureAirport: departureAirport.toUpperCase(),
-      arrivalAirport: arrivalAirport.toUpperCase(),
-      departureDate: departureDateIso,
-      departureTime,
-      arrivalTime,
-      plusDays,
-    });
-  });
-
-  const legs = legSegments.filter(segments => Array.isArray(segments) && segments.length > 0).map(segments => ({ segments }));
-
-  if (legs.length === 0) {
-    console.error('🛟 Fallback parser: no flight segments matched regex pattern');
-    return null;
-  }
-
-  console.error(`🛟 Fallback parser: extracted ${legs.length} leg(s)`);
-  return legs;
-}
-
-function fallbackParseFlightRequest(userRequest) {
-  const legs = fallbackParseSegments(userRequest);
-  if (!legs) {
-    console.error('🛟 Fallback parser: unable to extract any legs from request');
-    return null;
-  }
-
-  const priceInfo = parseBestPriceFromText(userRequest);
-  if (priceInfo) {
-    console.error(`🛟 Fallback parser: detected price ${priceInfo.amount} ${priceInfo.currency}`);
-  } else {
-    console.error('🛟 Fallback parser: no explicit price detected; defaulting to 0.00 EUR');
-  }
-  const priceAmount = priceInfo?.amount ?? null;
-  const currency = priceInfo?.currency ?? 'EUR';
-  const formattedPrice = priceAmount !== null ? priceAmount.toFixed(2) : null;
-
-  const flightData = {
-    trip: {
-      legs,
-      travelClass: 'ECONOMY',
-      adults: 1,
-      children: 0,
-      infantsInSeat: 0,
-      infantsOnLap: 0,
-    },
-    source: 'MCP',
-    price: formattedPrice ?? '0.00',
-    currency,
-    location: 'ZZ',
-  };
-
-  const missingFields = [];
-  legs.forEach((leg, legIndex) => {
-    leg.segments.forEach((segment, segmentIndex) => {
-      if (!segment.airline) missingFields.push(`airline code for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.flightNumber) missingFields.push(`flight number for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.departureAirport) missingFields.push(`departure airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.arrivalAirport) missingFields.push(`arrival airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.departureDate) missingFields.push(`departure date for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.departureTime) missingFields.push(`departure time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-      if (!segment.arrivalTime) missingFields.push(`arrival time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-    });
-  });
-
-  if (missingFields.length > 0) {
-    console.error('🛟 Fallback parser: missing fields identified:', missingFields);
-    return {
-      needsMoreInfo: true,
-      message: `I extracted some flight details, but I still need: ${missingFields.join(', ')}.`,
-      missingFields,
-      flightData,
-    };
-  }
-
-  console.error('🛟 Fallback parser: successfully extracted complete flight data');
-  return {
-    needsMoreInfo: false,
-    flightData,
-  };
-}
-
-async function parseFlightRequest(userRequest) {
-  try {
-    console.log('🔍 Starting Gemini request...');
-    console.log('📝 User request:', userRequest.substring(0, 200) + '...');
-    
-    const model = getGeminiAI().getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    // Get current date context dynamically
-    const currentYear = new Date().getFullYear();
-    const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    const prompt = `Analyze this flight request: "${userRequest}"
-
-First, identify what flight information the user HAS provided and what is MISSING.
-
-CRITICAL REQUIREMENTS:
-1. AIRLINE: Use the 2 letter IATA airline code (e.g., "AZ", "LH", "BA", "AF"), NOT the airline name (e.g., NOT "ITA Airways", "Lufthansa", "British Airways"). If only the airline name is provided, convert it to its IATA code.
-2. DATES: Use the CURRENT YEAR (${currentYear}) for dates unless explicitly specified otherwise. If a date appears to be in the past (e.g., 2014, 2023), convert it to ${currentYear} or the appropriate future year. For dates without a year, if month/day >= today (${currentDate}), use ${currentYear}; if earlier, use ${currentYear + 1}. Dates must be in YYYY-MM-DD format.
-3. TIMES: Convert times like "6:40 PM" or "6.40pm" to 24-hour format "HH:MM:SS" (e.g., "18:40:00"). Always respect AM/PM indicators:
-   - 1:55 PM → 13:55:00 (add 12 hours)
-   - 10:45 PM → 22:45:00 (add 12 hours)
-   - 1:55 AM → 01:55:00 (keep same)
-   - 12:00 PM → 12:00:00 (noon)
-   - 12:00 AM → 00:00:00 (midnight)
-
-If the user has provided complete flight information (airline code, flight number, airports, dates, times), return JSON with this structure:
-{
-  "trip": {
-    "legs": [{"segments": [{"airline": "XX", "flightNumber": "123", "departureAirport": "XXX", "arrivalAirport": "XXX", "departureDate": "YYYY-MM-DD", "departureTime": "HH:MM:SS", "arrivalTime": "HH:MM:SS", "plusDays": 0}]}],
-    "travelClass": "ECONOMY",
-    "adults": 1,
-    "children": 0,
-    "infantsInSeat": 0,
-    "infantsOnLap": 0
-  },
-  "source": "MCP",
-  "price": "100.00",
-  "currency": "EUR",
-  "location": "IT"
-}
-
-If the user has NOT provided complete information, analyze what they provided and what's missing, then return:
-{"needsMoreInfo": true, "message": "I can see you want to [what they provided]. To complete your flight search, I need: [only the specific missing information]."}
-
-Return ONLY JSON.`;
-
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Request timeout after 45 seconds')), 45000)
-    );
-    
-    const startTime = Date.now();
-    const result = await Promise.race([
-      model.generateContent(prompt),
-      timeoutPromise
-    ]);
-    const endTime = Date.now();
-    console.log(`⏰ Gemini API call completed in ${endTime - startTime}ms`);
-    
-    const response = await result.response;
-    const text = response.text();
-    
-    // Clean up the response text (remove markdown code blocks if present)
-    let cleanedText = text.trim();
-    if (cleanedText.startsWith('```json')) {
-      cleanedText = cleanedText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (cleanedText.startsWith('```')) {
-      cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-    
-    // Parse the JSON response
-    const flightData = JSON.parse(cleanedText);
-    
-    // Check if Gemini returned a needsMoreInfo response
-    if (flightData.needsMoreInfo) {
-      return {
-        needsMoreInfo: true,
-        message: flightData.message,
-        missingFields: flightData.missingFields || []
-      };
-    }
-    
-    // Check for missing required fields
-    const missingFields = [];
-    if (!flightData.trip) {
-      missingFields.push('trip information');
-    } else {
-      if (!flightData.trip.legs || !Array.isArray(flightData.trip.legs) || flightData.trip.legs.length === 0) {
-        missingFields.push('flight legs');
-      } else {
-        flightData.trip.legs.forEach((leg, legIndex) => {
-          if (!leg.segments || !Array.isArray(leg.segments) || leg.segments.length === 0) {
-            missingFields.push(`segments for leg ${legIndex + 1}`);
-          } else {
-            leg.segments.forEach((segment, segmentIndex) => {
-              if (!segment.airline || segment.airline === null) missingFields.push(`airline code for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.flightNumber || segment.flightNumber === null) missingFields.push(`flight number for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.departureAirport || segment.departureAirport === null) missingFields.push(`departure airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.arrivalAirport || segment.arrivalAirport === null) missingFields.push(`arrival airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.departureDate || segment.departureDate === null) missingFields.push(`departure date for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.departureTime || segment.departureTime === null) missingFields.push(`departure time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-              if (!segment.arrivalTime || segment.arrivalTime === null) missingFields.push(`arrival time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
-            });
-          }
-        });
-      }
-      if (!flightData.trip.adults) missingFields.push('number of adults');
-      if (!flightData.trip.travelClass) missingFields.push('travel class');
-    }
-    
-    if (missingFields.length > 0) {
-      let question = "I need a bit more information to search for your flight. ";
-      if (missingFields.length === 1) {
-        question += `Could you please provide: ${missingFields[0]}?`;
-      } else if (missingFields.length <= 3) {
-        question += `Could you please provide: ${missingFields.slice(0, -1).join(', ')} and ${missingFields[missingFields.length - 1]}?`;
-      } else {
-        question += `Could you please provide more details about your flight? I'm missing: ${missingFields.slice(0, 3).join(', ')} and ${missingFields.length - 3} other details.`;
-      }
-      
-      return {
-        needsMoreInfo: true,
-        message: question,
-        missingFields,
-        flightData
-      };
-    }
-    
-    return {
-      needsMoreInfo: false,
-      flightData
-    };
-    
-  } catch (error) {
-    console.error('❌ Error parsing flight request with Gemini:', error);
-
-    const fallbackResult = fallbackParseFlightRequest(userRequest);
-    if (fallbackResult) {
-      console.error('🛟 Using fallback parser result:', JSON.stringify(fallbackResult, null, 2));
-      return fallbackResult;
-    }
-
-    return {
-      needsMoreInfo: true,
-      message: `I encountered an error parsing your request. Please provide: departure airport, arrival airport, departure date, return date, departure time, arrival time, return departure time, return arrival time, airline code, flight number.`,
-      missingFields: ['departure airport', 'arrival airport', 'departure date', 'return date', 'departure time', 'arrival time', 'return departure time', 'return arrival time', 'airline code', 'flight number']
-    };
-  }
-}
-
-// Helper function to split round trip segments in legs format (same logic as geminiService.ts)
-// Reuses the round trip detection pattern from the web app
-function splitRoundTripLegs(legs) {
-  if (!legs || legs.length === 0) return legs;
-  
-  // Check each leg for round trip patterns
-  const normalizedLegs = [];
-  
-  for (const leg of legs) {
-    if (!leg.segments || leg.segments.length < 2) {
-      // Single segment or no segments - keep as-is
-      normalizedLegs.push(leg);
-      continue;
-    }
-    
-    const segments = leg.segments;
-    const firstSegment = segments[0];
-    
-    // Need departureAirport/arrivalAirport (API format) or departure/arrival (extracted format)
-    const origin = firstSegment.departureAirport || firstSegment.departure;
-    
-    if (!origin) {
-      // Can't determine origin, keep as-is
-      normalizedLegs.push(leg);
-      continue;
-    }
-    
-    // Check if any segment returns to origin (round trip pattern)
-    // This matches the logic from geminiService.ts: detectRoundTripPattern + segment splitting
-    let foundReturn = false;
-    for (let i = 1; i < segments.length; i++) {
-      const segment = segments[i];
-      const arrival = segment.arrivalAirport || segment.arrival;
-      
-      if (arrival && arrival.toUpperCase() === origin.toUpperCase()) {
-        // Found return flight - split segments (same logic as geminiService.ts lines 690-697)
-        console.log(`🔄 Splitting round trip: first ${i} segments are outbound, remaining are return`);
-        const outboundSegments = segments.slice(0, i);
-        const returnSegments = segments.slice(i);
-        
-        normalizedLegs.push({ segments: outboundSegments });
-        normalizedLegs.push({ segments: returnSegments });
-        foundReturn = true;
-        break;
-      }
-    }
-    
-    if (!foundReturn) {
-      // No round trip pattern detected, keep leg as-is
-      normalizedLegs.push(leg);
-    }
-  }
-  
-  return normalizedLegs;
-}
-
-function transformToApiFormat(flightData) {
-  // If the flightData already has the correct structure, check if round trip needs splitting
-  if (flightData.trip && flightData.trip.legs) {
-    // Reuse the round trip splitting logic (same pattern as geminiService.ts)
-    const normalizedLegs = splitRoundTripLegs(flightData.trip.legs);
-    
-    if (normalizedLegs.length !== flightData.trip.legs.length) {
-      // Legs were split, return normalized structure
-      return {
-        ...flightData,
-        trip: {
-          ...flightData.trip,
-          legs: normalizedLegs
-        }
-      };
-    }
-    
-    return flightData;
-  }
-  
-  // Otherwise, transform the old format to the new format
-  return {
-    trip: {
-      legs: [
-        {
-          segments: [
-            {
-              airline: flightData.airline,
-              flightNumber: flightData.flightNumber,
-              departureAirport: flightData.departure,
-              arrivalAirport: flightData.arrival,
-              departureDate: flightData.departureDate,
-              departureTime: flightData.departureTime,
-              arrivalTime: flightData.arrivalTime,
-              plusDays: 0
-            }
-          ]
-        },
-        {
-          segments: [
-            {
-              airline: flightData.airline,
-              flightNumber: flightData.flightNumber,
-              departureAirport: flightData.arrival,
-              arrivalAirport: flightData.departure,
-              departureDate: flightData.returnDate,
-              departureTime: flightData.returnDepartureTime,
-              arrivalTime: flightData.returnArrivalTime,
-              plusDays: 0
-            }
-          ]
-        }
-      ],
-      travelClass: flightData.travelClass,
-      adults: flightData.adults,
-      children: flightData.children,
-      infantsInSeat: flightData.infantsInSeat,
-      infantsOnLap: flightData.infantsOnLap
-    },
-    source: flightData.source,
-    price: flightData.price,
-    currency: flightData.currency,
-    location: flightData.location
-  };
-}
-
-// Helper function to optimize images for Gemini API
-async function optimizeImagesForGemini(images) {
-  const optimizedImages = [];
-
-  for (let i = 0; i < images.length; i++) {
-    const img = images[i];
-    
-    // Clean the base64 data thoroughly before processing
-    let data = img.data || '';
-    
-    // Remove data URI prefix if present
-    if (data.startsWith('data:image/')) {
-      data = data.split(',')[1] || data;
-    }
-    
-    // Remove ALL whitespace (spaces, newlines, tabs, etc.)
-    data = data.replace(/\s/g, '');
-    
-    // Validate that we have actual data
-    if (!data || data.length < 100) {
-      console.log(`❌ Image ${i} has invalid or too short base64 data (${data.length} chars)`);
-      throw new Error(`Image ${i} has invalid base64 data`);
-    }
-
-    try {
-      // Validate base64 before decoding
-      const decoded = Buffer.from(data, 'base64');
-      
-      // Verify the decoded buffer is valid
-      if (decoded.length === 0) {
-        throw new Error('Decoded buffer is empty');
-      }
-
-      // More aggressive optimization strategy
-      let optimizedBuffer;
-
-      if (decoded.length > 500 * 1024) { // Over 500KB - heavy compression
-        optimizedBuffer = await sharp(decoded)
-          .resize(800, 600, {
-            fit: 'inside',
-            withoutEnlargement: true
-          })
-          .jpeg({ quality: 60, progressive: true })
-          .toBuffer();
-      } else if (decoded.length > 200 * 1024) { // Over 200KB - moderate compression
-        optimizedBuffer = await sharp(decoded)
-          .resize(1000, 750, {
-            fit: 'inside',
-            withoutEnlargement: true
-          })
-          .jpeg({ quality: 75, progressive: true })
-          .toBuffer();
-      } else {
-        // Small enough, just ensure it's JPEG format
-        if (img.mimeType === 'image/jpeg' || img.mimeType === 'image/jpg') {
-          optimizedBuffer = decoded;
-        } else {
-          // Convert other formats to JPEG
-          optimizedBuffer = await sharp(decoded)
-            .jpeg({ quality: 85 })
-            .toBuffer();
-        }
-      }
-
-      const optimizedBase64 = optimizedBuffer.toString('base64');
-
-      // Additional check: if even after optimization the base64 is still too large, compress more
-      if (optimizedBase64.length > 5 * 1024 * 1024) { // 5MB base64 limit per image
-        // Apply more aggressive compression
-        const emergencyBuffer = await sharp(decoded)
-          .resize(600, 450, {
-            fit: 'inside',
-            withoutEnlargement: true
-          })
-          .jpeg({ quality: 40, progressive: true })
-          .toBuffer();
-
-        const finalBase64 = emergencyBuffer.toString('base64');
-        
-        if (!finalBase64 || finalBase64.length < 100) {
-          throw new Error(`Emergency optimized base64 is too short (${finalBase64?.length || 0} chars)`);
-        }
-        
-        optimizedImages.push({
-          data: finalBase64,
-          mimeType: 'image/jpeg'
-        });
-      } else {
-        if (!optimizedBase64 || optimizedBase64.length < 100) {
-          throw new Error(`Optimized base64 is too short (${optimizedBase64?.length || 0} chars)`);
-        }
-        
-        optimizedImages.push({
-          data: optimizedBase64,
-          mimeType: 'image/jpeg'
-        });
-      }
-
-    } catch (error) {
-      console.log(`❌ Failed to optimize image ${i}:`, error.message);
-      
-      // If optimization fails, try with original (but ensure it's clean)
-      let fallbackData = data;
-      if (fallbackData.startsWith('data:image/')) {
-        fallbackData = fallbackData.split(',')[1] || fallbackData;
-      }
-      fallbackData = fallbackData.replace(/\s/g, '');
-      
-      // Validate fallback data
-      if (!fallbackData || fallbackData.length < 100) {
-        throw new Error(`Cannot process image ${i}: optimization failed and original data is invalid`);
-      }
-      
-      optimizedImages.push({
-        data: fallbackData,
-        mimeType: img.mimeType || 'image/jpeg'
-      });
-    }
-  }
-
-  return optimizedImages;
-}
-
-// Helper function to extract flight details from images using Gemini
-async function extractFlightDetailsFromImages(images) {
-  console.log('🚀 extractFlightDetailsFromImages STARTED');
-  console.log('📊 Input images count:', images.length);
-
-  // Check API key first
-  if (!process.env.GEMINI_API_KEY) {
-    return {
-      error: 'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.'
-    };
-  }
-
-  const model = getGeminiAI().getGenerativeModel({ model: 'gemini-2.5-flash' });
-
-  // Get current date context
-  const currentYear = new Date().getFullYear();
-  const currentDate = new Date().toISOString().split('T')[0];
-  console.log('📅 Current date context:', { currentYear, currentDate });
-
-  // Optimize images before sending to Gemini
-  console.log('🖼️ Starting image optimization...');
-  const optimizedImages = await optimizeImagesForGemini(images);
-  console.log('✅ Image optimization completed');
-
-  // Check optimized size
-  let optimizedTotalSize = 0;
-  for (let i = 0; i < optimizedImages.length; i++) {
-    optimizedTotalSize += optimizedImages[i].data?.length || 0;
-  }
-  const maxOptimizedSize = 10 * 1024 * 1024; // 10MB after optimization
-  if (optimizedTotalSize > maxOptimizedSize) {
-    return {
-      error: `Images are still too large after optimization (${Math.round(optimizedTotalSize / 1024 / 1024)}MB). Please use smaller original images.`
-    };
-  }
-
-  // Convert optimized images to the format expected by Gemini
-  const imageParts = optimizedImages.map((img, index) => {
-    let cleanedData = img.data || '';
-    
-    if (!cleanedData) {
-      throw new Error(`Image ${index} has no data property`);
-    }
-    
-    // Remove data URI prefix if present
-    if (cleanedData.startsWith('data:image/')) {
-      cleanedData = cleanedData.split(',')[1] || cleanedData;
-    }
-    
-    // Remove ALL whitespace
-    cleanedData = cleanedData.replace(/\s/g, '');
-    
-    // Validate cleaned data
-    if (!cleanedData || cleanedData.length < 100) {
-      throw new Error(`Image ${index} has invalid base64 data after cleaning`);
-    }
-
-    // Validate base64 format (check for proper padding and valid characters)
-    const base64Regex = /^[A-Za-z0-9+/]*={0,2}$/;
-    if (!base64Regex.test(cleanedData)) {
-      throw new Error(`Image ${index} contains invalid base64 characters`);
-    }
-
-    // Validate that base64 can be decoded to a valid image buffer
-    let imageBuffer;
-    try {
-      imageBuffer = Buffer.from(cleanedData, 'base64');
-      if (imageBuffer.length === 0) {
-        throw new Error('Decoded buffer is empty');
-      }
-    } catch (e) {
-      throw new Error(`Image ${index} has invalid base64 data that cannot be decoded: ${e.message}`);
-    }
-
-    // Validate that the decoded buffer represents a valid image format
-    // Check for PNG header: 89 50 4E 47 0D 0A 1A 0A
-    // Check for JPEG header: FF D8 FF
-    // Check for WebP header: RIFF ... WEBP
-    const isPNG = imageBuffer.length >= 8 && 
-      imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50 && 
-      imageBuffer[2] === 0x4E && imageBuffer[3] === 0x47;
-    
-    const isJPEG = imageBuffer.length >= 3 && 
-      imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8 && imageBuffer[2] === 0xFF;
-    
-    const isWebP = imageBuffer.length >= 12 &&
-      imageBuffer.slice(0, 4).toString() === 'RIFF' &&
-      imageBuffer.slice(8, 12).toString() === 'WEBP';
-
-    if (!isPNG && !isJPEG && !isWebP) {
-      // Check if the base64 might be truncated by looking at the end
-      // Truncated base64 might decode but not have valid image headers
-      const lastBytes = imageBuffer.slice(-10);
-      const looksTruncated = imageBuffer.length < 1000; // Suspiciously small for an image
-      
-      if (looksTruncated) {
-        throw new Error(`Image ${index} appears to be truncated or incomplete. The base64 data is too short (${imageBuffer.length} bytes) or does not contain a valid image header. Please ensure the full image data is provided.`);
-      }
-      
-      throw new Error(`Image ${index} does not appear to be a valid image format (PNG, JPEG, or WebP). The decoded data does not match any known image format headers.`);
-    }
-
-    return {
-      inlineData: {
-        data: cleanedData,
-        mimeType: img.mimeType || 'image/jpeg'
-      }
-    };
-  });
-
-  // Build comprehensive prompt (same as stdio-server.js)
-  const prompt = `Analyze this flight booking screenshot and return ONLY a valid JSON object in the exact structure below:
-
-{
-  "tripType": "one_way" | "round_trip",
-  "cabinClass": "economy" | "premium_economy" | "business" | "first",
-  "passengers": {
-    "adults": NUMBER,
-    "children": NUMBER,
-    "infants": NUMBER
-  },
-  "outboundSegments": [
-    {
-      "airline": "AIRLINE_NAME" | null,
-      "flightNumber": "FULL_FLIGHT_NUMBER_WITH_PREFIX" | null,
-      "departure": "DEPARTURE_AIRPORT_CODE" | null,
-      "arrival": "ARRIVAL_AIRPORT_CODE" | null, 
-      "departureTime": "HH:MM" | null,
-      "arrivalTime": "HH:MM" | null,
-      "date": "YYYY-MM-DD" | null,
-      "flightDuration": "HH:MM" | null
-    }
-  ],
-  "returnSegments": [],
-  "totalPrice": NUMBER | null,
-  "currency": "CURRENCY_CODE" | null
-}
-
-CRITICAL: Use JSON null (not the string "null") for missing values!
-
-CRITICAL: PRICE & CURRENCY
-Extract total price in any format (€299, $450, £320, ¥50000, 299.99 etc).
-Detect symbols (€, $, £, ¥, CHF, CAD…) or codes (EUR, USD, GBP, JPY…).
-Look for labels: Total, Price, Fare, Cost, Amount.
-If multiple prices, pick the cheapest. If per-person, multiply by passenger count.
-Currency must be 3-letter ISO code:
-- If currency symbol "$" is visible → default to "USD"
-- If currency symbol "€" is visible → default to "EUR"
-- For other symbols, also convert to ISO code on the most likely symbol (e.g., £ → GBP, ¥ → JPY)
-- If not visible or ambiguous → JSON null (NOT the string "null").
-If price not visible → totalPrice: JSON null (NOT the string "null").
-
-EXTRACTION RULES
-
-Trip type: one_way or round_trip.
-Cabin class: detect Economy, Business, Premium, First. Default economy.
-Passengers: extract counts carefully:
-- Look for explicit passenger count indicators: "2 adults", "2 passengers", "per person", "total for X people"
-- If you see per-person price and total price (e.g., "$249/person, $497 total"), calculate passenger count: totalPrice ÷ perPersonPrice = passenger count
-- Do NOT default to 1 adult if passenger count is clearly visible in the screenshot
-- Only default {"adults":1,"children":0,"infants":0} if passenger count is truly unclear.
-Segments - CRITICAL: Extract ALL flights visible in the screenshot:
-- You MUST extract every flight segment you see, even if there are multiple flights
-- Look for ALL flight information blocks, cards, or sections in the image
-- Do NOT stop after extracting the first flight - continue until you've extracted all visible flights
-
-ROUND-TRIP vs ONE-WAY CLASSIFICATION:
-- ROUND-TRIP: If you see flights going from A → B AND B → A (returns to origin), classify as round_trip
-- If the second flight's arrival airport matches the first flight's departure airport → it's a return flight (round-trip)
-- Example: LGW → ATH (first flight), ATH → LGW (second flight) = round_trip (LGW is origin, second flight returns to LGW)
-- Look for visual indicators: "Flight to [City]" and "Flight to [Origin City]", "Return", "Back", "Round trip"
-- IGNORE text that says "One-way tickets" - this is just explaining pricing structure, NOT the trip type
-- If you see two separate flights going in opposite directions → it's round_trip
-- ONE-WAY: Only if you see flights going A → B → C (all in same direction, never returning to origin)
-
-SEGMENT CLASSIFICATION RULES:
-- Outbound segments = all flights from origin city to destination city (including connections)
-- Return segments = all flights from destination city back to origin city (including connections)
-- If you see "Flight to Athens" and "Flight to London" on the same booking → it's round_trip
-- Use labels (Outbound, Return, Andata e ritorno, Aller et retour…), logical flow, and airport matching
-Airline: prefer two-letter code near flight number, else full name; if unclear → JSON null (NOT the string "null").
-Flight number: extract the COMPLETE flight number including airline prefix (e.g., "DY816" from Norwegian DY816, "U2123" from United Express U2123, "W46011" from Wizz Air Malta W46011). Include any letters or digits that appear before the numeric part. Examples: "BA553" → "BA553", "DY816" → "DY816", "U2123" → "U2123", "FR100" → "FR100". If unclear → JSON null (NOT the string "null").
-Airports: 3-letter IATA; if unclear → JSON null (NOT the string "null").
-Times: 24-hour HH:MM format. CRITICAL TIME EXTRACTION RULES:
-- ALWAYS look for and respect AM/PM indicators in the screenshot
-- If you see "PM" written next to a time, it is PM - convert to 24-hour by adding 12 hours
-- If you see "AM" written next to a time, it is AM - keep the same hour (except 12:XX AM becomes 00:XX)
-- CRITICAL: If you see a time with "+1" or "+2" suffix (e.g., "1:55 PM+1", "8:40 PM+1"), the "+1" indicates next-day arrival, but you MUST still respect the PM/AM indicator
-- CRITICAL: "1:55 PM+1" means 1:55 PM the next day = 13:55, NOT 01:55
-- CRITICAL: "8:40 PM+1" means 8:40 PM the next day = 20:40, NOT 08:40
-- The "+1" suffix does NOT mean to ignore PM - if you see "PM", convert it: 1:55 PM = 13:55
-- Convert 12-hour to 24-hour format correctly:
-  * 1:55 PM → 13:55 (add 12 hours)
-  * 10:45 PM → 22:45 (add 12 hours)
-  * 11:45 PM → 23:45 (add 12 hours)
-  * 12:00 PM → 12:00 (noon stays 12:00)
-  * 1:55 AM → 01:55 (keep same)
-  * 12:00 AM → 00:00 (midnight becomes 00:00)
-- Examples with +1 suffix: "1:55 PM+1" → 13:55, "8:40 PM+1" → 20:40
-- If you see a time with AM/PM indicator, extract it correctly in 24-hour format - do NOT ignore the AM/PM indicator
-- If AM/PM indicator is unclear or missing, mark as lower confidence but still extract the time
-- If unclear → JSON null (NOT the string "null").
-Dates: Format YYYY-MM-DD.
-
-Today = ${currentDate}, year = ${currentYear}.
-If year missing: if month/day ≥ today → ${currentYear}; if earlier → ${currentYear + 1}.
-
-Never return past dates. If unclear → JSON null (NOT the string "null").
-Flight duration: convert 22h 30m → 22:30, 1d 2h 30m → 26:30; if unclear → JSON null (NOT the string "null").
-
-SAFER DEFAULTS - USE IF NO CONTRASTING INFORMATION IS VISIBLE
-cabinClass: economy
-passengers: {"adults":1,"children":0,"infants":0}
-All unclear fields → JSON null (not the string "null")
-
-ABSOLUTELY CRITICAL
-
-Never guess or invent values.
-Use JSON null (not the string "null") for missing/unclear values.
-If no flight details at all (irrelevant screenshot), return every field as JSON null.
-Return ONLY the JSON object, no extra text.`;
-
-  try {
-    // Build payload with text and images
-    const payloadToSend = {
-      contents: [
-        {
-          parts: [
-            { text: prompt },
-            ...imageParts
-          ]
-        }
-      ]
-    };
-
-    // Add timeout to Gemini API call (60 seconds for larger images)
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Gemini API call timed out after 60 seconds')), 60000)
-    );
-
-    const startTime = Date.now();
-    console.log(`📤 Sending payload with ${imageParts.length} image(s) to Gemini...`);
-
-    const result = await Promise.race([
-      model.generateContent(payloadToSend),
-      timeoutPromise
-    ]);
-    const endTime = Date.now();
-
-    console.log(`⏰ Gemini API call completed in ${endTime - startTime}ms`);
-
-    const text = result.response.text() || '';
-    console.log('📥 Received response from Gemini API, length:', text.length);
-    
-    // Try to parse the JSON response
-    try {
-      const cleanedText = text.replace(/```json\n?|\n?```/g, '').trim();
-      
-      // Check if the response contains flight-related content
-      if (!cleanedText.includes('tripType') && !cleanedText.includes('outboundSegments')) {
-        return {
-          error: 'No flight details found in the image(s). Please upload a flight booking screenshot or itinerary.'
-        };
-      }
-      
-      let parsed = JSON.parse(cleanedText);
-      console.log('✅ Successfully parsed JSON');
-      
-      // Apply post-processing functions
-      // 1. Convert airline names to IATA codes
-      parsed = convertAirlineNamesToIataCodes(parsed);
-      console.log('🔄 Converted airline names to IATA codes');
-      
-      // 2. Normalize dates to resolve missing years and avoid past dates
-      parsed = fixPastDates(parsed, currentYear, currentDate);
-      console.log('🔄 Normalized dates');
-      
-      // 3. Detect round trip pattern if segments form A → B → A
-      const isRoundTripPattern = detectRoundTripPattern(
-        parsed.outboundSegments || [],
-        parsed.returnSegments || []
-      );
-      
-      if (isRoundTripPattern && parsed.tripType !== 'round_trip') {
-        console.log('🔄 Detected round trip pattern, updating tripType');
-        parsed.tripType = 'round_trip';
-        
-        // Split segments into outbound and return based on pattern
-        const allSegments = [...(parsed.outboundSegments || [])];
-        const firstSegment = allSegments[0];
-        const origin = firstSegment?.departure;
-        
-        if (origin) {
-          const outboundSegs = [];
-          const returnSegs = [];
-          let foundReturn = false;
-          
-          for (const seg of allSegments) {
-            if (!foundReturn && seg.arrival !== origin) {
-              outboundSegs.push(seg);
-            } else {
-              foundReturn = true;
-              returnSegs.push(seg);
-            }
-          }
-          
-          parsed.outboundSegments = outboundSegs;
-          parsed.returnSegments = returnSegs;
-        }
-      }
-      
-      return parsed;
-    } catch (parseError) {
-      console.error('❌ Failed to parse JSON response:', parseError);
-      return {
-        error: `Failed to parse flight details from image. Please ensure the image contains a clear flight booking screenshot.`,
-        details: parseError.message
-      };
-    }
-  } catch (error) {
-    console.error('❌ Error analyzing images:', error);
-    console.error('❌ Error type:', error.constructor?.name);
-    console.error('❌ Error message:', error.message);
-    console.error('❌ Error stack:', error.stack);
-
-    // Check for specific Gemini API errors
-    if (error.message && error.message.includes('Unable to process input image')) {
-      console.error('🖼️ This was an image processing error from Gemini');
-      return {
-        error: 'The image could not be processed by Gemini. The image data may be corrupted, truncated, or in an unsupported format. Please ensure the image is a valid PNG, JPEG, or WebP file and try again. If the problem persists, the image may be too large or corrupted.',
-        extractedData: {
-          error: 'Failed to analyze images: Unable to process input image',
-          details: '[GoogleGenerativeAI Error]: Error fetching from https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent: [400 Bad Request] Unable to process input image. Please retry or report in https://developers.generativeai.google/guide/troubleshooting'
-        }
-      };
-    }
-
-    // Check if it's a timeout error
-    if (error.message && error.message.includes('timed out')) {
-      console.error('⏰ This was a timeout error');
-      return {
-        error: 'The image analysis timed out. The image might be too complex or the service is busy. Please try with a simpler image or try again later.',
-        details: error.message
-      };
-    }
-
-    // Check for quota errors
-    if (error.message && (error.message.includes('quota') || error.message.includes('429'))) {
-      console.error('📊 This was a quota error');
-      return {
-        error: 'Gemini API quota exceeded. Please try again later.',
-        details: error.message
-      };
-    }
-
-    // Check for authentication errors
-    if (error.message && (error.message.includes('API key') || error.message.includes('401') || error.message.includes('403'))) {
-      console.error('🔑 This was an authentication error');
-      return {
-        error: 'Gemini API authentication failed. Please check your API key.',
-        details: error.message
-      };
-    }
-
-    return {
-      error: `Failed to analyze images: ${error.message}`,
-      details: error.message
-    };
-  }
-}
-
-// Helper function to normalize dates and fix past dates
-function fixPastDates(data, currentYear, currentDateISO) {
-  const today = currentDateISO ? new Date(currentDateISO) : new Date();
-  const todayMonth = today.getMonth() + 1; // 1-12
-  const todayDay = today.getDate(); // 1-31
-
-  const toTwo = (n) => (n < 10 ? `0${n}` : String(n));
-
-  const resolveMonthName = (mon) => {
-    const map = {
-      jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
-      jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
-    };
-    const key = mon.trim().toLowerCase();
-    return map[key] ?? null;
-  };
-
-  const normalizeDate = (dateString) => {
-    if (!dateString || typeof dateString !== 'string') return dateString;
-    const trimmed = dateString.trim();
-
-    // Case 1: Full ISO date
-    const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (isoMatch) {
-      const [, yearStr, mm, dd] = isoMatch;
-      const yearNum = parseInt(yearStr, 10);
-      if (yearNum < currentYear) {
-        console.log(`🔄 Fixing past year in date: ${trimmed} → ${currentYear}-${mm}-${dd}`);
-        return `${currentYear}-${mm}-${dd}`;
-      }
-      return trimmed;
-    }
-
-    // Case 2: Numeric month-day without year: MM-DD or M-D
-    const mdMatch = trimmed.match(/^(\d{1,2})[-\/](\d{1,2})$/);
-    if (mdMatch) {
-      const monthNum = Math.min(12, Math.max(1, parseInt(mdMatch[1], 10)));
-      const dayNum = Math.min(31, Math.max(1, parseInt(mdMatch[2], 10)));
-      let yearForDate = currentYear;
-      if (monthNum < todayMonth || (monthNum === todayMonth && dayNum < todayDay)) {
-        yearForDate = currentYear + 1;
-      }
-      return `${yearForDate}-${toTwo(monthNum)}-${toTwo(dayNum)}`;
-    }
-
-    // Case 3: Month-name and day without year: e.g., "Sep 16" or "September 5"
-    const mNameMatch = trimmed.match(/^([A-Za-z]{3,9})\s+(\d{1,2})$/);
-    if (mNameMatch) {
-      const monthResolved = resolveMonthName(mNameMatch[1]);
-      const dayNum = Math.min(31, Math.max(1, parseInt(mNameMatch[2], 10)));
-      if (monthResolved) {
-        let yearForDate = currentYear;
-        if (monthResolved < todayMonth || (monthResolved === todayMonth && dayNum < todayDay)) {
-          yearForDate = currentYear + 1;
-        }
-        return `${yearForDate}-${toTwo(monthResolved)}-${toTwo(dayNum)}`;
-      }
-    }
-
-    // Unknown format: return as-is
-    return dateString;
-  };
-
-  // Normalize outbound segments
-  if (data.outboundSegments) {
-    data.outboundSegments = data.outboundSegments.map(segment => ({
-      ...segment,
-      date: normalizeDate(segment.date)
-    }));
-  }
-
-  // Normalize return segments
-  if (data.returnSegments) {
-    data.returnSegments = data.returnSegments.map(segment => ({
-      ...segment,
-      date: normalizeDate(segment.date)
-    }));
-  }
-
-  return data;
-}
-
-// Helper function to detect round trip pattern (returns to origin)
-function detectRoundTripPattern(outboundSegments, returnSegments) {
-  const allSegments = [
-    ...(outboundSegments || []),
-    ...(returnSegments || [])
-  ].filter(segment =>
-    segment.departure &&
-    segment.arrival &&
-    typeof segment.departure === 'string' &&
-    typeof segment.arrival === 'string' &&
-    segment.departure.length === 3 &&
-    segment.arrival.length === 3
-  );
-
-  // Need at least 2 segments to form a round trip
-  if (allSegments.length < 2) {
-    return false;
-  }
-
-  // Find the origin airport (departure of the first segment)
-  const firstSegment = allSegments[0];
-  const origin = firstSegment.departure.toUpperCase();
-
-  // Check if any segment arrives back at the origin
-  for (let i = 0; i < allSegments.length; i++) {
-    const segment = allSegments[i];
-    const arrival = segment.arrival.toUpperCase();
-
-    // If any segment arrives at the origin (and it's not the first segment starting from origin),
-    // we have a round trip
-    if (arrival === origin) {
-      const route = allSegments
-        .map(s => `${s.departure.toUpperCase()} → ${s.arrival.toUpperCase()}`)
-        .join(', ');
-      console.log(`✅ Round trip detected: ${route} (returns to origin ${origin})`);
-      return true;
-    }
-  }
-
-  return false;
-}
-
-// Simplified airline code conversion function (fallback only - Phase 2)
-function convertAirlineNameToIataCode(airlineName) {
-  if (!airlineName) return '';
-  
-  // If already a 2-3 letter code, return uppercase
-  if ((airlineName.length === 2 || airlineName.length === 3) && /^[A-Z]{2,3}$/i.test(airlineName)) {
-    return airlineName.toUpperCase();
-  }
-
-  // Limited airline name to IATA code mapping (fallback only)
-  // This is only used when flight number extraction fails
-  const airlineMap = {
-    'ita airways': 'AZ',
-    'lufthansa': 'LH',
-    'british airways': 'BA',
-    'air france': 'AF',
-    'swiss': 'LX',
-    'swiss international': 'LX',
-    'klm': 'KL',
-    'emirates': 'EK',
-    'american airlines': 'AA',
-    'united airlines': 'UA',
-    'delta': 'DL',
-    'qatar airways': 'QR',
-    'singapore airlines': 'SQ',
-    'cathay pacific': 'CX',
-    'japan airlines': 'JL',
-    'ana': 'NH',
-    'norwegian': 'DY',
-    'wizz air': 'W6',
-    'ryanair': 'FR',
-    'easyjet': 'U2',
-    'alitalia': 'AZ',
-    'turkish airlines': 'TK',
-    'ethiopian airlines': 'ET',
-    'air canada': 'AC',
-    'australia': 'QF',
-    'qantas': 'QF'
-  };
-
-  const normalized = airlineName.toLowerCase().trim();
-  
-  // Direct match
-  if (airlineMap[normalized]) {
-    return airlineMap[normalized];
-  }
-
-  // Partial match (contains airline name)
-  for (const [key, code] of Object.entries(airlineMap)) {
-    if (normalized.includes(key) || key.includes(normalized)) {
-      return code;
-    }
-  }
-
-  // Return as-is if no match found
-  return airlineName;
-}
-
-// Extract airline code from flight number (Phase 1 extraction)
-function extractAirlineCodeFromFlightNumber(flightNumber) {
-  if (!flightNumber || typeof flightNumber !== 'string') {
-    return null;
-  }
-  
-  // Normalize: remove spaces, dashes, convert to uppercase
-  const normalized = flightNumber.replace(/[\s-]/g, '').toUpperCase().trim();
-  
-  if (normalized.length < 2) {
-    return null;
-  }
-  
-  // Extract first 2 characters
-  const firstTwo = normalized.substring(0, 2);
-  
-  // Check if at least one character is a letter
-  const hasLetter = /[A-Z]/.test(firstTwo);
-  
-  if (!hasLetter) {
-    return null;
-  }
-  
-  // Return the 2-character code
-  return firstTwo;
-}
-
-// Clean flight number by extracting just the numeric part and stripping leading zeros
-function cleanFlightNumber(flightNumber) {
-  if (!flightNumber || typeof flightNumber !== 'string') {
-    return '';
-  }
-  
-  // Normalize: remove spaces, dashes, convert to uppercase
-  const normalized = flightNumber.replace(/[\s-]/g, '').toUpperCase().trim();
-  
-  // Extract numeric part (everything after the airline code prefix)
-  // Match pattern: 2-3 letters followed by numbers
-  const match = normalized.match(/^[A-Z]{2,3}(\d+)$/);
-  if (match) {
-    const numericPart = match[1];
-    // Strip leading zeros but keep at least one digit
-    return numericPart.replace(/^0+/, '') || '0';
-  }
-  
-  // Fallback: extract all digits if no letter prefix found
-  const allDigits = normalized.replace(/\D/g, '');
-  if (allDigits) {
-    return allDigits.replace(/^0+/, '') || '0';
-  }
-  
-  return '';
-}
-
-// Helper function to convert airline names to IATA codes in extracted data
-function convertAirlineNamesToIataCodes(data) {
-  console.log('🔧 Converting airline names to IATA codes...');
-
-  // Process outbound segments
-  if (data.outboundSegments && Array.isArray(data.outboundSegments)) {
-    data.outboundSegments = data.outboundSegments.map((segment, index) => {
-      // Phase 1: Try to extract airline code from flight number
-      let iataCode = null;
-      let cleanedFlightNumber = segment.flightNumber;
-      
-      if (segment.flightNumber) {
-        iataCode = extractAirlineCodeFromFlightNumber(segment.flightNumber);
-        if (iataCode) {
-          console.log(`  ✈️ Outbound ${index + 1}: Phase 1 - Extracted "${iataCode}" from flight number "${segment.flightNumber}"`);
-          // Clean the flight number by removing the airline prefix
-          cleanedFlightNumber = cleanFlightNumber(segment.flightNumber);
-          if (cleanedFlightNumber !== segment.flightNumber) {
-            console.log(`  ✈️ Outbound ${index + 1}: Cleaned flight number "${segment.flightNumber}" -> "${cleanedFlightNumber}"`);
-          }
-        }
-      }
-      
-      // Phase 2: Fallback to airline name lookup if Phase 1 didn't work
-      if (!iataCode && segment.airline && segment.airline !== 'null' && segment.airline !== 'undefined' && segment.airline !== 'N/A') {
-        const originalAirline = segment.airline;
-        iataCode = convertAirlineNameToIataCode(segment.airline);
-        console.log(`  ✈️ Outbound ${index + 1}: Phase 2 - Converted "${originalAirline}" -> "${iataCode}"`);
-      }
-      
-      return {
-        ...segment,
-        airline: iataCode || '',
-        flightNumber: cleanedFlightNumber || segment.flightNumber || ''
-      };
-    });
-  }
-
-  // Process return segments
-  if (data.returnSegments && Array.isArray(data.returnSegments)) {
-    data.returnSegments = data.returnSegments.map((segment, index) => {
-      // Phase 1: Try to extract airline code from flight number
-      let iataCode = null;
-      let cleanedFlightNumber = segment.flightNumber;
-      
-      if (segment.flightNumber) {
-        iataCode = extractAirlineCodeFromFlightNumber(segment.flightNumber);
-        if (iataCode) {
-          console.log(`  ✈️ Return ${index + 1}: Phase 1 - Extracted "${iataCode}" from flight number "${segment.flightNumber}"`);
-          // Clean the flight number by removing the airline prefix
-          cleanedFlightNumber = cleanFlightNumber(segment.flightNumber);
-          if (cleanedFlightNumber !== segment.flightNumber) {
-            console.log(`  ✈️ Return ${index + 1}: Cleaned flight number "${segment.flightNumber}" -> "${cleanedFlightNumber}"`);
-          }
-        }
-      }
-      
-      // Phase 2: Fallback to airline name lookup if Phase 1 didn't work
-      if (!iataCode && segment.airline && segment.airline !== 'null' && segment.airline !== 'undefined' && segment.airline !== 'N/A') {
-        const originalAirline = segment.airline;
-        iataCode = convertAirlineNameToIataCode(segment.airline);
-        console.log(`  ✈️ Return ${index + 1}: Phase 2 - Converted "${originalAirline}" -> "${iataCode}"`);
-      }
-      
-      return {
-        ...segment,
-        airline: iataCode || '',
-        flightNumber: cleanedFlightNumber || segment.flightNumber || ''
-      };
-    });
-  }
-
-  return data;
-}
-
-// Helper function to check if extracted flight data is complete
-function isExtractedDataComplete(extractedData) {
-  // Check if we have basic structure
-  if (!extractedData) {
-    return false;
-  }
-  
-  // Check outbound segments
-  if (!extractedData.outboundSegments || !Array.isArray(extractedData.outboundSegments) || extractedData.outboundSegments.length === 0) {
-    return false;
-  }
-  
-  // Check each outbound segment for required fields
-  for (const segment of extractedData.outboundSegments) {
-    if (!segment.airline || segment.airline === null) return false;
-    if (!segment.flightNumber || segment.flightNumber === null) return false;
-    if (!segment.departure || segment.departure === null) return false;
-    if (!segment.arrival || segment.arrival === null) return false;
-    if (!segment.date || segment.date === null) return false;
-    if (!segment.departureTime || segment.departureTime === null) return false;
-    if (!segment.arrivalTime || segment.arrivalTime === null) return false;
-  }
-  
-  // Check return segments (for round trips)
-  if (extractedData.tripType === 'round_trip') {
-    if (!extractedData.returnSegments || !Array.isArray(extractedData.returnSegments) || extractedData.returnSegments.length === 0) {
-      return false;
-    }
-    
-    for (const segment of extractedData.returnSegments) {
-      if (!segment.airline || segment.airline === null) return false;
-      if (!segment.flightNumber || segment.flightNumber === null) return false;
-      if (!segment.departure || segment.departure === null) return false;
-      if (!segment.arrival || segment.arrival === null) return false;
-      if (!segment.date || segment.date === null) return false;
-      if (!segment.departureTime || segment.departureTime === null) return false;
-      if (!segment.arrivalTime || segment.arrivalTime === null) return false;
-    }
-  }
-  
-  // Check passenger information (must have at least adults count)
-  if (!extractedData.passengers || extractedData.passengers.adults === null || extractedData.passengers.adults === undefined) {
-    return false;
-  }
-  
-  // Check cabin class
-  if (!extractedData.cabinClass || extractedData.cabinClass === null) {
-    return false;
-  }
-  
-  // Check price and currency (required for price comparison)
-  if (extractedData.totalPrice === null || extractedData.totalPrice === undefined) {
-    return false;
-  }
-  
-  if (!extractedData.currency || extractedData.currency === null) {
-    return false;
-  }
-  
-  return true;
-}
-
-// Helper function to transform extracted data to the format expected by flight_pricecheck
-function transformExtractedToFlightData(extractedData) {
-  const transformedData = {
-    trip: {
-      legs: [],
-      travelClass: extractedData.cabinClass?.toUpperCase() || 'ECONOMY',
-      adults: extractedData.passengers?.adults || 1,
-      children: extractedData.passengers?.children || 0,
-      infantsInSeat: extractedData.passengers?.infants || 0,
-      infantsOnLap: 0
-    },
-    source: 'IMAGE_EXTRACTION',
-    price: extractedData.totalPrice?.toString() || '0.00',
-    currency: extractedData.currency || 'EUR',
-    location: 'IT'
-  };
-  
-  // Transform outbound segments
-  if (extractedData.outboundSegments && extractedData.outboundSegments.length > 0) {
-    transformedData.trip.legs.push({
-      segments: extractedData.outboundSegments.map(segment => ({
-        airline: segment.airline || null,
-        flightNumber: segment.flightNumber || null,
-        departureAirport: segment.departure || null,
-        arrivalAirport: segment.arrival || null,
-        departureDate: segment.date || null,
-        departureTime: segment.departureTime || null,
-        arrivalTime: segment.arrivalTime || null,
-        plusDays: 0
-      }))
-    });
-  }
-  
-  // Transform return segments
-  if (extractedData.returnSegments && extractedData.returnSegments.length > 0) {
-    transformedData.trip.legs.push({
-      segments: extractedData.returnSegments.map(segment => ({
-        airline: segment.airline || null,
-        flightNumber: segment.flightNumber || null,
-        departureAirport: segment.departure || null,
-        arrivalAirport: segment.arrival || null,
-        departureDate: segment.date || null,
-        departureTime: segment.departureTime || null,
-        arrivalTime: segment.arrivalTime || null,
-        plusDays: 0
-      }))
-    });
-  }
-  
-  return transformedData;
-}
-
 // Enable CORS for all origins (public MCP server)
 // This allows any domain to access the server, which is appropriate for a public MCP server
 // that needs to be accessible from Claude, ChatGPT, and other MCP clients.
@@ -1471,18 +32,21 @@ function transformExtractedToFlightData(extractedData) {
 const corsOptions = {
   origin: true, // Allow all origins
   credentials: true, // Allow credentials (cookies, auth headers) for OAuth flows
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
     'X-Requested-With',
     'Mcp-Session-Id',
+    'Mcp-Protocol-Version',
+    'Last-Event-ID',
     'X-Session-Id',
     'Accept',
     'Origin',
     'Referer'
   ],
   exposedHeaders: [
+    'Mcp-Session-Id',
     'Authorization',
     'Set-Cookie'
   ],
@@ -1518,1292 +82,152 @@ app.use((req, res, next) => {
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy',
-    service: 'navifare-mcp',
-    version: '0.1.5',
+    service: SERVER_INFO.name,
+    version: SERVER_INFO.version,
     timestamp: new Date().toISOString()
   });
 });
 
-// MCP server metadata endpoint (GET /mcp)
-app.get('/mcp', (req, res) => {
-  res.json({
-    name: 'navifare-mcp',
-    version: '0.1.5',
-    description: 'Navifare finds a better price for a specific flight the user already found. Users should provide flight details conversationally, which will be structured into the required format.',
-    tools: [
-      {
-        name: 'flight_pricecheck',
-        title: 'Flight Price Check',
-        description: 'Search multiple booking sources to find better prices for a specific flight the user has already found. Compares prices across different booking platforms to find cheaper alternatives for the exact same flight details.',
-        readOnlyHint: false,
-        destructiveHint: false,
-        inputSchema: {
-          type: 'object',
-          properties: {
-            trip: {
-              type: 'object',
-              description: 'Flight trip details including segments, passengers, and travel class',
-              properties: {
-                legs: {
-                  type: 'array',
-                  description: 'Array of flight legs (one for outbound, one for return in round trips)',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      segments: {
-                        type: 'array',
-                        description: 'Array of flight segments within this leg',
-                        items: {
-                          type: 'object',
-                          properties: {
-                            airline: { type: 'string', description: 'Two-letter IATA airline code (e.g., "LX", "AZ", "BA")' },
-                            flightNumber: { type: 'string', description: 'Numeric flight number without airline prefix (e.g., "1612", "573")' },
-                            departureAirport: { type: 'string', description: 'Three-letter IATA departure airport code (e.g., "ZRH", "MXP")' },
-                            arrivalAirport: { type: 'string', description: 'Three-letter IATA arrival airport code (e.g., "LHR", "FCO")' },
-                            departureDate: { type: 'string', description: 'Departure date in YYYY-MM-DD format (e.g., "2025-12-16")' },
-                            departureTime: { type: 'string', description: 'Departure time in HH:MM or HH:MM:SS format (e.g., "07:10" or "07:10:00")' },
-                            arrivalTime: { type: 'string', description: 'Arrival time in HH:MM or HH:MM:SS format (e.g., "08:25" or "08:25:00")' },
-                            plusDays: { type: 'number', description: 'Days to add to arrival date if arrival is next day (0 for same day, 1 for next day)' }
-                          },
-                          required: ['airline', 'flightNumber', 'departureAirport', 'arrivalAirport', 'departureDate', 'departureTime', 'arrivalTime', 'plusDays']
-                        }
-                      }
-                    },
-                    required: ['segments']
-                  }
-                },
-                travelClass: { type: 'string', description: 'Travel class: ECONOMY, PREMIUM_ECONOMY, BUSINESS, or FIRST', enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'] },
-                adults: { type: 'number', description: 'Number of adult passengers', minimum: 1 },
-                children: { type: 'number', description: 'Number of child passengers', minimum: 0 },
-                infantsInSeat: { type: 'number', description: 'Number of infants requiring a seat', minimum: 0 },
-                infantsOnLap: { type: 'number', description: 'Number of infants on lap', minimum: 0 }
-              },
-              required: ['legs', 'travelClass', 'adults', 'children', 'infantsInSeat', 'infantsOnLap']
-            },
-            source: { type: 'string', description: 'Source identifier for the original price (e.g., "ChatGPT", "User", "Booking.com")' },
-            price: { type: 'string', description: 'Reference price found by the user (e.g., "84.00", "200.50")' },
-            currency: { type: 'string', description: 'Three-letter ISO currency code (e.g., "EUR", "USD", "GBP")', pattern: '^[A-Z]{3}$' },
-            location: { type: 'string', description: 'Two-letter ISO country code for user location (e.g., "ES", "IT", "US"). If unsure, default to "ZZ" ', pattern: '^[A-Z]{2}$', default: 'ZZ' }
-          },
-          required: ['trip', 'source', 'price', 'currency']
-        },
-        outputSchema: {
-          type: 'object',
-          description: 'Flight price comparison results',
-          properties: {
-            message: { type: 'string', description: 'Summary message about the search results' },
-            searchResult: {
-              type: 'object',
-              description: 'Detailed search results',
-              properties: {
-                request_id: { type: 'string', description: 'Unique identifier for this search request' },
-                status: { type: 'string', description: 'Search status: IN_PROGRESS, COMPLETED, or FAILED' },
-                totalResults: { type: 'number', description: 'Total number of price comparison results found' },
-                results: {
-                  type: 'array',
-                  description: 'Array of price comparison results',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      rank: { type: 'number', description: 'Ranking of this result' },
-                      price: { type: 'string', description: 'Price with currency (e.g., "84.00 EUR")' },
-                      website: { type: 'string', description: 'Booking website name' },
-                      bookingUrl: { type: 'string', description: 'URL to book this flight' },
-                      fareType: { type: 'string', description: 'Type of fare (Standard Fare or Special Fare)' }
-                    }
-                  }
-                }
-              }
-            },
-            status: { type: 'string', description: 'Overall status of the search' }
-          }
-        }
-      },
-      // DEACTIVATED: Image extraction tool (commented out but kept for future use)
-      /*
-      {
-        name: 'extract_flight_from_image',
-        description: 'Extract flight details from one or more booking screenshots/images. Upload images of flight bookings, itineraries, or confirmation emails. The tool will extract flight information and return it. If the data is complete, use it to call flight_pricecheck. If incomplete, use format_flight_pricecheck_request to ask the user for missing details. ⚠️ CRITICAL: Images MUST be provided as base64-encoded strings. File IDs, file paths, or URLs will NOT work and will cause the tool to fail. You MUST convert images to base64 encoding before calling this tool.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            images: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  data: {
-                    type: 'string',
-                    description: '⚠️ CRITICAL REQUIREMENT: Image data MUST be a base64-encoded string. NO OTHER FORMAT WILL WORK. Do NOT send file IDs (like "file_000000009ca4720aaf20f16309d0c674"), file paths (like "/mnt/data/image.png"), or URLs. These will be rejected and the tool will fail. Format: Provide ONLY the raw base64 string without any data URI prefix. Example CORRECT: "iVBORw0KGgoAAAANSUhEUgAA..." (just the base64 characters). Example INCORRECT: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..." (has prefix - will fail). Example INCORRECT: "file_000000009ca4720aaf20f16309d0c674" (file ID - will fail). Example INCORRECT: "/mnt/data/image.png" (file path - will fail). If you have an image file, you MUST: 1) Read the file content, 2) Convert it to base64 encoding, 3) Provide ONLY the base64 string (no prefix, no file path, no file ID).'
-                  },
-                  mimeType: {
-                    type: 'string',
-                    description: 'MIME type of the image. Required values: "image/png", "image/jpeg", "image/jpg", "image/webp", or "image/gif". Must match the actual image format.'
-                  }
-                },
-                required: ['data', 'mimeType']
-              },
-              minItems: 1,
-              description: 'Array of images to analyze for flight details. ⚠️ CRITICAL: Each image MUST have base64-encoded data. File paths or file IDs will NOT work and will be rejected.'
-            }
-          },
-          required: ['images']
-        }
-      },
-      */
-      {
-        name: 'format_flight_pricecheck_request',
-        title: 'Format Flight Request',
-        description: 'Parse and format flight details from natural language text or transcribed image content. Extracts flight information (airlines, flight numbers, dates, airports, prices) and structures it for price comparison. Returns formatted flight data ready for flight_pricecheck, or requests missing information if incomplete.',
-        readOnlyHint: true,
-        destructiveHint: false,
-        inputSchema: {
-          type: 'object',
-          properties: {
-            user_request: { 
-              type: 'string', 
-              description: 'Flight details in natural language text. Include all available information: flight numbers, airlines, departure/arrival airports and times, dates, prices, passenger counts, and travel class. Example: "I found flight AZ 573 from ZRH to FCO on November 19th at 7:15 PM, arriving at 8:45 PM, for 200 EUR. Round trip returning AZ 572 from FCO to ZRH on November 22nd at 8:20 AM, arriving at 9:55 AM." If responding to a needsMoreInfo request, include the complete previous flight details along with the missing information.' 
-            }
-          },
-          required: ['user_request']
-        },
-        outputSchema: {
-          type: 'object',
-          description: 'Formatted flight data or request for more information',
-          properties: {
-            message: { type: 'string', description: 'Status message or instructions' },
-            needsMoreInfo: { type: 'boolean', description: 'Whether additional information is required' },
-            missingFields: { 
-              type: 'array', 
-              description: 'List of missing required fields if needsMoreInfo is true',
-              items: { type: 'string' }
-            },
-            flightData: {
-              type: 'object',
-              description: 'Formatted flight data ready for flight_pricecheck (only present if needsMoreInfo is false)',
-              properties: {
-                trip: { type: 'object' },
-                source: { type: 'string' },
-                price: { type: 'string' },
-                currency: { type: 'string' },
-                location: { type: 'string' }
-              }
-            },
-            readyForPriceCheck: { type: 'boolean', description: 'Whether the data is ready to use with flight_pricecheck' }
-          }
-        }
-      }
-    ]
+// Streamable HTTP sessions (one MCP server + transport per client session)
+const SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS) || 30 * 60 * 1000;
+const sessions = new SessionStore(SESSION_TTL_MS);
+sessions.startSweeping(Math.min(SESSION_TTL_MS, 60 * 1000));
+
+function sendJsonRpcError(res, status, code, message, id = null) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id,
+    error: { code, message }
   });
-});
+}
 
-// MCP tool invocation endpoint (POST /mcp)
-app.post('/mcp', async (req, res) => {
-  console.log('📥 Received MCP request:', JSON.stringify(req.body, null, 2));
-  
-  try {
-    // Validate request format
-    if (!req.body || typeof req.body !== 'object') {
-      res.status(400).json({
+// Forward a cancellation for every request in the POST body to the MCP server, which
+// aborts the handlers' AbortSignals (e.g. stops polling the Navifare API)
+function cancelPendingRequests(transport, body, reason) {
+  const messages = Array.isArray(body) ? body : [body];
+  for (const message of messages) {
+    if (message?.method && message.id !== undefined) {
+      transport.onmessage?.({
         jsonrpc: '2.0',
-        id: req.body?.id || null,
-        error: {
-          code: -32600,
-          message: 'Invalid Request'
-        }
+        method: 'notifications/cancelled',
+        params: { requestId: message.id, reason }
       });
-      return;
     }
-    
-    const { method, params } = req.body;
-
-const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
-
-function parseIsoDate(dateStr) {
-  if (typeof dateStr !== 'string' || !ISO_DATE_REGEX.test(dateStr)) {
-    return null;
-  }
-
-  const [year, month, day] = dateStr.split('-').map(Number);
-  const parsed = new Date(Date.UTC(year, month - 1, day));
-
-  if (
-    parsed.getUTCFullYear() !== year ||
-    parsed.getUTCMonth() !== month - 1 ||
-    parsed.getUTCDate() !== day
-  ) {
-    return null;
   }
-
-  return parsed;
 }
 
-function validateTripDates(args) {
-  if (!args?.trip?.legs?.length) {
-    throw new Error('Trip legs are required to search for flights. Please provide at least one leg with complete segment details.');
-  }
-
-  const today = new Date();
-  today.setUTCHours(0, 0, 0, 0);
-
-  let latestOutboundDate = null;
-  let earliestReturnDate = null;
-
-  args.trip.legs.forEach((leg, legIndex) => {
-    if (!leg?.segments?.length) {
-      throw new Error(`Leg ${legIndex + 1} is missing flight segments. Please include the airline, flight number, airports, and dates for each segment.`);
+// Creates a transport for a new session; it is stored once the SDK has assigned the session ID
+async function createSession() {
+  const server = createNavifareServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    eventStore: new SessionEventStore(),
+    onsessioninitialized: (sessionId) => {
+      console.log(`🤝 Session initialized: ${sessionId}`);
+      sessions.add(sessionId, transport, server);
+    },
+    onsessionclosed: (sessionId) => {
+      console.log(`👋 Session terminated by client: ${sessionId}`);
     }
-
-    leg.segments.forEach((segment, segmentIndex) => {
-      const context = `leg ${legIndex + 1}, segment ${segmentIndex + 1}`;
-      const dateStr = segment?.departureDate;
-      const parsedDate = parseIsoDate(dateStr || '');
-
-      if (!parsedDate) {
-        throw new Error(`Invalid departureDate for ${context}. Dates must use YYYY-MM-DD format and represent a real calendar date.`);
-      }
-
-      if (parsedDate.getTime() < today.getTime()) {
-        throw new Error(`The departure date ${dateStr} in ${context} is in the past. Please provide a future date to continue.`);
-      }
-
-      if (legIndex === 0) {
-        if (!latestOutboundDate || parsedDate.getTime() > latestOutboundDate.getTime()) {
-          latestOutboundDate = parsedDate;
-        }
-      } else if (!earliestReturnDate || parsedDate.getTime() < earliestReturnDate.getTime()) {
-        earliestReturnDate = parsedDate;
-      }
-    });
   });
 
-  if (
-    earliestReturnDate &&
-    latestOutboundDate &&
-    earliestReturnDate.getTime() < latestOutboundDate.getTime()
-  ) {
-    throw new Error('Return segments must depart on or after the outbound segments. Please adjust the return dates.');
-  }
-}
-
-function sanitizeSubmitArgs(rawArgs) {
-      if (!rawArgs || typeof rawArgs !== 'object') return rawArgs;
-      const args = { ...rawArgs };
-
-      // Ensure required top-level fields exist
-      if (!args.trip) args.trip = {};
-      if (!args.trip.legs) args.trip.legs = [];
-
-      // Normalize travelClass to uppercase as many backends require enums
-      if (typeof args.trip.travelClass === 'string') {
-        args.trip.travelClass = args.trip.travelClass.toUpperCase();
-      }
-
-      // Format price to 2 decimal places (e.g., "99" -> "99.00")
-      if (typeof args.price === 'string' || typeof args.price === 'number') {
-        const numeric = Number(String(args.price).replace(/[^0-9.]/g, ''));
-        if (!Number.isNaN(numeric)) {
-          args.price = numeric.toFixed(2);
-        }
-      }
-
-      // Ensure currency is 3-letter uppercase
-      if (typeof args.currency === 'string') {
-        args.currency = args.currency.trim().toUpperCase();
-      }
-
-      // Location handling: default to VA unless a valid 2-letter country code is provided
-      // For ChatGPT requests, location is set to ZZ in the handler above
-      if (typeof args.location === 'string' && args.location.trim()) {
-        const loc = args.location.trim().toUpperCase();
-        // Check if it's a valid 2-letter ISO country code
-        if (loc.length === 2 && /^[A-Z]{2}$/.test(loc)) {
-          args.location = loc;
-        } else {
-          // Not a valid 2-letter code, default to VA
-          args.location = 'VA';
-        }
-      } else {
-        // No location provided, default to VA
-        args.location = 'VA';
-      }
-
-      // Ensure source is valid (backend only accepts specific values)
-      // Valid sources: MANUAL, KAYAK, GOOGLE_FLIGHTS, BOOKING, MCP, IMAGE_EXTRACTION
-      if (args.source && typeof args.source === 'string') {
-        const validSources = ['MANUAL', 'KAYAK', 'GOOGLE_FLIGHTS', 'BOOKING', 'MCP', 'IMAGE_EXTRACTION'];
-        if (!validSources.includes(args.source.toUpperCase())) {
-          args.source = 'MANUAL'; // Default to MANUAL for unknown sources
-        } else {
-          args.source = args.source.toUpperCase(); // Normalize to uppercase
-        }
-      } else {
-        args.source = 'MANUAL';
-      }
-
-      // Ensure infants fields are always present
-      if (!Number.isFinite(args.trip.infantsInSeat)) args.trip.infantsInSeat = 0;
-      if (!Number.isFinite(args.trip.infantsOnLap)) args.trip.infantsOnLap = 0;
-
-      // Walk all segments and normalize fields
-      for (const leg of args.trip.legs) {
-        if (!leg.segments) continue;
-        for (const seg of leg.segments) {
-          // Extract airline code from flight number if needed
-          if (typeof seg.flightNumber === 'string' && seg.flightNumber) {
-            // Check if flight number contains airline prefix (e.g., "XZ2020")
-            const airlineFromFlight = extractAirlineCodeFromFlightNumber(seg.flightNumber);
-            
-            if (airlineFromFlight) {
-              // If airline is not a 2-letter code, use the one from flight number
-              if (!seg.airline || seg.airline.length !== 2 || !/^[A-Z]{2}$/i.test(seg.airline)) {
-                seg.airline = airlineFromFlight.toUpperCase();
-              }
-              
-              // Clean flight number by removing airline prefix
-              seg.flightNumber = cleanFlightNumber(seg.flightNumber);
-            } else {
-              // Extract numeric part only if no airline prefix found
-              const match = seg.flightNumber.match(/\d+/);
-              if (match) seg.flightNumber = match[0];
-            }
-          }
-          
-          // Enforce airline codes to be exactly 2 letters (take first 2 if longer)
-          if (typeof seg.airline === 'string' && seg.airline) {
-            const normalized = seg.airline.toUpperCase().trim();
-            if (normalized.length >= 2) {
-              // Take first 2 characters if longer, or pad if shorter
-              seg.airline = normalized.substring(0, 2);
-            } else if (normalized.length === 1) {
-              // If only 1 character, keep as is (rare case)
-              seg.airline = normalized;
-            }
-          }
-          
-          // Ensure plusDays present
-          if (!Number.isFinite(seg.plusDays)) seg.plusDays = 0;
-          
-          // Ensure times are in HH:MM:SS format (backend requires seconds)
-          // If times are missing/empty, set to "00:00:00" as a fallback
-          if (typeof seg.departureTime === 'string') {
-            if (seg.departureTime.length === 5) {
-              seg.departureTime = seg.departureTime + ':00'; // "13:00" -> "13:00:00"
-            } else if (!seg.departureTime || seg.departureTime.trim() === '') {
-              seg.departureTime = '00:00:00'; // Empty -> "00:00:00"
-            }
-          } else if (!seg.departureTime) {
-            seg.departureTime = '00:00:00';
-          }
-          
-          if (typeof seg.arrivalTime === 'string') {
-            if (seg.arrivalTime.length === 5) {
-              seg.arrivalTime = seg.arrivalTime + ':00'; // "14:10" -> "14:10:00"
-            } else if (!seg.arrivalTime || seg.arrivalTime.trim() === '') {
-              seg.arrivalTime = '00:00:00'; // Empty -> "00:00:00"
-            }
-          } else if (!seg.arrivalTime) {
-            seg.arrivalTime = '00:00:00';
-          }
-        }
-      }
-
-  validateTripDates(args);
-
-  return args;
+  // Set before connecting: the server chains its own close handler onto this one
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      sessions.delete(transport.sessionId);
     }
+  };
 
-    function generateTripSummary(flightData) {
-      if (!flightData?.trip?.legs || flightData.trip.legs.length === 0) {
-        return null;
-      }
-
-      try {
-        const firstLeg = flightData.trip.legs[0];
-        const lastLeg = flightData.trip.legs[flightData.trip.legs.length - 1];
-        
-        if (!firstLeg.segments || !lastLeg.segments || firstLeg.segments.length === 0 || lastLeg.segments.length === 0) {
-          return null;
-        }
+  await server.connect(transport);
+  return transport;
+}
 
-        const firstSegment = firstLeg.segments[0];
-        const lastSegment = lastLeg.segments[lastLeg.segments.length - 1];
-        
-        // Build route string
-        let route;
-        if (flightData.trip.legs.length === 1) {
-          // One-way
-          route = `${firstSegment.departureAirport} → ${lastSegment.arrivalAirport}`;
-        } else {
-          // Round-trip or multi-city
-          route = `${firstSegment.departureAirport} ⇄ ${lastSegment.arrivalAirport}`;
-        }
-        
-        // Format date
-        const departureDate = new Date(firstSegment.departureDate);
-        const formattedDate = departureDate.toLocaleDateString('en-US', { 
-          weekday: 'short', 
-          month: 'short', 
-          day: 'numeric' 
-        });
-        
-        // Build passenger string
-        const adults = flightData.trip.adults || 0;
-        const children = flightData.trip.children || 0;
-        const infants = (flightData.trip.infantsInSeat || 0) + (flightData.trip.infantsOnLap || 0);
-        
-        let passengers = '';
-        if (adults > 0) passengers += `${adults} adult${adults !== 1 ? 's' : ''}`;
-        if (children > 0) passengers += `${passengers ? ', ' : ''}${children} child${children !== 1 ? 'ren' : ''}`;
-        if (infants > 0) passengers += `${passengers ? ', ' : ''}${infants} infant${infants !== 1 ? 's' : ''}`;
-        
-        // Travel class
-        const travelClass = flightData.trip.travelClass?.toLowerCase().replace('_', ' ') || 'economy';
-        const capitalizedClass = travelClass.charAt(0).toUpperCase() + travelClass.slice(1);
+// MCP endpoint: JSON-RPC requests, notifications and responses (POST /mcp)
+app.post('/mcp', async (req, res) => {
+  console.log('📥 Received MCP request:', JSON.stringify(req.body).substring(0, 1000));
 
-        return {
-          route: route,
-          date: formattedDate,
-          passengers: passengers || '1 passenger',
-          class: capitalizedClass
-        };
-      } catch (error) {
-        console.log('Error generating trip summary:', error);
-        return null;
+  try {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport;
+
+    if (sessionId) {
+      transport = sessions.touch(sessionId)?.transport;
+      if (!transport) {
+        // Unknown or expired session: clients must start over with a new initialize request
+        sendJsonRpcError(res, 404, -32001, 'Session not found', req.body?.id ?? null);
+        return;
       }
-    }
-    
-    // Handle MCP initialization
-    if (method === 'initialize') {
-      console.log('🤝 Handling initialize request');
-      res.json({
-        jsonrpc: '2.0',
-        id: req.body.id,
-        result: {
-          protocolVersion: '2025-03-26',
-          capabilities: {
-            tools: {
-              listChanged: false
-            },
-            resources: {}
-          },
-          serverInfo: {
-            name: 'navifare-mcp',
-            version: '0.1.0'
-          }
-        }
-      });
-      return;
-    }
-    
-    // Handle notifications (no response needed)
-    if (method === 'notifications/initialized' || method === 'initialized') {
-      console.log('✅ Initialization complete');
-      res.status(200).end();
-      return;
-    }
-    
-    // Handle MCP protocol methods
-    if (method === 'tools/list') {
-      // Return list of available tools directly
-      const tools = [
-        {
-          name: 'flight_pricecheck',
-          title: 'Flight Price Check',
-          description: 'Search multiple booking sources to find better prices for a specific flight the user has already found. Compares prices across different booking platforms to find cheaper alternatives for the exact same flight details.',
-          readOnlyHint: false,
-          destructiveHint: false,
-          inputSchema: {
-            type: 'object',
-            properties: {
-              trip: {
-                type: 'object',
-                description: 'Flight trip details including segments, passengers, and travel class',
-                properties: {
-                  legs: {
-                    type: 'array',
-                    description: 'Array of flight legs (one for outbound, one for return in round trips)',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        segments: {
-                          type: 'array',
-                          description: 'Array of flight segments within this leg',
-                          items: {
-                            type: 'object',
-                            properties: {
-                              airline: { type: 'string', description: 'Two-letter IATA airline code (e.g., "LX", "AZ", "BA")' },
-                              flightNumber: { type: 'string', description: 'Numeric flight number without airline prefix (e.g., "1612", "573")' },
-                              departureAirport: { type: 'string', description: 'Three-letter IATA departure airport code (e.g., "ZRH", "MXP")' },
-                              arrivalAirport: { type: 'string', description: 'Three-letter IATA arrival airport code (e.g., "LHR", "FCO")' },
-                              departureDate: { type: 'string', description: 'Departure date in YYYY-MM-DD format (e.g., "2025-12-16")' },
-                              departureTime: { type: 'string', description: 'Departure time in HH:MM or HH:MM:SS format (e.g., "07:10" or "07:10:00")' },
-                              arrivalTime: { type: 'string', description: 'Arrival time in HH:MM or HH:MM:SS format (e.g., "08:25" or "08:25:00")' },
-                              plusDays: { type: 'number', description: 'Days to add to arrival date if arrival is next day (0 for same day, 1 for next day)' }
-                            },
-                            required: ['airline', 'flightNumber', 'departureAirport', 'arrivalAirport', 'departureDate', 'departureTime', 'arrivalTime', 'plusDays']
-                          }
-                        }
-                      },
-                      required: ['segments']
-                    }
-                  },
-                  travelClass: { type: 'string', description: 'Travel class: ECONOMY, PREMIUM_ECONOMY, BUSINESS, or FIRST', enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'] },
-                  adults: { type: 'number', description: 'Number of adult passengers', minimum: 1 },
-                  children: { type: 'number', description: 'Number of child passengers', minimum: 0 },
-                  infantsInSeat: { type: 'number', description: 'Number of infants requiring a seat', minimum: 0 },
-                  infantsOnLap: { type: 'number', description: 'Number of infants on lap', minimum: 0 }
-                },
-                required: ['legs', 'travelClass', 'adults', 'children', 'infantsInSeat', 'infantsOnLap']
-              },
-              source: { type: 'string', description: 'Source identifier for the original price (e.g., "ChatGPT", "User", "Booking.com")' },
-              price: { type: 'string', description: 'Reference price found by the user (e.g., "84.00", "200.50")' },
-              currency: { type: 'string', description: 'Three-letter ISO currency code (e.g., "EUR", "USD", "GBP")', pattern: '^[A-Z]{3}$' },
-              location: { type: 'string', description: 'Two-letter ISO country code for user location (e.g., "ES", "IT", "US"). If unsure, default to "ZZ" ', pattern: '^[A-Z]{2}$', default: 'ZZ' }
-            },
-            required: ['trip', 'source', 'price', 'currency']
-          },
-          outputSchema: {
-            type: 'object',
-            description: 'Flight price comparison results',
-            properties: {
-              message: { type: 'string', description: 'Summary message about the search results' },
-              searchResult: {
-                type: 'object',
-                description: 'Detailed search results',
-                properties: {
-                  request_id: { type: 'string', description: 'Unique identifier for this search request' },
-                  status: { type: 'string', description: 'Search status: IN_PROGRESS, COMPLETED, or FAILED' },
-                  totalResults: { type: 'number', description: 'Total number of price comparison results found' },
-                  results: {
-                    type: 'array',
-                    description: 'Array of price comparison results',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        rank: { type: 'number', description: 'Ranking of this result' },
-                        price: { type: 'string', description: 'Price with currency (e.g., "84.00 EUR")' },
-                        website: { type: 'string', description: 'Booking website name' },
-                        bookingUrl: { type: 'string', description: 'URL to book this flight' },
-                        fareType: { type: 'string', description: 'Type of fare (Standard Fare or Special Fare)' }
-                      }
-                    }
-                  }
-                }
-              },
-              status: { type: 'string', description: 'Overall status of the search' }
-            }
-          }
-        },
-        // DEACTIVATED: Image extraction tool (commented out but kept for future use)
-        /*
-        {
-          name: 'extract_flight_from_image',
-          description: 'Extract flight details from one or more booking screenshots/images. Upload images of flight bookings, itineraries, or confirmation emails. The tool will extract flight information and return it. If the data is complete, use it to call flight_pricecheck. If incomplete, use format_flight_pricecheck_request to ask the user for missing details. ⚠️ CRITICAL: Images MUST be provided as base64-encoded strings. File IDs, file paths, or URLs will NOT work and will cause the tool to fail. You MUST convert images to base64 encoding before calling this tool.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              images: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  properties: {
-                    data: {
-                      type: 'string',
-                      description: '⚠️ CRITICAL REQUIREMENT: Image data MUST be a base64-encoded string. NO OTHER FORMAT WILL WORK. Do NOT send file IDs (like "file_000000009ca4720aaf20f16309d0c674"), file paths (like "/mnt/data/image.png"), or URLs. These will be rejected and the tool will fail. Format: Provide ONLY the raw base64 string without any data URI prefix. Example CORRECT: "iVBORw0KGgoAAAANSUhEUgAA..." (just the base64 characters). Example INCORRECT: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..." (has prefix - will fail). Example INCORRECT: "file_000000009ca4720aaf20f16309d0c674" (file ID - will fail). Example INCORRECT: "/mnt/data/image.png" (file path - will fail). If you have an image file, you MUST: 1) Read the file content, 2) Convert it to base64 encoding, 3) Provide ONLY the base64 string (no prefix, no file path, no file ID).'
-                    },
-                    mimeType: {
-                      type: 'string',
-                      description: 'MIME type of the image. Required values: "image/png", "image/jpeg", "image/jpg", "image/webp", or "image/gif". Must match the actual image format.'
-                    }
-                  },
-                  required: ['data', 'mimeType']
-                },
-                minItems: 1,
-                description: 'Array of images to analyze for flight details. ⚠️ CRITICAL: Each image MUST have base64-encoded data. File paths or file IDs will NOT work and will be rejected.'
-              }
-            },
-            required: ['images']
-          }
-        },
-        */
-        {
-          name: 'format_flight_pricecheck_request',
-          title: 'Format Flight Request',
-          description: 'Parse and format flight details from natural language text or transcribed image content. Extracts flight information (airlines, flight numbers, dates, airports, prices) and structures it for price comparison. Returns formatted flight data ready for flight_pricecheck, or requests missing information if incomplete.',
-          readOnlyHint: true,
-          destructiveHint: false,
-          inputSchema: {
-            type: 'object',
-            properties: {
-              user_request: { 
-                type: 'string', 
-                description: 'Flight details in natural language text. Include all available information: flight numbers, airlines, departure/arrival airports and times, dates, prices, passenger counts, and travel class. Example: "I found flight AZ 573 from ZRH to FCO on November 19th at 7:15 PM, arriving at 8:45 PM, for 200 EUR. Round trip returning AZ 572 from FCO to ZRH on November 22nd at 8:20 AM, arriving at 9:55 AM." If responding to a needsMoreInfo request, include the complete previous flight details along with the missing information.' 
-              }
-            },
-            required: ['user_request']
-          },
-          outputSchema: {
-            type: 'object',
-            description: 'Formatted flight data or request for more information',
-            properties: {
-              message: { type: 'string', description: 'Status message or instructions' },
-              needsMoreInfo: { type: 'boolean', description: 'Whether additional information is required' },
-              missingFields: { 
-                type: 'array', 
-                description: 'List of missing required fields if needsMoreInfo is true',
-                items: { type: 'string' }
-              },
-              flightData: {
-                type: 'object',
-                description: 'Formatted flight data ready for flight_pricecheck (only present if needsMoreInfo is false)',
-                properties: {
-                  trip: { type: 'object' },
-                  source: { type: 'string' },
-                  price: { type: 'string' },
-                  currency: { type: 'string' },
-                  location: { type: 'string' }
-                }
-              },
-              readyForPriceCheck: { type: 'boolean', description: 'Whether the data is ready to use with flight_pricecheck' }
-            }
-          }
-        }
-      ];
-      
-      res.json({
-        jsonrpc: '2.0',
-        id: req.body.id,
-        result: {
-          tools: tools
-        }
-      });
+    } else if (isInitializeRequest(req.body)) {
+      transport = await createSession();
+    } else {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided', req.body?.id ?? null);
       return;
     }
-    
-    if (method === 'tools/call') {
-      const { name, arguments: args } = params;
-      
-      // Detect if this is a ChatGPT request (has OpenAI metadata)
-      const isChatGptRequest = params._meta && 
-                               typeof params._meta === 'object' && 
-                               (params._meta['openai/userAgent'] || params._meta['openai/userLocation']);
-      
-      // Hardcode location to "ZZ" ONLY for ChatGPT requests
-      if (isChatGptRequest && (name === 'search_flights' || name === 'submit_session')) {
-        args.location = 'ZZ';
-        console.log(`✅ Set location to "ZZ" for ChatGPT request`);
+
+    // If the client goes away before the response is complete, abandon its requests
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        console.log('🛑 Client disconnected before the response completed, cancelling its requests');
+        cancelPendingRequests(transport, req.body, 'Client disconnected');
       }
-      
-      console.log(`🔧 Calling tool: ${name}`);
-      console.log('📝 Arguments:', JSON.stringify(args, null, 2));
-      
-      // Detect if client wants streaming (SSE)
-      const wantsStreaming = req.headers['accept']?.includes('text/event-stream') || 
-                             req.query.stream === 'true' ||
-                             req.headers['mcp-stream'] === 'true';
-      
-      // Session management
-      const sessionId = req.headers['mcp-session-id'] || 
-                        `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      
-      let result;
-      
-      // DEACTIVATED: Image extraction tool handler (commented out but kept for future use)
-      /*
-      if (name === 'extract_flight_from_image') {
-        console.log('📷 extract_flight_from_image tool called!');
+    });
 
-        const images = args.images;
-        
-        // Optimize logging - avoid expensive operations on large base64 strings
-        let totalDataSize = 0;
-        const imageTypes = [];
-        const imageSizes = [];
-        if (images && images.length > 0) {
-          for (let i = 0; i < images.length; i++) {
-            imageTypes.push(images[i].mimeType);
-            const size = images[i].data?.length || 0;
-            imageSizes.push(size);
-            totalDataSize += size;
-          }
-        }
-        console.log('📊 Tool arguments:', {
-          hasImages: !!images,
-          imageCount: images?.length || 0,
-          imageTypes: imageTypes,
-          imageSizes: imageSizes,
-          totalDataSize: totalDataSize
-        });
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('❌ Error handling MCP request:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal error', req.body?.id ?? null);
+    }
+  }
+});
 
-        if (!images || images.length === 0) {
-          result = {
-            error: 'No images provided. Please provide at least one image.'
-          };
-        } else {
-          console.log(`✅ Received ${images.length} image(s)`);
+// Session-bound GET and DELETE requests are delegated to the session's transport
+async function handleSessionRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  const transport = sessionId ? sessions.touch(sessionId)?.transport : undefined;
 
-          // Process images: convert file paths to base64 if needed
-          const processedImages = [];
-          for (let i = 0; i < images.length; i++) {
-            const img = images[i];
-            
-            if (!img.data || !img.mimeType) {
-              continue;
-            }
-            
-            let data = img.data || '';
-            
-            // Check if data is a file ID (some clients may pass file IDs like "file_000000009ca4720aaf20f16309d0c674")
-            if (data.startsWith('file_') && data.length > 10) {
-              console.error(`❌ Detected file ID instead of base64: ${data}`);
-              continue; // Skip file IDs - the client must convert to base64 first
-            }
-            
-            // Check if data is a file path (some clients may pass file paths)
-            if (data.startsWith('/') || data.startsWith('./') || data.includes('/mnt/data/')) {
-              console.log(`📁 Detected file path: ${data}, attempting to convert to base64...`);
-              try {
-                // Check if file exists
-                if (fs.existsSync(data)) {
-                  // Read file and convert to base64
-                  const fileBuffer = fs.readFileSync(data);
-                  data = fileBuffer.toString('base64');
-                  console.log(`✅ Successfully converted file to base64 (${fileBuffer.length} bytes)`);
-                } else {
-                  console.error(`❌ File not found: ${data}. The client must convert images to base64 before sending.`);
-                  continue;
-                }
-              } catch (fileError) {
-                console.error(`❌ Error reading file ${data}:`, fileError.message);
-                continue;
-              }
-            }
-            
-            // Remove data URI prefix if present
-            if (data.startsWith('data:image/')) {
-              data = data.split(',')[1] || data;
-            }
-            
-            // Remove ALL whitespace
-            data = data.replace(/\s/g, '');
-            
-            // Check if it looks like base64 data (at least 100 chars)
-            if (data.length < 100) {
-              console.warn(`⚠️ Image ${i + 1} data too short (${data.length} chars), skipping`);
-              continue;
-            }
-            
-            // Check if it's valid base64
-            try {
-              const decoded = Buffer.from(data, 'base64');
-              
-              if (decoded.length === 0) {
-                console.warn(`⚠️ Image ${i + 1} decoded to empty buffer, skipping`);
-                continue;
-              }
+  if (!transport) {
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+    } else {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+    }
+    return;
+  }
 
-              // Check file size (Gemini has limits, roughly 20MB per image)
-              if (decoded.length > 20 * 1024 * 1024) {
-                console.warn(`⚠️ Image ${i + 1} too large (${decoded.length} bytes), skipping`);
-                continue;
-              }
+  // The session does not expire while its SSE stream is open
+  if (req.method === 'GET') {
+    res.on('close', sessions.openStream(sessionId));
+  }
 
-              // Add processed image
-              processedImages.push({
-                data: data,
-                mimeType: img.mimeType
-              });
-            } catch (e) {
-              console.error(`❌ Image ${i + 1} invalid base64:`, e.message);
-              continue;
-            }
-          }
-          
-          // Validate that we have at least one valid image
-          if (processedImages.length === 0) {
-            const hasFileIds = images.some(img => img.data && img.data.startsWith('file_'));
-            const hasFilePaths = images.some(img => img.data && (img.data.startsWith('/') || img.data.includes('/mnt/data/')));
-            
-            let errorMessage = 'No valid images provided. ';
-            if (hasFileIds) {
-              errorMessage += 'You provided file IDs (like "file_000000009ca4720aaf20f16309d0c674") instead of base64 data. The client MUST convert images to base64 encoding before calling this tool. Read the image file, encode it as base64, and provide only the base64 string (without any data URI prefix).';
-            } else if (hasFilePaths) {
-              errorMessage += 'You provided file paths, but the files are not accessible on the server. The client MUST convert images to base64 encoding before calling this tool. Read the image file, encode it as base64, and provide only the base64 string (without any data URI prefix).';
-            } else {
-              errorMessage += 'Please ensure images are provided as base64-encoded strings (not file IDs or file paths) with proper mimeType (image/png, image/jpeg, etc).';
-            }
-            
-            result = {
-              error: errorMessage
-            };
-          } else {
-            console.log(`✅ Processed ${processedImages.length} valid image(s) out of ${images.length} provided`);
-            
-            try {
-              // Extract flight details from images using Gemini
-              console.log('🔍 About to call extractFlightDetailsFromImages...');
-              const extractedData = await extractFlightDetailsFromImages(processedImages);
-              console.log('✅ extractFlightDetailsFromImages completed successfully!');
-              
-              if (extractedData.error) {
-                result = {
-                  error: extractedData.error,
-                  extractedData: extractedData
-                };
-              } else {
-                // Check if the RAW extracted data is complete
-                const isComplete = isExtractedDataComplete(extractedData);
-                console.log(`📊 Extracted data completeness check: ${isComplete ? 'COMPLETE' : 'INCOMPLETE'}`);
-                
-                if (isComplete) {
-                  // Data is complete - transform and return it
-                  const transformedData = transformExtractedToFlightData(extractedData);
-                  console.log('✅ Flight details extracted successfully!');
-                  
-                  result = {
-                    message: 'Flight details extracted successfully! The data is complete and ready for price comparison.',
-                    extractedData: extractedData,
-                    flightData: transformedData,
-                    isComplete: true
-                  };
-                  console.log('✅ Returning complete flight data for flight_pricecheck tool');
-                } else {
-                  // Data is incomplete - pass it to format_flight_pricecheck_request
-                  const missingFields = [];
-                  if (!extractedData.passengers || extractedData.passengers.adults === null || extractedData.passengers.adults === undefined) {
-                    missingFields.push('passengers (adults count)');
-                  }
-                  if (extractedData.totalPrice === null || extractedData.totalPrice === undefined) {
-                    missingFields.push('total price');
-                  }
-                  if (!extractedData.currency || extractedData.currency === null) {
-                    missingFields.push('currency');
-                  }
-                  
-                  result = {
-                    message: `Flight details extracted, but some information is missing: ${missingFields.join(', ')}. Call format_flight_pricecheck_request with user_request parameter containing the extractedData JSON below (paste it as a string) to ask the user for the missing details.`,
-                    extractedData: extractedData,
-                    isComplete: false,
-                    missingFields: missingFields,
-                    nextStep: 'Call format_flight_pricecheck_request with user_request parameter containing the extractedData JSON below (paste it as a string)'
-                  };
-                  console.log('⚠️ Returning incomplete flight data - should use format_flight_pricecheck_request');
-                  console.log('📋 Missing fields:', missingFields.join(', '));
-                }
-              }
-            } catch (extractError) {
-              console.error('❌ Extraction Error:', extractError);
-              result = {
-                error: `Failed to extract flight details: ${extractError.message}`
-              };
-            }
-          }
-        }
-      } else
-      */
-      if (name === 'format_flight_pricecheck_request') {
-        console.log('🚀 Starting format_flight_pricecheck_request...');
-        
-        // Validate that we have user_request
-        if (!args.user_request) {
-          throw new Error('user_request must be provided');
-        }
-        
-        // Parse the user's natural language request (which may contain pasted extracted data)
-        const parsedRequest = await parseFlightRequest(args.user_request);
-        console.log('📊 Parsed request result:', parsedRequest.needsMoreInfo ? 'Needs more info' : 'Ready to proceed');
-        
-        if (parsedRequest.needsMoreInfo) {
-          result = {
-            message: parsedRequest.message + ' IMPORTANT: When providing the missing information, include the complete previous flight details (paste the full extracted data or previous request) along with the missing fields, as this tool does not retain context between calls.',
-            needsMoreInfo: true,
-            missingFields: parsedRequest.missingFields
-          };
-        } else {
-          // Flight information parsed successfully - return formatted flightData for flight_pricecheck
-          console.log('✅ Flight information parsed successfully!');
-          console.log('📊 Parsed flight data:', JSON.stringify(parsedRequest.flightData, null, 2));
-          
-          // Determine source based on whether the request contains extracted data indicators
-          const source = (args.user_request.includes('extracted') || args.user_request.includes('{"tripType"') || args.user_request.includes('outboundSegments')) 
-            ? 'IMAGE_EXTRACTION' 
-            : 'MCP';
-          
-          // Prepare flightData exactly as flight_pricecheck will use it
-          const flightData = {
-            ...parsedRequest.flightData,
-            source: source
-          };
-          
-          console.log('📤 Formatted flightData for flight_pricecheck:', JSON.stringify(flightData, null, 2));
-          
-          result = {
-            message: 'Flight details parsed and formatted successfully! Use the flightData below to call flight_pricecheck.',
-            flightData: flightData,
-            readyForPriceCheck: true
-          };
-        }
-      } else if (name === 'flight_pricecheck') {
-        console.log('🔍 Processing flight_pricecheck tool...');
-        
-        // The args now directly contain trip, source, price, currency, location
-        // Support both old format (flightData) and new format (direct properties)
-        const searchData = args.flightData || {
-          trip: args.trip,
-          source: args.source || 'MCP',
-          price: args.price,
-          currency: args.currency,
-          location: args.location
-        };
-        
-        console.log('📤 Search flights payload:', JSON.stringify(searchData, null, 2));
-        
-        // If streaming is requested, use SSE
-        if (wantsStreaming) {
-          console.log('📡 Using SSE streaming mode');
-          
-          // Set SSE headers
-          res.setHeader('Content-Type', 'text/event-stream');
-          res.setHeader('Cache-Control', 'no-cache');
-          res.setHeader('Connection', 'keep-alive');
-          res.setHeader('Mcp-Session-Id', sessionId);
-          
-          // Send initial connection event
-          res.write(`: connected\n`);
-          res.write(`event: session\ndata: ${JSON.stringify({ sessionId })}\n\n`);
-          
-          try {
-            // Transform to API format and sanitize the request
-            const apiRequest = transformToApiFormat(searchData);
-            const sanitizedRequest = sanitizeSubmitArgs(apiRequest);
-            
-            // Define progress callback to stream results as they appear
-            const onProgress = (progressResults) => {
-              const resultCount = progressResults.totalResults || progressResults.results?.length || 0;
-              const status = progressResults.status || 'IN_PROGRESS';
-              
-              console.log(`📤 Streaming ${resultCount} result${resultCount !== 1 ? 's' : ''} (status: ${status})`);
-              
-              // Send progress event via SSE
-              const progressEvent = {
-                jsonrpc: '2.0',
-                method: 'notifications/message',
-                params: {
-                  level: 'info',
-                  data: {
-                    message: `Flight search progress: Found ${resultCount} result${resultCount !== 1 ? 's' : ''} (status: ${status})`,
-                    results: progressResults,
-                    resultCount: resultCount,
-                    status: status
-                  }
-                }
-              };
-              
-              res.write(`event: progress\ndata: ${JSON.stringify(progressEvent)}\n\n`);
-            };
-            
-            const searchResult = await submit_and_poll_session(sanitizedRequest, onProgress);
-            console.log('✅ Search complete:', JSON.stringify(searchResult, null, 2));
-            
-            // Format message to display each offer on its own line
-            const resultCount = searchResult.totalResults || searchResult.results?.length || 0;
-            let formattedMessage = `Flight price search completed! Found ${resultCount} result(s):\n\n`;
-            
-            if (searchResult.results && searchResult.results.length > 0) {
-              searchResult.results.forEach((offer, index) => {
-                const rank = offer.rank || index + 1;
-                const price = offer.price || 'N/A';
-                const website = offer.website || 'Unknown';
-                const bookingUrl = offer.bookingUrl || '';
-                const fareType = offer.fareType || '';
-                
-                formattedMessage += `${rank}. ${website} - ${price}`;
-                if (fareType) {
-                  formattedMessage += ` (${fareType})`;
-                }
-                if (bookingUrl) {
-                  formattedMessage += `\n   🔗 ${bookingUrl}`;
-                }
-                formattedMessage += '\n\n';
-              });
-            } else {
-              formattedMessage += 'No results found.\n';
-            }
-            
-            const finalResult = {
-              message: formattedMessage.trim(),
-              searchResult: searchResult,
-              status: searchResult.status || 'COMPLETED'
-            };
-            
-            // Send final result as SSE event
-            const response = {
-              jsonrpc: '2.0',
-              id: req.body.id,
-              result: {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(finalResult, null, 2)
-                  }
-                ]
-              }
-            };
-            
-            res.write(`event: complete\ndata: ${JSON.stringify(response)}\n\n`);
-            res.end();
-            return;
-            
-          } catch (apiError) {
-            console.error('❌ API Error:', apiError);
-            const errorResponse = {
-              jsonrpc: '2.0',
-              id: req.body.id,
-              error: {
-                code: -32603,
-                message: 'Internal error',
-                data: apiError.message
-              }
-            };
-            res.write(`event: error\ndata: ${JSON.stringify(errorResponse)}\n\n`);
-            res.end();
-            return;
-          }
-        } else {
-          // Standard JSON response (non-streaming)
-          try {
-            // Transform to API format and sanitize the request
-            const apiRequest = transformToApiFormat(searchData);
-            console.log('📤 API Request after transformation:', JSON.stringify(apiRequest, null, 2));
-            const sanitizedRequest = sanitizeSubmitArgs(apiRequest);
-            console.log('📤 API Request after sanitization:', JSON.stringify(sanitizedRequest, null, 2));
-            
-            // Set session header even for non-streaming
-            res.setHeader('Mcp-Session-Id', sessionId);
-            
-            // Define progress callback to stream results as they appear
-            const onProgress = (progressResults) => {
-              // Send progress notification via notifications/message
-              const resultCount = progressResults.totalResults || progressResults.results?.length || 0;
-              const status = progressResults.status || 'IN_PROGRESS';
-              
-              console.log(`📤 Streaming ${resultCount} result${resultCount !== 1 ? 's' : ''} (status: ${status})`);
-            };
-            
-            const searchResult = await submit_and_poll_session(sanitizedRequest, onProgress);
-            console.log('✅ Search complete:', JSON.stringify(searchResult, null, 2));
-            
-            // Format message to display each offer on its own line
-            const resultCount = searchResult.totalResults || searchResult.results?.length || 0;
-            let formattedMessage = `Flight price search completed! Found ${resultCount} result(s):\n\n`;
-            
-            if (searchResult.results && searchResult.results.length > 0) {
-              searchResult.results.forEach((offer, index) => {
-                const rank = offer.rank || index + 1;
-                const price = offer.price || 'N/A';
-                const website = offer.website || 'Unknown';
-                const bookingUrl = offer.bookingUrl || '';
-                const fareType = offer.fareType || '';
-                
-                formattedMessage += `${rank}. ${website} - ${price}`;
-                if (fareType) {
-                  formattedMessage += ` (${fareType})`;
-                }
-                if (bookingUrl) {
-                  formattedMessage += `\n   🔗 ${bookingUrl}`;
-                }
-                formattedMessage += '\n\n';
-              });
-            } else {
-              formattedMessage += 'No results found.\n';
-            }
-            
-            result = {
-              message: formattedMessage.trim(),
-              searchResult: searchResult,
-              status: searchResult.status || 'COMPLETED'
-            };
-          } catch (apiError) {
-            console.error('❌ API Error:', apiError);
-            result = {
-              message: `Flight search failed: ${apiError.message}`,
-              error: apiError.message,
-              searchData: searchData
-            };
-          }
-        }
-      } else if (name === 'search_flights' || name === 'submit_session') {
-        // Handle search_flights and submit_session directly
-        console.log(`🔍 Processing ${name} tool...`);
-        
-        // Detect if this is a ChatGPT request
-        const isChatGptRequest = params._meta && 
-                                 typeof params._meta === 'object' && 
-                                 (params._meta['openai/userAgent'] || params._meta['openai/userLocation']);
-        
-        // Ensure location is set to ZZ ONLY for ChatGPT requests (should already be set above, but double-check)
-        if (isChatGptRequest && (!args.location || args.location !== 'ZZ')) {
-          args.location = 'ZZ';
-          console.log(`✅ Forced location to "ZZ" for ChatGPT ${name} request`);
-        }
-        
-        // Sanitize and send to API
-        let sanitizedRequest;
-        try {
-          sanitizedRequest = sanitizeSubmitArgs(args);
-          console.log('📤 Sanitized request:', JSON.stringify(sanitizedRequest, null, 2));
-        } catch (validationError) {
-          console.error('❌ Validation error in sanitizeSubmitArgs:', validationError.message);
-          console.error('❌ Original args:', JSON.stringify(args, null, 2).substring(0, 1000));
-          throw validationError;
-        }
-        
-        try {
-          if (name === 'search_flights') {
-            // For search_flights, use submit_and_poll_session
-            const searchResult = await submit_and_poll_session(sanitizedRequest);
-            
-            // Format response in OpenAI Apps SDK format with structuredContent
-            const structuredContent = {
-              request_id: searchResult.request_id,
-              status: searchResult.status || 'COMPLETED',
-              totalResults: searchResult.totalResults || searchResult.results?.length || 0,
-              results: searchResult.results || []
-            };
-            
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: `Flight search completed! Found ${structuredContent.totalResults} result(s).`
-                }
-              ],
-              structuredContent: structuredContent,
-              _meta: {
-                'openai/outputTemplate': 'ui://widget/flight-results.html',
-                'openai/widgetAccessible': true,
-                'openai/toolInvocation/invoking': 'Searching for flight prices...',
-                'openai/toolInvocation/invoked': 'Flight search completed',
-                'openai/locale': req.headers['openai-locale'] || 'en-US'
-              }
-            };
-          } else {
-            // For submit_session, just submit
-            const submitResult = await submit_session(sanitizedRequest);
-            
-            // Format response in OpenAI Apps SDK format
-            result = {
-              content: [
-                {
-                  type: 'text',
-                  text: 'Session created successfully'
-                }
-              ],
-              structuredContent: {
-                request_id: submitResult.request_id,
-                status: submitResult.status || 'NEW',
-                message: 'Session created successfully'
-              },
-              _meta: {
-                'openai/outputTemplate': 'ui://widget/flight-results.html',
-                'openai/widgetAccessible': true,
-                'openai/toolInvocation/invoking': 'Creating price discovery session...',
-                'openai/toolInvocation/invoked': 'Session created successfully',
-                'openai/locale': req.headers['openai-locale'] || 'en-US'
-              }
-            };
-          }
-        } catch (apiError) {
-          console.error('❌ API Error:', apiError);
-          result = {
-            content: [
-              {
-                type: 'text',
-                text: `Flight search failed: ${apiError.message}`
-              }
-            ],
-            structuredContent: {
-              error: true,
-              message: apiError.message
-            },
-            _meta: {
-              'openai/outputTemplate': 'ui://widget/flight-results.html',
-              'openai/widgetAccessible': true,
-              'openai/locale': req.headers['openai-locale'] || 'en-US'
-            }
-          };
-        }
-      } else {
-        res.status(400).json({
-          jsonrpc: '2.0',
-          id: req.body.id,
-          error: {
-            code: -32601,
-            message: `Unknown tool: ${name}`
-          }
-        });
-        return;
-      }
-      
-      // Only send JSON response if not streaming (streaming responses are sent above)
-      // For flight_pricecheck with streaming, we already sent SSE response above
-      // For all other cases (non-streaming or other tools), send JSON
-      if (!(wantsStreaming && name === 'flight_pricecheck')) {
-        console.log('✅ Tool execution successful');
-        
-        // Set session header for non-streaming responses
-        res.setHeader('Mcp-Session-Id', sessionId);
-        
-        // Format response
-        // If result already has structuredContent (ChatGPT format from search_flights/submit_session),
-        // use it directly; otherwise wrap it in standard MCP format
-        const response = {
-          jsonrpc: '2.0',
-          id: req.body.id,
-          result: result.structuredContent ? result : {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(result, null, 2)
-              }
-            ]
-          }
-        };
-        
-        // Debug: Log the response being sent
-        console.log('📤 Sending response:', JSON.stringify(response, null, 2));
-        
-        res.json(response);
-        return;
-      }
-      // Streaming responses for flight_pricecheck are handled above and already returned
+  try {
+    await transport.handleRequest(req, res);
+  } catch (error) {
+    console.error(`❌ Error handling ${req.method} /mcp:`, error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal error');
     }
-    
-    // Unknown method
-    res.status(400).json({
-      jsonrpc: '2.0',
-      id: req.body.id,
-      error: {
-        code: -32601,
-        message: `Method not found: ${method}`
-      }
-    });
+  }
+}
 
-  } catch (error) {
-    console.error('❌ Error handling MCP request:', error);
-      res.status(500).json({ 
-      jsonrpc: '2.0',
-      id: req.body.id,
-      error: {
-        code: -32603,
-        message: 'Internal error',
-        data: error.message
-      }
-    });
+// GET /mcp opens the server-to-client SSE stream (resumable with Last-Event-ID).
+// Plain GET requests without an SSE Accept header still return the server metadata.
+app.get('/mcp', async (req, res) => {
+  if (req.headers['accept']?.includes('text/event-stream')) {
+    await handleSessionRequest(req, res);
+    return;
   }
+
+  res.json({
+    ...SERVER_INFO,
+    description: SERVER_DESCRIPTION,
+    tools: TOOLS
+  });
 });
 
+// DELETE /mcp terminates the session
+app.delete('/mcp', handleSessionRequest);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Express error:', err);
@@ -2837,12 +261,14 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  await sessions.closeAll();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\nSIGINT received, shutting down gracefully...');
+  await sessions.closeAll();
   process.exit(0);
 });
@@ -0,0 +1,463 @@
+// Airline code and flight number normalisation.
+import { foldDiacritics } from './languages.js';
+import type { ExtractedFlightData, ExtractedSegment } from './types.js';
+
+export interface Airline {
+  iata: string;
+  icao: string;
+  name: string;
+  /** Other names and brands the carrier sells under ("Swiss", "Level", "American Eagle") */
+  aliases: string[];
+  /** Year the carrier stopped flying, or null while it operates */
+  defunct: number | null;
+  /** IATA code of the carrier that took over a defunct carrier's flights */
+  successor: string | null;
+}
+
+export interface AirlineMatch {
+  airline: Airline;
+  /** 1 for a code or an exact name, lower for partial and misspelled names */
+  confidence: number;
+}
+
+// "IATA ICAO Name|alias, alias" of operating carriers
+const AIRLINE_ROWS = [
+  // Europe
+  'AZ ITY ITA Airways|ITA',
+  'LH DLH Lufthansa|Deutsche Lufthansa',
+  'CL CLH Lufthansa CityLine',
+  'LX SWR Swiss International Air Lines|Swiss, Swiss Air Lines',
+  'OS AUA Austrian Airlines|Austrian',
+  'SN BEL Brussels Airlines',
+  'EW EWG Eurowings',
+  '4Y OCN Discover Airlines|Discover, Eurowings Discover',
+  'EN DLA Air Dolomiti',
+  'DE CFG Condor',
+  'X3 TUI TUIfly|TUI fly',
+  'WK EDW Edelweiss Air|Edelweiss',
+  '2L OAW Helvetic Airways|Helvetic',
+  'BA BAW British Airways|BA Euroflyer',
+  'CJ CFE BA CityFlyer',
+  'VS VIR Virgin Atlantic',
+  'EI EIN Aer Lingus|Aer Lingus Regional',
+  'LS EXS Jet2|Jet2.com',
+  'BY TOM TUI Airways|Thomson Airways',
+  'LM LOG Loganair',
+  'GR AUR Aurigny',
+  'U2 EZY easyJet|easyJet Europe, easyJet UK',
+  'DS EZS easyJet Switzerland',
+  'FR RYR Ryanair|Ryanair UK, Malta Air, Lauda Europe, Buzz',
+  'W6 WZZ Wizz Air|Wizz, Wizz Air UK, Wizz Air Malta',
+  'AF AFR Air France',
+  'A5 HOP HOP!|Air France Hop',
+  'TO TVF Transavia France',
+  'SS CRL Corsair|Corsair International',
+  'BF FBU French bee',
+  'TX FWI Air Caraibes',
+  'KL KLM KLM Royal Dutch Airlines|KLM',
+  'WA KLC KLM Cityhopper',
+  'HV TRA Transavia',
+  'XC CAI Corendon Airlines|Corendon',
+  'LG LGL Luxair',
+  'IB IBE Iberia|Level',
+  'I2 IBS Iberia Express',
+  'YW ANE Air Nostrum|Iberia Regional',
+  'VY VLG Vueling|Vueling Airlines',
+  'UX AEA Air Europa',
+  'V7 VOE Volotea',
+  'NT IBB Binter|Binter Canarias',
+  'TP TAP TAP Air Portugal|TAP, TAP Portugal',
+  'S4 RZO Azores Airlines|SATA Internacional',
+  'SK SAS Scandinavian Airlines|SAS, SAS Link',
+  'DY NOZ Norwegian|Norwegian Air Shuttle, Norwegian Air',
+  'N0 NBT Norse Atlantic Airways|Norse',
+  'WF WIF Wideroe',
+  'AY FIN Finnair',
+  'FI ICE Icelandair',
+  'BT BTI airBaltic|Air Baltic',
+  'LO LOT LOT Polish Airlines|LOT',
+  'OK CSA Czech Airlines|CSA',
+  'QS TVS Smartwings',
+  'RO ROT TAROM',
+  'FB LZB Bulgaria Air',
+  'JU ASL Air Serbia',
+  'OU CTN Croatia Airlines',
+  'ZB ABN Air Albania',
+  'A3 AEE Aegean Airlines|Aegean',
+  'OA OAL Olympic Air',
+  'GQ SEH Sky Express',
+  'TK THY Turkish Airlines|THY, Turk Hava Yollari',
+  'VF TKJ AJet',
+  'PC PGT Pegasus Airlines|Pegasus',
+  'XQ SXS SunExpress',
+  'SU AFL Aeroflot',
+  'J2 AHY Azerbaijan Airlines|AZAL',
+  'A9 TGZ Georgian Airways',
+  'KC KZR Air Astana',
+  'HY UZB Uzbekistan Airways',
+  // Middle East and Africa
+  'LY ELY El Al|El Al Israel Airlines',
+  'RJ RJA Royal Jordanian',
+  'ME MEA Middle East Airlines|MEA',
+  'EK UAE Emirates',
+  'FZ FDB flydubai',
+  'EY ETD Etihad Airways|Etihad',
+  'G9 ABY Air Arabia',
+  'QR QTR Qatar Airways',
+  'GF GFA Gulf Air',
+  'WY OMA Oman Air',
+  'KU KAC Kuwait Airways',
+  'J9 JZR Jazeera Airways',
+  'SV SVA Saudia|Saudi Arabian Airlines',
+  'XY KNE flynas',
+  'MS MSR EgyptAir',
+  'SM MSC Air Cairo',
+  'AT RAM Royal Air Maroc',
+  'AH DAH Air Algerie',
+  'TU TAR Tunisair',
+  'ET ETH Ethiopian Airlines|Ethiopian',
+  'KQ KQA Kenya Airways',
+  'WB RWD RwandAir',
+  'DT DTA TAAG Angola Airlines|TAAG',
+  'SA SAA South African Airways',
+  'FA SFR FlySafair|Safair',
+  'MK MAU Air Mauritius',
+  'HM SEY Air Seychelles',
+  // Asia and Oceania
+  'AI AIC Air India',
+  'IX AXB Air India Express',
+  '6E IGO IndiGo',
+  'SG SEJ SpiceJet',
+  'QP AKJ Akasa Air',
+  'UL ALK SriLankan Airlines',
+  'PK PIA Pakistan International Airlines|PIA',
+  'BG BBC Biman Bangladesh Airlines|Biman',
+  'SQ SIA Singapore Airlines',
+  'TR TGW Scoot',
+  'MH MAS Malaysia Airlines',
+  'AK AXM AirAsia',
+  'D7 XAX AirAsia X',
+  'FD AIQ Thai AirAsia',
+  'TG THA Thai Airways|Thai Airways International, Thai',
+  'PG BKP Bangkok Airways',
+  'VN HVN Vietnam Airlines',
+  'VJ VJC VietJet Air|Vietjet',
+  'GA GIA Garuda Indonesia|Garuda',
+  'JT LNI Lion Air',
+  'PR PAL Philippine Airlines',
+  '5J CEB Cebu Pacific',
+  'CX CPA Cathay Pacific',
+  'UO HKE HK Express',
+  'HX CRK Hong Kong Airlines',
+  'NX AMU Air Macau',
+  'CI CAL China Airlines',
+  'BR EVA EVA Air',
+  'JX SJX Starlux Airlines|Starlux',
+  'IT TTW Tigerair Taiwan',
+  'CA CCA Air China',
+  'MU CES China Eastern Airlines|China Eastern',
+  'FM CSH Shanghai Airlines',
+  'CZ CSN China Southern Airlines|China Southern',
+  'HU CHH Hainan Airlines',
+  '3U CSC Sichuan Airlines',
+  'ZH CSZ Shenzhen Airlines',
+  'MF CXA XiamenAir|Xiamen Airlines',
+  '9C CQH Spring Airlines',
+  'KE KAL Korean Air',
+  'OZ AAR Asiana Airlines|Asiana',
+  '7C JJA Jeju Air',
+  'LJ JNA Jin Air',
+  'TW TWB T\'way Air',
+  'JL JAL Japan Airlines|JAL',
+  'NH ANA All Nippon Airways|ANA',
+  'MM APJ Peach|Peach Aviation',
+  'QF QFA Qantas|QantasLink',
+  'JQ JST Jetstar|Jetstar Airways',
+  'VA VOZ Virgin Australia',
+  'NZ ANZ Air New Zealand',
+  'FJ FJI Fiji Airways',
+  'TN THT Air Tahiti Nui',
+  // Americas
+  'AA AAL American Airlines|American, American Eagle',
+  'DL DAL Delta Air Lines|Delta, Delta Connection',
+  'UA UAL United Airlines|United, United Express',
+  'WN SWA Southwest Airlines|Southwest',
+  'AS ASA Alaska Airlines|Alaska',
+  'B6 JBU JetBlue|JetBlue Airways',
+  'NK NKS Spirit Airlines|Spirit',
+  'F9 FFT Frontier Airlines|Frontier',
+  'HA HAL Hawaiian Airlines|Hawaiian',
+  'G4 AAY Allegiant Air|Allegiant',
+  'SY SCX Sun Country Airlines|Sun Country',
+  'AC ACA Air Canada|Air Canada Rouge, Air Canada Express',
+  'WS WJA WestJet',
+  'TS TSC Air Transat',
+  'PD POE Porter Airlines|Porter',
+  'AM AMX Aeromexico',
+  'Y4 VOI Volaris',
+  'VB VIV Viva Aerobus',
+  'CM CMP Copa Airlines|Copa',
+  'BW BWA Caribbean Airlines',
+  'UP BHS Bahamasair',
+  'AV AVA Avianca',
+  'LA LAN LATAM Airlines|LATAM',
+  'JJ TAM LATAM Airlines Brasil|TAM',
+  'G3 GLO GOL Linhas Aereas|GOL',
+  'AD AZU Azul Brazilian Airlines|Azul',
+  'AR ARG Aerolineas Argentinas',
+  'H2 SKU Sky Airline',
+  'JA JAT JetSMART'
+];
+
+// "IATA ICAO Name|aliases" of carriers that stopped flying, with the year and
+// the carrier that took over their flights, if any
+const DEFUNCT_AIRLINE_ROWS = [
+  'AZ AZA Alitalia 2021 AZ',
+  'AB BER Air Berlin|airberlin 2017',
+  '4U GWI Germanwings 2020 EW',
+  'ST GMI Germania 2019',
+  'BE BEE Flybe 2023',
+  'MT TCX Thomas Cook Airlines|Thomas Cook 2019',
+  'JN JON Joon 2019 AF',
+  'IG ISS Air Italy|Meridiana 2020',
+  'JP ADR Adria Airways|Adria 2019',
+  'WW WOW WOW air 2019',
+  'OG FPY PLAY|Fly Play 2025',
+  'VX VRD Virgin America 2018 AS',
+  '9W JAI Jet Airways 2019',
+  'G8 GOW Go First|GoAir 2023',
+  'UK VTI Vistara 2024 AI'
+];
+
+function parseAirline(row: string, defunct: boolean): Airline {
+  const [, iata, icao, rest] = row.match(/^(\S{2}) ([A-Z]{3}) (.+)$/)!;
+  const tail = defunct ? rest.match(/^(.+?) (\d{4})(?: ([A-Z0-9]{2}))?$/)! : null;
+  const [name, aliases = ''] = (tail ? tail[1] : rest).split('|');
+  return {
+    iata,
+    icao,
+    name,
+    aliases: aliases ? aliases.split(', ') : [],
+    defunct: tail ? Number(tail[2]) : null,
+    successor: tail?.[3] ?? null
+  };
+}
+
+export const AIRLINES: Airline[] = [
+  ...AIRLINE_ROWS.map(row => parseAirline(row, false)),
+  ...DEFUNCT_AIRLINE_ROWS.map(row => parseAirline(row, true))
+];
+
+// Operating carriers win when a defunct carrier's code was reassigned (AZ)
+const AIRLINES_BY_CODE = new Map<string, Airline>();
+for (const airline of [...AIRLINES].reverse()) {
+  AIRLINES_BY_CODE.set(airline.iata, airline);
+  AIRLINES_BY_CODE.set(airline.icao, airline);
+}
+
+// Words that do not tell carriers apart: "Airways", "Air Lines", "Linhas Aéreas"
+const GENERIC_AIRLINE_WORDS = new Set(['airlines', 'airline', 'airways', 'lines', 'linhas', 'lineas', 'aereas', 'aviation', 'flight', 'flights', 'the']);
+
+function airlineWords(text: string): string[] {
+  return foldDiacritics(text).toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9]+/)
+    .filter(word => word && !GENERIC_AIRLINE_WORDS.has(word));
+}
+
+const AIRLINE_NAMES = AIRLINES.map(airline => ({
+  airline,
+  names: [airline.name, ...airline.aliases].map(airlineWords).filter(words => words.length > 0)
+}));
+
+function bigrams(text: string): string[] {
+  return Array.from({ length: Math.max(text.length - 1, 0) }, (_, index) => text.slice(index, index + 2));
+}
+
+// Dice coefficient of character pairs, forgiving typos ("Luftansa" ~ "Lufthansa")
+function diceSimilarity(a: string, b: string): number {
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+  const remaining = [...pairsB];
+  let shared = 0;
+  for (const pair of pairsA) {
+    const index = remaining.indexOf(pair);
+    if (index >= 0) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+function nameSimilarity(query: string[], name: string[]): number {
+  const compactQuery = query.join('');
+  const compactName = name.join('');
+  if (compactQuery === compactName) return query.length === name.length ? 1 : 0.98;
+  // One name inside the other as whole words ("Swiss" in "Swiss Air"), scaled by how much of it matches,
+  // so a lone "Air" stays far from "Air France"
+  const contained = query.every(word => name.includes(word)) || name.every(word => query.includes(word));
+  const coverage = Math.min(compactQuery.length, compactName.length) / Math.max(compactQuery.length, compactName.length);
+  return Math.max(contained ? 0.6 + 0.4 * coverage : 0, diceSimilarity(compactQuery, compactName));
+}
+
+/** Operating or defunct carrier with an IATA ("LH") or ICAO ("DLH") code, or null. */
+export function getAirline(code: string | null | undefined): Airline | null {
+  return (code && AIRLINES_BY_CODE.get(code.trim().toUpperCase())) || null;
+}
+
+/**
+ * Best carrier for a code, name or brand ("DLH", "Vueling", "Luftansa"), with a
+ * confidence between 0 and 1. Two carriers scoring alike ("Virgin") lower the
+ * confidence, since either could be meant.
+ */
+export function matchAirline(query: string | null | undefined): AirlineMatch | null {
+  const text = query?.trim();
+  if (!text) return null;
+
+  const byCode = /^(?:[A-Z0-9]{2}|[A-Z]{3})$/i.test(text) ? getAirline(text) : null;
+  if (byCode) return { airline: byCode, confidence: 1 };
+
+  const words = airlineWords(text);
+  if (words.length === 0) return null;
+  const scored = AIRLINE_NAMES
+    .map(({ airline, names }) => ({ airline, confidence: Math.max(0, ...names.map(name => nameSimilarity(words, name))) }))
+    .filter(match => match.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [best, second] = scored;
+  if (!best) return null;
+  const ambiguous = second && second.airline.iata !== best.airline.iata && best.confidence - second.confidence < 0.05;
+  return ambiguous ? { airline: best.airline, confidence: best.confidence * 0.8 } : best;
+}
+
+// Lowest confidence at which a name is replaced by a carrier's code
+const MIN_AIRLINE_CONFIDENCE = 0.8;
+
+/**
+ * IATA code for an airline code, name or brand: "Vueling", "DLH" and "Alitalia"
+ * → "VY", "LH" and "AZ". Defunct carriers keep their own code so validateItinerary
+ * can flag them. Input matching no carrier ("Air", or a code missing from the table)
+ * is returned unchanged.
+ */
+export function convertAirlineNameToIataCode(airlineName: string | null | undefined): string {
+  if (!airlineName) return '';
+
+  const match = matchAirline(airlineName);
+  if (match && match.confidence >= MIN_AIRLINE_CONFIDENCE) {
+    return match.airline.iata;
+  }
+
+  // Return as-is if no match found
+  return airlineName;
+}
+
+// Extract airline code from flight number (Phase 1 extraction)
+// Extracts first 2 characters if at least one of them is a letter, or converts a known ICAO prefix
+// Examples: "U2123" → "U2", "AZ123" → "AZ", "A2123" → "A2", "9W123" → "9W", "EZY1234" → "U2"
+export function extractAirlineCodeFromFlightNumber(flightNumber: string | null | undefined): string | null {
+  if (!flightNumber || typeof flightNumber !== 'string') {
+    return null;
+  }
+
+  // Normalize: remove spaces, dashes, convert to uppercase
+  const normalized = flightNumber.replace(/[\s-]/g, '').toUpperCase().trim();
+
+  if (normalized.length < 2) {
+    return null;
+  }
+
+  const icaoPrefix = normalized.match(/^([A-Z]{3})\d/);
+  const carrier = icaoPrefix ? getAirline(icaoPrefix[1]) : null;
+  if (carrier) {
+    return carrier.iata;
+  }
+
+  // Extract first 2 characters
+  const firstTwo = normalized.substring(0, 2);
+
+  // Check if at least one character is a letter
+  const hasLetter = /[A-Z]/.test(firstTwo);
+
+  if (!hasLetter) {
+    return null;
+  }
+
+  // Return the 2-character code
+  return firstTwo;
+}
+
+// Clean flight number by extracting just the numeric part and stripping leading zeros
+export function cleanFlightNumber(flightNumber: string | null | undefined): string {
+  if (!flightNumber || typeof flightNumber !== 'string') {
+    return '';
+  }
+
+  // Normalize: remove spaces, dashes, convert to uppercase
+  const normalized = flightNumber.replace(/[\s-]/g, '').toUpperCase().trim();
+
+  // Extract numeric part (everything after the airline code prefix)
+  // Match pattern: 2-3 letters followed by numbers
+  const match = normalized.match(/^[A-Z]{2,3}(\d+)$/);
+  if (match) {
+    const numericPart = match[1];
+    // Strip leading zeros but keep at least one digit
+    return numericPart.replace(/^0+/, '') || '0';
+  }
+
+  // Fallback: extract all digits if no letter prefix found
+  const allDigits = normalized.replace(/\D/g, '');
+  if (allDigits) {
+    return allDigits.replace(/^0+/, '') || '0';
+  }
+
+  return '';
+}
+
+function convertSegmentAirlines(segments: ExtractedSegment[], label: string): ExtractedSegment[] {
+  return segments.map((segment, index) => {
+    // Phase 1: Try to extract airline code from flight number
+    let iataCode: string | null = null;
+    let cleanedFlightNumber = segment.flightNumber;
+
+    if (segment.flightNumber) {
+      iataCode = extractAirlineCodeFromFlightNumber(segment.flightNumber);
+      if (iataCode) {
+        console.error(`  ✈️ ${label} ${index + 1}: Phase 1 - Extracted "${iataCode}" from flight number "${segment.flightNumber}"`);
+        // Clean the flight number by removing the airline prefix
+        cleanedFlightNumber = cleanFlightNumber(segment.flightNumber);
+        if (cleanedFlightNumber !== segment.flightNumber) {
+          console.error(`  ✈️ ${label} ${index + 1}: Cleaned flight number "${segment.flightNumber}" -> "${cleanedFlightNumber}"`);
+        }
+      }
+    }
+
+    // Phase 2: Fallback to airline name lookup if Phase 1 didn't work
+    if (!iataCode && segment.airline && segment.airline !== 'null' && segment.airline !== 'undefined' && segment.airline !== 'N/A') {
+      const originalAirline = segment.airline;
+      iataCode = convertAirlineNameToIataCode(segment.airline);
+      console.error(`  ✈️ ${label} ${index + 1}: Phase 2 - Converted "${originalAirline}" -> "${iataCode}"`);
+    }
+
+    return {
+      ...segment,
+      airline: iataCode || '',
+      flightNumber: cleanedFlightNumber || segment.flightNumber || ''
+    };
+  });
+}
+
+// Helper function to convert airline names to IATA codes in extracted data
+// Uses Phase 1 extraction from flight number first, then falls back to airline name lookup
+export function convertAirlineNamesToIataCodes(data: ExtractedFlightData): ExtractedFlightData {
+  console.error('🔧 Converting airline names to IATA codes...');
+
+  if (data.outboundSegments && Array.isArray(data.outboundSegments)) {
+    data.outboundSegments = convertSegmentAirlines(data.outboundSegments, 'Outbound');
+  }
+
+  if (data.returnSegments && Array.isArray(data.returnSegments)) {
+    data.returnSegments = convertSegmentAirlines(data.returnSegments, 'Return');
+  }
+
+  return data;
+}
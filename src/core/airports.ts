@@ -0,0 +1,741 @@
+// Offline airport reference data: IATA and ICAO codes, names, cities, countries,
+// time zones and coordinates, plus the metropolitan areas that group the
+// airports of one city (MIL = MXP, LIN, BGY). Used to validate codes and to
+// resolve "Milan Malpensa" or "Roma" to a code without asking the LLM.
+import { foldDiacritics } from './languages.js';
+
+export interface Airport {
+  iata: string;
+  icao: string;
+  /** Short name of the airport, without "Airport": "Heathrow", "Leonardo da Vinci-Fiumicino" */
+  name: string;
+  city: string;
+  /** ISO 3166-1 alpha-2 country code */
+  country: string;
+  timeZone: string;
+  latitude: number;
+  longitude: number;
+  /** Metropolitan area code, when the city has several airports */
+  metro: string | null;
+}
+
+export interface MetroArea {
+  code: string;
+  city: string;
+  airports: string[];
+}
+
+// "IATA ICAO latitude longitude City|Name" grouped by country and IANA time zone.
+// The name is left out when the airport is simply named after its city.
+const AIRPORT_ROWS: Record<string, string[]> = {
+  'GB Europe/London': [
+    'LHR EGLL 51.47 -0.45 London|Heathrow',
+    'LGW EGKK 51.15 -0.19 London|Gatwick',
+    'STN EGSS 51.89 0.24 London|Stansted',
+    'LTN EGGW 51.87 -0.37 London|Luton',
+    'LCY EGLC 51.51 0.06 London|London City',
+    'SEN EGMC 51.57 0.70 London|Southend',
+    'MAN EGCC 53.35 -2.28 Manchester',
+    'BHX EGBB 52.45 -1.75 Birmingham',
+    'EDI EGPH 55.95 -3.37 Edinburgh',
+    'GLA EGPF 55.87 -4.43 Glasgow',
+    'BRS EGGD 51.38 -2.72 Bristol',
+    'NCL EGNT 55.04 -1.69 Newcastle',
+    'LPL EGGP 53.33 -2.85 Liverpool|John Lennon',
+    'EMA EGNX 52.83 -1.33 Nottingham|East Midlands',
+    'LBA EGNM 53.87 -1.66 Leeds|Leeds Bradford',
+    'ABZ EGPD 57.20 -2.20 Aberdeen',
+    'BFS EGAA 54.66 -6.22 Belfast|Belfast International'
+  ],
+  'IE Europe/Dublin': [
+    'DUB EIDW 53.42 -6.27 Dublin',
+    'ORK EICK 51.84 -8.49 Cork',
+    'SNN EINN 52.70 -8.92 Shannon'
+  ],
+  'PT Europe/Lisbon': [
+    'LIS LPPT 38.77 -9.13 Lisbon|Humberto Delgado',
+    'OPO LPPR 41.24 -8.68 Porto|Francisco Sa Carneiro',
+    'FAO LPFR 37.01 -7.97 Faro'
+  ],
+  'PT Atlantic/Madeira': ['FNC LPMA 32.69 -16.77 Funchal|Madeira'],
+  'PT Atlantic/Azores': ['PDL LPPD 37.74 -25.70 Ponta Delgada|Joao Paulo II'],
+  'ES Atlantic/Canary': [
+    'LPA GCLP 27.93 -15.39 Las Palmas|Gran Canaria',
+    'TFS GCTS 28.04 -16.57 Tenerife|Tenerife South',
+    'TFN GCXO 28.48 -16.34 Tenerife|Tenerife North',
+    'ACE GCRR 28.95 -13.61 Lanzarote|Cesar Manrique-Lanzarote',
+    'FUE GCFV 28.45 -13.86 Fuerteventura'
+  ],
+  'ES Europe/Madrid': [
+    'MAD LEMD 40.49 -3.57 Madrid|Adolfo Suarez Madrid-Barajas',
+    'BCN LEBL 41.30 2.08 Barcelona|Josep Tarradellas Barcelona-El Prat',
+    'AGP LEMG 36.67 -4.50 Malaga|Malaga-Costa del Sol',
+    'PMI LEPA 39.55 2.74 Palma de Mallorca',
+    'ALC LEAL 38.28 -0.56 Alicante|Alicante-Elche',
+    'VLC LEVC 39.49 -0.48 Valencia',
+    'SVQ LEZL 37.42 -5.90 Seville',
+    'BIO LEBB 43.30 -2.91 Bilbao',
+    'IBZ LEIB 38.87 1.37 Ibiza',
+    'MAH LEMH 39.86 4.22 Menorca',
+    'SCQ LEST 42.90 -8.42 Santiago de Compostela|Rosalia de Castro',
+    'GRX LEGR 37.19 -3.78 Granada|Federico Garcia Lorca'
+  ],
+  'FR Europe/Paris': [
+    'CDG LFPG 49.01 2.55 Paris|Charles de Gaulle',
+    'ORY LFPO 48.73 2.38 Paris|Orly',
+    'BVA LFOB 49.45 2.11 Beauvais|Beauvais-Tille',
+    'NCE LFMN 43.66 7.21 Nice|Nice Cote d\'Azur',
+    'LYS LFLL 45.73 5.08 Lyon|Lyon-Saint Exupery',
+    'MRS LFML 43.44 5.22 Marseille|Marseille Provence',
+    'TLS LFBO 43.63 1.37 Toulouse|Toulouse-Blagnac',
+    'BOD LFBD 44.83 -0.72 Bordeaux|Bordeaux-Merignac',
+    'NTE LFRS 47.15 -1.61 Nantes|Nantes Atlantique',
+    'SXB LFST 48.54 7.63 Strasbourg',
+    'MPL LFMT 43.58 3.96 Montpellier|Montpellier-Mediterranee',
+    'BIQ LFBZ 43.47 -1.52 Biarritz|Biarritz Pays Basque',
+    'AJA LFKJ 41.92 8.80 Ajaccio|Napoleon Bonaparte',
+    'BIA LFKB 42.55 9.48 Bastia|Bastia-Poretta',
+    'BSL LFSB 47.59 7.53 Basel|EuroAirport Basel-Mulhouse-Freiburg'
+  ],
+  'BE Europe/Brussels': [
+    'BRU EBBR 50.90 4.48 Brussels',
+    'CRL EBCI 50.46 4.45 Charleroi|Brussels South Charleroi'
+  ],
+  'NL Europe/Amsterdam': [
+    'AMS EHAM 52.31 4.76 Amsterdam|Schiphol',
+    'EIN EHEH 51.45 5.37 Eindhoven',
+    'RTM EHRD 51.96 4.44 Rotterdam|Rotterdam The Hague'
+  ],
+  'LU Europe/Luxembourg': ['LUX ELLX 49.63 6.21 Luxembourg|Findel'],
+  'CH Europe/Zurich': [
+    'ZRH LSZH 47.46 8.55 Zurich|Kloten',
+    'GVA LSGG 46.24 6.11 Geneva|Cointrin',
+    'BRN LSZB 46.91 7.50 Bern|Belp',
+    'LUG LSZA 46.00 8.91 Lugano|Agno'
+  ],
+  'DE Europe/Berlin': [
+    'FRA EDDF 50.03 8.57 Frankfurt',
+    'MUC EDDM 48.35 11.79 Munich|Franz Josef Strauss',
+    'BER EDDB 52.37 13.50 Berlin|Berlin Brandenburg Willy Brandt',
+    'DUS EDDL 51.29 6.77 Dusseldorf',
+    'HAM EDDH 53.63 9.99 Hamburg|Helmut Schmidt',
+    'STR EDDS 48.69 9.22 Stuttgart',
+    'CGN EDDK 50.87 7.14 Cologne|Cologne Bonn',
+    'HAJ EDDV 52.46 9.69 Hanover',
+    'NUE EDDN 49.50 11.08 Nuremberg',
+    'LEJ EDDP 51.42 12.24 Leipzig|Leipzig/Halle',
+    'BRE EDDW 53.05 8.79 Bremen',
+    'DRS EDDC 51.13 13.77 Dresden',
+    'FMM EDJA 47.99 10.24 Memmingen|Allgau'
+  ],
+  'AT Europe/Vienna': [
+    'VIE LOWW 48.11 16.57 Vienna|Schwechat',
+    'SZG LOWS 47.79 13.00 Salzburg|W. A. Mozart',
+    'INN LOWI 47.26 11.34 Innsbruck|Kranebitten',
+    'GRZ LOWG 46.99 15.44 Graz'
+  ],
+  'IT Europe/Rome': [
+    'FCO LIRF 41.80 12.25 Rome|Leonardo da Vinci-Fiumicino',
+    'CIA LIRA 41.80 12.59 Rome|Ciampino',
+    'MXP LIMC 45.63 8.72 Milan|Malpensa',
+    'LIN LIML 45.45 9.28 Milan|Linate',
+    'BGY LIME 45.67 9.70 Bergamo|Orio al Serio',
+    'VCE LIPZ 45.51 12.35 Venice|Marco Polo',
+    'TSF LIPH 45.65 12.19 Treviso|Antonio Canova',
+    'VRN LIPX 45.40 10.89 Verona|Valerio Catullo',
+    'TRS LIPQ 45.83 13.47 Trieste|Ronchi dei Legionari',
+    'TRN LIMF 45.20 7.65 Turin|Caselle',
+    'GOA LIMJ 44.41 8.84 Genoa|Cristoforo Colombo',
+    'BLQ LIPE 44.53 11.29 Bologna|Guglielmo Marconi',
+    'PSA LIRP 43.68 10.39 Pisa|Galileo Galilei',
+    'FLR LIRQ 43.81 11.20 Florence|Peretola',
+    'AOI LIPY 43.62 13.36 Ancona|Raffaello Sanzio',
+    'PEG LIRZ 43.10 12.51 Perugia|San Francesco d\'Assisi',
+    'NAP LIRN 40.88 14.29 Naples|Capodichino',
+    'BRI LIBD 41.14 16.76 Bari|Karol Wojtyla',
+    'BDS LIBR 40.66 17.95 Brindisi|Salento',
+    'SUF LICA 38.91 16.24 Lamezia Terme',
+    'REG LICR 38.07 15.65 Reggio Calabria|Tito Minniti',
+    'CTA LICC 37.47 15.07 Catania|Fontanarossa',
+    'PMO LICJ 38.18 13.10 Palermo|Falcone Borsellino',
+    'CAG LIEE 39.25 9.06 Cagliari|Elmas',
+    'OLB LIEO 40.90 9.52 Olbia|Costa Smeralda',
+    'AHO LIEA 40.63 8.29 Alghero|Fertilia'
+  ],
+  'MT Europe/Malta': ['MLA LMML 35.86 14.48 Malta|Luqa'],
+  'DK Europe/Copenhagen': [
+    'CPH EKCH 55.62 12.66 Copenhagen|Kastrup',
+    'BLL EKBI 55.74 9.15 Billund',
+    'AAL EKYT 57.09 9.85 Aalborg'
+  ],
+  'NO Europe/Oslo': [
+    'OSL ENGM 60.19 11.10 Oslo|Gardermoen',
+    'BGO ENBR 60.29 5.22 Bergen|Flesland',
+    'TRD ENVA 63.46 10.92 Trondheim|Vaernes',
+    'SVG ENZV 58.88 5.64 Stavanger|Sola',
+    'TOS ENTC 69.68 18.92 Tromso|Langnes'
+  ],
+  'SE Europe/Stockholm': [
+    'ARN ESSA 59.65 17.92 Stockholm|Arlanda',
+    'BMA ESSB 59.35 17.94 Stockholm|Bromma',
+    'NYO ESKN 58.79 16.91 Nykoping|Stockholm Skavsta',
+    'GOT ESGG 57.66 12.28 Gothenburg|Landvetter',
+    'MMX ESMS 55.54 13.37 Malmo|Sturup'
+  ],
+  'FI Europe/Helsinki': [
+    'HEL EFHK 60.32 24.96 Helsinki|Helsinki-Vantaa',
+    'RVN EFRO 66.56 25.83 Rovaniemi'
+  ],
+  'EE Europe/Tallinn': ['TLL EETN 59.41 24.83 Tallinn|Lennart Meri'],
+  'LV Europe/Riga': ['RIX EVRA 56.92 23.97 Riga'],
+  'LT Europe/Vilnius': ['VNO EYVI 54.63 25.29 Vilnius'],
+  'PL Europe/Warsaw': [
+    'WAW EPWA 52.17 20.97 Warsaw|Chopin',
+    'KRK EPKK 50.08 19.78 Krakow|John Paul II',
+    'GDN EPGD 54.38 18.47 Gdansk|Lech Walesa',
+    'WRO EPWR 51.10 16.89 Wroclaw|Copernicus',
+    'KTW EPKT 50.47 19.08 Katowice|Pyrzowice',
+    'POZ EPPO 52.42 16.83 Poznan|Lawica'
+  ],
+  'CZ Europe/Prague': ['PRG LKPR 50.10 14.26 Prague|Vaclav Havel'],
+  'SK Europe/Bratislava': ['BTS LZIB 48.17 17.21 Bratislava|M. R. Stefanik'],
+  'HU Europe/Budapest': ['BUD LHBP 47.44 19.26 Budapest|Ferenc Liszt'],
+  'SI Europe/Ljubljana': ['LJU LJLJ 46.22 14.46 Ljubljana|Joze Pucnik'],
+  'HR Europe/Zagreb': [
+    'ZAG LDZA 45.74 16.07 Zagreb|Franjo Tudman',
+    'SPU LDSP 43.54 16.30 Split',
+    'DBV LDDU 42.56 18.27 Dubrovnik'
+  ],
+  'BA Europe/Sarajevo': ['SJJ LQSA 43.82 18.33 Sarajevo'],
+  'RS Europe/Belgrade': ['BEG LYBE 44.82 20.31 Belgrade|Nikola Tesla'],
+  'ME Europe/Podgorica': [
+    'TGD LYPG 42.36 19.25 Podgorica',
+    'TIV LYTV 42.40 18.72 Tivat'
+  ],
+  'AL Europe/Tirane': ['TIA LATI 41.41 19.72 Tirana|Nene Tereza'],
+  'MK Europe/Skopje': ['SKP LWSK 41.96 21.62 Skopje|Skopje International'],
+  'GR Europe/Athens': [
+    'ATH LGAV 37.94 23.94 Athens|Eleftherios Venizelos',
+    'SKG LGTS 40.52 22.97 Thessaloniki|Makedonia',
+    'HER LGIR 35.34 25.18 Heraklion|Nikos Kazantzakis',
+    'CHQ LGSA 35.53 24.15 Chania|Daskalogiannis',
+    'RHO LGRP 36.41 28.09 Rhodes|Diagoras',
+    'KGS LGKO 36.79 27.09 Kos|Hippocrates',
+    'JTR LGSR 36.40 25.48 Santorini|Thira',
+    'JMK LGMK 37.44 25.35 Mykonos',
+    'CFU LGKR 39.60 19.91 Corfu|Ioannis Kapodistrias'
+  ],
+  'TR Europe/Istanbul': [
+    'IST LTFM 41.26 28.74 Istanbul',
+    'SAW LTFJ 40.90 29.31 Istanbul|Sabiha Gokcen',
+    'AYT LTAI 36.90 30.80 Antalya',
+    'ESB LTAC 40.13 32.99 Ankara|Esenboga',
+    'ADB LTBJ 38.29 27.16 Izmir|Adnan Menderes',
+    'DLM LTBS 36.71 28.79 Dalaman',
+    'BJV LTFE 37.25 27.66 Bodrum|Milas-Bodrum'
+  ],
+  'RO Europe/Bucharest': [
+    'OTP LROP 44.57 26.10 Bucharest|Henri Coanda',
+    'CLJ LRCL 46.79 23.69 Cluj-Napoca|Avram Iancu'
+  ],
+  'BG Europe/Sofia': [
+    'SOF LBSF 42.70 23.41 Sofia|Vasil Levski',
+    'VAR LBWN 43.23 27.83 Varna',
+    'BOJ LBBG 42.57 27.52 Burgas'
+  ],
+  'MD Europe/Chisinau': ['KIV LUKK 46.93 28.93 Chisinau|Eugen Doga'],
+  'RU Europe/Moscow': [
+    'SVO UUEE 55.97 37.41 Moscow|Sheremetyevo',
+    'DME UUDD 55.41 37.91 Moscow|Domodedovo',
+    'VKO UUWW 55.59 37.26 Moscow|Vnukovo',
+    'LED ULLI 59.80 30.26 Saint Petersburg|Pulkovo'
+  ],
+  'CY Asia/Nicosia': [
+    'LCA LCLK 34.88 33.62 Larnaca',
+    'PFO LCPH 34.72 32.49 Paphos'
+  ],
+  'IS Atlantic/Reykjavik': [
+    'KEF BIKF 63.99 -22.62 Reykjavik|Keflavik',
+    'RKV BIRK 64.13 -21.94 Reykjavik|Reykjavik Domestic'
+  ],
+  'GE Asia/Tbilisi': ['TBS UGTB 41.67 44.95 Tbilisi|Shota Rustaveli'],
+  'AM Asia/Yerevan': ['EVN UDYZ 40.15 44.40 Yerevan|Zvartnots'],
+  'AZ Asia/Baku': ['GYD UBBB 40.47 50.05 Baku|Heydar Aliyev'],
+  'IL Asia/Jerusalem': ['TLV LLBG 32.01 34.89 Tel Aviv|Ben Gurion'],
+  'JO Asia/Amman': ['AMM OJAI 31.72 35.99 Amman|Queen Alia'],
+  'EG Africa/Cairo': [
+    'CAI HECA 30.12 31.41 Cairo',
+    'HRG HEGN 27.18 33.80 Hurghada',
+    'SSH HESH 27.98 34.39 Sharm el-Sheikh'
+  ],
+  'MA Africa/Casablanca': [
+    'CMN GMMN 33.37 -7.59 Casablanca|Mohammed V',
+    'RAK GMMX 31.61 -8.04 Marrakesh|Menara',
+    'AGA GMAD 30.33 -9.41 Agadir|Al Massira',
+    'TNG GMTT 35.73 -5.92 Tangier|Ibn Battouta',
+    'FEZ GMFF 33.93 -4.98 Fez|Saiss'
+  ],
+  'DZ Africa/Algiers': ['ALG DAAG 36.69 3.22 Algiers|Houari Boumediene'],
+  'TN Africa/Tunis': [
+    'TUN DTTA 36.85 10.23 Tunis|Tunis-Carthage',
+    'DJE DTTJ 33.87 10.78 Djerba|Djerba-Zarzis'
+  ],
+  'SN Africa/Dakar': ['DSS GOBD 14.67 -17.07 Dakar|Blaise Diagne'],
+  'GH Africa/Accra': ['ACC DGAA 5.61 -0.17 Accra|Kotoka'],
+  'NG Africa/Lagos': [
+    'LOS DNMM 6.58 3.32 Lagos|Murtala Muhammed',
+    'ABV DNAA 9.01 7.26 Abuja|Nnamdi Azikiwe'
+  ],
+  'ET Africa/Addis_Ababa': ['ADD HAAB 8.98 38.80 Addis Ababa|Bole'],
+  'KE Africa/Nairobi': [
+    'NBO HKJK -1.32 36.93 Nairobi|Jomo Kenyatta',
+    'MBA HKMO -4.03 39.59 Mombasa|Moi'
+  ],
+  'UG Africa/Kampala': ['EBB HUEN 0.04 32.44 Entebbe'],
+  'RW Africa/Kigali': ['KGL HRYR -1.97 30.14 Kigali'],
+  'TZ Africa/Dar_es_Salaam': [
+    'DAR HTDA -6.88 39.20 Dar es Salaam|Julius Nyerere',
+    'ZNZ HTZA -6.22 39.22 Zanzibar|Abeid Amani Karume',
+    'JRO HTKJ -3.43 37.07 Kilimanjaro'
+  ],
+  'ZA Africa/Johannesburg': [
+    'JNB FAOR -26.14 28.25 Johannesburg|O. R. Tambo',
+    'CPT FACT -33.97 18.60 Cape Town',
+    'DUR FALE -29.61 31.12 Durban|King Shaka'
+  ],
+  'NA Africa/Windhoek': ['WDH FYWH -22.48 17.47 Windhoek|Hosea Kutako'],
+  'ZW Africa/Harare': ['VFA FVFA -18.10 25.84 Victoria Falls'],
+  'SC Indian/Mahe': ['SEZ FSIA -4.67 55.52 Mahe|Seychelles'],
+  'MG Indian/Antananarivo': ['TNR FMMI -18.80 47.48 Antananarivo|Ivato'],
+  'MU Indian/Mauritius': ['MRU FIMP -20.43 57.68 Mauritius|Sir Seewoosagur Ramgoolam'],
+  'AE Asia/Dubai': [
+    'DXB OMDB 25.25 55.36 Dubai',
+    'DWC OMDW 24.90 55.16 Dubai|Al Maktoum',
+    'AUH OMAA 24.43 54.65 Abu Dhabi|Zayed',
+    'SHJ OMSJ 25.33 55.52 Sharjah'
+  ],
+  'QA Asia/Qatar': ['DOH OTHH 25.27 51.61 Doha|Hamad'],
+  'BH Asia/Bahrain': ['BAH OBBI 26.27 50.63 Bahrain'],
+  'KW Asia/Kuwait': ['KWI OKKK 29.24 47.97 Kuwait City|Kuwait'],
+  'SA Asia/Riyadh': [
+    'RUH OERK 24.96 46.70 Riyadh|King Khalid',
+    'JED OEJN 21.68 39.16 Jeddah|King Abdulaziz',
+    'DMM OEDF 26.47 49.80 Dammam|King Fahd',
+    'MED OEMA 24.55 39.71 Medina|Prince Mohammad bin Abdulaziz'
+  ],
+  'OM Asia/Muscat': ['MCT OOMS 23.59 58.28 Muscat'],
+  'IR Asia/Tehran': ['IKA OIIE 35.42 51.15 Tehran|Imam Khomeini'],
+  'KZ Asia/Almaty': ['ALA UAAA 43.35 77.04 Almaty'],
+  'UZ Asia/Tashkent': ['TAS UTTT 41.26 69.28 Tashkent|Islam Karimov'],
+  'PK Asia/Karachi': [
+    'KHI OPKC 24.91 67.16 Karachi|Jinnah',
+    'LHE OPLA 31.52 74.40 Lahore|Allama Iqbal',
+    'ISB OPIS 33.55 72.83 Islamabad'
+  ],
+  'IN Asia/Kolkata': [
+    'DEL VIDP 28.57 77.10 Delhi|Indira Gandhi',
+    'BOM VABB 19.09 72.87 Mumbai|Chhatrapati Shivaji Maharaj',
+    'BLR VOBL 13.20 77.71 Bengaluru|Kempegowda',
+    'MAA VOMM 12.99 80.17 Chennai',
+    'HYD VOHS 17.24 78.43 Hyderabad|Rajiv Gandhi',
+    'CCU VECC 22.65 88.45 Kolkata|Netaji Subhas Chandra Bose',
+    'COK VOCI 10.15 76.40 Kochi|Cochin',
+    'GOI VOGO 15.38 73.83 Goa|Dabolim',
+    'AMD VAAH 23.07 72.63 Ahmedabad|Sardar Vallabhbhai Patel',
+    'TRV VOTV 8.48 76.92 Thiruvananthapuram|Trivandrum'
+  ],
+  'LK Asia/Colombo': ['CMB VCBI 7.18 79.88 Colombo|Bandaranaike'],
+  'NP Asia/Kathmandu': ['KTM VNKT 27.70 85.36 Kathmandu|Tribhuvan'],
+  'BD Asia/Dhaka': ['DAC VGHS 23.84 90.40 Dhaka|Hazrat Shahjalal'],
+  'MV Indian/Maldives': ['MLE VRMM 4.19 73.53 Male|Velana'],
+  'MM Asia/Yangon': ['RGN VYYY 16.91 96.13 Yangon'],
+  'TH Asia/Bangkok': [
+    'BKK VTBS 13.69 100.75 Bangkok|Suvarnabhumi',
+    'DMK VTBD 13.91 100.61 Bangkok|Don Mueang',
+    'HKT VTSP 8.11 98.32 Phuket',
+    'USM VTSM 9.55 100.06 Koh Samui|Samui',
+    'KBV VTSG 8.10 98.99 Krabi',
+    'CNX VTCC 18.77 98.96 Chiang Mai'
+  ],
+  'VN Asia/Ho_Chi_Minh': [
+    'SGN VVTS 10.82 106.66 Ho Chi Minh City|Tan Son Nhat',
+    'HAN VVNB 21.22 105.81 Hanoi|Noi Bai',
+    'DAD VVDN 16.04 108.20 Da Nang',
+    'PQC VVPQ 10.17 103.99 Phu Quoc'
+  ],
+  'MY Asia/Kuala_Lumpur': [
+    'KUL WMKK 2.75 101.71 Kuala Lumpur',
+    'PEN WMKP 5.30 100.28 Penang'
+  ],
+  'SG Asia/Singapore': ['SIN WSSS 1.36 103.99 Singapore|Changi'],
+  'ID Asia/Jakarta': [
+    'CGK WIII -6.13 106.66 Jakarta|Soekarno-Hatta',
+    'HLP WIHH -6.27 106.89 Jakarta|Halim Perdanakusuma'
+  ],
+  'ID Asia/Makassar': ['DPS WADD -8.75 115.17 Denpasar|Ngurah Rai'],
+  'PH Asia/Manila': [
+    'MNL RPLL 14.51 121.02 Manila|Ninoy Aquino',
+    'CEB RPVM 10.31 123.98 Cebu|Mactan-Cebu'
+  ],
+  'HK Asia/Hong_Kong': ['HKG VHHH 22.31 113.92 Hong Kong|Chek Lap Kok'],
+  'MO Asia/Macau': ['MFM VMMC 22.15 113.59 Macau'],
+  'TW Asia/Taipei': [
+    'TPE RCTP 25.08 121.23 Taipei|Taoyuan',
+    'KHH RCKH 22.58 120.35 Kaohsiung'
+  ],
+  'CN Asia/Shanghai': [
+    'PEK ZBAA 40.08 116.58 Beijing|Capital',
+    'PKX ZBAD 39.51 116.41 Beijing|Daxing',
+    'PVG ZSPD 31.14 121.81 Shanghai|Pudong',
+    'SHA ZSSS 31.20 121.34 Shanghai|Hongqiao',
+    'CAN ZGGG 23.39 113.30 Guangzhou|Baiyun',
+    'SZX ZGSZ 22.64 113.81 Shenzhen|Bao\'an',
+    'CTU ZUUU 30.58 103.95 Chengdu|Shuangliu',
+    'TFU ZUTF 30.31 104.44 Chengdu|Tianfu',
+    'CKG ZUCK 29.72 106.64 Chongqing|Jiangbei',
+    'XIY ZLXY 34.45 108.75 Xi\'an|Xianyang',
+    'HGH ZSHC 30.23 120.43 Hangzhou|Xiaoshan',
+    'NKG ZSNJ 31.74 118.86 Nanjing|Lukou',
+    'WUH ZHHH 30.78 114.21 Wuhan|Tianhe',
+    'XMN ZSAM 24.54 118.13 Xiamen|Gaoqi',
+    'KMG ZPPP 25.10 102.93 Kunming|Changshui'
+  ],
+  'KR Asia/Seoul': [
+    'ICN RKSI 37.46 126.44 Seoul|Incheon',
+    'GMP RKSS 37.56 126.79 Seoul|Gimpo',
+    'PUS RKPK 35.18 128.94 Busan|Gimhae',
+    'CJU RKPC 33.51 126.49 Jeju'
+  ],
+  'JP Asia/Tokyo': [
+    'NRT RJAA 35.77 140.39 Tokyo|Narita',
+    'HND RJTT 35.55 139.78 Tokyo|Haneda',
+    'KIX RJBB 34.43 135.24 Osaka|Kansai',
+    'ITM RJOO 34.79 135.44 Osaka|Itami',
+    'UKB RJBE 34.63 135.22 Kobe',
+    'NGO RJGG 34.86 136.81 Nagoya|Chubu Centrair',
+    'CTS RJCC 42.78 141.69 Sapporo|New Chitose',
+    'FUK RJFF 33.59 130.45 Fukuoka',
+    'OKA ROAH 26.20 127.65 Naha|Okinawa Naha'
+  ],
+  'AU Australia/Perth': ['PER YPPH -31.94 115.97 Perth'],
+  'AU Australia/Darwin': ['DRW YPDN -12.41 130.88 Darwin'],
+  'AU Australia/Adelaide': ['ADL YPAD -34.95 138.53 Adelaide'],
+  'AU Australia/Brisbane': [
+    'BNE YBBN -27.38 153.12 Brisbane',
+    'OOL YBCG -28.16 153.51 Gold Coast|Coolangatta',
+    'CNS YBCS -16.88 145.75 Cairns'
+  ],
+  'AU Australia/Sydney': [
+    'SYD YSSY -33.95 151.18 Sydney|Kingsford Smith',
+    'CBR YSCB -35.31 149.19 Canberra'
+  ],
+  'AU Australia/Melbourne': [
+    'MEL YMML -37.67 144.84 Melbourne|Tullamarine',
+    'AVV YMAV -38.04 144.47 Avalon'
+  ],
+  'AU Australia/Hobart': ['HBA YMHB -42.84 147.51 Hobart'],
+  'NZ Pacific/Auckland': [
+    'AKL NZAA -37.01 174.79 Auckland',
+    'WLG NZWN -41.33 174.81 Wellington',
+    'CHC NZCH -43.49 172.53 Christchurch',
+    'ZQN NZQN -45.02 168.74 Queenstown'
+  ],
+  'FJ Pacific/Fiji': ['NAN NFFN -17.76 177.44 Nadi'],
+  'PF Pacific/Tahiti': ['PPT NTAA -17.55 -149.61 Papeete|Tahiti Faa\'a'],
+  'US Pacific/Honolulu': [
+    'HNL PHNL 21.32 -157.92 Honolulu|Daniel K. Inouye',
+    'OGG PHOG 20.90 -156.43 Kahului|Maui Kahului',
+    'KOA PHKO 19.74 -156.05 Kona|Ellison Onizuka Kona',
+    'LIH PHLI 21.98 -159.34 Lihue|Kauai Lihue'
+  ],
+  'US America/Anchorage': ['ANC PANC 61.17 -150.00 Anchorage|Ted Stevens'],
+  'US America/Los_Angeles': [
+    'LAX KLAX 33.94 -118.41 Los Angeles',
+    'BUR KBUR 34.20 -118.36 Burbank|Hollywood Burbank',
+    'ONT KONT 34.06 -117.60 Ontario',
+    'SNA KSNA 33.68 -117.87 Santa Ana|John Wayne Orange County',
+    'SAN KSAN 32.73 -117.19 San Diego',
+    'SFO KSFO 37.62 -122.38 San Francisco',
+    'OAK KOAK 37.72 -122.22 Oakland',
+    'SJC KSJC 37.36 -121.93 San Jose|Norman Y. Mineta',
+    'SMF KSMF 38.70 -121.59 Sacramento',
+    'SEA KSEA 47.45 -122.31 Seattle|Seattle-Tacoma',
+    'PDX KPDX 45.59 -122.60 Portland',
+    'LAS KLAS 36.08 -115.15 Las Vegas|Harry Reid'
+  ],
+  'CA America/Vancouver': ['YVR CYVR 49.19 -123.18 Vancouver'],
+  'US America/Phoenix': [
+    'PHX KPHX 33.43 -112.01 Phoenix|Sky Harbor',
+    'TUS KTUS 32.12 -110.94 Tucson'
+  ],
+  'US America/Denver': [
+    'DEN KDEN 39.86 -104.67 Denver',
+    'SLC KSLC 40.79 -111.98 Salt Lake City',
+    'ABQ KABQ 35.04 -106.61 Albuquerque|Albuquerque Sunport'
+  ],
+  'CA America/Edmonton': [
+    'YYC CYYC 51.13 -114.01 Calgary',
+    'YEG CYEG 53.31 -113.58 Edmonton'
+  ],
+  'US America/Chicago': [
+    'ORD KORD 41.98 -87.90 Chicago|O\'Hare',
+    'MDW KMDW 41.79 -87.75 Chicago|Midway',
+    'DFW KDFW 32.90 -97.04 Dallas|Dallas Fort Worth',
+    'DAL KDAL 32.85 -96.85 Dallas|Love Field',
+    'IAH KIAH 29.98 -95.34 Houston|George Bush Intercontinental',
+    'HOU KHOU 29.65 -95.28 Houston|William P. Hobby',
+    'AUS KAUS 30.19 -97.67 Austin|Austin-Bergstrom',
+    'SAT KSAT 29.53 -98.47 San Antonio',
+    'MSY KMSY 29.99 -90.26 New Orleans|Louis Armstrong',
+    'MSP KMSP 44.88 -93.22 Minneapolis|Minneapolis-Saint Paul',
+    'STL KSTL 38.75 -90.37 St. Louis|Lambert',
+    'MCI KMCI 39.30 -94.71 Kansas City',
+    'BNA KBNA 36.12 -86.68 Nashville',
+    'MKE KMKE 42.95 -87.90 Milwaukee|Mitchell'
+  ],
+  'CA America/Winnipeg': ['YWG CYWG 49.91 -97.24 Winnipeg|James Armstrong Richardson'],
+  'MX America/Mexico_City': [
+    'MEX MMMX 19.44 -99.07 Mexico City|Benito Juarez',
+    'GDL MMGL 20.52 -103.31 Guadalajara',
+    'MTY MMMY 25.78 -100.11 Monterrey',
+    'PVR MMPR 20.68 -105.25 Puerto Vallarta|Gustavo Diaz Ordaz'
+  ],
+  'MX America/Mazatlan': ['SJD MMSD 23.15 -109.72 San Jose del Cabo|Los Cabos'],
+  'MX America/Cancun': ['CUN MMUN 21.04 -86.87 Cancun'],
+  'US America/New_York': [
+    'JFK KJFK 40.64 -73.78 New York|John F. Kennedy',
+    'LGA KLGA 40.78 -73.87 New York|LaGuardia',
+    'EWR KEWR 40.69 -74.17 Newark|Newark Liberty',
+    'BOS KBOS 42.36 -71.01 Boston|Logan',
+    'IAD KIAD 38.95 -77.46 Washington|Dulles',
+    'DCA KDCA 38.85 -77.04 Washington|Ronald Reagan National',
+    'BWI KBWI 39.18 -76.67 Baltimore|Baltimore/Washington',
+    'PHL KPHL 39.87 -75.24 Philadelphia',
+    'PIT KPIT 40.49 -80.23 Pittsburgh',
+    'CLE KCLE 41.41 -81.85 Cleveland|Hopkins',
+    'DTW KDTW 42.21 -83.35 Detroit|Detroit Metropolitan',
+    'CLT KCLT 35.21 -80.94 Charlotte|Charlotte Douglas',
+    'RDU KRDU 35.88 -78.79 Raleigh|Raleigh-Durham',
+    'ATL KATL 33.64 -84.43 Atlanta|Hartsfield-Jackson',
+    'MCO KMCO 28.43 -81.31 Orlando',
+    'TPA KTPA 27.98 -82.53 Tampa',
+    'MIA KMIA 25.79 -80.29 Miami',
+    'FLL KFLL 26.07 -80.15 Fort Lauderdale|Fort Lauderdale-Hollywood'
+  ],
+  'CA America/Toronto': [
+    'YYZ CYYZ 43.68 -79.63 Toronto|Pearson',
+    'YTZ CYTZ 43.63 -79.40 Toronto|Billy Bishop',
+    'YOW CYOW 45.32 -75.67 Ottawa|Macdonald-Cartier',
+    'YUL CYUL 45.47 -73.74 Montreal|Pierre Elliott Trudeau',
+    'YQB CYQB 46.79 -71.39 Quebec City|Jean Lesage'
+  ],
+  'CA America/Halifax': ['YHZ CYHZ 44.88 -63.51 Halifax|Stanfield'],
+  'BS America/Nassau': ['NAS MYNN 25.04 -77.47 Nassau|Lynden Pindling'],
+  'CU America/Havana': ['HAV MUHA 22.99 -82.41 Havana|Jose Marti'],
+  'JM America/Jamaica': ['MBJ MKJS 18.50 -77.91 Montego Bay|Sangster'],
+  'DO America/Santo_Domingo': [
+    'PUJ MDPC 18.57 -68.36 Punta Cana',
+    'SDQ MDSD 18.43 -69.67 Santo Domingo|Las Americas'
+  ],
+  'PR America/Puerto_Rico': ['SJU TJSJ 18.44 -66.00 San Juan|Luis Munoz Marin'],
+  'SX America/Lower_Princes': ['SXM TNCM 18.04 -63.11 Sint Maarten|Princess Juliana'],
+  'AW America/Aruba': ['AUA TNCA 12.50 -70.02 Aruba|Queen Beatrix'],
+  'PA America/Panama': ['PTY MPTO 9.07 -79.38 Panama City|Tocumen'],
+  'CR America/Costa_Rica': [
+    'SJO MROC 9.99 -84.21 San Jose|Juan Santamaria',
+    'LIR MRLB 10.59 -85.54 Liberia|Guanacaste'
+  ],
+  'CO America/Bogota': [
+    'BOG SKBO 4.70 -74.15 Bogota|El Dorado',
+    'MDE SKRG 6.16 -75.42 Medellin|Jose Maria Cordova',
+    'CTG SKCG 10.44 -75.51 Cartagena|Rafael Nunez'
+  ],
+  'PE America/Lima': [
+    'LIM SPJC -12.02 -77.11 Lima|Jorge Chavez',
+    'CUZ SPZO -13.54 -71.94 Cusco|Alejandro Velasco Astete'
+  ],
+  'CL America/Santiago': ['SCL SCEL -33.39 -70.79 Santiago|Arturo Merino Benitez'],
+  'AR America/Argentina/Buenos_Aires': [
+    'EZE SAEZ -34.82 -58.54 Buenos Aires|Ezeiza Ministro Pistarini',
+    'AEP SABE -34.56 -58.42 Buenos Aires|Aeroparque Jorge Newbery'
+  ],
+  'BR America/Sao_Paulo': [
+    'GRU SBGR -23.43 -46.47 Sao Paulo|Guarulhos',
+    'CGH SBSP -23.63 -46.66 Sao Paulo|Congonhas',
+    'VCP SBKP -23.01 -47.13 Campinas|Viracopos',
+    'GIG SBGL -22.81 -43.25 Rio de Janeiro|Galeao',
+    'SDU SBRJ -22.91 -43.16 Rio de Janeiro|Santos Dumont',
+    'BSB SBBR -15.87 -47.92 Brasilia|Presidente Juscelino Kubitschek'
+  ]
+};
+
+// City codes of multi-airport areas. Cities whose IATA city code is also one of
+// their airports (BKK, DXB, IST) are left out so every code means one thing.
+const METRO_ROWS: Record<string, string> = {
+  LON: 'London: LHR LGW STN LTN LCY SEN',
+  PAR: 'Paris: CDG ORY BVA',
+  MIL: 'Milan: MXP LIN BGY',
+  ROM: 'Rome: FCO CIA',
+  STO: 'Stockholm: ARN BMA NYO',
+  MOW: 'Moscow: SVO DME VKO',
+  REK: 'Reykjavik: KEF RKV',
+  NYC: 'New York: JFK LGA EWR',
+  WAS: 'Washington: IAD DCA BWI',
+  CHI: 'Chicago: ORD MDW',
+  YTO: 'Toronto: YYZ YTZ',
+  BUE: 'Buenos Aires: EZE AEP',
+  SAO: 'Sao Paulo: GRU CGH VCP',
+  RIO: 'Rio de Janeiro: GIG SDU',
+  TYO: 'Tokyo: NRT HND',
+  OSA: 'Osaka: KIX ITM UKB',
+  SEL: 'Seoul: ICN GMP',
+  BJS: 'Beijing: PEK PKX',
+  JKT: 'Jakarta: CGK HLP'
+};
+
+// City names in the other supported languages, and common alternatives
+const CITY_ALIASES: Record<string, string> = {
+  milano: 'milan', mailand: 'milan',
+  roma: 'rome', rom: 'rome',
+  venezia: 'venice', venedig: 'venice', venecia: 'venice', venise: 'venice', veneza: 'venice',
+  firenze: 'florence', florenz: 'florence', florencia: 'florence',
+  napoli: 'naples', neapel: 'naples', napoles: 'naples',
+  torino: 'turin', turim: 'turin',
+  genova: 'genoa', genua: 'genoa', genes: 'genoa',
+  zurigo: 'zurich', zuerich: 'zurich',
+  ginevra: 'geneva', genf: 'geneva', geneve: 'geneva', ginebra: 'geneva', genebra: 'geneva',
+  basilea: 'basel', bale: 'basel',
+  berna: 'bern', berne: 'bern',
+  londra: 'london', londres: 'london',
+  parigi: 'paris',
+  'monaco di baviera': 'munich', munchen: 'munich', muenchen: 'munich', munique: 'munich',
+  colonia: 'cologne', koln: 'cologne', koeln: 'cologne',
+  francoforte: 'frankfurt', francfort: 'frankfurt', 'frankfurt am main': 'frankfurt',
+  amburgo: 'hamburg', hamburgo: 'hamburg', hambourg: 'hamburg',
+  berlino: 'berlin', berlim: 'berlin',
+  wien: 'vienna', viena: 'vienna', vienne: 'vienna',
+  lisbona: 'lisbon', lissabon: 'lisbon', lisboa: 'lisbon', lisbonne: 'lisbon',
+  bruxelles: 'brussels', brussel: 'brussels', bruessel: 'brussels', bruselas: 'brussels', bruxelas: 'brussels',
+  atene: 'athens', athen: 'athens', atenas: 'athens', athenes: 'athens',
+  praga: 'prague', prag: 'prague',
+  varsavia: 'warsaw', warschau: 'warsaw', varsovia: 'warsaw', varsovie: 'warsaw',
+  copenaghen: 'copenhagen', kopenhagen: 'copenhagen', copenhague: 'copenhagen', copenhaga: 'copenhagen',
+  stoccolma: 'stockholm', estocolmo: 'stockholm',
+  mosca: 'moscow', moskau: 'moscow', moscu: 'moscow', moscou: 'moscow',
+  siviglia: 'seville', sevilla: 'seville',
+  nizza: 'nice',
+  marsiglia: 'marseille',
+  lione: 'lyon',
+  edimburgo: 'edinburgh', edimbourg: 'edinburgh',
+  dublino: 'dublin',
+  'il cairo': 'cairo', kairo: 'cairo', 'le caire': 'cairo',
+  'nuova york': 'new york', 'nueva york': 'new york', 'nova iorque': 'new york', 'nova york': 'new york', 'new york city': 'new york',
+  pechino: 'beijing', peking: 'beijing', pekin: 'beijing', pequim: 'beijing',
+  tokio: 'tokyo', toquio: 'tokyo',
+  bali: 'denpasar', okinawa: 'naha', maui: 'kahului',
+  bombay: 'mumbai', bangalore: 'bengaluru', madras: 'chennai', calcutta: 'kolkata',
+  saigon: 'ho chi minh city'
+};
+
+// Words that do not tell airports apart: "Zurich Airport", "Aeroporto di Roma"
+const GENERIC_WORDS = new Set([
+  'airport', 'international', 'intl', 'aeroporto', 'aeropuerto', 'aeroport', 'aerodrome', 'flughafen', 'lufthavn',
+  'the', 'of', 'di', 'de', 'del', 'da', 'do', 'du'
+]);
+
+// Lowercase words of a name without diacritics or generic words: "Aeroporto di Milano-Malpensa" → "milano malpensa"
+function nameWords(text: string): string {
+  return foldDiacritics(text).toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9]+/)
+    .filter(word => word && !GENERIC_WORDS.has(word))
+    .join(' ');
+}
+
+export const AIRPORTS: Airport[] = Object.entries(AIRPORT_ROWS).flatMap(([group, rows]) => {
+  const [country, timeZone] = group.split(' ');
+  return rows.map(row => {
+    const [iata, icao, latitude, longitude, ...rest] = row.split(' ');
+    const [city, name = city] = rest.join(' ').split('|');
+    return { iata, icao, name, city, country, timeZone, latitude: Number(latitude), longitude: Number(longitude), metro: null };
+  });
+});
+
+export const METRO_AREAS: Record<string, MetroArea> = Object.fromEntries(
+  Object.entries(METRO_ROWS).map(([code, row]) => {
+    const [city, airports] = row.split(': ');
+    return [code, { code, city, airports: airports.split(' ') }];
+  })
+);
+
+const AIRPORTS_BY_CODE = new Map<string, Airport>();
+for (const airport of AIRPORTS) {
+  AIRPORTS_BY_CODE.set(airport.iata, airport);
+  AIRPORTS_BY_CODE.set(airport.icao, airport);
+}
+for (const metro of Object.values(METRO_AREAS)) {
+  for (const code of metro.airports) AIRPORTS_BY_CODE.get(code)!.metro = metro.code;
+}
+
+const METROS_BY_CITY = new Map(Object.values(METRO_AREAS).map(metro => [nameWords(metro.city), metro]));
+
+const ALIASES = Object.entries(CITY_ALIASES)
+  .map(([alias, city]) => [nameWords(alias), nameWords(city)])
+  .sort(([a], [b]) => b.length - a.length);
+
+// Every word an airport answers to: city, name, metro city and code ("rome leonardo vinci fiumicino fco")
+const AIRPORT_WORDS = new Map(AIRPORTS.map(airport => [airport, new Set([
+  ...nameWords(`${airport.city} ${airport.name} ${airport.iata}`).split(' '),
+  ...(airport.metro ? nameWords(METRO_AREAS[airport.metro].city).split(' ') : [])
+])]));
+
+/** Airport with an IATA ("FCO") or ICAO ("LIRF") code, or null when it is not in the dataset. */
+export function getAirport(code: string | null | undefined): Airport | null {
+  return (code && AIRPORTS_BY_CODE.get(code.trim().toUpperCase())) || null;
+}
+
+/** Metropolitan area with a city code ("MIL"), or null. */
+export function getMetroArea(code: string | null | undefined): MetroArea | null {
+  return (code && METRO_AREAS[code.trim().toUpperCase()]) || null;
+}
+
+// IATA code of a known airport or metro area code, from an IATA or ICAO code
+function knownCode(code: string): string | null {
+  return getAirport(code)?.iata ?? getMetroArea(code)?.code ?? null;
+}
+
+function resolveName(query: string): string | null {
+  let words = ` ${nameWords(query)} `;
+  for (const [alias, city] of ALIASES) words = words.replace(` ${alias} `, ` ${city} `);
+  words = words.trim();
+  if (!words) return null;
+
+  const metro = METROS_BY_CITY.get(words);
+  if (metro) return metro.code;
+
+  // A city with one airport, or whose main airport is simply named after it (Dubai → DXB, not DWC)
+  const inCity = AIRPORTS.filter(airport => nameWords(airport.city) === words);
+  const main = inCity.length > 1 ? inCity.filter(airport => airport.name === airport.city) : inCity;
+  if (inCity.length > 0) return main.length === 1 ? main[0].iata : null;
+
+  // Every word names the same airport ("Milan Malpensa", "Fiumicino") or the same metro area
+  const wanted = words.split(' ');
+  const matches = AIRPORTS.filter(airport => wanted.every(word => AIRPORT_WORDS.get(airport)!.has(word)));
+  if (matches.length === 1) return matches[0].iata;
+  const metros = new Set(matches.map(airport => airport.metro));
+  return matches.length > 1 && metros.size === 1 ? matches[0].metro : null;
+}
+
+/**
+ * IATA airport code or metro area code for a code or an airport or city name in
+ * any supported language: "zrh", "LIRF", "Zurich (ZRH)", "Milano Malpensa" and
+ * "Roma" → "ZRH", "FCO", "ZRH", "MXP" and "ROM". Returns null when the name is
+ * unknown or could mean several airports ("Bangkok", "Tenerife").
+ */
+export function resolveAirportCode(query: string | null | undefined): string | null {
+  const text = query?.trim();
+  if (!text) return null;
+  // Uppercase codes win over names, so "GOA" is Genoa but "Goa" is Goa
+  if (/^[A-Z]{3,4}$/.test(text)) return knownCode(text);
+  const codes = new Set((text.match(/\b[A-Z]{3}\b/g) ?? []).map(knownCode).filter(Boolean));
+  if (codes.size === 1) return [...codes][0];
+  return resolveName(text) ?? (/^[a-z]{3,4}$/i.test(text) ? knownCode(text) : null);
+}
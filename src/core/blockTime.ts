@@ -0,0 +1,121 @@
+// Block time (gate-to-gate duration) of flight segments. Departure and arrival
+// times are local to each airport, so both the arrival day (plusDays) and the
+// duration depend on the time zones at either end: an eastbound night flight can
+// land two days later, a date-line crossing westbound the day before it left.
+import { airportTimeZone, fromZonedDateTime } from './timezones.js';
+
+// Longest scheduled flights (Singapore - New York) block just under 19 hours
+export const MAX_BLOCK_MINUTES = 20 * 60;
+
+// Allowed difference between an extracted flight duration and the block time implied by the times
+const DURATION_TOLERANCE_MINUTES = 30;
+
+// Arrival day offsets a real flight can have
+const PLUS_DAYS = [-1, 0, 1, 2];
+
+/** The fields of a segment that block time depends on; flightDuration comes from extraction. */
+export interface BlockTimeSegment {
+  departureAirport?: string | null;
+  arrivalAirport?: string | null;
+  departureDate?: string | null;
+  departureTime?: string | null;
+  arrivalTime?: string | null;
+  plusDays?: number | null;
+  flightDuration?: string | null;
+}
+
+const addDays = (date: string, days: number) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+
+function clockMinutes(time: string | null | undefined): number | null {
+  const match = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})/) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/** Minutes in a flight duration: "13:25", "13h 25m", "13h25", "45min" and "PT13H25M" → 805, 805, 805, 45, 805 */
+export function parseFlightDuration(value: string | null | undefined): number | null {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const units = text.match(/^(?:pt)?\s*(?:(\d{1,2})\s*h(?:ours?|rs?)?)?\s*(?:(\d{1,2})\s*(?:m(?:in(?:utes?|s)?)?)?)?$/);
+  if (!units || !/[hm]/.test(text) || (units[1] === undefined && units[2] === undefined)) return null;
+  return Number(units[1] ?? 0) * 60 + Number(units[2] ?? 0);
+}
+
+/** "13h 05m" */
+export function formatBlockTime(minutes: number): string {
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Block time in minutes implied by the local times, the airport time zones and
+ * plusDays. Null when a time, the date or the time zone of either airport is unknown.
+ */
+export function segmentBlockMinutes(segment: BlockTimeSegment, plusDays: number = segment.plusDays ?? 0): number | null {
+  const departureZone = airportTimeZone(segment.departureAirport);
+  const arrivalZone = airportTimeZone(segment.arrivalAirport);
+  const { departureDate, departureTime, arrivalTime } = segment;
+  if (!departureZone || !arrivalZone || !/^\d{4}-\d{2}-\d{2}$/.test(departureDate ?? '')) return null;
+  if (clockMinutes(departureTime) === null || clockMinutes(arrivalTime) === null) return null;
+
+  const departure = fromZonedDateTime(departureDate, departureTime.slice(0, 5), departureZone);
+  const arrival = fromZonedDateTime(addDays(departureDate, Number(plusDays) || 0), arrivalTime.slice(0, 5), arrivalZone);
+  return Math.round((arrival.getTime() - departure.getTime()) / 60000);
+}
+
+/**
+ * Arrival day offset (plusDays, -1 to 2) of a segment. With both airport time
+ * zones known it is the offset whose block time is closest to flightDuration or,
+ * without a duration, the one giving a possible block time. Otherwise the duration
+ * is added to the departure clock time, and as a last resort an arrival clock time
+ * earlier than the departure means the next day.
+ */
+export function resolvePlusDays(segment: BlockTimeSegment): number {
+  const departure = clockMinutes(segment.departureTime);
+  const arrival = clockMinutes(segment.arrivalTime);
+  if (departure === null || arrival === null) return 0;
+  const duration = parseFlightDuration(segment.flightDuration);
+
+  const blocks = PLUS_DAYS.map(plusDays => ({ plusDays, block: segmentBlockMinutes(segment, plusDays) }));
+  if (blocks[0].block !== null) {
+    const match = duration !== null
+      ? blocks.reduce((best, candidate) => Math.abs(candidate.block - duration) < Math.abs(best.block - duration) ? candidate : best)
+      : blocks.find(({ block }) => block > 0 && block <= MAX_BLOCK_MINUTES);
+    if (match) return match.plusDays;
+  }
+
+  // Without time zones, assume the two airports are less than 12 hours apart
+  if (duration !== null) {
+    return Math.min(2, Math.max(-1, Math.round((departure + duration - arrival) / 1440)));
+  }
+  return arrival < departure ? 1 : 0;
+}
+
+/**
+ * Why the block time of a segment is impossible: it lands before it takes off,
+ * takes longer than any scheduled flight, or disagrees with flightDuration.
+ * Null when the block time is plausible or cannot be computed.
+ */
+export function blockTimeIssue(segment: BlockTimeSegment): string | null {
+  const block = segmentBlockMinutes(segment);
+  if (block === null) return null;
+  const duration = parseFlightDuration(segment.flightDuration);
+
+  let issue: string | null = null;
+  if (block <= 0) {
+    issue = 'it arrives before it departs';
+  } else if (block > MAX_BLOCK_MINUTES) {
+    issue = `it would take ${formatBlockTime(block)}, longer than any scheduled flight`;
+  } else if (duration !== null && Math.abs(block - duration) > DURATION_TOLERANCE_MINUTES) {
+    issue = `it would take ${formatBlockTime(block)}, but the flight duration is ${formatBlockTime(duration)}`;
+  }
+  if (!issue) return null;
+
+  // Suggest the arrival day that makes the times possible
+  const plusDays = resolvePlusDays(segment);
+  const suggested = segmentBlockMinutes(segment, plusDays);
+  if (plusDays !== (segment.plusDays ?? 0) && suggested > 0 && suggested <= MAX_BLOCK_MINUTES) {
+    issue += `. With plusDays ${plusDays} it would take ${formatBlockTime(suggested)}`;
+  }
+  return issue;
+}
@@ -0,0 +1,251 @@
+// Flight import from booking confirmation emails. Airlines and agencies embed
+// schema.org FlightReservation markup (JSON-LD or microdata) for mail clients;
+// emails without it go through the regular text parsing.
+import { cleanFlightNumber, convertAirlineNameToIataCode } from './airlines.js';
+import { decodeHtmlEntities, htmlToText, parseEmailMessage } from './email.js';
+import { missingFieldsFromIssues, parsedFlightRequestSchema } from './flightRequestSchema.js';
+import { findTotalPrice, findTravelClass } from './pastedItinerary.js';
+import { parseFlightRequest } from './requestParser.js';
+import { splitRoundTripLegs } from './trip.js';
+import type { FlightSearchRequest, FlightSegment, ParseFlightRequestResult } from './types.js';
+
+export type EmailExtraction = 'json-ld' | 'microdata' | 'text';
+
+export interface BookingEmailResult extends ParseFlightRequestResult {
+  /** Where the flights were found in the email */
+  extraction: EmailExtraction;
+}
+
+type Item = Record<string, any>;
+
+const typesOf = (item: Item): string[] => [].concat(item?.['@type'] ?? []).map(type => String(type).split('/').pop());
+const first = (value: any) => (Array.isArray(value) ? value[0] : value);
+
+// All FlightReservation objects in the JSON-LD scripts, including @graph and nested arrays
+function jsonLdReservations(html: string): Item[] {
+  const reservations: Item[] = [];
+  const visit = (value: any) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (typesOf(value).includes('FlightReservation')) reservations.push(value);
+      if (value['@graph']) visit(value['@graph']);
+    }
+  };
+
+  for (const match of html.matchAll(/<script[^>]+type=["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      visit(JSON.parse(match[1].trim()));
+    } catch (error) {
+      console.error('⚠️ Skipping invalid JSON-LD block in email:', error.message);
+    }
+  }
+  return reservations;
+}
+
+const VOID_ELEMENTS = new Set(['meta', 'link', 'img', 'br', 'hr', 'input', 'source', 'area', 'col', 'base', 'wbr']);
+const TAG = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)/g;
+
+function parseAttributes(source: string): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const match of source.matchAll(/([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>\/]+)))?/g)) {
+    attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function setProperty(item: Item, names: string, value: any): void {
+  for (const name of names.split(/\s+/).filter(Boolean)) {
+    item[name] = name in item ? [].concat(item[name], value) : value;
+  }
+}
+
+interface OpenElement {
+  tag: string;
+  // The item this element's itemprop text belongs to
+  textFor?: { item: Item; names: string; text: string };
+  item?: Item;
+}
+
+// Top-level microdata items (itemscope without itemprop) with their properties
+function microdataItems(html: string): Item[] {
+  const items: Item[] = [];
+  const stack: OpenElement[] = [];
+  const currentItem = () => [...stack].reverse().find(element => element.item)?.item;
+
+  for (const [token, closing, tagName, attributeSource, text] of html.matchAll(TAG)) {
+    if (text !== undefined) {
+      for (const element of stack) {
+        if (element.textFor) element.textFor.text += decodeHtmlEntities(text);
+      }
+      continue;
+    }
+    if (!tagName) continue; // comment
+
+    const tag = tagName.toLowerCase();
+    if (closing) {
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index === -1) continue;
+      for (const element of stack.splice(index)) {
+        if (element.textFor) {
+          setProperty(element.textFor.item, element.textFor.names, element.textFor.text.replace(/\s+/g, ' ').trim());
+        }
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+    const parent = currentItem();
+    const element: OpenElement = { tag };
+
+    if ('itemscope' in attributes) {
+      element.item = { '@type': attributes.itemtype ?? null };
+      if (attributes.itemprop && parent) {
+        setProperty(parent, attributes.itemprop, element.item);
+      } else {
+        items.push(element.item);
+      }
+    } else if (attributes.itemprop && parent) {
+      const value = attributes.content ?? attributes.datetime ?? attributes.href ?? attributes.src;
+      if (value !== undefined) {
+        setProperty(parent, attributes.itemprop, value);
+      } else {
+        element.textFor = { item: parent, names: attributes.itemprop, text: '' };
+      }
+    }
+
+    if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+      stack.push(element);
+    }
+  }
+  return items;
+}
+
+/** FlightReservation objects in an HTML body, from JSON-LD when present, otherwise from microdata. */
+export function extractFlightReservations(html: string): { reservations: Item[]; extraction: EmailExtraction | null } {
+  const fromJsonLd = jsonLdReservations(html);
+  if (fromJsonLd.length > 0) {
+    return { reservations: fromJsonLd, extraction: 'json-ld' };
+  }
+  const fromMicrodata = microdataItems(html).filter(item => typesOf(item).includes('FlightReservation'));
+  return { reservations: fromMicrodata, extraction: fromMicrodata.length > 0 ? 'microdata' : null };
+}
+
+// schema.org times are local to the airport ("2026-03-10T19:15:00+01:00"), so the
+// wall-clock part before the offset is what the itinerary shows
+function localDateTime(value: unknown): { date: string; time: string } | null {
+  const match = typeof value === 'string' ? value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/) : null;
+  return match ? { date: match[1], time: `${match[2]}:${match[3]}:${match[4] ?? '00'}` } : null;
+}
+
+function airportCode(airport: any): string | undefined {
+  const code = typeof airport === 'string' ? airport : first(airport)?.iataCode;
+  return typeof code === 'string' && /^[A-Za-z]{3}$/.test(code.trim()) ? code.trim().toUpperCase() : undefined;
+}
+
+function reservationSegment(reservation: Item): Partial<FlightSegment> {
+  const flight = first(reservation.reservationFor) ?? {};
+  const airline = first(flight.airline);
+  const airlineCode = typeof airline === 'string'
+    ? convertAirlineNameToIataCode(airline)
+    : airline?.iataCode || convertAirlineNameToIataCode(airline?.name);
+  const departure = localDateTime(flight.departureTime);
+  const arrival = localDateTime(flight.arrivalTime);
+
+  return {
+    airline: airlineCode ? String(airlineCode).toUpperCase() : undefined,
+    flightNumber: flight.flightNumber ? cleanFlightNumber(String(flight.flightNumber)) : undefined,
+    departureAirport: airportCode(flight.departureAirport),
+    arrivalAirport: airportCode(flight.arrivalAirport),
+    departureDate: departure?.date,
+    departureTime: departure?.time,
+    arrivalTime: arrival?.time,
+    plusDays: departure && arrival ? Math.round((Date.parse(arrival.date) - Date.parse(departure.date)) / 86400000) : 0
+  };
+}
+
+// totalPrice is a number, a string, or a PriceSpecification
+function reservationPrice(reservation: Item): { price: string; currency: string } | null {
+  for (const holder of [reservation, first(reservation.reservedTicket)]) {
+    const total = first(holder?.totalPrice);
+    const amount = Number(typeof total === 'object' ? total?.price : total);
+    const currency = (typeof total === 'object' && total?.priceCurrency) || holder?.priceCurrency;
+    if (Number.isFinite(amount) && amount > 0 && typeof currency === 'string') {
+      return { price: amount.toFixed(2), currency: currency.toUpperCase() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds flight_pricecheck data from FlightReservations. Emails carry one
+ * reservation per flight and passenger, so the passengers are counted per flight.
+ * The price falls back to the total found in the email text.
+ */
+export function flightDataFromReservations(reservations: Item[], text = ''): { flightData: FlightSearchRequest; missingFields: string[] } {
+  const segments = new Map<string, Partial<FlightSegment>>();
+  const passengers = new Map<string, Set<string>>();
+  for (const reservation of reservations) {
+    const segment = reservationSegment(reservation);
+    const key = `${segment.airline}${segment.flightNumber} ${segment.departureDate}`;
+    if (!segments.has(key)) {
+      segments.set(key, segment);
+      passengers.set(key, new Set());
+    }
+    const underName = first(reservation.underName);
+    passengers.get(key).add(String(underName?.name ?? underName ?? passengers.get(key).size));
+  }
+
+  const ordered = [...segments.values()].sort((a, b) => (
+    `${a.departureDate}T${a.departureTime}`.localeCompare(`${b.departureDate}T${b.departureTime}`)
+  ));
+  const seatClass = reservations
+    .map(reservation => first(reservation.airplaneSeatClass)?.name ?? first(reservation.airplaneSeatClass) ?? first(reservation.reservedTicket)?.ticketedSeat?.seatingType)
+    .find(value => typeof value === 'string');
+  const price = reservations.map(reservationPrice).find(Boolean) ?? findTotalPrice(text.split('\n'));
+
+  const candidate = {
+    trip: {
+      legs: splitRoundTripLegs([{ segments: ordered }]),
+      travelClass: (seatClass && findTravelClass(seatClass)) ?? 'ECONOMY',
+      adults: Math.max(1, ...[...passengers.values()].map(names => names.size)),
+      children: 0,
+      infantsInSeat: 0,
+      infantsOnLap: 0
+    },
+    source: 'MCP',
+    price: price?.price ?? null,
+    currency: price?.currency ?? null,
+    location: 'ZZ'
+  };
+
+  const result = parsedFlightRequestSchema.safeParse(candidate);
+  return {
+    flightData: (result.success ? result.data : candidate) as FlightSearchRequest,
+    missingFields: result.success ? [] : missingFieldsFromIssues(result.error.issues)
+  };
+}
+
+/**
+ * Extracts flight_pricecheck data from a raw confirmation email (.eml content,
+ * or a pasted HTML / text body): schema.org markup first, text parsing otherwise.
+ */
+export async function importBookingEmail(raw: string): Promise<BookingEmailResult> {
+  const email = parseEmailMessage(raw);
+  const text = [email.subject, email.text || htmlToText(email.html)].filter(Boolean).join('\n');
+
+  const { reservations, extraction } = extractFlightReservations(email.html);
+  if (extraction) {
+    console.error(`📧 Found ${reservations.length} FlightReservation(s) in ${extraction} markup`);
+    const { flightData, missingFields } = flightDataFromReservations(reservations, text);
+    return missingFields.length > 0
+      ? { needsMoreInfo: true, message: `I found your flights in the email, but I still need: ${missingFields.join(', ')}.`, missingFields, flightData, extraction }
+      : { needsMoreInfo: false, flightData, extraction };
+  }
+
+  console.error('📧 No flight markup in the email, parsing its text');
+  if (!text.trim()) {
+    return { needsMoreInfo: true, message: 'The email has no readable text or flight details.', missingFields: ['flight details'], extraction: 'text' };
+  }
+  return { ...(await parseFlightRequest(text)), extraction: 'text' };
+}
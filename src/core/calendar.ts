@@ -0,0 +1,271 @@
+// iCalendar (RFC 5545) import and export of itineraries: flight VEVENTs from
+// airline or TripIt calendar exports become trip legs, and flightData becomes an
+// .ics file with one event per flight.
+import { convertAirlineNameToIataCode } from './airlines.js';
+import { missingFieldsFromIssues, parsedFlightRequestSchema } from './flightRequestSchema.js';
+import { SERVER_INFO } from './toolSchemas.js';
+import { airportTimeZone, fromZonedDateTime, isValidTimeZone, toZonedDateTime } from './timezones.js';
+import { splitRoundTripLegs } from './trip.js';
+import type { FlightSearchRequest, FlightSegment } from './types.js';
+
+export interface CalendarProperty {
+  name: string;
+  params: Record<string, string>;
+  value: string;
+}
+
+export interface CalendarEvent {
+  /** Properties by upper-case name; repeated properties keep the first value */
+  properties: Record<string, CalendarProperty>;
+}
+
+export interface CalendarImport {
+  flightData: FlightSearchRequest;
+  missingFields: string[];
+  /** VEVENTs that describe flights / all VEVENTs in the calendar */
+  flightEvents: number;
+  totalEvents: number;
+}
+
+// RFC 5545 text escapes: "\\", "\;", "\,", "\n"
+const unescapeText = (value: string) => value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+const escapeText = (value: string) => value.replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+// Splits "DTSTART;TZID=Europe/Berlin:20261212T100000" into name, params and value
+function parseContentLine(line: string): CalendarProperty | null {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/);
+  if (!match) return null;
+  const params: Record<string, string> = {};
+  for (const param of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;:]*)/g)) {
+    params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '');
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Reads the VEVENTs of an iCalendar file. Components nested in an event
+ * (VALARM) are skipped; the calendar's X-WR-TIMEZONE is returned for floating times.
+ */
+export function parseCalendar(ics: string): { events: CalendarEvent[]; defaultTimeZone: string | null } {
+  const lines = ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events: CalendarEvent[] = [];
+  const components: string[] = [];
+  let defaultTimeZone: string | null = null;
+  let current: CalendarEvent | null = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') current = { properties: {} };
+    } else if (property.name === 'END') {
+      if (components.pop() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && components[components.length - 1] === 'VEVENT') {
+      if (!(property.name in current.properties)) current.properties[property.name] = property;
+    } else if (property.name === 'X-WR-TIMEZONE' && components[components.length - 1] === 'VCALENDAR') {
+      defaultTimeZone = property.value.trim();
+    }
+  }
+  return { events, defaultTimeZone };
+}
+
+interface CalendarTime {
+  date: string;
+  time: string;
+  /** Set when the time is a known instant (UTC, or local to a known TZID) */
+  instant: Date | null;
+  utc: boolean;
+}
+
+// DTSTART/DTEND as a wall-clock date and time plus the instant when it is known.
+// All-day values have no time and do not describe a flight.
+function parseCalendarTime(property: CalendarProperty | undefined, defaultTimeZone: string | null): CalendarTime | null {
+  const match = property?.value.trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  const time = `${hours}:${minutes}:${seconds}`;
+
+  if (utc) {
+    return { date, time, instant: new Date(`${date}T${time}Z`), utc: true };
+  }
+  const zone = property.params.TZID ?? defaultTimeZone;
+  return { date, time, instant: isValidTimeZone(zone) ? fromZonedDateTime(date, time, zone) : null, utc: false };
+}
+
+// Local time at an airport. At airports without a known zone, zoned and floating
+// times are taken as local; a UTC time has no local time to report.
+function airportLocalTime(value: CalendarTime | null, airport: string | undefined): { date: string; time: string } | null {
+  if (!value) return null;
+  const zone = airportTimeZone(airport);
+  if (value.instant && zone) return toZonedDateTime(value.instant, zone);
+  return value.utc ? null : { date: value.date, time: value.time };
+}
+
+const FLIGHT_CODE = /\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{1,4})\b/;
+const NAMED_FLIGHT = /\b([A-Z][A-Za-z]+(?: [A-Z][A-Za-z]+)*)\s+(?:flight\s+)?(\d{1,4})\b/;
+const ROUTE = /\b([A-Z]{3})\s*(?:→|->|–|—|-|to|\/)\s*([A-Z]{3})\b/;
+
+function eventFlight(text: string): { airline: string; flightNumber: string } | null {
+  const code = text.match(FLIGHT_CODE);
+  if (code) return { airline: code[1], flightNumber: code[2] };
+  const named = text.match(NAMED_FLIGHT);
+  const airline = named ? convertAirlineNameToIataCode(named[1]) : '';
+  return /^[A-Z0-9]{2}$/.test(airline) ? { airline, flightNumber: named[2] } : null;
+}
+
+function eventAirports(texts: string[]): [string, string] | null {
+  for (const text of texts) {
+    const quoted = [...text.matchAll(/\(([A-Z]{3})\)/g)].map(match => match[1]);
+    if (quoted.length >= 2) return [quoted[0], quoted[1]];
+    const route = text.match(ROUTE);
+    if (route) return [route[1], route[2]];
+  }
+  return null;
+}
+
+/** The flight segment described by a VEVENT, or null when the event is not a flight. */
+export function calendarEventToSegment(event: CalendarEvent, defaultTimeZone: string | null = null): Partial<FlightSegment> | null {
+  const text = (name: string) => unescapeText(event.properties[name]?.value ?? '');
+  const summary = text('SUMMARY');
+  const description = text('DESCRIPTION');
+  const location = text('LOCATION');
+
+  const flight = eventFlight(summary) ?? eventFlight(description);
+  const airports = eventAirports([summary, description, `${location} ${description}`]);
+  if (!flight || !airports) return null;
+
+  const [departureAirport, arrivalAirport] = airports;
+  const start = parseCalendarTime(event.properties.DTSTART, defaultTimeZone);
+  const end = parseCalendarTime(event.properties.DTEND, defaultTimeZone);
+  const departure = airportLocalTime(start, departureAirport);
+  const arrival = airportLocalTime(end, arrivalAirport);
+
+  return {
+    airline: flight.airline,
+    flightNumber: flight.flightNumber,
+    departureAirport,
+    arrivalAirport,
+    departureDate: departure?.date,
+    departureTime: departure?.time,
+    arrivalTime: arrival?.time,
+    plusDays: departure && arrival ? Math.round((Date.parse(arrival.date) - Date.parse(departure.date)) / 86400000) : 0
+  };
+}
+
+/**
+ * Turns the flight VEVENTs of an iCalendar file into flight_pricecheck data.
+ * Other events (hotels, meetings) are ignored. Calendars carry no fare, so the
+ * price and currency are usually listed in missingFields.
+ */
+export function importCalendarItinerary(ics: string): CalendarImport | null {
+  const { events, defaultTimeZone } = parseCalendar(ics);
+  const segments = events
+    .map(event => calendarEventToSegment(event, defaultTimeZone))
+    .filter((segment): segment is Partial<FlightSegment> => segment !== null)
+    .sort((a, b) => `${a.departureDate}T${a.departureTime}`.localeCompare(`${b.departureDate}T${b.departureTime}`));
+  console.error(`📅 Calendar: ${segments.length} flight(s) in ${events.length} event(s)`);
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const candidate = {
+    trip: {
+      legs: splitRoundTripLegs([{ segments }]),
+      travelClass: 'ECONOMY',
+      adults: 1,
+      children: 0,
+      infantsInSeat: 0,
+      infantsOnLap: 0
+    },
+    source: 'MCP',
+    price: null,
+    currency: null,
+    location: 'ZZ'
+  };
+
+  const result = parsedFlightRequestSchema.safeParse(candidate);
+  return {
+    flightData: (result.success ? result.data : candidate) as FlightSearchRequest,
+    missingFields: result.success ? [] : missingFieldsFromIssues(result.error.issues),
+    flightEvents: segments.length,
+    totalEvents: events.length
+  };
+}
+
+const compactDate = (date: string) => date.replace(/-/g, '');
+const compactTime = (time: string) => time.replace(/:/g, '').padEnd(6, '0').slice(0, 6);
+const addDays = (date: string, days: number) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+
+// UTC when the airport's zone is known, otherwise a floating local time
+function formatEventTime(date: string, time: string, airport: string): string {
+  const zone = airportTimeZone(airport);
+  if (!zone) return `${compactDate(date)}T${compactTime(time)}`;
+  return `${fromZonedDateTime(date, time, zone).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`;
+}
+
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+function foldLine(line: string): string {
+  const chunks: string[] = [];
+  let chunk = '';
+  for (const char of line) {
+    if (Buffer.byteLength(chunk + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Builds an .ics file with one VEVENT per flight. Times are written in UTC from
+ * each airport's time zone, so the arrival lands on the right day for plusDays
+ * and DST; airports without a known zone get floating local times.
+ */
+export function exportCalendarItinerary(flightData: FlightSearchRequest, now: Date = new Date()): string {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const legs = flightData?.trip?.legs ?? [];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//Navifare//${SERVER_INFO.name} ${SERVER_INFO.version}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  legs.forEach((leg, legIndex) => {
+    for (const segment of leg.segments ?? []) {
+      const flight = `${segment.airline}${segment.flightNumber}`;
+      const arrivalDate = addDays(segment.departureDate, segment.plusDays ?? 0);
+      const description = [
+        `${flight} ${segment.departureAirport} → ${segment.arrivalAirport}`,
+        `Departs ${segment.departureAirport} ${segment.departureDate} ${segment.departureTime.slice(0, 5)} (local time)`,
+        `Arrives ${segment.arrivalAirport} ${arrivalDate} ${segment.arrivalTime.slice(0, 5)} (local time)`,
+        legs.length > 1 ? `Leg ${legIndex + 1} of ${legs.length}` : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${flight}-${compactDate(segment.departureDate)}-${segment.departureAirport}${segment.arrivalAirport}@navifare.com`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatEventTime(segment.departureDate, segment.departureTime, segment.departureAirport)}`,
+        `DTEND:${formatEventTime(arrivalDate, segment.arrivalTime, segment.arrivalAirport)}`,
+        `SUMMARY:${escapeText(`Flight ${flight} ${segment.departureAirport} → ${segment.arrivalAirport}`)}`,
+        `LOCATION:${escapeText(segment.departureAirport)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+      );
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
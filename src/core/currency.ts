@@ -0,0 +1,150 @@
+// Currency amounts: ISO 4217 minor units, and an offline exchange-rate table used
+// to compare offers priced in different currencies. The bundled rates are
+// approximate mid-market rates; point EXCHANGE_RATES_FILE at a fresher table.
+import { readFileSync } from 'node:fs';
+
+export interface Money {
+  amount: number;
+  currency: string;
+}
+
+export interface ExchangeRateTable {
+  /** Currency the rates are quoted against */
+  base: string;
+  /** Day the rates were taken (YYYY-MM-DD) */
+  effectiveDate: string;
+  /** Units of each currency for one unit of the base currency */
+  rates: Record<string, number>;
+}
+
+// Currencies that do not use two decimals (ISO 4217 minor units)
+const MINOR_UNITS: Record<string, number> = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0,
+  UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+export const BUNDLED_EXCHANGE_RATES: ExchangeRateTable = {
+  base: 'EUR',
+  effectiveDate: '2026-10-01',
+  rates: {
+    AED: 4.27, ARS: 1600, AUD: 1.78, BGN: 1.9558, BHD: 0.438, BRL: 6.25, CAD: 1.62, CHF: 0.93,
+    CLP: 1100, CNY: 8.3, COP: 4500, CZK: 24.3, DKK: 7.46, EGP: 56, GBP: 0.87, HKD: 9.05,
+    HUF: 390, IDR: 19200, ILS: 3.85, INR: 102, ISK: 142, JOD: 0.825, JPY: 175, KRW: 1620,
+    KWD: 0.356, MAD: 10.6, MXN: 21.4, MYR: 4.9, NOK: 11.7, NZD: 2.0, OMR: 0.447, PEN: 3.95,
+    PHP: 67, PLN: 4.25, QAR: 4.24, RON: 5.08, SAR: 4.36, SEK: 10.9, SGD: 1.5, THB: 37.5,
+    TRY: 48.5, TWD: 35.5, USD: 1.165, VND: 30500, ZAR: 20.2
+  }
+};
+
+const isAmount = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const currencyCode = (currency: string | null | undefined) => (currency ?? '').trim().toUpperCase();
+
+/** Decimals of a currency: 0 for JPY, 3 for KWD, 2 for unknown codes. */
+export function minorUnits(currency: string | null | undefined): number {
+  return MINOR_UNITS[currencyCode(currency)] ?? 2;
+}
+
+export function roundToMinorUnits(amount: number, currency: string | null | undefined): number {
+  const factor = 10 ** minorUnits(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+/** "12000" for JPY, "84.50" for EUR, "84.500" for KWD */
+export function formatAmount(amount: number, currency: string | null | undefined): string {
+  return amount.toFixed(minorUnits(currency));
+}
+
+/** "84.50 EUR" */
+export const formatMoney = ({ amount, currency }: Money) => `${formatAmount(amount, currency)} ${currency}`;
+
+/** The table when it has a base currency, an effective date and positive rates, otherwise null. */
+export function parseExchangeRateTable(value: any): ExchangeRateTable | null {
+  const base = typeof value?.base === 'string' ? currencyCode(value.base) : '';
+  if (!/^[A-Z]{3}$/.test(base) || !/^\d{4}-\d{2}-\d{2}$/.test(value?.effectiveDate ?? '')) return null;
+  if (!value.rates || typeof value.rates !== 'object') return null;
+
+  const rates: Record<string, number> = {};
+  for (const [currency, rate] of Object.entries(value.rates)) {
+    if (!/^[A-Z]{3}$/.test(currency) || !isAmount(rate) || rate <= 0) return null;
+    rates[currency] = rate;
+  }
+  return { base, effectiveDate: value.effectiveDate, rates: { ...rates, [base]: 1 } };
+}
+
+/** Rate table from EXCHANGE_RATES_FILE (JSON in the ExchangeRateTable shape), or the bundled one. */
+export function resolveExchangeRates(env: Record<string, string | undefined> = process.env): ExchangeRateTable {
+  const file = env.EXCHANGE_RATES_FILE?.trim();
+  if (!file) return BUNDLED_EXCHANGE_RATES;
+  try {
+    const table = parseExchangeRateTable(JSON.parse(readFileSync(file, 'utf8')));
+    if (table) return table;
+    console.error(`⚠️  Ignoring invalid exchange rate table in EXCHANGE_RATES_FILE="${file}"`);
+  } catch (error) {
+    console.error(`⚠️  Could not read EXCHANGE_RATES_FILE="${file}": ${error.message}`);
+  }
+  return BUNDLED_EXCHANGE_RATES;
+}
+
+let exchangeRates: ExchangeRateTable | null = null;
+
+/** The rate table in use, resolved on first use. */
+export function getExchangeRates(): ExchangeRateTable {
+  exchangeRates ??= resolveExchangeRates();
+  return exchangeRates;
+}
+
+/** Replaces the rate table in use, e.g. with rates refreshed at runtime. */
+export function setExchangeRates(table: ExchangeRateTable): void {
+  const parsed = parseExchangeRateTable(table);
+  if (!parsed) {
+    throw new Error('Invalid exchange rate table: it needs a three-letter base currency, an effectiveDate in YYYY-MM-DD format and positive rates.');
+  }
+  exchangeRates = parsed;
+}
+
+/** An amount converted through the table's base currency (unrounded), or null when either currency is missing from the table. */
+export function convertAmount(amount: number, from: string, to: string, table: ExchangeRateTable = getExchangeRates()): number | null {
+  const source = currencyCode(from);
+  const target = currencyCode(to);
+  if (source === target) return amount;
+  const sourceRate = source === table.base ? 1 : table.rates[source];
+  const targetRate = target === table.base ? 1 : table.rates[target];
+  if (!sourceRate || !targetRate) return null;
+  return amount / sourceRate * targetRate;
+}
+
+/**
+ * Adds normalizedAmount and normalizedCurrency (the price in `currency`) to each
+ * offer and re-ranks the offers on it, cheapest first; offers that cannot be
+ * converted come last. The backend's converted price is used when it is in
+ * `currency`, otherwise the rate table, whose date is kept as exchangeRateDate.
+ */
+export function normalizeOffers(results: any[], currency: string, table: ExchangeRateTable = getExchangeRates()): any[] {
+  const target = currencyCode(currency);
+  const normalized = results.map(result => {
+    let amount: number | null = null;
+    let exchangeRateDate: string | null = null;
+    if (isAmount(result.amount) && currencyCode(result.currency) === target) {
+      amount = result.amount;
+    } else if (isAmount(result.convertedAmount) && currencyCode(result.convertedCurrency) === target) {
+      amount = result.convertedAmount;
+    } else if (isAmount(result.amount) && result.currency) {
+      amount = convertAmount(result.amount, result.currency, target, table);
+      exchangeRateDate = amount === null ? null : table.effectiveDate;
+    }
+    return {
+      ...result,
+      normalizedAmount: amount === null ? null : roundToMinorUnits(amount, target),
+      normalizedCurrency: amount === null ? null : target,
+      ...(exchangeRateDate ? { exchangeRateDate } : {})
+    };
+  });
+
+  return normalized
+    .map((result, index) => ({ result, index }))
+    .sort((a, b) => (a.result.normalizedAmount ?? Infinity) - (b.result.normalizedAmount ?? Infinity) || a.index - b.index)
+    .map(({ result }, index) => ({ ...result, rank: index + 1 }));
+}
@@ -0,0 +1,410 @@
+// Deterministic resolution of relative and natural-language dates ("tomorrow",
+// "next Friday", "in two weeks", "the 14th", "Dec 3rd", "03/12", "Dec 3-10") to
+// ISO dates, so the fallback parser and fixPastDates do not depend on the LLM.
+// Expressions are relative to a reference clock in a time zone; both, and the
+// reading of ambiguous numeric dates, can be set through the environment or per call.
+import { foldDiacritics, MONTH_NAME_PATTERN, monthFromName, vocabularyPattern, WEEKDAY_NAME_PATTERN, weekdayFromName } from './languages.js';
+import { isValidTimeZone, toZonedDateTime } from './timezones.js';
+
+export type DateOrder = 'DMY' | 'MDY';
+
+export interface DateResolverOptions {
+  /** Reference clock: "today" is its date in timeZone */
+  now: Date;
+  /** IANA time zone the expressions are relative to */
+  timeZone: string;
+  /** Reading of ambiguous numeric dates such as 03/12 */
+  order: DateOrder;
+}
+
+export interface DateResolverOverrides extends Partial<DateResolverOptions> {
+  /** Locale or country hint for the numeric date order ("en-US", "de-CH", "US"); an explicit order wins */
+  locale?: string;
+}
+
+export interface DateMatch {
+  /** The expression as written */
+  text: string;
+  index: number;
+  date: string;
+}
+
+export interface DateRange {
+  start: string;
+  end: string;
+}
+
+const DATE_RESOLVER_ENV_VARS = {
+  timeZone: 'DATE_TIMEZONE',
+  order: 'DATE_ORDER'
+} as const;
+
+// Countries that write numeric dates month first
+const MONTH_FIRST_COUNTRIES = new Set(['US', 'PH', 'PR', 'GU', 'AS', 'VI', 'MP', 'UM', 'FM', 'MH', 'PW']);
+
+/** Numeric date order of a locale ("en-US") or country code ("US"), or null for a bare language ("en"). */
+export function dateOrderForLocale(locale: string | null | undefined): DateOrder | null {
+  if (!locale) return null;
+  const [language, ...subtags] = locale.trim().split(/[-_]/);
+  // A single uppercase tag is a country; a single lowercase one is a language
+  const region = subtags.length === 0
+    ? (/^[A-Z]{2}$/.test(language) ? language : null)
+    : subtags.find(tag => /^[A-Za-z]{2}$/.test(tag))?.toUpperCase() ?? null;
+  if (!region) return null;
+  return MONTH_FIRST_COUNTRIES.has(region) ? 'MDY' : 'DMY';
+}
+
+function systemTimeZone(): string {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(zone) ? zone : 'UTC';
+}
+
+const isDateOrder = (value: unknown): value is DateOrder => value === 'DMY' || value === 'MDY';
+
+/**
+ * Resolves the date resolver options for one call: per-call overrides win over
+ * environment variables, which win over the defaults (the current time, the
+ * system time zone and day-first numeric dates). Invalid values are ignored with a warning.
+ */
+export function resolveDateResolverOptions(
+  overrides: DateResolverOverrides = {},
+  env: Record<string, string | undefined> = process.env
+): DateResolverOptions {
+  const options: DateResolverOptions = { now: new Date(), timeZone: systemTimeZone(), order: 'DMY' };
+
+  const envZone = env[DATE_RESOLVER_ENV_VARS.timeZone];
+  if (envZone) {
+    if (isValidTimeZone(envZone)) {
+      options.timeZone = envZone;
+    } else {
+      console.error(`⚠️  Ignoring invalid ${DATE_RESOLVER_ENV_VARS.timeZone}="${envZone}"`);
+    }
+  }
+
+  const envOrder = env[DATE_RESOLVER_ENV_VARS.order];
+  if (envOrder) {
+    if (isDateOrder(envOrder.toUpperCase())) {
+      options.order = envOrder.toUpperCase() as DateOrder;
+    } else {
+      console.error(`⚠️  Ignoring invalid ${DATE_RESOLVER_ENV_VARS.order}="${envOrder}"`);
+    }
+  }
+
+  if (overrides.now !== undefined) {
+    if (overrides.now instanceof Date && !Number.isNaN(overrides.now.getTime())) {
+      options.now = overrides.now;
+    } else {
+      console.error(`⚠️  Ignoring invalid date resolver option now=${overrides.now}`);
+    }
+  }
+  if (overrides.timeZone !== undefined) {
+    if (isValidTimeZone(overrides.timeZone)) {
+      options.timeZone = overrides.timeZone;
+    } else {
+      console.error(`⚠️  Ignoring invalid date resolver option timeZone=${overrides.timeZone}`);
+    }
+  }
+  options.order = dateOrderForLocale(overrides.locale) ?? options.order;
+  if (overrides.order !== undefined) {
+    if (isDateOrder(overrides.order)) {
+      options.order = overrides.order;
+    } else {
+      console.error(`⚠️  Ignoring invalid date resolver option order=${overrides.order}`);
+    }
+  }
+
+  return options;
+}
+
+// Calendar arithmetic on ISO dates, independent of the host time zone
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(year: number, month: number, day: number): string | null {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+const splitIso = (iso: string): number[] => iso.split('-').map(Number);
+
+const addDays = (iso: string, days: number): string => new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (iso: string): number => new Date(`${iso}T00:00:00Z`).getUTCDay();
+
+// Same day N months later, clamped to the end of shorter months (Jan 31 + 1 month = Feb 28)
+function addMonths(iso: string, months: number): string {
+  const [year, month, day] = splitIso(iso);
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return isoDate(first.getUTCFullYear(), first.getUTCMonth() + 1, Math.min(day, lastDay)) as string;
+}
+
+// Next occurrence of a day and month on or after today (Feb 29 waits for a leap year)
+function nextOccurrence(month: number, day: number, today: string): string | null {
+  const [year] = splitIso(today);
+  for (let offset = 0; offset <= 4; offset++) {
+    const candidate = isoDate(year + offset, month, day);
+    if (candidate && candidate >= today) return candidate;
+  }
+  return null;
+}
+
+// Next occurrence of a day of the month on or after today, skipping months too short for it
+function nextDayOfMonth(day: number, today: string): string | null {
+  const [year, month] = splitIso(today);
+  for (let offset = 0; offset <= 12; offset++) {
+    const first = new Date(Date.UTC(year, month - 1 + offset, 1));
+    const candidate = isoDate(first.getUTCFullYear(), first.getUTCMonth() + 1, day);
+    if (candidate && candidate >= today) return candidate;
+  }
+  return null;
+}
+
+function explicitOrNextDate(year: string | undefined, month: number, day: number, today: string): string | null {
+  return year ? isoDate(Number(year), month, day) : nextOccurrence(month, day, today);
+}
+
+// Expression building blocks. Month and weekday names, relative days and range
+// words come in every supported language; expressions are matched without diacritics.
+
+const MONTH = `(${MONTH_NAME_PATTERN})`;
+const WEEKDAY = `(${WEEKDAY_NAME_PATTERN})`;
+const NEXT = `(${vocabularyPattern('next')})`;
+const ARTICLE = `(?:(?:${vocabularyPattern('dayArticles')})\\s*)`;
+const ORDINAL = '(?:st|nd|rd|th|er|º|°|ª)';
+const YEAR = '(?:,?\\s+(?:(?:de|del)\\s+)?(\\d{4}))?(?!\\d)';
+const COUNT = '(\\d{1,3}|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a\\s+couple\\s+of)';
+const UNIT = '(day|night|week|fortnight|month)s?';
+
+const COUNT_WORDS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+function countValue(word: string): number {
+  const key = word.toLowerCase().replace(/\s+/g, ' ');
+  if (key === 'a couple of') return 2;
+  return COUNT_WORDS[key] ?? Number(key);
+}
+
+function shiftBy(from: string, count: number, unit: string): string {
+  switch (unit.toLowerCase()) {
+    case 'week': return addDays(from, count * 7);
+    case 'fortnight': return addDays(from, count * 14);
+    case 'month': return addMonths(from, count);
+    default: return addDays(from, count);
+  }
+}
+
+/**
+ * "Friday" and "this Friday" are the coming Friday, today included; "next Friday"
+ * is the Friday of next week (weeks start on Monday), so said on a Wednesday it is nine days away.
+ */
+function weekdayDate(name: string, next: boolean, today: string): string | null {
+  const target = weekdayFromName(name);
+  if (target === null) return null;
+  const current = weekdayOf(today);
+  if (next) {
+    const daysToNextMonday = (8 - current) % 7 || 7;
+    return addDays(today, daysToNextMonday + (target + 6) % 7);
+  }
+  return addDays(today, (target - current + 7) % 7);
+}
+
+function monthDate(monthName: string, day: string, year: string | undefined, today: string): string | null {
+  const month = monthFromName(monthName);
+  return month ? explicitOrNextDate(year, month, Number(day), today) : null;
+}
+
+// Numeric dates: the unambiguous reading when one part is above 12, the configured order otherwise
+function numericDate(first: number, second: number, year: string | undefined, today: string, order: DateOrder): string | null {
+  const monthFirst = second > 12 || (first <= 12 && order === 'MDY');
+  const [month, day] = monthFirst ? [first, second] : [second, first];
+  if (month > 12) return null;
+  const fullYear = year?.length === 2 ? `20${year}` : year;
+  return explicitOrNextDate(fullYear, month, day, today);
+}
+
+interface DatePattern {
+  source: string;
+  resolve: (match: RegExpMatchArray, today: string, options: DateResolverOptions) => string | null;
+  /** In running text, resolve from the previous date ("Dec 12, back on the 20th") */
+  continuesPrevious?: boolean;
+}
+
+const DATE_PATTERNS: DatePattern[] = [
+  {
+    // 2026-12-03
+    source: '(\\d{4})-(\\d{2})-(\\d{2})',
+    resolve: ([, year, month, day]) => isoDate(Number(year), Number(month), Number(day))
+  },
+  {
+    source: `(?:${vocabularyPattern('dayAfterTomorrow')})`,
+    resolve: (_match, today) => addDays(today, 2)
+  },
+  {
+    source: `(?:${vocabularyPattern('today')})`,
+    resolve: (_match, today) => today
+  },
+  {
+    source: `(?:${vocabularyPattern('tomorrow')})`,
+    resolve: (_match, today) => addDays(today, 1)
+  },
+  {
+    source: 'yesterday',
+    resolve: (_match, today) => addDays(today, -1)
+  },
+  {
+    // "in two weeks", "in a fortnight"
+    source: `in\\s+${COUNT}\\s+${UNIT}`,
+    resolve: ([, count, unit], today) => shiftBy(today, countValue(count), unit)
+  },
+  {
+    // "3 days from now", "a week from tomorrow"
+    source: `${COUNT}\\s+${UNIT}\\s+from\\s+(now|today|tomorrow)`,
+    resolve: ([, count, unit, base], today) => shiftBy(base.toLowerCase() === 'tomorrow' ? addDays(today, 1) : today, countValue(count), unit)
+  },
+  {
+    // "Tue, Dec 3rd 2026", "December 3"
+    source: `(?:${WEEKDAY},?\\s+)?${MONTH}\\s+(\\d{1,2})${ORDINAL}?${YEAR}`,
+    resolve: ([, , month, day, year], today) => monthDate(month, day, year, today)
+  },
+  {
+    // "Tuesday 3 December", "the 3rd of Dec 2026", "Freitag, den 12. Dezember", "12 de diciembre de 2026"
+    source: `(?:${WEEKDAY},?\\s+)?${ARTICLE}?(\\d{1,2})(?:${ORDINAL}|\\.)?(?:\\s+(?:of|de))?\\s+${MONTH}${YEAR}`,
+    resolve: ([, , day, month, year], today) => monthDate(month, day, year, today)
+  },
+  {
+    // "next Friday", "this Sat", "venerdì prossimo", "el próximo viernes"
+    source: `${ARTICLE}?(?:(?:(this|coming)|${NEXT})\\s+)?${WEEKDAY}(?:\\s+${NEXT})?`,
+    resolve: ([, , next, weekday, nextAfter], today) => weekdayDate(weekday, Boolean(next || nextAfter), today)
+  },
+  {
+    // "the 14th", "il 14", "am 14."
+    source: `(?:${ARTICLE}(\\d{1,2})(?:${ORDINAL}|\\.)?|(\\d{1,2})${ORDINAL})`,
+    resolve: ([, day, ordinalDay], today) => nextDayOfMonth(Number(day ?? ordinalDay), today),
+    continuesPrevious: true
+  },
+  {
+    // "03/12/2026", "3.12.26", "03/12", "3.12." (dotted dates need a year or a trailing dot, "10.11" is a time)
+    source: '(\\d{1,2})(?:([/.-])(\\d{1,2})\\2(\\d{4}|\\d{2})|\\/(\\d{1,2})|\\.(\\d{1,2})\\.)(?![\\d/.:])',
+    resolve: ([, first, , second, year, slashed, dotted], today, options) => (
+      numericDate(Number(first), Number(second ?? slashed ?? dotted), year, today, options.order)
+    )
+  }
+];
+
+const ANCHORED_PATTERNS = DATE_PATTERNS.map(pattern => ({ ...pattern, regex: new RegExp(`^(?:on\\s+)?${pattern.source}$`, 'i') }));
+const SCANNING_PATTERNS = DATE_PATTERNS.map(pattern => ({ ...pattern, regex: new RegExp(`(?<![\\w/.-])${pattern.source}(?![\\w/])`, 'gi') }));
+
+const todayIn = (options: DateResolverOptions): string => toZonedDateTime(options.now, options.timeZone).date;
+
+function resolveFrom(expression: string, today: string, options: DateResolverOptions): string | null {
+  let text = foldDiacritics(expression).trim().replace(/[\s,;]+$/, '');
+  // Keep the trailing dot of "3.12." and "am 14." but not a full stop after "tomorrow."
+  if (!/\d\.$/.test(text)) text = text.replace(/\.$/, '');
+  for (const pattern of ANCHORED_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (match) {
+      const date = pattern.resolve(match, today, options);
+      if (date) return date;
+    }
+  }
+  return null;
+}
+
+/** Resolves a single date expression ("tomorrow", "next Friday", "Dec 3rd", "12 dicembre") to an ISO date, or null. */
+export function resolveDate(expression: string | null | undefined, overrides: DateResolverOverrides = {}): string | null {
+  if (!expression) return null;
+  const options = resolveDateResolverOptions(overrides);
+  return resolveFrom(expression, todayIn(options), options);
+}
+
+/**
+ * Every date expression in free text, in order of appearance; overlapping matches
+ * keep the longest. A bare day of the month follows the date before it, so
+ * "andata il 12 dicembre, ritorno il 20" returns December 12 and 20.
+ */
+export function findDates(text: string | null | undefined, overrides: DateResolverOverrides = {}): DateMatch[] {
+  if (!text) return [];
+  const options = resolveDateResolverOptions(overrides);
+  const today = todayIn(options);
+  const folded = foldDiacritics(text);
+
+  const candidates: (DateMatch & { pattern: DatePattern; match: RegExpMatchArray })[] = [];
+  for (const pattern of SCANNING_PATTERNS) {
+    for (const match of folded.matchAll(pattern.regex)) {
+      const index = match.index as number;
+      const date = pattern.resolve(match, today, options);
+      if (date) candidates.push({ text: text.slice(index, index + match[0].length), index, date, pattern, match });
+    }
+  }
+
+  candidates.sort((a, b) => a.index - b.index || b.text.length - a.text.length);
+  const matches: DateMatch[] = [];
+  for (const { pattern, match, ...candidate } of candidates) {
+    const previous = matches.at(-1);
+    if (previous && candidate.index < previous.index + previous.text.length) continue;
+    const date = previous && pattern.continuesPrevious ? pattern.resolve(match, previous.date, options) : candidate.date;
+    matches.push({ ...candidate, date: date ?? candidate.date });
+  }
+  return matches;
+}
+
+const RANGE_SEPARATOR = `(?:\\s*(?:-|–|—)\\s*|\\s+(?:${vocabularyPattern('rangeEnd')})\\s+)`;
+const RANGE_START = new RegExp(`^(?:${vocabularyPattern('rangeStart')})\\s+`, 'i');
+
+/**
+ * Resolves a date range: "Dec 3-10", "3 to 10 December", "from tomorrow until
+ * next Friday", "between 12/03 and 19/03", "dal 12 al 20 dicembre", "Dec 28 for
+ * two weeks". Yearless end dates roll over to the year after the start ("Dec 28 - Jan 4").
+ */
+export function resolveDateRange(expression: string | null | undefined, overrides: DateResolverOverrides = {}): DateRange | null {
+  if (!expression) return null;
+  const options = resolveDateResolverOptions(overrides);
+  const today = todayIn(options);
+  const text = foldDiacritics(expression).trim().replace(RANGE_START, '').replace(/[\s,;]+$/, '');
+
+  const range = (start: string | null, endExpression: string): DateRange | null => {
+    if (!start) return null;
+    let end = resolveFrom(endExpression, today, options);
+    if (end && end < start) {
+      end = resolveFrom(endExpression, start, options);
+    }
+    return end && end >= start ? { start, end } : null;
+  };
+
+  // "Dec 3-10", "December 3 to 10, 2026"
+  const monthFirst = text.match(new RegExp(`^${MONTH}\\s+(\\d{1,2})${ORDINAL}?${RANGE_SEPARATOR}(\\d{1,2})${ORDINAL}?${YEAR}$`, 'i'));
+  if (monthFirst) {
+    const [, month, startDay, endDay, year] = monthFirst;
+    return range(monthDate(month, startDay, year, today), `${month} ${endDay}`);
+  }
+
+  // "3-10 Dec", "3rd to 10th of December 2026", "12. bis 20. Dezember", "12 al 20 de diciembre"
+  const day = `${ARTICLE}?(\\d{1,2})(?:${ORDINAL}|\\.)?`;
+  const dayFirst = text.match(new RegExp(`^${day}${RANGE_SEPARATOR}${day}(?:\\s+(?:of|de))?\\s+${MONTH}${YEAR}$`, 'i'));
+  if (dayFirst) {
+    const [, startDay, endDay, month, year] = dayFirst;
+    return range(monthDate(month, startDay, year, today), `${month} ${endDay}`);
+  }
+
+  // "Dec 28 for two weeks"
+  const duration = text.match(new RegExp(`^(.+?)\\s+for\\s+${COUNT}\\s+${UNIT}$`, 'i'));
+  if (duration) {
+    const start = resolveFrom(duration[1], today, options);
+    return start ? { start, end: shiftBy(start, countValue(duration[2]), duration[3]) } : null;
+  }
+
+  // "<date> - <date>": try each separator, since ISO and numeric dates contain dashes too
+  for (const separator of text.matchAll(new RegExp(RANGE_SEPARATOR, 'gi'))) {
+    const index = separator.index as number;
+    const start = resolveFrom(text.slice(0, index), today, options);
+    const result = start ? range(start, text.slice(index + separator[0].length)) : null;
+    if (result) return result;
+  }
+  return null;
+}
@@ -0,0 +1,169 @@
+// Date and time normalisation helpers shared by the request parser,
+// the image extraction post-processing and trip validation.
+import { resolveDate, resolveDateResolverOptions, type DateResolverOverrides } from './dateResolver.js';
+import { foldDiacritics, monthFromName } from './languages.js';
+import { toZonedDateTime } from './timezones.js';
+import type { ExtractedFlightData } from './types.js';
+
+// English three-letter month codes (0-11), as in GDS displays; languages.ts has every month name
+export const MONTH_MAP: Record<string, number> = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11
+};
+
+export const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses dates like "12 March 2026" (or "12 dicembre 2026", "3. März 2026") into "2026-03-12"
+export function parseDateToIso(dateStr: string | null | undefined): string | null {
+  if (!dateStr) return null;
+  const match = foldDiacritics(dateStr).trim().match(/^(\d{1,2})\.?\s+([A-Za-z]+)\.?\s+(\d{4})$/);
+  if (!match) return null;
+  const day = Number(match[1]);
+  const month = monthFromName(match[2]);
+  const year = Number(match[3]);
+  if (!Number.isFinite(day) || !Number.isFinite(year) || month === null) {
+    return null;
+  }
+  const utcDate = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(utcDate.getTime())) {
+    return null;
+  }
+  return utcDate.toISOString().split('T')[0];
+}
+
+// Converts "6:40 PM" / "18:40" into "18:40:00"
+export function parseTimeTo24Hour(timeStr: string | null | undefined): string | null {
+  if (!timeStr) return null;
+  const trimmed = timeStr.trim();
+  const meridiemMatch = trimmed.match(/([AP]M)$/i);
+  const meridiem = meridiemMatch ? meridiemMatch[1].toUpperCase() : null;
+  const timePart = meridiem ? trimmed.slice(0, -meridiem.length).trim() : trimmed;
+  const parts = timePart.split(':');
+  if (parts.length < 2) return null;
+  let hours = Number(parts[0]);
+  const minutes = Number(parts[1]);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) {
+    return null;
+  }
+  if (meridiem) {
+    if (meridiem === 'AM') {
+      hours = hours % 12;
+    } else if (meridiem === 'PM') {
+      hours = hours % 12 + 12;
+    }
+  }
+  hours = (hours + 24) % 24;
+  const paddedH = String(hours).padStart(2, '0');
+  const paddedM = String(minutes).padStart(2, '0');
+  return `${paddedH}:${paddedM}:00`;
+}
+
+// Parses a strict YYYY-MM-DD string into a UTC date, rejecting impossible dates like 2025-02-30
+export function parseIsoDate(dateStr: string | null | undefined): Date | null {
+  if (typeof dateStr !== 'string' || !ISO_DATE_REGEX.test(dateStr)) {
+    return null;
+  }
+
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+
+  if (
+    parsed.getUTCFullYear() !== year ||
+    parsed.getUTCMonth() !== month - 1 ||
+    parsed.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolves a date without a year (month 1-12) to its next occurrence: the current
+ * year, or the next one when the day has already passed. "Today" is the date in
+ * timeZone (the date resolver's, DATE_TIMEZONE or the system time zone, by default).
+ */
+export function resolveYearlessDate(month: number, day: number, today: Date = new Date(), timeZone: string = resolveDateResolverOptions().timeZone): string {
+  const [currentYear, todayMonth, todayDay] = toZonedDateTime(today, timeZone).date.split('-').map(Number);
+  const year = month < todayMonth || (month === todayMonth && day < todayDay) ? currentYear + 1 : currentYear;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper function to normalize dates and fix past dates
+// Reused from geminiService.ts - ensures dates are never in the past and resolves missing years.
+// dateOptions (e.g. { locale: 'en-US' }) set the reading of numeric dates; the default is DATE_ORDER.
+export function fixPastDates(data: ExtractedFlightData, currentYear: number, currentDateISO?: string, dateOptions: DateResolverOverrides = {}): ExtractedFlightData {
+  const today = currentDateISO ? new Date(currentDateISO) : new Date();
+  // A reference given as a plain date is that calendar date, whatever the time zone
+  const resolverOptions: DateResolverOverrides = {
+    ...dateOptions,
+    now: today,
+    ...(currentDateISO && ISO_DATE_REGEX.test(currentDateISO) ? { timeZone: 'UTC' } : {})
+  };
+
+  const normalizeDate = (dateString: string | null): string | null => {
+    if (!dateString || typeof dateString !== 'string') return dateString;
+    const trimmed = dateString.trim();
+
+    // Case 1: Full ISO date
+    const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoMatch) {
+      const [, yearStr, mm, dd] = isoMatch;
+      const yearNum = parseInt(yearStr, 10);
+      if (yearNum < currentYear) {
+        console.error(`🔄 Fixing past year in date: ${trimmed} → ${currentYear}-${mm}-${dd}`);
+        return `${currentYear}-${mm}-${dd}`;
+      }
+      return trimmed;
+    }
+
+    // Case 2: Day and month without a year, numeric ("03/12", "3-12", read in the configured
+    // order unless only one reading is a date) or with a month name in any supported
+    // language ("Sep 16", "März 3"). Impossible dates ("13/13", "Sep 31") are dropped, not guessed.
+    const numericMatch = trimmed.match(/^(\d{1,2})[-\/](\d{1,2})$/);
+    const monthNameMatch = foldDiacritics(trimmed).match(/^([A-Za-z]{3,10})\.?\s+\d{1,2}$/);
+    if (numericMatch || (monthNameMatch && monthFromName(monthNameMatch[1]))) {
+      const resolved = resolveDate(numericMatch ? `${numericMatch[1]}/${numericMatch[2]}` : trimmed, resolverOptions);
+      if (!resolved) console.error(`⚠️  Dropping invalid date "${trimmed}"`);
+      return resolved;
+    }
+
+    // Case 3: Relative or natural-language dates: "tomorrow", "next Friday", "the 14th", "Dec 3rd 2026"
+    const resolved = resolveDate(trimmed, resolverOptions);
+    if (resolved) {
+      console.error(`🔄 Resolved date: ${trimmed} → ${resolved}`);
+      return resolved;
+    }
+
+    // Unknown format: return as-is
+    return dateString;
+  };
+
+  // Normalize outbound segments
+  if (data.outboundSegments) {
+    data.outboundSegments = data.outboundSegments.map(segment => ({
+      ...segment,
+      date: normalizeDate(segment.date)
+    }));
+  }
+
+  // Normalize return segments
+  if (data.returnSegments) {
+    data.returnSegments = data.returnSegments.map(segment => ({
+      ...segment,
+      date: normalizeDate(segment.date)
+    }));
+  }
+
+  return data;
+}
@@ -0,0 +1,157 @@
+// Minimal RFC 822 / MIME reader for booking confirmation emails: headers,
+// multipart bodies (including forwarded messages), quoted-printable and base64
+// transfer encodings, charsets, and HTML to text conversion.
+
+export interface EmailContent {
+  subject: string | null;
+  /** Decoded text/plain parts */
+  text: string;
+  /** Decoded text/html parts */
+  html: string;
+}
+
+type Headers = Record<string, string>;
+
+const KNOWN_HEADERS = /^(?:from|to|cc|subject|date|mime-version|content-type|received|message-id|return-path|delivered-to|reply-to)$/i;
+
+// Splits a message or part into unfolded, lowercased headers and the body
+function splitHeaders(raw: string): { headers: Headers; body: string } {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerBlock = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers: Headers = {};
+  for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    // The first occurrence wins (e.g. the outermost Subject)
+    if (match && !(match[1].toLowerCase() in headers)) {
+      headers[match[1].toLowerCase()] = match[2].trim();
+    }
+  }
+  return { headers, body };
+}
+
+// A pasted body ("Booking reference: X7K2LM ...") also starts with "Name: value" lines,
+// so only a header block with a standard email header counts as a message
+function looksLikeMessage(raw: string): boolean {
+  const separator = raw.search(/\r?\n\r?\n/);
+  if (separator === -1) return false;
+  const lines = raw.slice(0, separator).split(/\r?\n/);
+  return lines.every(line => /^[\w-]+:/.test(line) || /^[ \t]/.test(line))
+    && lines.some(line => KNOWN_HEADERS.test(line.split(':')[0]));
+}
+
+// "text/html; charset=\"utf-8\"" → { value: 'text/html', params: { charset: 'utf-8' } }
+function parseHeaderValue(header: string | undefined): { value: string; params: Record<string, string> } {
+  const [value, ...rest] = (header ?? '').split(';');
+  const params: Record<string, string> = {};
+  for (const param of rest) {
+    const match = param.match(/^\s*([\w-]+)\s*=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeBytes(bytes: Buffer, charset: string | undefined): string {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    // Unknown charset label
+    return bytes.toString('utf8');
+  }
+}
+
+function decodeTransferEncoding(body: string, encoding: string | undefined, charset: string | undefined): string {
+  switch ((encoding ?? '').toLowerCase()) {
+    case 'base64':
+      return decodeBytes(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+    case 'quoted-printable': {
+      const binary = body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return decodeBytes(Buffer.from(binary, 'latin1'), charset);
+    }
+    default:
+      return body;
+  }
+}
+
+// RFC 2047 encoded words in headers, e.g. "=?UTF-8?Q?Your_booking_=E2=9C=88?="
+function decodeEncodedWords(value: string): string {
+  return value.replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=(\s+(?==\?))?/gi, (_, charset, encoding, text) => (
+    encoding.toUpperCase() === 'B'
+      ? decodeTransferEncoding(text, 'base64', charset)
+      : decodeTransferEncoding(text.replace(/_/g, ' '), 'quoted-printable', charset)
+  ));
+}
+
+function readPart(raw: string, content: EmailContent): void {
+  const { headers, body } = splitHeaders(raw);
+  const { value: type, params } = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition']).value;
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const parts = body.split(delimiter).slice(1);
+    for (const part of parts) {
+      // The closing delimiter is followed by "--"
+      if (part.startsWith('--')) break;
+      readPart(part.replace(/^[ \t]*\r?\n/, ''), content);
+    }
+  } else if (type === 'message/rfc822') {
+    readPart(decodeTransferEncoding(body, headers['content-transfer-encoding'], params.charset), content);
+  } else if ((type === 'text/plain' || type === 'text/html') && disposition !== 'attachment') {
+    const decoded = decodeTransferEncoding(body, headers['content-transfer-encoding'], params.charset);
+    const key = type === 'text/html' ? 'html' : 'text';
+    content[key] = content[key] ? `${content[key]}\n${decoded}` : decoded;
+  }
+}
+
+/**
+ * Reads a raw RFC 822 message (.eml content). Text that is not a message
+ * (a pasted body) is returned as-is: as HTML when it looks like markup.
+ */
+export function parseEmailMessage(raw: string): EmailContent {
+  if (!looksLikeMessage(raw)) {
+    const isHtml = /<(?:html|body|div|table|p|script)\b/i.test(raw);
+    return { subject: null, text: isHtml ? '' : raw, html: isHtml ? raw : '' };
+  }
+
+  const content: EmailContent = { subject: null, text: '', html: '' };
+  content.subject = decodeEncodedWords(splitHeaders(raw).headers.subject ?? '') || null;
+  readPart(raw, content);
+  return content;
+}
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  euro: '€', pound: '£', yen: '¥', ndash: '–', mdash: '—', rarr: '→', middot: '·'
+};
+
+export function decodeHtmlEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/** Plain text rendering of an HTML body: one line per block element or table row. */
+export function htmlToText(html: string): string {
+  const text = html
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    // Source line breaks are layout only
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|tr|li|h[1-6]|table|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
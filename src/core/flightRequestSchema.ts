@@ -0,0 +1,138 @@
+// Structured output contract for LLM request parsing: the JSON schema sent to
+// the provider (derived from the flight_pricecheck input schema) and the zod
+// schema its response is validated against.
+import { z } from 'zod';
+import { getMetroArea, resolveAirportCode } from './airports.js';
+import { parseIsoDate } from './dates.js';
+import { flightPricecheckTool } from './toolSchemas.js';
+
+export type JsonSchema = Record<string, any>;
+
+// Every value may be null so the model can mark what the user did not say
+// instead of inventing it; the required lists make it emit every key.
+function allowNull(schema: JsonSchema): JsonSchema {
+  const { default: _default, ...rest } = schema;
+  const result: JsonSchema = { ...rest, type: [schema.type, 'null'] };
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, allowNull(value as JsonSchema)])
+    );
+  }
+  if (schema.items) {
+    result.items = allowNull(schema.items);
+  }
+  return result;
+}
+
+const inputSchema = flightPricecheckTool.inputSchema;
+
+/** Response schema for parseFlightRequest: the flight_pricecheck arguments plus the needsMoreInfo fields. */
+export const FLIGHT_REQUEST_RESPONSE_SCHEMA: JsonSchema = {
+  type: 'object',
+  properties: {
+    needsMoreInfo: { type: 'boolean', description: 'True when the user has not provided every detail required for a price check' },
+    message: { type: ['string', 'null'], description: 'When needsMoreInfo is true, a short question asking for the missing details' },
+    missingFields: { type: ['array', 'null'], description: 'When needsMoreInfo is true, the details still missing', items: { type: 'string' } },
+    ...allowNull({ type: 'object', properties: inputSchema.properties }).properties
+  },
+  required: ['needsMoreInfo', ...inputSchema.required]
+};
+
+// Treats null like a missing value so defaults apply
+const nullAsMissing = (value: unknown) => (value === null ? undefined : value);
+
+// Trims strings and accepts numbers where the API expects strings (e.g. flight numbers)
+function code(pattern: RegExp, transform: (value: string) => string = value => value.toUpperCase()) {
+  return z.preprocess(
+    value => (typeof value === 'number' ? String(value) : typeof value === 'string' ? transform(value.trim()) : value),
+    z.string().regex(pattern)
+  );
+}
+
+// Airport names and ICAO codes become IATA codes; a metro area ("Milan" → MIL) still needs an airport
+const airport = () => code(/^[A-Z]{3}$/, value => resolveAirportCode(value) ?? value.toUpperCase())
+  .refine(value => !getMetroArea(value));
+
+const count = (minimum: number) => z.preprocess(nullAsMissing, z.number().int().min(minimum).default(minimum));
+
+const segmentSchema = z.object({
+  airline: code(/^[A-Z0-9]{2}$/),
+  flightNumber: code(/^(?:[A-Z0-9]{2})?\s?\d{1,4}[A-Z]?$/),
+  departureAirport: airport(),
+  arrivalAirport: airport(),
+  departureDate: z.string().refine(value => parseIsoDate(value) !== null),
+  departureTime: code(/^(?:[01]?\d|2[0-3]):[0-5]\d(?::[0-5]\d)?$/, value => value),
+  arrivalTime: code(/^(?:[01]?\d|2[0-3]):[0-5]\d(?::[0-5]\d)?$/, value => value),
+  plusDays: z.preprocess(nullAsMissing, z.number().int().min(-1).max(3).default(0))
+});
+
+/** zod counterpart of FLIGHT_REQUEST_RESPONSE_SCHEMA for complete responses; output is a FlightSearchRequest. */
+export const parsedFlightRequestSchema = z.object({
+  trip: z.object({
+    legs: z.array(z.object({ segments: z.array(segmentSchema).min(1) })).min(1),
+    travelClass: code(/^(?:ECONOMY|PREMIUM_ECONOMY|BUSINESS|FIRST)$/, value => value.toUpperCase().replace(/[\s-]+/g, '_')),
+    adults: z.number().int().min(1),
+    children: count(0),
+    infantsInSeat: count(0),
+    infantsOnLap: count(0)
+  }),
+  source: z.preprocess(nullAsMissing, z.string().default('MCP')),
+  price: z.preprocess(
+    value => (typeof value === 'number' ? value.toFixed(2) : value),
+    z.string().trim().regex(/^\d+(?:\.\d+)?$/)
+  ),
+  currency: code(/^[A-Z]{3}$/),
+  // The location is only a hint for the search, so anything but a country code becomes "ZZ"
+  location: z.preprocess(
+    value => (typeof value === 'string' && /^[A-Za-z]{2}$/.test(value.trim()) ? value.trim().toUpperCase() : 'ZZ'),
+    z.string()
+  )
+});
+
+const SEGMENT_FIELD_LABELS: Record<string, string> = {
+  airline: 'airline code',
+  flightNumber: 'flight number',
+  departureAirport: 'departure airport',
+  arrivalAirport: 'arrival airport',
+  departureDate: 'departure date',
+  departureTime: 'departure time',
+  arrivalTime: 'arrival time',
+  plusDays: 'arrival day offset'
+};
+
+const TRIP_FIELD_LABELS: Record<string, string> = {
+  travelClass: 'travel class',
+  adults: 'number of adults',
+  children: 'number of children',
+  infantsInSeat: 'number of infants in a seat',
+  infantsOnLap: 'number of infants on lap'
+};
+
+// Maps a zod issue path such as trip.legs.0.segments.1.departureTime to
+// "departure time for leg 1, segment 2"
+function fieldLabel(path: (string | number)[]): string {
+  const [root, key, legIndex, , segmentIndex, field] = path;
+  if (root !== 'trip') {
+    return String(root);
+  }
+  if (key === undefined) {
+    return 'trip information';
+  }
+  if (key !== 'legs') {
+    return TRIP_FIELD_LABELS[key] ?? String(key);
+  }
+  if (legIndex === undefined) {
+    return 'flight legs';
+  }
+  const leg = Number(legIndex) + 1;
+  if (segmentIndex === undefined) {
+    return `segments for leg ${leg}`;
+  }
+  const context = `leg ${leg}, segment ${Number(segmentIndex) + 1}`;
+  return field === undefined ? `flight details for ${context}` : `${SEGMENT_FIELD_LABELS[field] ?? field} for ${context}`;
+}
+
+/** Field-level validation errors as missingFields entries, one per field. */
+export function missingFieldsFromIssues(issues: z.ZodIssue[]): string[] {
+  return [...new Set(issues.map(issue => fieldLabel(issue.path)))];
+}
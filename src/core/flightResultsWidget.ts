@@ -0,0 +1,227 @@
+// Self-contained HTML widget for flight price results (OpenAI Apps SDK).
+// The host injects the tool's structuredContent as window.openai.toolOutput;
+// the widget renders the ranked offers, the savings verdict the server
+// computed (structuredContent.savings) and the booking links. It has no
+// external dependencies, so the widget CSP does not need to allow any domains.
+//
+// Keep the script free of backticks and "${": the HTML lives in a template literal.
+
+export const FLIGHT_RESULTS_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  :root {
+    --bg: #ffffff;
+    --fg: #1f2933;
+    --muted: #6b7280;
+    --border: #e5e7eb;
+    --accent: #0b6bcb;
+    --good: #0f8a4b;
+    --bad: #b42318;
+  }
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --bg: #1e1f22;
+      --fg: #f3f4f6;
+      --muted: #9ca3af;
+      --border: #374151;
+      --accent: #4aa3ff;
+      --good: #34d399;
+      --bad: #f87171;
+    }
+  }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    padding: 12px;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-size: 14px;
+    color: var(--fg);
+    background: var(--bg);
+  }
+  .summary { display: flex; flex-wrap: wrap; gap: 8px 16px; align-items: baseline; margin-bottom: 12px; }
+  .summary h1 { font-size: 16px; margin: 0; flex: 1 1 100%; }
+  .summary .meta { color: var(--muted); }
+  .verdict { font-weight: 600; }
+  .verdict.good { color: var(--good); }
+  .verdict.bad { color: var(--muted); }
+  ol { list-style: none; margin: 0; padding: 0; }
+  li {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 10px 12px;
+    border: 1px solid var(--border);
+    border-radius: 10px;
+    margin-bottom: 8px;
+  }
+  li.best { border-color: var(--good); }
+  .rank { font-weight: 600; color: var(--muted); width: 24px; }
+  .offer { flex: 1; min-width: 0; }
+  .site { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .badge {
+    display: inline-block;
+    margin-left: 6px;
+    padding: 1px 6px;
+    border-radius: 999px;
+    font-size: 11px;
+    font-weight: 500;
+    border: 1px solid var(--border);
+    color: var(--muted);
+  }
+  .price { text-align: right; white-space: nowrap; }
+  .price .amount { font-weight: 600; font-size: 15px; }
+  .price .delta { font-size: 12px; }
+  .delta.good { color: var(--good); }
+  .delta.bad { color: var(--bad); }
+  a.book {
+    padding: 6px 12px;
+    border-radius: 8px;
+    background: var(--accent);
+    color: #ffffff;
+    text-decoration: none;
+    font-weight: 600;
+    white-space: nowrap;
+  }
+  .empty, .error { padding: 16px; text-align: center; color: var(--muted); }
+  .error { color: var(--bad); }
+</style>
+</head>
+<body>
+<div id="root"><div class="empty">Searching for flight prices...</div></div>
+<script>
+(function () {
+  var root = document.getElementById('root');
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (ch) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+    });
+  }
+
+  function locale() {
+    return (window.openai && window.openai.locale) || navigator.language || 'en-US';
+  }
+
+  // Parses "84.00 EUR" (or a { amount, currency } object) into { amount, currency }
+  function parsePrice(price) {
+    if (price && typeof price === 'object' && typeof price.amount === 'number') {
+      return { amount: price.amount, currency: price.currency || '' };
+    }
+    var match = String(price == null ? '' : price).match(/(-?[0-9]+(?:[.,][0-9]+)?)\\s*([A-Z]{3})?/);
+    if (!match) return null;
+    return { amount: parseFloat(match[1].replace(',', '.')), currency: match[2] || '' };
+  }
+
+  function formatMoney(amount, currency) {
+    try {
+      return new Intl.NumberFormat(locale(), { style: 'currency', currency: currency }).format(amount);
+    } catch (e) {
+      return amount.toFixed(2) + (currency ? ' ' + currency : '');
+    }
+  }
+
+  function safeUrl(url) {
+    return /^https?:\\/\\//i.test(url || '') ? url : '';
+  }
+
+  // Price to rank an offer on: the converted price when the server normalized the
+  // offers (null for one it could not convert), otherwise the listed price
+  function comparablePrice(offer) {
+    if ('normalizedAmount' in offer) {
+      return typeof offer.normalizedAmount === 'number' ? { amount: offer.normalizedAmount, currency: offer.normalizedCurrency } : null;
+    }
+    return parsePrice(offer.price);
+  }
+
+  // Saving of one offer, as computed by the server (savingsAmount is null when not comparable)
+  function savingsText(offer, currency) {
+    if (typeof offer.savingsAmount !== 'number' || !currency) return '';
+    if (offer.savingsAmount === 0) return '<div class="delta">Same as your price</div>';
+    var percent = typeof offer.savingsPercent === 'number' ? ' (' + Math.abs(offer.savingsPercent) + '%)' : '';
+    var difference = escapeHtml(formatMoney(Math.abs(offer.savingsAmount), currency));
+    return offer.savingsAmount > 0
+      ? '<div class="delta good">Save ' + difference + percent + '</div>'
+      : '<div class="delta bad">' + difference + ' more' + percent + '</div>';
+  }
+
+  function render(output) {
+    if (!output) return;
+    var data = output.searchResult || output;
+
+    if (output.error) {
+      root.innerHTML = '<div class="error">' + escapeHtml(output.message || 'The flight search failed.') + '</div>';
+      return;
+    }
+
+    var results = Array.isArray(data.results) ? data.results : [];
+    var status = data.status || output.status || '';
+    var savings = output.savings || data.savings || null;
+    var reference = savings ? savings.referencePrice : parsePrice(output.referencePrice || data.referencePrice);
+
+    if (results.length === 0) {
+      var waiting = status && status !== 'COMPLETED' && status !== 'FAILED';
+      root.innerHTML = '<div class="empty">' +
+        (waiting ? 'Search in progress, prices will appear here as booking sites respond.' : 'No prices found for this flight.') +
+        '</div>';
+      return;
+    }
+
+    var offers = results.map(function (offer, index) {
+      return { offer: offer, rank: offer.rank || index + 1, price: parsePrice(offer.price), comparable: comparablePrice(offer) };
+    });
+    var best = offers.reduce(function (min, current) {
+      if (!current.comparable || (min && current.comparable.currency !== min.comparable.currency)) return min;
+      if (!min || current.comparable.amount < min.comparable.amount) return current;
+      return min;
+    }, null);
+
+    var verdict = savings && savings.verdict
+      ? '<span class="verdict ' + (savings.verdict === 'CHEAPER_FOUND' ? 'good' : 'bad') + '">' + escapeHtml(savings.summary) + '</span>'
+      : '';
+
+    var html = '<div class="summary"><h1>' + results.length + ' price' + (results.length !== 1 ? 's' : '') + ' found</h1>';
+    if (reference && reference.amount) {
+      html += '<span class="meta">Your price: ' + escapeHtml(formatMoney(reference.amount, reference.currency || 'EUR')) + '</span>';
+    }
+    html += verdict + '</div><ol>';
+
+    offers.forEach(function (entry) {
+      var offer = entry.offer;
+      var url = safeUrl(offer.bookingUrl);
+      html += '<li class="' + (entry === best ? 'best' : '') + '">' +
+        '<span class="rank">' + escapeHtml(entry.rank) + '</span>' +
+        '<div class="offer"><div class="site">' + escapeHtml(offer.website || 'Unknown') +
+        (offer.fareType ? '<span class="badge">' + escapeHtml(offer.fareType) + '</span>' : '') + '</div></div>' +
+        '<div class="price"><div class="amount">' +
+        escapeHtml(entry.price ? formatMoney(entry.price.amount, entry.price.currency || 'EUR') : (offer.price || 'N/A')) + '</div>' +
+        savingsText(offer, savings && savings.referencePrice.currency) + '</div>' +
+        (url ? '<a class="book" href="' + escapeHtml(url) + '" target="_blank" rel="noopener noreferrer" data-url="' + escapeHtml(url) + '">Book</a>' : '') +
+        '</li>';
+    });
+
+    root.innerHTML = html + '</ol>';
+  }
+
+  // Prefer the host's openExternal so links open outside the widget iframe
+  root.addEventListener('click', function (event) {
+    var link = event.target.closest && event.target.closest('a.book');
+    if (link && window.openai && typeof window.openai.openExternal === 'function') {
+      event.preventDefault();
+      window.openai.openExternal({ href: link.getAttribute('data-url') });
+    }
+  });
+
+  window.addEventListener('openai:set_globals', function (event) {
+    var globals = event.detail && event.detail.globals;
+    if (globals && globals.toolOutput) render(globals.toolOutput);
+  });
+
+  render(window.openai && window.openai.toolOutput);
+})();
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,183 @@
+// Parser for itineraries copied from GDS terminals (Amadeus, Sabre), where every
+// segment is one line: "1 LH 401 Y 12DEC 3 FRAJFK HK1 1000 1250". parseFlightRequest
+// tries it before the LLM, like the booking-site pastes.
+import { MONTH_MAP, resolveYearlessDate } from './dates.js';
+import { missingFieldsFromIssues, parsedFlightRequestSchema } from './flightRequestSchema.js';
+import { findTotalPrice, type PastedItinerary } from './pastedItinerary.js';
+import { splitRoundTripLegs } from './trip.js';
+import type { FlightSearchRequest, FlightSegment } from './types.js';
+
+// Segment number, airline, flight number and booking class ("LH 401 Y" or Sabre's "LH 401Y"),
+// date with an optional year, optional day of week, city pair, status and seat count,
+// departure and arrival times (Sabre adds A/P/N/M), then a day change or the arrival date
+const SEGMENT_LINE = new RegExp([
+  /^\s*(\d{1,2})\.?\s+([A-Z0-9]{2})\s*(\d{1,4})\s*([A-Z])\s+/.source,
+  /(\d{1,2})([A-Z]{3})(\d{2})?\s+(?:([1-7]|[MTWQFJS]|MO|TU|WE|TH|FR|SA|SU)\s+)?/.source,
+  /\*?([A-Z]{3})\s?([A-Z]{3})\s+([A-Z]{2})(\d{1,2})\s+/.source,
+  /(\d{3,4})([APNM])?\s+(\d{3,4})([APNM])?/.source,
+  // Day change markers differ per GDS: "+1", "#1", "¥1", "-1"
+  /(?:\s*([+#¥-])(\d)|\s+(\d{2})([A-Z]{3}))?(?=\s|$)/.source
+].join(''));
+
+// Segments with these status codes are cancelled or were refused
+const CANCELLED_STATUS = new Set(['HX', 'NO', 'UC', 'UN', 'XX']);
+
+// Amadeus numbers the days from Monday (1); Sabre uses one letter, Galileo two
+const WEEKDAYS: Record<string, number> = {
+  1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 0,
+  M: 1, T: 2, W: 3, Q: 4, F: 5, J: 6, S: 0,
+  MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 0
+};
+
+// Default IATA booking class letters per cabin; all other letters are economy
+const BOOKING_CLASS_CABINS: Record<string, string> = {
+  P: 'FIRST', F: 'FIRST', A: 'FIRST',
+  J: 'BUSINESS', C: 'BUSINESS', D: 'BUSINESS', I: 'BUSINESS', Z: 'BUSINESS', R: 'BUSINESS',
+  W: 'PREMIUM_ECONOMY'
+};
+
+// Carriers whose premium economy letters differ from the defaults
+const AIRLINE_BOOKING_CLASS_CABINS: Record<string, Record<string, string>> = {
+  BA: { W: 'PREMIUM_ECONOMY', E: 'PREMIUM_ECONOMY', T: 'PREMIUM_ECONOMY' },
+  LH: { G: 'PREMIUM_ECONOMY', E: 'PREMIUM_ECONOMY', N: 'PREMIUM_ECONOMY' },
+  LX: { G: 'PREMIUM_ECONOMY', E: 'PREMIUM_ECONOMY', N: 'PREMIUM_ECONOMY' },
+  OS: { G: 'PREMIUM_ECONOMY', E: 'PREMIUM_ECONOMY', N: 'PREMIUM_ECONOMY' }
+};
+
+const CABIN_RANK = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+
+/** travelClass for a booking class letter, e.g. "J" → BUSINESS, "Y" → ECONOMY. */
+export function bookingClassToTravelClass(bookingClass: string, airline?: string): string {
+  const letter = bookingClass.trim().toUpperCase();
+  return AIRLINE_BOOKING_CLASS_CABINS[airline?.toUpperCase()]?.[letter] ?? BOOKING_CLASS_CABINS[letter] ?? 'ECONOMY';
+}
+
+export interface GdsSegment extends FlightSegment {
+  bookingClass: string;
+  /** Status code, e.g. HK (confirmed) or HL (waitlisted) */
+  status: string;
+  seats: number;
+}
+
+// "1000" → "10:00:00"; Sabre's 12-hour "540P" → "17:40:00", "1200N" noon, "1200M" midnight
+function gdsTime(digits: string, suffix: string | undefined): string | null {
+  let hours = Math.floor(Number(digits) / 100);
+  const minutes = Number(digits) % 100;
+  if (minutes > 59) return null;
+  if (suffix === 'N') hours = 12;
+  else if (suffix === 'M') hours = 0;
+  else if (suffix === 'A') hours %= 12;
+  else if (suffix === 'P') hours = (hours % 12) + 12;
+  if (hours > 23) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
+}
+
+// "12DEC" resolves like fixPastDates; "12DEC26" keeps its year
+function gdsDate(day: number, monthCode: string, yearDigits: string | undefined, now: Date): string | null {
+  const month = MONTH_MAP[monthCode.toLowerCase()];
+  if (month === undefined) return null;
+  const iso = yearDigits
+    ? `20${yearDigits}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    : resolveYearlessDate(month + 1, day, now);
+  const date = new Date(`${iso}T00:00:00Z`);
+  return date.getUTCDate() === day ? iso : null;
+}
+
+const daysBetween = (from: string, to: string) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+/** Parses one GDS segment line, or returns null when the line is not a segment. */
+export function parseGdsSegmentLine(line: string, now: Date = new Date()): GdsSegment | null {
+  const match = line.toUpperCase().match(SEGMENT_LINE);
+  if (!match) return null;
+  const [, , airline, flightNumber, bookingClass, day, monthCode, yearDigits, weekday, from, to, status, seats,
+    departureDigits, departureSuffix, arrivalDigits, arrivalSuffix, changeMarker, changeDays, arrivalDay, arrivalMonth] = match;
+
+  const departureDate = gdsDate(Number(day), monthCode, yearDigits, now);
+  const departureTime = gdsTime(departureDigits, departureSuffix);
+  const arrivalTime = gdsTime(arrivalDigits, arrivalSuffix);
+  if (!departureDate || !departureTime || !arrivalTime) return null;
+
+  if (weekday && new Date(`${departureDate}T00:00:00Z`).getUTCDay() !== WEEKDAYS[weekday]) {
+    console.error(`⚠️ GDS segment ${airline}${flightNumber}: day of week ${weekday} does not match ${departureDate}`);
+  }
+
+  let plusDays = 0;
+  if (changeMarker) {
+    plusDays = changeMarker === '-' ? -Number(changeDays) : Number(changeDays);
+  } else if (arrivalDay) {
+    const arrivalDate = gdsDate(Number(arrivalDay), arrivalMonth, undefined, new Date(`${departureDate}T00:00:00`));
+    plusDays = arrivalDate ? daysBetween(departureDate, arrivalDate) : 0;
+  }
+
+  return {
+    airline,
+    flightNumber: String(Number(flightNumber)),
+    departureAirport: from,
+    arrivalAirport: to,
+    departureDate,
+    departureTime,
+    arrivalTime,
+    plusDays,
+    bookingClass,
+    status,
+    seats: Number(seats)
+  };
+}
+
+// Name elements: Amadeus "1.DOE/JANE MRS  2.DOE/TOM MSTR(CHD/12MAR18)", Sabre "1.1DOE/JANE MRS",
+// infants as "(INFDOE/BABY/...)"
+function gdsPassengers(text: string, seats: number) {
+  const names = text.match(/(?:^|\s)\d{1,2}\.(?:\d{1,2})?\s?[A-Z][A-Z' -]*\/[A-Z]/gm) ?? [];
+  const children = (text.match(/\(CHD\b/g) ?? []).length;
+  const infants = (text.match(/\(INF/g) ?? []).length;
+  return {
+    adults: names.length > 0 ? Math.max(1, names.length - children) : Math.max(1, seats),
+    children,
+    infantsInSeat: 0,
+    infantsOnLap: infants
+  };
+}
+
+/**
+ * Parses a GDS itinerary display. Returns null when the text has no segment
+ * lines. Cancelled segments are skipped; the cabin of the highest booking class
+ * becomes the travelClass. Missing details (usually the price) are listed in
+ * missingFields rather than guessed.
+ */
+export function parseGdsItinerary(text: string, now: Date = new Date()): PastedItinerary | null {
+  const lines = (text ?? '').split(/\r?\n/);
+  const segments = lines
+    .map(line => parseGdsSegmentLine(line, now))
+    .filter((segment): segment is GdsSegment => segment !== null && !CANCELLED_STATUS.has(segment.status));
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const travelClass = segments
+    .map(segment => bookingClassToTravelClass(segment.bookingClass, segment.airline))
+    .reduce((highest, cabin) => (CABIN_RANK.indexOf(cabin) > CABIN_RANK.indexOf(highest) ? cabin : highest), 'ECONOMY');
+  const price = findTotalPrice(lines.map(line => line.trim()).filter(Boolean));
+  const candidate = {
+    trip: {
+      legs: splitRoundTripLegs([{
+        segments: segments.map(({ bookingClass, status, seats, ...segment }) => segment)
+      }]),
+      travelClass,
+      ...gdsPassengers(text.toUpperCase(), Math.max(...segments.map(segment => segment.seats)))
+    },
+    source: 'MCP',
+    price: price?.price ?? null,
+    currency: price?.currency ?? null,
+    location: 'ZZ'
+  };
+
+  const result = parsedFlightRequestSchema.safeParse(candidate);
+  const missingFields = result.success ? [] : missingFieldsFromIssues(result.error.issues);
+  console.error(`🖥️ GDS itinerary: ${segments.length} segment(s)${missingFields.length ? `, missing ${missingFields.join(', ')}` : ''}`);
+
+  return {
+    layout: 'gds',
+    flightData: (result.success ? result.data : candidate) as FlightSearchRequest,
+    missingFields
+  };
+}
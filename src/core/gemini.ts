@@ -0,0 +1,17 @@
+// Lazily initialised Gemini client shared by request parsing and image extraction.
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_MODEL = 'gemini-2.5-flash';
+
+// Initialize Gemini AI only when needed
+let genAI: GoogleGenerativeAI | null = null;
+
+export function getGeminiAI(): GoogleGenerativeAI {
+  if (!genAI) {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY not configured');
+    }
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
@@ -0,0 +1,653 @@
+// Image-based flight extraction: image optimisation, the vision prompt sent to the
+// configured LLM (Gemini by default) and post-processing of the extracted segments
+// into the flight_pricecheck format.
+import sharp from 'sharp';
+import { convertAirlineNamesToIataCodes } from './airlines.js';
+import { blockTimeIssue, resolvePlusDays } from './blockTime.js';
+import { fixPastDates } from './dates.js';
+import { generateText, getLlmProvider, stripJsonFences } from './llm.js';
+import type { ExtractedFlightData, ExtractedSegment, FlightSearchRequest, FlightSegment, ImageInput } from './types.js';
+
+// Helper function to optimize images before sending them to the LLM
+export async function optimizeImagesForGemini(images: ImageInput[]): Promise<ImageInput[]> {
+  const optimizedImages: ImageInput[] = [];
+
+  for (let i = 0; i < images.length; i++) {
+    const img = images[i];
+    
+    // Clean the base64 data thoroughly before processing
+    let data = img.data || '';
+    
+    // Remove data URI prefix if present
+    if (data.startsWith('data:image/')) {
+      data = data.split(',')[1] || data;
+    }
+    
+    // Remove ALL whitespace (spaces, newlines, tabs, etc.)
+    data = data.replace(/\s/g, '');
+    
+    // Validate that we have actual data
+    if (!data || data.length < 100) {
+      console.error(`❌ Image ${i} has invalid or too short base64 data (${data.length} chars)`);
+      throw new Error(`Image ${i} has invalid base64 data`);
+    }
+
+    try {
+      // Validate base64 before decoding
+      const decoded = Buffer.from(data, 'base64');
+      
+      // Verify the decoded buffer is valid
+      if (decoded.length === 0) {
+        throw new Error('Decoded buffer is empty');
+      }
+
+      // More aggressive optimization strategy
+      let optimizedBuffer;
+
+      if (decoded.length > 500 * 1024) { // Over 500KB - heavy compression
+        optimizedBuffer = await sharp(decoded)
+          .resize(800, 600, {
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .jpeg({ quality: 60, progressive: true })
+          .toBuffer();
+      } else if (decoded.length > 200 * 1024) { // Over 200KB - moderate compression
+        optimizedBuffer = await sharp(decoded)
+          .resize(1000, 750, {
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .jpeg({ quality: 75, progressive: true })
+          .toBuffer();
+      } else {
+        // Small enough, just ensure it's JPEG format
+        if (img.mimeType === 'image/jpeg' || img.mimeType === 'image/jpg') {
+          optimizedBuffer = decoded;
+        } else {
+          // Convert other formats to JPEG
+          optimizedBuffer = await sharp(decoded)
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        }
+      }
+
+      const optimizedBase64 = optimizedBuffer.toString('base64');
+
+      // Additional check: if even after optimization the base64 is still too large, compress more
+      if (optimizedBase64.length > 5 * 1024 * 1024) { // 5MB base64 limit per image
+        // Apply more aggressive compression
+        const emergencyBuffer = await sharp(decoded)
+          .resize(600, 450, {
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .jpeg({ quality: 40, progressive: true })
+          .toBuffer();
+
+        const finalBase64 = emergencyBuffer.toString('base64');
+        
+        if (!finalBase64 || finalBase64.length < 100) {
+          throw new Error(`Emergency optimized base64 is too short (${finalBase64?.length || 0} chars)`);
+        }
+        
+        optimizedImages.push({
+          data: finalBase64,
+          mimeType: 'image/jpeg'
+        });
+      } else {
+        if (!optimizedBase64 || optimizedBase64.length < 100) {
+          throw new Error(`Optimized base64 is too short (${optimizedBase64?.length || 0} chars)`);
+        }
+        
+        optimizedImages.push({
+          data: optimizedBase64,
+          mimeType: 'image/jpeg'
+        });
+      }
+
+    } catch (error) {
+      console.error(`❌ Failed to optimize image ${i}:`, error.message);
+      
+      // If optimization fails, try with original (but ensure it's clean)
+      let fallbackData = data;
+      if (fallbackData.startsWith('data:image/')) {
+        fallbackData = fallbackData.split(',')[1] || fallbackData;
+      }
+      fallbackData = fallbackData.replace(/\s/g, '');
+      
+      // Validate fallback data
+      if (!fallbackData || fallbackData.length < 100) {
+        throw new Error(`Cannot process image ${i}: optimization failed and original data is invalid`);
+      }
+      
+      optimizedImages.push({
+        data: fallbackData,
+        mimeType: img.mimeType || 'image/jpeg'
+      });
+    }
+  }
+
+  return optimizedImages;
+}
+
+// Helper function to extract flight details from images using the configured LLM
+export async function extractFlightDetailsFromImages(images: ImageInput[]): Promise<ExtractedFlightData> {
+  console.error('🚀 extractFlightDetailsFromImages STARTED');
+  console.error('📊 Input images count:', images.length);
+
+  // Check the provider configuration (API key) first
+  let llm;
+  try {
+    llm = getLlmProvider();
+  } catch (error) {
+    return { error: error.message };
+  }
+  const configurationError = llm.configurationError();
+  if (configurationError) {
+    return {
+      error: configurationError
+    };
+  }
+
+  // Get current date context
+  const currentYear = new Date().getFullYear();
+  const currentDate = new Date().toISOString().split('T')[0];
+  console.error('📅 Current date context:', { currentYear, currentDate });
+
+  // Optimize images before sending them to the LLM
+  console.error('🖼️ Starting image optimization...');
+  const optimizedImages = await optimizeImagesForGemini(images);
+  console.error('✅ Image optimization completed');
+
+  // Check optimized size
+  let optimizedTotalSize = 0;
+  for (let i = 0; i < optimizedImages.length; i++) {
+    optimizedTotalSize += optimizedImages[i].data?.length || 0;
+  }
+  const maxOptimizedSize = 10 * 1024 * 1024; // 10MB after optimization
+  if (optimizedTotalSize > maxOptimizedSize) {
+    return {
+      error: `Images are still too large after optimization (${Math.round(optimizedTotalSize / 1024 / 1024)}MB). Please use smaller original images.`
+    };
+  }
+
+  // Convert optimized images to provider-neutral image parts
+  const imageParts = optimizedImages.map((img, index) => {
+    let cleanedData = img.data || '';
+    
+    if (!cleanedData) {
+      throw new Error(`Image ${index} has no data property`);
+    }
+    
+    // Remove data URI prefix if present
+    if (cleanedData.startsWith('data:image/')) {
+      cleanedData = cleanedData.split(',')[1] || cleanedData;
+    }
+    
+    // Remove ALL whitespace
+    cleanedData = cleanedData.replace(/\s/g, '');
+    
+    // Validate cleaned data
+    if (!cleanedData || cleanedData.length < 100) {
+      throw new Error(`Image ${index} has invalid base64 data after cleaning`);
+    }
+
+    // Validate base64 format (check for proper padding and valid characters)
+    const base64Regex = /^[A-Za-z0-9+/]*={0,2}$/;
+    if (!base64Regex.test(cleanedData)) {
+      throw new Error(`Image ${index} contains invalid base64 characters`);
+    }
+
+    // Validate that base64 can be decoded to a valid image buffer
+    let imageBuffer;
+    try {
+      imageBuffer = Buffer.from(cleanedData, 'base64');
+      if (imageBuffer.length === 0) {
+        throw new Error('Decoded buffer is empty');
+      }
+    } catch (e) {
+      throw new Error(`Image ${index} has invalid base64 data that cannot be decoded: ${e.message}`);
+    }
+
+    // Validate that the decoded buffer represents a valid image format
+    // Check for PNG header: 89 50 4E 47 0D 0A 1A 0A
+    // Check for JPEG header: FF D8 FF
+    // Check for WebP header: RIFF ... WEBP
+    const isPNG = imageBuffer.length >= 8 && 
+      imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50 && 
+      imageBuffer[2] === 0x4E && imageBuffer[3] === 0x47;
+    
+    const isJPEG = imageBuffer.length >= 3 && 
+      imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8 && imageBuffer[2] === 0xFF;
+    
+    const isWebP = imageBuffer.length >= 12 &&
+      imageBuffer.slice(0, 4).toString() === 'RIFF' &&
+      imageBuffer.slice(8, 12).toString() === 'WEBP';
+
+    if (!isPNG && !isJPEG && !isWebP) {
+      // Check if the base64 might be truncated by looking at the end
+      // Truncated base64 might decode but not have valid image headers
+      const lastBytes = imageBuffer.slice(-10);
+      const looksTruncated = imageBuffer.length < 1000; // Suspiciously small for an image
+      
+      if (looksTruncated) {
+        throw new Error(`Image ${index} appears to be truncated or incomplete. The base64 data is too short (${imageBuffer.length} bytes) or does not contain a valid image header. Please ensure the full image data is provided.`);
+      }
+      
+      throw new Error(`Image ${index} does not appear to be a valid image format (PNG, JPEG, or WebP). The decoded data does not match any known image format headers.`);
+    }
+
+    return {
+      image: {
+        data: cleanedData,
+        mimeType: img.mimeType || 'image/jpeg'
+      }
+    };
+  });
+
+  // Build comprehensive prompt (same as stdio-server.js)
+  const prompt = `Analyze this flight booking screenshot and return ONLY a valid JSON object in the exact structure below:
+
+{
+  "tripType": "one_way" | "round_trip",
+  "cabinClass": "economy" | "premium_economy" | "business" | "first",
+  "passengers": {
+    "adults": NUMBER,
+    "children": NUMBER,
+    "infants": NUMBER
+  },
+  "outboundSegments": [
+    {
+      "airline": "AIRLINE_NAME" | null,
+      "flightNumber": "FULL_FLIGHT_NUMBER_WITH_PREFIX" | null,
+      "departure": "DEPARTURE_AIRPORT_CODE" | null,
+      "arrival": "ARRIVAL_AIRPORT_CODE" | null, 
+      "departureTime": "HH:MM" | null,
+      "arrivalTime": "HH:MM" | null,
+      "date": "YYYY-MM-DD" | null,
+      "flightDuration": "HH:MM" | null
+    }
+  ],
+  "returnSegments": [],
+  "totalPrice": NUMBER | null,
+  "currency": "CURRENCY_CODE" | null
+}
+
+CRITICAL: Use JSON null (not the string "null") for missing values!
+
+CRITICAL: PRICE & CURRENCY
+Extract total price in any format (€299, $450, £320, ¥50000, 299.99 etc).
+Detect symbols (€, $, £, ¥, CHF, CAD…) or codes (EUR, USD, GBP, JPY…).
+Look for labels: Total, Price, Fare, Cost, Amount.
+If multiple prices, pick the cheapest. If per-person, multiply by passenger count.
+Currency must be 3-letter ISO code:
+- If currency symbol "$" is visible → default to "USD"
+- If currency symbol "€" is visible → default to "EUR"
+- For other symbols, also convert to ISO code on the most likely symbol (e.g., £ → GBP, ¥ → JPY)
+- If not visible or ambiguous → JSON null (NOT the string "null").
+If price not visible → totalPrice: JSON null (NOT the string "null").
+
+EXTRACTION RULES
+
+Trip type: one_way or round_trip.
+Cabin class: detect Economy, Business, Premium, First. Default economy.
+Passengers: extract counts carefully:
+- Look for explicit passenger count indicators: "2 adults", "2 passengers", "per person", "total for X people"
+- If you see per-person price and total price (e.g., "$249/person, $497 total"), calculate passenger count: totalPrice ÷ perPersonPrice = passenger count
+- Do NOT default to 1 adult if passenger count is clearly visible in the screenshot
+- Only default {"adults":1,"children":0,"infants":0} if passenger count is truly unclear.
+Segments - CRITICAL: Extract ALL flights visible in the screenshot:
+- You MUST extract every flight segment you see, even if there are multiple flights
+- Look for ALL flight information blocks, cards, or sections in the image
+- Do NOT stop after extracting the first flight - continue until you've extracted all visible flights
+
+ROUND-TRIP vs ONE-WAY CLASSIFICATION:
+- ROUND-TRIP: If you see flights going from A → B AND B → A (returns to origin), classify as round_trip
+- If the second flight's arrival airport matches the first flight's departure airport → it's a return flight (round-trip)
+- Example: LGW → ATH (first flight), ATH → LGW (second flight) = round_trip (LGW is origin, second flight returns to LGW)
+- Look for visual indicators: "Flight to [City]" and "Flight to [Origin City]", "Return", "Back", "Round trip"
+- IGNORE text that says "One-way tickets" - this is just explaining pricing structure, NOT the trip type
+- If you see two separate flights going in opposite directions → it's round_trip
+- ONE-WAY: Only if you see flights going A → B → C (all in same direction, never returning to origin)
+
+SEGMENT CLASSIFICATION RULES:
+- Outbound segments = all flights from origin city to destination city (including connections)
+- Return segments = all flights from destination city back to origin city (including connections)
+- If you see "Flight to Athens" and "Flight to London" on the same booking → it's round_trip
+- Use labels (Outbound, Return, Andata e ritorno, Aller et retour…), logical flow, and airport matching
+Airline: prefer two-letter code near flight number, else full name; if unclear → JSON null (NOT the string "null").
+Flight number: extract the COMPLETE flight number including airline prefix (e.g., "DY816" from Norwegian DY816, "U2123" from United Express U2123, "W46011" from Wizz Air Malta W46011). Include any letters or digits that appear before the numeric part. Examples: "BA553" → "BA553", "DY816" → "DY816", "U2123" → "U2123", "FR100" → "FR100". If unclear → JSON null (NOT the string "null").
+Airports: 3-letter IATA; if unclear → JSON null (NOT the string "null").
+Times: 24-hour HH:MM format. CRITICAL TIME EXTRACTION RULES:
+- ALWAYS look for and respect AM/PM indicators in the screenshot
+- If you see "PM" written next to a time, it is PM - convert to 24-hour by adding 12 hours
+- If you see "AM" written next to a time, it is AM - keep the same hour (except 12:XX AM becomes 00:XX)
+- CRITICAL: If you see a time with "+1" or "+2" suffix (e.g., "1:55 PM+1", "8:40 PM+1"), the "+1" indicates next-day arrival, but you MUST still respect the PM/AM indicator
+- CRITICAL: "1:55 PM+1" means 1:55 PM the next day = 13:55, NOT 01:55
+- CRITICAL: "8:40 PM+1" means 8:40 PM the next day = 20:40, NOT 08:40
+- The "+1" suffix does NOT mean to ignore PM - if you see "PM", convert it: 1:55 PM = 13:55
+- Convert 12-hour to 24-hour format correctly:
+  * 1:55 PM → 13:55 (add 12 hours)
+  * 10:45 PM → 22:45 (add 12 hours)
+  * 11:45 PM → 23:45 (add 12 hours)
+  * 12:00 PM → 12:00 (noon stays 12:00)
+  * 1:55 AM → 01:55 (keep same)
+  * 12:00 AM → 00:00 (midnight becomes 00:00)
+- Examples with +1 suffix: "1:55 PM+1" → 13:55, "8:40 PM+1" → 20:40
+- If you see a time with AM/PM indicator, extract it correctly in 24-hour format - do NOT ignore the AM/PM indicator
+- If AM/PM indicator is unclear or missing, mark as lower confidence but still extract the time
+- If unclear → JSON null (NOT the string "null").
+Dates: Format YYYY-MM-DD.
+
+Today = ${currentDate}, year = ${currentYear}.
+If year missing: if month/day ≥ today → ${currentYear}; if earlier → ${currentYear + 1}.
+
+Never return past dates. If unclear → JSON null (NOT the string "null").
+Flight duration: convert 22h 30m → 22:30, 1d 2h 30m → 26:30; if unclear → JSON null (NOT the string "null").
+
+SAFER DEFAULTS - USE IF NO CONTRASTING INFORMATION IS VISIBLE
+cabinClass: economy
+passengers: {"adults":1,"children":0,"infants":0}
+All unclear fields → JSON null (not the string "null")
+
+ABSOLUTELY CRITICAL
+
+Never guess or invent values.
+Use JSON null (not the string "null") for missing/unclear values.
+If no flight details at all (irrelevant screenshot), return every field as JSON null.
+Return ONLY the JSON object, no extra text.`;
+
+  try {
+    console.error(`📤 Sending payload with ${imageParts.length} image(s) to ${llm.label} (${llm.model})...`);
+
+    // 60 seconds by default for larger images
+    const text = await generateText(llm, {
+      parts: [{ text: prompt }, ...imageParts],
+      json: true,
+      timeoutMs: 60000
+    });
+    console.error(`📥 Received response from ${llm.label}, length:`, text.length);
+    
+    // Try to parse the JSON response
+    try {
+      const cleanedText = stripJsonFences(text);
+      
+      // Check if the response contains flight-related content
+      if (!cleanedText.includes('tripType') && !cleanedText.includes('outboundSegments')) {
+        return {
+          error: 'No flight details found in the image(s). Please upload a flight booking screenshot or itinerary.'
+        };
+      }
+      
+      let parsed = JSON.parse(cleanedText);
+      console.error('✅ Successfully parsed JSON');
+      
+      // Apply post-processing functions
+      // 1. Convert airline names to IATA codes
+      parsed = convertAirlineNamesToIataCodes(parsed);
+      console.error('🔄 Converted airline names to IATA codes');
+      
+      // 2. Normalize dates to resolve missing years and avoid past dates
+      parsed = fixPastDates(parsed, currentYear, currentDate);
+      console.error('🔄 Normalized dates');
+      
+      // 3. Detect round trip pattern if segments form A → B → A
+      const isRoundTripPattern = detectRoundTripPattern(
+        parsed.outboundSegments || [],
+        parsed.returnSegments || []
+      );
+      
+      if (isRoundTripPattern && parsed.tripType !== 'round_trip') {
+        console.error('🔄 Detected round trip pattern, updating tripType');
+        parsed.tripType = 'round_trip';
+        
+        // Split segments into outbound and return based on pattern
+        const allSegments = [...(parsed.outboundSegments || [])];
+        const firstSegment = allSegments[0];
+        const origin = firstSegment?.departure;
+        
+        if (origin) {
+          const outboundSegs = [];
+          const returnSegs = [];
+          let foundReturn = false;
+          
+          for (const seg of allSegments) {
+            if (!foundReturn && seg.arrival !== origin) {
+              outboundSegs.push(seg);
+            } else {
+              foundReturn = true;
+              returnSegs.push(seg);
+            }
+          }
+          
+          parsed.outboundSegments = outboundSegs;
+          parsed.returnSegments = returnSegs;
+        }
+      }
+      
+      return parsed;
+    } catch (parseError) {
+      console.error('❌ Failed to parse JSON response:', parseError);
+      return {
+        error: `Failed to parse flight details from image. Please ensure the image contains a clear flight booking screenshot.`,
+        details: parseError.message
+      };
+    }
+  } catch (error) {
+    console.error('❌ Error analyzing images:', error);
+    console.error('❌ Error type:', error.constructor?.name);
+    console.error('❌ Error message:', error.message);
+    console.error('❌ Error stack:', error.stack);
+
+    // Check for specific Gemini API errors
+    if (error.message && error.message.includes('Unable to process input image')) {
+      console.error('🖼️ This was an image processing error from Gemini');
+      return {
+        error: 'The image could not be processed by Gemini. The image data may be corrupted, truncated, or in an unsupported format. Please ensure the image is a valid PNG, JPEG, or WebP file and try again. If the problem persists, the image may be too large or corrupted.',
+        extractedData: {
+          error: 'Failed to analyze images: Unable to process input image',
+          details: '[GoogleGenerativeAI Error]: Error fetching from https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent: [400 Bad Request] Unable to process input image. Please retry or report in https://developers.generativeai.google/guide/troubleshooting'
+        }
+      };
+    }
+
+    // Check if it's a timeout error
+    if (error.message && error.message.includes('timed out')) {
+      console.error('⏰ This was a timeout error');
+      return {
+        error: 'The image analysis timed out. The image might be too complex or the service is busy. Please try with a simpler image or try again later.',
+        details: error.message
+      };
+    }
+
+    // Check for quota errors
+    if (error.message && (error.message.includes('quota') || error.message.includes('429'))) {
+      console.error('📊 This was a quota error');
+      return {
+        error: `${llm.label} API quota exceeded. Please try again later.`,
+        details: error.message
+      };
+    }
+
+    // Check for authentication errors
+    if (error.message && (error.message.includes('API key') || error.message.includes('401') || error.message.includes('403'))) {
+      console.error('🔑 This was an authentication error');
+      return {
+        error: `${llm.label} API authentication failed. Please check your API key.`,
+        details: error.message
+      };
+    }
+
+    return {
+      error: `Failed to analyze images: ${error.message}`,
+      details: error.message
+    };
+  }
+}
+
+// Helper function to detect round trip pattern (returns to origin)
+export function detectRoundTripPattern(outboundSegments: ExtractedSegment[], returnSegments: ExtractedSegment[]): boolean {
+  const allSegments = [
+    ...(outboundSegments || []),
+    ...(returnSegments || [])
+  ].filter(segment =>
+    segment.departure &&
+    segment.arrival &&
+    typeof segment.departure === 'string' &&
+    typeof segment.arrival === 'string' &&
+    segment.departure.length === 3 &&
+    segment.arrival.length === 3
+  );
+
+  // Need at least 2 segments to form a round trip
+  if (allSegments.length < 2) {
+    return false;
+  }
+
+  // Find the origin airport (departure of the first segment)
+  const firstSegment = allSegments[0];
+  const origin = firstSegment.departure.toUpperCase();
+
+  // Check if any segment arrives back at the origin
+  for (let i = 0; i < allSegments.length; i++) {
+    const segment = allSegments[i];
+    const arrival = segment.arrival.toUpperCase();
+
+    // If any segment arrives at the origin (and it's not the first segment starting from origin),
+    // we have a round trip
+    if (arrival === origin) {
+      const route = allSegments
+        .map(s => `${s.departure.toUpperCase()} → ${s.arrival.toUpperCase()}`)
+        .join(', ');
+      console.error(`✅ Round trip detected: ${route} (returns to origin ${origin})`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Helper function to check if extracted flight data is complete
+export function isExtractedDataComplete(extractedData: ExtractedFlightData | null | undefined): boolean {
+  // Check if we have basic structure
+  if (!extractedData) {
+    return false;
+  }
+  
+  // Check outbound segments
+  if (!extractedData.outboundSegments || !Array.isArray(extractedData.outboundSegments) || extractedData.outboundSegments.length === 0) {
+    return false;
+  }
+  
+  // Check each outbound segment for required fields
+  for (const segment of extractedData.outboundSegments) {
+    if (!segment.airline || segment.airline === null) return false;
+    if (!segment.flightNumber || segment.flightNumber === null) return false;
+    if (!segment.departure || segment.departure === null) return false;
+    if (!segment.arrival || segment.arrival === null) return false;
+    if (!segment.date || segment.date === null) return false;
+    if (!segment.departureTime || segment.departureTime === null) return false;
+    if (!segment.arrivalTime || segment.arrivalTime === null) return false;
+  }
+  
+  // Check return segments (for round trips)
+  if (extractedData.tripType === 'round_trip') {
+    if (!extractedData.returnSegments || !Array.isArray(extractedData.returnSegments) || extractedData.returnSegments.length === 0) {
+      return false;
+    }
+    
+    for (const segment of extractedData.returnSegments) {
+      if (!segment.airline || segment.airline === null) return false;
+      if (!segment.flightNumber || segment.flightNumber === null) return false;
+      if (!segment.departure || segment.departure === null) return false;
+      if (!segment.arrival || segment.arrival === null) return false;
+      if (!segment.date || segment.date === null) return false;
+      if (!segment.departureTime || segment.departureTime === null) return false;
+      if (!segment.arrivalTime || segment.arrivalTime === null) return false;
+    }
+  }
+  
+  // Check passenger information (must have at least adults count)
+  if (!extractedData.passengers || extractedData.passengers.adults === null || extractedData.passengers.adults === undefined) {
+    return false;
+  }
+  
+  // Check cabin class
+  if (!extractedData.cabinClass || extractedData.cabinClass === null) {
+    return false;
+  }
+  
+  // Check price and currency (required for price comparison)
+  if (extractedData.totalPrice === null || extractedData.totalPrice === undefined) {
+    return false;
+  }
+  
+  if (!extractedData.currency || extractedData.currency === null) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Extracted segment in the flight_pricecheck format, with plusDays worked out from
+// the airport time zones and the extracted flight duration
+function toFlightSegment(segment: ExtractedSegment): FlightSegment {
+  const flightSegment = {
+    airline: segment.airline || null,
+    flightNumber: segment.flightNumber || null,
+    departureAirport: segment.departure || null,
+    arrivalAirport: segment.arrival || null,
+    departureDate: segment.date || null,
+    departureTime: segment.departureTime || null,
+    arrivalTime: segment.arrivalTime || null,
+    plusDays: 0
+  };
+  flightSegment.plusDays = resolvePlusDays({ ...flightSegment, flightDuration: segment.flightDuration });
+
+  const issue = blockTimeIssue({ ...flightSegment, flightDuration: segment.flightDuration });
+  if (issue) {
+    console.error(`⚠️  Extracted times of ${segment.airline ?? ''}${segment.flightNumber ?? ''} ${segment.departure} → ${segment.arrival} look wrong: ${issue}`);
+  }
+  return flightSegment;
+}
+
+// Helper function to transform extracted data to the format expected by flight_pricecheck
+export function transformExtractedToFlightData(extractedData: ExtractedFlightData): FlightSearchRequest {
+  const transformedData: FlightSearchRequest = {
+    trip: {
+      legs: [],
+      travelClass: extractedData.cabinClass?.toUpperCase() || 'ECONOMY',
+      adults: extractedData.passengers?.adults || 1,
+      children: extractedData.passengers?.children || 0,
+      infantsInSeat: extractedData.passengers?.infants || 0,
+      infantsOnLap: 0
+    },
+    source: 'IMAGE_EXTRACTION',
+    price: extractedData.totalPrice?.toString() || '0.00',
+    currency: extractedData.currency || 'EUR',
+    location: 'IT'
+  };
+  
+  // One-way bookings keep every segment (including connections) in a single leg
+  const isOneWay = extractedData.tripType === 'one_way';
+  const outboundSegments = isOneWay
+    ? [...(extractedData.outboundSegments || []), ...(extractedData.returnSegments || [])]
+    : extractedData.outboundSegments;
+  
+  // Transform outbound segments
+  if (outboundSegments && outboundSegments.length > 0) {
+    transformedData.trip.legs.push({
+      segments: outboundSegments.map(toFlightSegment)
+    });
+  }
+  
+  // Transform return segments
+  if (!isOneWay && extractedData.returnSegments && extractedData.returnSegments.length > 0) {
+    transformedData.trip.legs.push({
+      segments: extractedData.returnSegments.map(toFlightSegment)
+    });
+  }
+  
+  return transformedData;
+}
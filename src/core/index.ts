@@ -0,0 +1,29 @@
+// Shared core library for the Navifare MCP servers (http-server.js, stdio-server.js).
+export * from './types.js';
+export * from './dates.js';
+export * from './languages.js';
+export * from './dateResolver.js';
+export * from './airlines.js';
+export * from './trip.js';
+export * from './itineraryValidator.js';
+export * from './currency.js';
+export * from './savings.js';
+export * from './resultOptions.js';
+export { DEFAULT_POLLING_OPTIONS, pollingOptionsFromArgs, type PollingOptions } from '../polling.js';
+export * from './gemini.js';
+export * from './llm.js';
+export * from './flightRequestSchema.js';
+export * from './pastedItinerary.js';
+export * from './gdsItinerary.js';
+export * from './requestParser.js';
+export * from './email.js';
+export * from './bookingEmail.js';
+export * from './airports.js';
+export * from './timezones.js';
+export * from './blockTime.js';
+export * from './calendar.js';
+export * from './imageExtraction.js';
+export * from './toolSchemas.js';
+export * from './resources.js';
+export * from './flightResultsWidget.js';
+export * from './tools.js';
@@ -0,0 +1,179 @@
+// Itinerary consistency checks for flight_pricecheck requests. The validators in
+// trip.ts throw on the first problem; validateItinerary collects every problem as
+// a structured error (the search cannot run) or warning (it can, but check it).
+import { getAirline } from './airlines.js';
+import { getAirport, getMetroArea } from './airports.js';
+import { formatBlockTime } from './blockTime.js';
+import { parseIsoDate } from './dates.js';
+import {
+  MAX_CONNECTION_MS,
+  groundTimeBetween,
+  normalizeSubmitArgs,
+  validateTripAirlineCodes,
+  validateTripAirports,
+  validateTripBlockTimes,
+  validateTripDates,
+  validateTripPrice
+} from './trip.js';
+
+// Airlines open their schedules for sale about 11 months ahead
+export const MAX_BOOKING_HORIZON_DAYS = 330;
+
+// Connections shorter than this miss the minimum connection time at most airports
+export const MIN_CONNECTION_MINUTES = 45;
+
+// Seats a single booking can hold
+export const MAX_PASSENGERS = 9;
+
+export interface ItineraryIssue {
+  /** Kind of problem, e.g. "SHORT_CONNECTION" */
+  code: string;
+  message: string;
+  /** 1-based leg and segment the problem was found at, when it concerns one */
+  leg?: number;
+  segment?: number;
+  /** IATA code of the carrier now operating a defunct carrier's flights (DEFUNCT_AIRLINE) */
+  successor?: string;
+}
+
+export interface ItineraryValidation {
+  valid: boolean;
+  errors: ItineraryIssue[];
+  warnings: ItineraryIssue[];
+}
+
+/** Thrown by flight_pricecheck when the itinerary has errors; carries every error and warning found. */
+export class ItineraryValidationError extends Error {
+  constructor(public readonly validation: ItineraryValidation) {
+    super(validation.errors.map(error => error.message).join(' '));
+    this.name = 'ItineraryValidationError';
+  }
+}
+
+// Each throwing validator of trip.ts contributes its first problem
+const TRIP_VALIDATORS: [string, (args: any) => void][] = [
+  ['INVALID_PRICE', validateTripPrice],
+  ['INVALID_DATE', validateTripDates],
+  ['INVALID_AIRPORT', validateTripAirports],
+  ['UNKNOWN_AIRLINE', validateTripAirlineCodes],
+  ['IMPOSSIBLE_BLOCK_TIME', validateTripBlockTimes]
+];
+
+const describeStay = (ms: number) => ms < 2 * MAX_CONNECTION_MS ? formatBlockTime(Math.round(ms / 60000)) : `${Math.round(ms / MAX_CONNECTION_MS)} days`;
+
+// rawLegs are the legs as submitted, so messages quote what the user wrote
+function checkSegments(legs: any[], rawLegs: any[], errors: ItineraryIssue[], warnings: ItineraryIssue[]): void {
+  const horizon = new Date();
+  horizon.setUTCHours(0, 0, 0, 0);
+  horizon.setUTCDate(horizon.getUTCDate() + MAX_BOOKING_HORIZON_DAYS);
+  const seen = new Map<string, string>();
+
+  legs.forEach((leg, legIndex) => leg.segments.forEach((segment: any, segmentIndex: number) => {
+    const position = { leg: legIndex + 1, segment: segmentIndex + 1 };
+    const context = `leg ${position.leg}, segment ${position.segment}`;
+    const airline = segment.airline ?? '';
+    const flightNumber = segment.flightNumber ?? '';
+
+    // Airline names matching no carrier are reported as UNKNOWN_AIRLINE
+    if (!airline || !/^\d{1,4}$/.test(flightNumber)) {
+      const raw = rawLegs[legIndex].segments[segmentIndex];
+      errors.push({ code: 'INVALID_FLIGHT_NUMBER', message: `"${raw.airline ?? ''} ${raw.flightNumber ?? ''}" in ${context} is not a valid flight number. Flight numbers are a two-character airline code and up to four digits, e.g. "LX 1612".`, ...position });
+    }
+
+    // Codes reassigned to an operating carrier (AZ) resolve to that carrier
+    const carrier = getAirline(airline);
+    if (carrier?.defunct) {
+      const successor = getAirline(carrier.successor);
+      const takeover = successor ? ` Its flights are now operated by ${successor.name} (${successor.iata}).` : '';
+      warnings.push({ code: 'DEFUNCT_AIRLINE', message: `${carrier.name} (${carrier.iata}) in ${context} stopped flying in ${carrier.defunct}.${takeover} Please check the airline and flight number.`, ...position, ...(successor ? { successor: successor.iata } : {}) });
+    }
+
+    const key = `${airline}${flightNumber} ${segment.departureDate}`;
+    if (seen.has(key)) {
+      errors.push({ code: 'DUPLICATE_SEGMENT', message: `${airline}${flightNumber} on ${segment.departureDate} is listed twice, in ${seen.get(key)} and ${context}. Please remove the duplicate flight.`, ...position });
+    } else {
+      seen.set(key, context);
+    }
+
+    const date = parseIsoDate(segment.departureDate);
+    if (date && date.getTime() > horizon.getTime()) {
+      errors.push({ code: 'BEYOND_BOOKING_HORIZON', message: `The departure date ${segment.departureDate} in ${context} is more than ${MAX_BOOKING_HORIZON_DAYS} days away. Airlines only sell seats about 11 months ahead, so no booking site can price it yet.`, ...position });
+    }
+  }));
+}
+
+function checkConnections(legs: any[], errors: ItineraryIssue[], warnings: ItineraryIssue[]): void {
+  legs.forEach((leg, legIndex) => leg.segments.slice(1).forEach((next: any, index: number) => {
+    const previous = leg.segments[index];
+    const position = { leg: legIndex + 1, segment: index + 2 };
+    const between = `leg ${position.leg}, segments ${index + 1} and ${index + 2}`;
+    const groundTime = groundTimeBetween(previous, next);
+
+    if (previous.arrivalAirport !== next.departureAirport) {
+      // Longer gaps are separate journeys (open jaw), searched as their own leg
+      if (groundTime !== null && groundTime > MAX_CONNECTION_MS) return;
+      const metro = getMetroArea(getAirport(previous.arrivalAirport)?.metro);
+      if (metro && metro.code === getAirport(next.departureAirport)?.metro) {
+        warnings.push({ code: 'AIRPORT_CHANGE', message: `The connection in ${between} changes airports in ${metro.city}, from ${previous.arrivalAirport} to ${next.departureAirport}. Allow time to transfer between them.`, ...position });
+      } else {
+        errors.push({ code: 'DISCONTINUOUS_SEGMENTS', message: `In ${between} the first flight lands in ${previous.arrivalAirport} but the next one leaves from ${next.departureAirport}. Please check the airports, or list the flights as separate legs.`, ...position });
+      }
+      return;
+    }
+
+    if (groundTime === null) return;
+    if (groundTime < 0) {
+      errors.push({ code: 'OVERLAPPING_SEGMENTS', message: `In ${between} the connecting flight leaves ${next.departureAirport} ${describeStay(-groundTime)} before the previous flight lands. Please check the dates, times and arrival day (plusDays).`, ...position });
+    } else if (groundTime < MIN_CONNECTION_MINUTES * 60000) {
+      warnings.push({ code: 'SHORT_CONNECTION', message: `The connection in ${next.departureAirport} (${between}) is only ${describeStay(groundTime)}, shorter than the usual minimum connection time of ${MIN_CONNECTION_MINUTES} minutes.`, ...position });
+    } else if (groundTime > MAX_CONNECTION_MS) {
+      warnings.push({ code: 'STOPOVER', message: `The stop in ${next.departureAirport} (${between}) lasts ${describeStay(groundTime)}. Stops longer than 24 hours are searched as separate legs.`, ...position });
+    }
+  }));
+}
+
+function checkPassengers(trip: any, errors: ItineraryIssue[]): void {
+  const [adults, children, infantsInSeat, infantsOnLap] = ['adults', 'children', 'infantsInSeat', 'infantsOnLap'].map(key => Number(trip[key]) || 0);
+
+  if (infantsOnLap > adults) {
+    errors.push({ code: 'TOO_MANY_LAP_INFANTS', message: `${infantsOnLap} infants on lap need as many adults, but the trip has ${adults}. Each adult can hold one infant; book the others as infants in seat.` });
+  }
+  const total = adults + children + infantsInSeat + infantsOnLap;
+  if (total > MAX_PASSENGERS) {
+    errors.push({ code: 'TOO_MANY_PASSENGERS', message: `${total} passengers are more than the ${MAX_PASSENGERS} a single booking can hold. Please split the group into several searches.` });
+  }
+}
+
+/**
+ * Checks a flight_pricecheck request for every problem at once: the dates,
+ * airports, airlines and block times checked by sanitizeSubmitArgs, plus segment
+ * continuity, connection times, duplicate segments, flight number format, the
+ * booking horizon and passenger counts. The request is not modified.
+ */
+export function validateItinerary(request: any): ItineraryValidation {
+  const args = normalizeSubmitArgs(request ?? {});
+  const errors: ItineraryIssue[] = [];
+  const warnings: ItineraryIssue[] = [];
+
+  const legs: any[] = args.trip.legs;
+  const emptyLeg = legs.findIndex(leg => !leg?.segments?.length);
+  if (legs.length === 0 || emptyLeg !== -1) {
+    const message = legs.length === 0
+      ? 'Trip legs are required to search for flights. Please provide at least one leg with complete segment details.'
+      : `Leg ${emptyLeg + 1} is missing flight segments. Please include the airline, flight number, airports, and dates for each segment.`;
+    return { valid: false, errors: [{ code: 'MISSING_SEGMENTS', message, ...(emptyLeg !== -1 ? { leg: emptyLeg + 1 } : {}) }], warnings };
+  }
+
+  for (const [code, validate] of TRIP_VALIDATORS) {
+    try {
+      validate(args);
+    } catch (error) {
+      errors.push({ code, message: error.message });
+    }
+  }
+  checkSegments(legs, request.trip.legs, errors, warnings);
+  checkConnections(legs, errors, warnings);
+  checkPassengers(args.trip, errors);
+
+  return { valid: errors.length === 0, errors, warnings };
+}
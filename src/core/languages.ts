@@ -0,0 +1,197 @@
+// Vocabulary for the deterministic parsers in English, Italian, German, Spanish,
+// French and Portuguese. Words are stored lowercase and without diacritics, so
+// match them against text passed through foldDiacritics ("Rückflug" → "Ruckflug").
+
+export type LanguageCode = 'en' | 'it' | 'de' | 'es' | 'fr' | 'pt';
+
+export interface LanguageVocabulary {
+  /** Names and abbreviations of each month, January first */
+  months: string[];
+  /** Names of each weekday, Sunday first */
+  weekdays: string[];
+  today: string[];
+  tomorrow: string[];
+  dayAfterTomorrow: string[];
+  /** Qualifiers of "next Friday", written before or after the weekday */
+  next: string[];
+  /** Articles in front of a day of the month ("the 14th", "il 14", "am 14.") */
+  dayArticles: string[];
+  /** Words opening ("from", "between") and closing ("to", "and") a date range */
+  rangeStart: string[];
+  rangeEnd: string[];
+  /** Outbound and return leg headers */
+  outbound: string[];
+  return: string[];
+  /** Labels in front of a fare, and of the booking total */
+  priceLabels: string[];
+  total: string[];
+}
+
+export const LANGUAGES: Record<LanguageCode, LanguageVocabulary> = {
+  en: {
+    months: ['january jan', 'february feb', 'march mar', 'april apr', 'may', 'june jun', 'july jul', 'august aug', 'september sept sep', 'october oct', 'november nov', 'december dec'],
+    weekdays: ['sunday sun', 'monday mon', 'tuesday tues tue', 'wednesday wed', 'thursday thurs thur thu', 'friday fri', 'saturday sat'],
+    today: ['today', 'tonight'],
+    tomorrow: ['tomorrow'],
+    dayAfterTomorrow: ['the day after tomorrow', 'day after tomorrow'],
+    next: ['next'],
+    dayArticles: ['the'],
+    rangeStart: ['from', 'between'],
+    rangeEnd: ['to', 'until', 'till', 'through', 'thru', 'and'],
+    outbound: ['outbound', 'outward', 'departure', 'departing flight', 'depart'],
+    return: ['return', 'returning', 'inbound'],
+    priceLabels: ['best price', 'lowest price', 'price', 'total'],
+    total: ['total']
+  },
+  it: {
+    months: ['gennaio gen', 'febbraio feb', 'marzo mar', 'aprile apr', 'maggio mag', 'giugno giu', 'luglio lug', 'agosto ago', 'settembre sett set', 'ottobre ott', 'novembre nov', 'dicembre dic'],
+    weekdays: ['domenica', 'lunedi', 'martedi', 'mercoledi', 'giovedi', 'venerdi', 'sabato'],
+    today: ['oggi', 'stasera'],
+    tomorrow: ['domani'],
+    dayAfterTomorrow: ['dopodomani'],
+    next: ['prossimo', 'prossima'],
+    dayArticles: ['il', "l'"],
+    rangeStart: ['dal', 'da', 'tra', 'fra'],
+    rangeEnd: ['al', 'a', 'e'],
+    outbound: ['andata'],
+    return: ['ritorno'],
+    priceLabels: ['miglior prezzo', 'prezzo migliore', 'prezzo', 'tariffa', 'totale'],
+    total: ['totale']
+  },
+  de: {
+    months: ['januar jan', 'februar feb', 'marz maerz mrz', 'april apr', 'mai', 'juni jun', 'juli jul', 'august aug', 'september sept sep', 'oktober okt', 'november nov', 'dezember dez'],
+    weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag sonnabend'],
+    today: ['heute'],
+    tomorrow: ['morgen'],
+    dayAfterTomorrow: ['ubermorgen', 'uebermorgen'],
+    next: ['nachsten', 'nachster', 'nachste', 'naechsten', 'kommenden'],
+    dayArticles: ['am', 'den'],
+    rangeStart: ['vom', 'von', 'ab', 'zwischen'],
+    rangeEnd: ['bis zum', 'bis', 'und'],
+    outbound: ['hinflug', 'hinreise'],
+    return: ['ruckflug', 'rueckflug', 'ruckreise', 'rueckreise'],
+    priceLabels: ['bester preis', 'bestpreis', 'gunstigster preis', 'gesamtpreis', 'preis', 'gesamt'],
+    total: ['gesamt', 'summe']
+  },
+  es: {
+    months: ['enero ene', 'febrero feb', 'marzo mar', 'abril abr', 'mayo may', 'junio jun', 'julio jul', 'agosto ago', 'septiembre setiembre sept sep', 'octubre oct', 'noviembre nov', 'diciembre dic'],
+    weekdays: ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'],
+    today: ['hoy'],
+    tomorrow: ['manana'],
+    dayAfterTomorrow: ['pasado manana'],
+    next: ['proximo', 'proxima', 'que viene'],
+    dayArticles: ['el'],
+    rangeStart: ['del', 'desde el', 'desde', 'entre'],
+    rangeEnd: ['al', 'hasta el', 'hasta', 'y'],
+    outbound: ['ida'],
+    return: ['vuelta', 'regreso'],
+    priceLabels: ['mejor precio', 'precio mas bajo', 'precio', 'tarifa', 'total'],
+    total: ['total', 'importe']
+  },
+  fr: {
+    months: ['janvier janv', 'fevrier fevr fev', 'mars', 'avril avr', 'mai', 'juin', 'juillet juil', 'aout', 'septembre sept', 'octobre oct', 'novembre nov', 'decembre dec'],
+    weekdays: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    today: ["aujourd'hui", 'ce soir'],
+    tomorrow: ['demain'],
+    dayAfterTomorrow: ['apres-demain', 'apres demain'],
+    next: ['prochain', 'prochaine'],
+    dayArticles: ['le'],
+    rangeStart: ['du', 'entre'],
+    rangeEnd: ['au', "jusqu'au", 'et'],
+    outbound: ['aller'],
+    return: ['retour'],
+    priceLabels: ['meilleur prix', 'prix le plus bas', 'prix', 'tarif', 'total'],
+    total: ['total', 'montant']
+  },
+  pt: {
+    months: ['janeiro jan', 'fevereiro fev', 'marco mar', 'abril abr', 'maio mai', 'junho jun', 'julho jul', 'agosto ago', 'setembro set', 'outubro out', 'novembro nov', 'dezembro dez'],
+    weekdays: ['domingo', 'segunda-feira segunda', 'terca-feira terca', 'quarta-feira quarta', 'quinta-feira quinta', 'sexta-feira sexta', 'sabado'],
+    today: ['hoje'],
+    tomorrow: ['amanha'],
+    dayAfterTomorrow: ['depois de amanha'],
+    next: ['proximo', 'proxima'],
+    dayArticles: ['o dia', 'no dia', 'dia'],
+    rangeStart: ['de', 'desde', 'entre'],
+    rangeEnd: ['a', 'ate', 'e'],
+    outbound: ['ida'],
+    return: ['volta', 'regresso'],
+    priceLabels: ['melhor preco', 'menor preco', 'preco', 'tarifa', 'total'],
+    total: ['total', 'valor']
+  }
+};
+
+type WordListKey = Exclude<keyof LanguageVocabulary, 'months' | 'weekdays'>;
+
+/** Strips accents and umlauts ("Mär 3, Rückflug" → "Mar 3, Ruckflug"), keeping the length of NFC text. */
+export function foldDiacritics(text: string): string {
+  return text.normalize('NFC').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const escapeRegExp = (word: string) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Alternation of words, longest first so "bis zum" wins over "bis"; spaces match any whitespace
+function alternation(words: Iterable<string>): string {
+  return [...new Set(words)]
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/ /g, '\\s+').replace(/'/g, "['’]"))
+    .join('|');
+}
+
+// Every name of every month or weekday in any language, mapped to its index
+function nameIndex(key: 'months' | 'weekdays'): Map<string, number> {
+  const index = new Map<string, number>();
+  for (const vocabulary of Object.values(LANGUAGES)) {
+    vocabulary[key].forEach((names, position) => {
+      for (const name of names.split(' ')) index.set(name, position);
+    });
+  }
+  return index;
+}
+
+const MONTH_NAMES = nameIndex('months');
+const WEEKDAY_NAMES = nameIndex('weekdays');
+
+/** Regex source matching any month name or abbreviation, with an optional trailing dot (no capture group). */
+export const MONTH_NAME_PATTERN = `(?:${alternation(MONTH_NAMES.keys())})\\.?`;
+
+/** Regex source matching any weekday name, with an optional trailing dot (no capture group). */
+export const WEEKDAY_NAME_PATTERN = `(?:${alternation(WEEKDAY_NAMES.keys())})\\.?`;
+
+/** Regex source matching a word list in every language, e.g. vocabularyPattern('return') → "ritorno|regreso|..." */
+export function vocabularyPattern(key: WordListKey): string {
+  return alternation(Object.values(LANGUAGES).flatMap(vocabulary => vocabulary[key]));
+}
+
+/** Regex source for a line opening a leg: "Return itinerary", "Outbound flight", "Volo di andata", "Rückflug", "Vol retour" */
+export function legHeaderPattern(leg: 'outbound' | 'return'): string {
+  return `^\\W*(?:(?:volo|vuelo|vol|voo)\\s+(?:di\\s+|de\\s+|d['’])?)?(?:${vocabularyPattern(leg)})\\b`;
+}
+
+const normaliseName = (name: string) => foldDiacritics(name).trim().toLowerCase().replace(/\.$/, '');
+
+/** Month (1-12) of a name or abbreviation in any supported language: "Dec", "dicembre", "März" → 12, 12, 3 */
+export function monthFromName(name: string | null | undefined): number | null {
+  const month = name ? MONTH_NAMES.get(normaliseName(name)) : undefined;
+  return month === undefined ? null : month + 1;
+}
+
+/** Weekday (0 = Sunday) of a name in any supported language: "Fri", "venerdì", "sexta-feira" → 5 */
+export function weekdayFromName(name: string | null | undefined): number | null {
+  const weekday = name ? WEEKDAY_NAMES.get(normaliseName(name)) : undefined;
+  return weekday ?? null;
+}
+
+/**
+ * Parses an amount written with either decimal separator: "1,234.50",
+ * "1.234,50", "1 234,50", "1'234.50", "84,5" and "1.234,-". The last separator
+ * followed by one or two digits is the decimal point; the others group thousands.
+ */
+export function parseLocalizedAmount(raw: string | null | undefined): number | null {
+  if (!raw) return null;
+  const compact = raw.trim().replace(/[\s'’\u00a0\u202f]/g, '').replace(/[.,]-$/, '');
+  if (!/^\d[\d.,]*$/.test(compact)) return null;
+  const decimal = compact.match(/[.,](\d{1,2})$/);
+  const integer = (decimal ? compact.slice(0, decimal.index) : compact).replace(/[.,]/g, '');
+  const amount = Number(decimal ? `${integer}.${decimal[1]}` : integer);
+  return Number.isFinite(amount) ? amount : null;
+}
@@ -0,0 +1,259 @@
+// LLM provider layer used by request parsing and image extraction.
+// LLM_PROVIDER selects the backend: "gemini" (default), "openai" (any
+// OpenAI-compatible chat completions endpoint, including self-hosted ones)
+// or "stub" (canned responses for offline development and tests).
+import type { Part } from '@google/generative-ai';
+import fetch from 'node-fetch';
+import { GEMINI_MODEL, getGeminiAI } from './gemini.js';
+
+export type LlmPart =
+  | { text: string }
+  | { image: { data: string; mimeType: string } };
+
+export interface LlmRequest {
+  /** Prompt text and images, in order */
+  parts: LlmPart[];
+  /** Ask the provider for a JSON-only response (JSON mode where supported) */
+  json?: boolean;
+  /** JSON schema the response must follow (structured output where supported); implies json */
+  responseSchema?: { name: string; schema: Record<string, any> };
+  /** Timeout used unless the provider's <PROVIDER>_TIMEOUT_MS or LLM_TIMEOUT_MS is set (ms) */
+  timeoutMs: number;
+}
+
+export interface LlmProvider {
+  /** Provider id as used in LLM_PROVIDER */
+  readonly name: string;
+  /** Human-readable name for logs and error messages, e.g. "Gemini" */
+  readonly label: string;
+  readonly model: string;
+  /** Why the provider cannot be used (e.g. a missing API key), or null when it is ready */
+  configurationError(): string | null;
+  /** Returns the raw response text; rejects on provider errors or when `signal` aborts */
+  generate(request: LlmRequest, signal: AbortSignal): Promise<string>;
+}
+
+type Env = Record<string, string | undefined>;
+
+// Gemini's responseSchema is an OpenAPI subset: no type unions, patterns,
+// bounds or defaults. Nullable types become `nullable: true`.
+export function toGeminiSchema(schema: Record<string, any>): Record<string, any> {
+  const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const result: Record<string, any> = { type: types.find(type => type !== 'null') };
+  if (types.includes('null')) result.nullable = true;
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) {
+    result.format = 'enum';
+    result.enum = schema.enum;
+  }
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value as Record<string, any>)])
+    );
+  }
+  if (schema.required) result.required = schema.required;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  return result;
+}
+
+class GeminiProvider implements LlmProvider {
+  readonly name = 'gemini';
+  readonly label = 'Gemini';
+
+  constructor(readonly model: string) {}
+
+  configurationError(): string | null {
+    return process.env.GEMINI_API_KEY ? null : 'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.';
+  }
+
+  async generate(request: LlmRequest, signal: AbortSignal): Promise<string> {
+    const generationConfig = request.responseSchema
+      ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(request.responseSchema.schema) as any }
+      : request.json ? { responseMimeType: 'application/json' } : undefined;
+    const model = getGeminiAI().getGenerativeModel({ model: this.model, ...(generationConfig ? { generationConfig } : {}) });
+    const parts = request.parts.map((part): Part => ('text' in part ? { text: part.text } : { inlineData: part.image }));
+    const result = await model.generateContent({ contents: [{ role: 'user', parts }] }, { signal });
+    return result.response.text() || '';
+  }
+}
+
+class OpenAiCompatibleProvider implements LlmProvider {
+  readonly name = 'openai';
+  readonly label = 'OpenAI-compatible LLM';
+
+  constructor(readonly model: string, private readonly env: Env) {}
+
+  private get baseUrl(): string {
+    return (this.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  configurationError(): string | null {
+    // Self-hosted endpoints often need no key; the public API always does
+    if (!this.env.OPENAI_API_KEY && !this.env.OPENAI_BASE_URL) {
+      return 'OpenAI API key not configured. Please set OPENAI_API_KEY, or OPENAI_BASE_URL for a self-hosted endpoint.';
+    }
+    return null;
+  }
+
+  async generate(request: LlmRequest, signal: AbortSignal): Promise<string> {
+    const content = request.parts.map(part => ('text' in part
+      ? { type: 'text', text: part.text }
+      : { type: 'image_url', image_url: { url: `data:${part.image.mimeType};base64,${part.image.data}` } }));
+
+    const body: Record<string, unknown> = {
+      model: this.model,
+      messages: [{ role: 'user', content }],
+      temperature: 0
+    };
+    // Some self-hosted servers reject response_format; OPENAI_JSON_MODE=false leaves it out,
+    // OPENAI_JSON_SCHEMA=false keeps plain JSON mode for servers without structured outputs
+    if ((request.json || request.responseSchema) && this.env.OPENAI_JSON_MODE !== 'false') {
+      body.response_format = request.responseSchema && this.env.OPENAI_JSON_SCHEMA !== 'false'
+        ? { type: 'json_schema', json_schema: { ...request.responseSchema, strict: false } }
+        : { type: 'json_object' };
+    }
+
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.env.OPENAI_API_KEY ? { Authorization: `Bearer ${this.env.OPENAI_API_KEY}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text().catch(() => '');
+      throw new Error(`${this.label} error ${res.status} ${res.statusText}${errorText ? ` - ${errorText.substring(0, 500)}` : ''}`);
+    }
+
+    const data: any = await res.json();
+    const message = data?.choices?.[0]?.message?.content;
+    if (typeof message === 'string') {
+      return message;
+    }
+    // Some servers return content as an array of parts
+    if (Array.isArray(message)) {
+      return message.map((part: any) => part?.text || '').join('');
+    }
+    throw new Error(`${this.label} returned no message content`);
+  }
+}
+
+/**
+ * Offline provider: answers every request with LLM_STUB_RESPONSE (the raw
+ * response text, usually JSON), or with a custom responder in tests. Without
+ * a response it fails, so callers take their non-LLM fallback path.
+ */
+export class StubProvider implements LlmProvider {
+  readonly name = 'stub';
+  readonly label = 'LLM stub';
+  readonly model = 'stub';
+
+  constructor(private readonly respond: (request: LlmRequest) => string | Promise<string> = () => {
+    if (process.env.LLM_STUB_RESPONSE === undefined) {
+      throw new Error('LLM stub has no response configured (set LLM_STUB_RESPONSE)');
+    }
+    return process.env.LLM_STUB_RESPONSE;
+  }) {}
+
+  configurationError(): string | null {
+    return null;
+  }
+
+  async generate(request: LlmRequest): Promise<string> {
+    return this.respond(request);
+  }
+}
+
+export const DEFAULT_LLM_PROVIDER = 'gemini';
+
+// Default model per provider; LLM_MODEL (or <PROVIDER>_MODEL) overrides it
+const DEFAULT_MODELS: Record<string, string> = {
+  gemini: GEMINI_MODEL,
+  openai: 'gpt-4o-mini',
+  stub: 'stub'
+};
+
+let providerOverride: LlmProvider | null = null;
+
+// Replaces the environment-selected provider (tests); pass null to restore it
+export function setLlmProvider(provider: LlmProvider | null): void {
+  providerOverride = provider;
+}
+
+/**
+ * Returns the provider selected by LLM_PROVIDER, with the model from
+ * LLM_MODEL, then <PROVIDER>_MODEL (e.g. OPENAI_MODEL), then the default.
+ * Throws for unknown providers.
+ */
+export function getLlmProvider(env: Env = process.env): LlmProvider {
+  if (providerOverride) {
+    return providerOverride;
+  }
+
+  const name = (env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).trim().toLowerCase();
+  if (!(name in DEFAULT_MODELS)) {
+    throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use one of: ${Object.keys(DEFAULT_MODELS).join(', ')}`);
+  }
+  const model = env.LLM_MODEL || env[`${name.toUpperCase()}_MODEL`] || DEFAULT_MODELS[name];
+
+  switch (name) {
+    case 'openai':
+      return new OpenAiCompatibleProvider(model, env);
+    case 'stub':
+      return new StubProvider();
+    default:
+      return new GeminiProvider(model);
+  }
+}
+
+// Per-provider timeout (e.g. OPENAI_TIMEOUT_MS), then LLM_TIMEOUT_MS, then the caller's default
+function resolveTimeoutMs(provider: LlmProvider, fallbackMs: number, env: Env = process.env): number {
+  for (const key of [`${provider.name.toUpperCase()}_TIMEOUT_MS`, 'LLM_TIMEOUT_MS']) {
+    const value = Number(env[key]);
+    if (env[key] && Number.isFinite(value) && value > 0) {
+      return value;
+    }
+  }
+  return fallbackMs;
+}
+
+/**
+ * Sends a request to the provider and returns the response text. Rejects
+ * with "<label> request timed out after N seconds" when the provider takes
+ * longer than its timeout; the pending HTTP request is aborted.
+ */
+export async function generateText(provider: LlmProvider, request: LlmRequest): Promise<string> {
+  const timeoutMs = resolveTimeoutMs(provider, request.timeoutMs);
+  const controller = new AbortController();
+  let timer: NodeJS.Timeout | undefined;
+
+  const timeoutPromise = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.label} request timed out after ${Math.round(timeoutMs / 1000)} seconds`));
+    }, timeoutMs);
+  });
+
+  const startTime = Date.now();
+  try {
+    const text = await Promise.race([provider.generate(request, controller.signal), timeoutPromise]);
+    console.error(`⏰ ${provider.label} (${provider.model}) call completed in ${Date.now() - startTime}ms`);
+    return text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Removes the markdown code fences models sometimes wrap JSON in
+export function stripJsonFences(text: string): string {
+  return text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+}
+
+// generateText() for JSON responses: requests JSON mode and parses the result
+export async function generateJson(provider: LlmProvider, request: Omit<LlmRequest, 'json'>): Promise<any> {
+  const text = await generateText(provider, { ...request, json: true });
+  return JSON.parse(stripJsonFences(text));
+}
@@ -0,0 +1,376 @@
+// Deterministic parser for itineraries copied from booking sites (Google Flights,
+// Kayak, Skyscanner, Expedia) and airline booking pages. parseFlightRequest tries
+// it before the LLM, so the common layouts are parsed instantly and offline.
+import { convertAirlineNameToIataCode } from './airlines.js';
+import { parseTimeTo24Hour } from './dates.js';
+import { missingFieldsFromIssues, parsedFlightRequestSchema } from './flightRequestSchema.js';
+import { foldDiacritics, legHeaderPattern, MONTH_NAME_PATTERN, monthFromName, parseLocalizedAmount, vocabularyPattern } from './languages.js';
+import { splitRoundTripLegs } from './trip.js';
+import type { FlightSearchRequest, FlightSegment, TripLeg } from './types.js';
+
+export const CURRENCY_SYMBOL_MAP: Record<string, string> = {
+  '€': 'EUR',
+  '$': 'USD',
+  '£': 'GBP',
+  '¥': 'JPY',
+};
+
+// Currency codes recognised next to an amount ("EUR 1,234.50", "146 CHF")
+const PRICE_CURRENCY_CODES = ['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK', 'PLN', 'AED'];
+
+export interface PasteLayout {
+  name: string;
+  /** Source reported to Navifare for requests parsed from this layout */
+  source: string;
+  detect: RegExp;
+  /** Lines that start a new leg; defaults to "Departure", "Return", "Outbound", ... headers */
+  legHeader?: RegExp;
+  /** Leg overview lines whose times only describe the flight when the leg is nonstop */
+  legSummary?: RegExp;
+}
+
+const DEFAULT_LEG_HEADER = new RegExp(`${legHeaderPattern('outbound')}|${legHeaderPattern('return')}`, 'i');
+
+/** Recognised layouts, most specific first. */
+export const PASTE_LAYOUTS: PasteLayout[] = [
+  {
+    name: 'google_flights',
+    source: 'GOOGLE_FLIGHTS',
+    detect: /Google (?:Flights|Voli|Flüge|Vuelos|Vols|Voos)|^(?:Travel time|Durata del viaggio|Reisezeit|Duración del viaje|Durée du trajet|Duração da viagem)\s?:/im
+  },
+  { name: 'kayak', source: 'KAYAK', detect: /\bkayak\b|^(?:Depart|Return)\s+(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)\b/im },
+  { name: 'skyscanner', source: 'MCP', detect: /skyscanner|^(?:Outbound|Inbound)\b/im },
+  {
+    name: 'expedia',
+    source: 'MCP',
+    detect: /expedia|\(\d+h(?:\s\d+m)?,\s*(?:nonstop|\d+\s+stops?)\)/i,
+    legHeader: /\([A-Z]{3}\)\s+to\s+.*\([A-Z]{3}\)/,
+    legSummary: /\(\d+h(?:\s\d+m)?,\s*(?:nonstop|\d+\s+stops?)\)/i
+  },
+  {
+    name: 'airline',
+    source: 'MCP',
+    detect: /^(?:Flight|Volo|Flug|Vuelo|Vol|Voo)\s+[A-Z0-9]{2}\s?\d{1,4}\b|booking (?:reference|code)|confirmation (?:number|code)|codice (?:di )?prenotazione|buchungs(?:nummer|code)|c[oó]digo de reserva|r[ée]f[ée]rence de r[ée]servation/im
+  }
+];
+
+export interface PastedItinerary {
+  layout: string;
+  flightData: FlightSearchRequest;
+  /** Details the paste did not contain, in the parseFlightRequest missingFields format */
+  missingFields: string[];
+}
+
+export function detectPasteLayout(text: string): PasteLayout | null {
+  return PASTE_LAYOUTS.find(layout => layout.detect.test(text)) ?? null;
+}
+
+const MONTH_NAMES = `(${MONTH_NAME_PATTERN})`;
+const DAY_FIRST_DATE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|\\.)?(?:\\s+de)?\\s+${MONTH_NAMES}(?![a-z])(?:,?\\s+(?:de\\s+)?(\\d{4}))?(?!\\d)`, 'i');
+const MONTH_FIRST_DATE = new RegExp(`\\b${MONTH_NAMES}(?![a-z])\\s+(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)(?:,?\\s+(\\d{4}))?(?!\\d)`, 'i');
+const TIME = /(?<![\d:])(\d{1,2}):(\d{2})(?:\s*([ap])\.?\s?m\b\.?)?(?:\s*\(?\+\s*(\d)(?:\s*days?)?\)?)?/gi;
+const FLIGHT_CODE = /(?:^|[\s·•|,(/])([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{1,4})(?=$|[\s·•|,)/])/g;
+const AIRLINE_NAME_FLIGHT = /^([A-Za-z][A-Za-z .&'-]*[A-Za-z])\s+(\d{1,4})$/;
+const AIRCRAFT_MAKERS = /(?:airbus|boeing|embraer|bombardier|atr)\s*$/i;
+const SKIPPED_LINE = /layover|stopover|change planes|connection in/i;
+
+const toIsoDate = (date: Date) => date.toISOString().split('T')[0];
+const addDays = (isoDate: string, days: number) => toIsoDate(new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * 86400000));
+
+// Finds "Tue, Mar 10", "10 Mar 2026", "March 10, 2026" or "gio 12 dic" in a line. Dates
+// without a year fall in the next twelve months, like fixPastDates resolves them.
+function findDate(line: string, now: Date): string | null {
+  let day: number, monthKey: string, year: number | undefined;
+  const folded = foldDiacritics(line);
+  const dayFirst = folded.match(DAY_FIRST_DATE);
+  const monthFirst = dayFirst ? null : folded.match(MONTH_FIRST_DATE);
+  if (dayFirst) {
+    [day, monthKey, year] = [Number(dayFirst[1]), dayFirst[2], dayFirst[3] ? Number(dayFirst[3]) : undefined];
+  } else if (monthFirst) {
+    [monthKey, day, year] = [monthFirst[1], Number(monthFirst[2]), monthFirst[3] ? Number(monthFirst[3]) : undefined];
+  } else {
+    return null;
+  }
+
+  const month = (monthFromName(monthKey) as number) - 1;
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  let resolvedYear = year ?? now.getUTCFullYear();
+  if (year === undefined && Date.UTC(resolvedYear, month, day) < today) {
+    resolvedYear += 1;
+  }
+  const date = new Date(Date.UTC(resolvedYear, month, day));
+  return date.getUTCDate() === day ? toIsoDate(date) : null;
+}
+
+interface TimeMatch {
+  time: string;
+  plusDays: number;
+  end: number;
+}
+
+function findTimes(line: string): TimeMatch[] {
+  return [...line.matchAll(TIME)].flatMap(match => {
+    const [text, hours, minutes, meridiem, plusDays] = match;
+    if (Number(hours) > (meridiem ? 12 : 23)) return [];
+    const time = parseTimeTo24Hour(`${hours}:${minutes}${meridiem ? ` ${meridiem}M` : ''}`);
+    return time ? [{ time, plusDays: Number(plusDays) || 0, end: match.index + text.length }] : [];
+  });
+}
+
+// IATA codes in parentheses ("Zurich Airport (ZRH)"), or a bare "ZRH–FCO" route
+function findAirports(line: string): string[] {
+  const quoted = [...line.matchAll(/\(([A-Z]{3})\)/g)].map(match => match[1]);
+  if (quoted.length > 0) return quoted;
+  const route = line.match(/^\s*([A-Z]{3})\s*(?:→|->|–|—|-|to)\s*([A-Z]{3})\b/);
+  return route ? [route[1], route[2]] : [];
+}
+
+function findFlights(line: string): { airline: string; flightNumber: string }[] {
+  const flights = [...line.matchAll(FLIGHT_CODE)]
+    .filter(match => !AIRCRAFT_MAKERS.test(line.slice(0, match.index + match[0].indexOf(match[1]))))
+    .map(match => ({ airline: match[1], flightNumber: match[2] }));
+  if (flights.length > 0) return flights;
+
+  // "ITA Airways 573", "SWISS 1072"
+  const named = line.trim().match(AIRLINE_NAME_FLIGHT);
+  const airline = named ? convertAirlineNameToIataCode(named[1]) : '';
+  return /^[A-Z0-9]{2}$/.test(airline) ? [{ airline, flightNumber: named[2] }] : [];
+}
+
+/** The booking total in lines of text, e.g. "Total: $1,024.40" → { price: '1024.40', currency: 'USD' } */
+export function findTotalPrice(lines: string[]): { price: string; currency: string } | null {
+  const symbols = Object.keys(CURRENCY_SYMBOL_MAP).map(symbol => `\\${symbol}`).join('');
+  const currency = `([${symbols}]|\\b(?:${PRICE_CURRENCY_CODES.join('|')})\\b)`;
+  const pattern = new RegExp(`${currency}\\s?(\\d[\\d.,]*\\d|\\d)|(\\d[\\d.,]*\\d|\\d)\\s?${currency}`);
+
+  // Prefer the total over per-segment or per-person amounts
+  const totalLine = new RegExp(vocabularyPattern('total'), 'i');
+  const ordered = [...lines.filter(line => totalLine.test(foldDiacritics(line))), ...lines];
+  for (const line of ordered) {
+    const match = line.match(pattern);
+    if (!match) continue;
+    const [symbolOrCode, raw] = match[1] ? [match[1], match[2]] : [match[4], match[3]];
+    const amount = parseLocalizedAmount(raw);
+    if (amount !== null && amount > 0) {
+      return { price: amount.toFixed(2), currency: CURRENCY_SYMBOL_MAP[symbolOrCode] ?? symbolOrCode };
+    }
+  }
+  return null;
+}
+
+/** First cabin named in the text as a travelClass value, e.g. "Premium Economy" → PREMIUM_ECONOMY */
+export function findTravelClass(text: string): string | null {
+  const match = text.match(/\b(premium economy|economy|business|first)\b/i);
+  return match ? match[1].toUpperCase().replace(' ', '_') : null;
+}
+
+function findPassengers(text: string) {
+  const count = (pattern: RegExp, fallback: number) => {
+    const match = text.match(pattern);
+    return match ? Number(match[1]) : fallback;
+  };
+  return {
+    adults: count(/\b(\d)\s+adults?\b/i, 1),
+    children: count(/\b(\d)\s+child(?:ren)?\b/i, 0),
+    infantsInSeat: 0,
+    infantsOnLap: count(/\b(\d)\s+infants?\b/i, 0)
+  };
+}
+
+interface SegmentDraft extends Partial<FlightSegment> {
+  plusDays: number;
+}
+
+interface LegSummary {
+  departureAirport?: string;
+  arrivalAirport?: string;
+  departureTime?: string;
+  arrivalTime?: string;
+  plusDays?: number;
+}
+
+// Walks the lines in order, filling one segment at a time. A value for a field
+// that is already set (a second flight number, a third airport) starts the next segment.
+class ItineraryScanner {
+  readonly legs: TripLeg[] = [];
+  sawLegHeader = false;
+  private segments: FlightSegment[] = [];
+  private draft: SegmentDraft = { plusDays: 0 };
+  private summary: LegSummary = {};
+  private pendingTime: TimeMatch | null = null;
+  private date: string | null = null;
+  private dateIsExplicit = false;
+
+  constructor(private readonly layout: PasteLayout, private readonly now: Date) {}
+
+  scan(lines: string[]): void {
+    for (const line of lines) {
+      this.scanLine(line);
+    }
+    this.closeLeg();
+  }
+
+  private scanLine(line: string): void {
+    if (SKIPPED_LINE.test(line)) return;
+    const times = findTimes(line);
+    const airports = findAirports(line);
+    const date = findDate(line, this.now);
+
+    const header = this.layout.legHeader ?? DEFAULT_LEG_HEADER;
+    if (header.test(foldDiacritics(line)) && (this.layout.legHeader || times.length === 0)) {
+      this.closeLeg();
+      this.sawLegHeader = true;
+      if (airports.length === 2) {
+        [this.summary.departureAirport, this.summary.arrivalAirport] = airports;
+      }
+      if (date) this.setDate(date);
+      return;
+    }
+
+    if (this.layout.legSummary?.test(line) && times.length === 2) {
+      Object.assign(this.summary, { departureTime: times[0].time, arrivalTime: times[1].time, plusDays: times[1].plusDays });
+      return;
+    }
+
+    if (/^arriv(?:es|al)\b/i.test(line) && date && times.length === 0 && this.date) {
+      this.draft.plusDays = Math.round((Date.parse(date) - Date.parse(this.draft.departureDate ?? this.date)) / 86400000);
+      return;
+    }
+
+    if (date) {
+      if (this.isComplete()) this.closeSegment();
+      this.setDate(date);
+    }
+
+    if (times.length >= 2) {
+      this.setStop('departure', { time: times[0].time });
+      this.setStop('arrival', { time: times[1].time, plusDays: times[1].plusDays });
+    } else if (times.length === 1) {
+      const [time] = times;
+      const airport = airports[0] ?? line.slice(time.end).match(/^\s*(?:[·•|-]\s*)?([A-Z]{3})\b/)?.[1];
+      if (airport) {
+        this.addStop(time, airport);
+      } else if (/arriv/i.test(line)) {
+        this.setStop('arrival', { time: time.time, plusDays: time.plusDays });
+      } else {
+        this.pendingTime = time;
+      }
+    } else if (airports.length === 2) {
+      this.setStop('departure', { airport: airports[0] });
+      this.setStop('arrival', { airport: airports[1] });
+    } else if (airports.length === 1 && this.pendingTime) {
+      this.addStop(this.pendingTime, airports[0]);
+    }
+
+    for (const flight of findFlights(line)) {
+      if (this.draft.flightNumber) this.closeSegment();
+      Object.assign(this.draft, flight);
+    }
+  }
+
+  private setDate(date: string): void {
+    this.date = date;
+    this.dateIsExplicit = true;
+  }
+
+  // A time and airport pair: the departure first, then the arrival
+  private addStop(time: TimeMatch, airport: string): void {
+    this.pendingTime = null;
+    const hasDeparture = this.draft.departureTime || this.draft.departureAirport;
+    const hasArrival = this.draft.arrivalTime || this.draft.arrivalAirport;
+    if (hasDeparture && hasArrival) this.closeSegment();
+    this.setStop(hasDeparture && !hasArrival ? 'arrival' : 'departure', { time: time.time, airport, plusDays: time.plusDays });
+  }
+
+  private setStop(kind: 'departure' | 'arrival', { time, airport, plusDays }: { time?: string; airport?: string; plusDays?: number }): void {
+    const timeKey = kind === 'departure' ? 'departureTime' : 'arrivalTime';
+    const airportKey = kind === 'departure' ? 'departureAirport' : 'arrivalAirport';
+    if ((time && this.draft[timeKey]) || (airport && this.draft[airportKey])) {
+      this.closeSegment();
+    }
+    if (time) this.draft[timeKey] = time;
+    if (airport) this.draft[airportKey] = airport;
+    if (kind === 'arrival' && plusDays) this.draft.plusDays = plusDays;
+  }
+
+  private isComplete(): boolean {
+    const { airline, flightNumber, departureAirport, arrivalAirport, departureTime, arrivalTime } = this.draft;
+    return Boolean(airline && flightNumber && departureAirport && arrivalAirport && departureTime && arrivalTime);
+  }
+
+  private closeSegment(): void {
+    const draft = this.draft;
+    this.draft = { plusDays: 0 };
+    if (!draft.flightNumber && !draft.departureTime && !draft.departureAirport) return;
+
+    // Without a new date, a connection leaving before the previous flight landed is on the next day
+    const previous = this.segments[this.segments.length - 1];
+    if (previous && !this.dateIsExplicit && this.date && draft.departureTime && draft.departureTime < previous.arrivalTime) {
+      this.date = addDays(this.date, 1);
+    }
+
+    const segment = { ...draft, departureDate: draft.departureDate ?? this.date ?? undefined } as FlightSegment;
+    this.segments.push(segment);
+    // The next flight leaves on the day this one lands unless a new date follows
+    if (this.date) this.date = addDays(this.date, segment.plusDays);
+    this.dateIsExplicit = false;
+  }
+
+  private closeLeg(): void {
+    this.closeSegment();
+    if (this.segments.length === 1) {
+      // A nonstop leg may only be described by its overview lines
+      const [segment] = this.segments;
+      for (const [key, value] of Object.entries(this.summary)) {
+        if (segment[key] === undefined || (key === 'plusDays' && !segment.plusDays)) segment[key] = value;
+      }
+    }
+    if (this.segments.length > 0) {
+      this.legs.push({ segments: this.segments });
+    }
+    this.segments = [];
+    this.summary = {};
+    this.pendingTime = null;
+  }
+}
+
+/**
+ * Parses an itinerary pasted from one of the PASTE_LAYOUTS. Returns null when
+ * the text matches no layout or holds no flights. Missing details (often the
+ * price) are listed in missingFields rather than guessed.
+ */
+export function parsePastedItinerary(text: string, now: Date = new Date()): PastedItinerary | null {
+  const layout = text ? detectPasteLayout(text) : null;
+  if (!layout) {
+    return null;
+  }
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const scanner = new ItineraryScanner(layout, now);
+  scanner.scan(lines);
+  if (scanner.legs.length === 0) {
+    console.error(`📋 Pasted ${layout.name} itinerary: no flights recognised`);
+    return null;
+  }
+
+  // Without leg headers the legs are told apart by airports and stopovers
+  const legs = scanner.sawLegHeader ? scanner.legs : splitRoundTripLegs([{ segments: scanner.legs.flatMap(leg => leg.segments) }]);
+  const price = findTotalPrice(lines);
+  const candidate = {
+    trip: { legs, travelClass: findTravelClass(text) ?? 'ECONOMY', ...findPassengers(text) },
+    source: layout.source,
+    price: price?.price ?? null,
+    currency: price?.currency ?? null,
+    location: 'ZZ'
+  };
+
+  const result = parsedFlightRequestSchema.safeParse(candidate);
+  const missingFields = result.success ? [] : missingFieldsFromIssues(result.error.issues);
+  console.error(`📋 Pasted ${layout.name} itinerary: ${legs.length} leg(s)${missingFields.length ? `, missing ${missingFields.join(', ')}` : ''}`);
+
+  return {
+    layout: layout.name,
+    flightData: (result.success ? result.data : candidate) as FlightSearchRequest,
+    missingFields
+  };
+}
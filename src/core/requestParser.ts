@@ -0,0 +1,334 @@
+// Natural language flight request parsing: GDS displays and pasted booking-site
+// itineraries first, then the configured LLM (Gemini by default), deterministic regex fallback last.
+import { getMetroArea, resolveAirportCode } from './airports.js';
+import { resolveDate } from './dateResolver.js';
+import { parseTimeTo24Hour } from './dates.js';
+import { FLIGHT_REQUEST_RESPONSE_SCHEMA, missingFieldsFromIssues, parsedFlightRequestSchema } from './flightRequestSchema.js';
+import { parseGdsItinerary } from './gdsItinerary.js';
+import { foldDiacritics, legHeaderPattern, parseLocalizedAmount, vocabularyPattern } from './languages.js';
+import { generateJson, getLlmProvider } from './llm.js';
+import { CURRENCY_SYMBOL_MAP, parsePastedItinerary } from './pastedItinerary.js';
+import type { FlightSearchRequest, FlightSegment, ParseFlightRequestResult, TripLeg } from './types.js';
+
+// "Best price: €1,234.50", "Miglior prezzo: 1.234,50 €", "Preis 221 CHF"
+const PRICE_AMOUNT = "(\\d{1,3}(?:[ '’\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d[\\d.,]*\\d|\\d)";
+const BEST_PRICE = new RegExp(`\\b(?:${vocabularyPattern('priceLabels')})\\s*:?\\s*([^\\d\\s]{0,3})\\s*${PRICE_AMOUNT}(?:\\s*([^\\d\\s.,;:]{1,3}))?`, 'i');
+
+// Leg markers: "Outbound itinerary:", "Return itinerary:", "Andata:", "Rückflug"
+const OUTBOUND_MARKER = new RegExp(legHeaderPattern('outbound'), 'i');
+const RETURN_MARKER = new RegExp(legHeaderPattern('return'), 'i');
+
+export function parseBestPriceFromText(text: string | null | undefined): { amount: number; currency: string } | null {
+  if (!text) return null;
+  const priceMatch = foldDiacritics(text).match(BEST_PRICE);
+  if (!priceMatch) {
+    return null;
+  }
+  const [, before, amountRaw, after] = priceMatch;
+  const numeric = parseLocalizedAmount(amountRaw);
+  if (numeric === null) {
+    return null;
+  }
+  // The currency symbol or code may come before or after the amount
+  let currency = null;
+  for (const marker of [before, after].map(value => value?.trim() ?? '')) {
+    currency = CURRENCY_SYMBOL_MAP[marker] ?? (/^[A-Z]{3}$/.test(marker) ? marker : null);
+    if (currency) break;
+  }
+  return {
+    amount: numeric,
+    currency: currency ?? 'EUR',
+  };
+}
+
+// "ZRH", "ZRH (Zurich)", "Zurich" or "Rome Fiumicino" → IATA code. Codes missing from
+// the airport dataset are kept for sanitizeSubmitArgs to report; cities with several airports are skipped.
+function airportFromText(text: string): string | null {
+  const code = resolveAirportCode(text) ?? text.match(/^([A-Z]{3})(?:\s*\(|$)/i)?.[1].toUpperCase() ?? null;
+  return code && !getMetroArea(code) ? code : null;
+}
+
+export function fallbackParseSegments(userRequest: string): TripLeg[] | null {
+  const lines = userRequest.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    console.error('🛟 Fallback parser: no lines detected in user request');
+    return null;
+  }
+
+  const legSegments = [];
+  let currentLegIndex = 0;
+
+  const segmentRegex = /Flight\s+([A-Z0-9]+)\s+from\s+(.+?)\s+to\s+(.+?)\s+departing\s+(.+?),?\s+(?:at\s+)?([0-9]{1,2}[:.][0-9]{2}(?:\s*[AP]M)?)\s+and\s+arriving\s+(?:(.+?),?\s+(?:at\s+)?)?([0-9]{1,2}[:.][0-9]{2}(?:\s*[AP]M)?)/i;
+
+  lines.forEach(line => {
+    const segmentMatch = line.match(segmentRegex);
+    if (!segmentMatch) {
+      // Leg headers switch legs: "Return itinerary:", "Ritorno:", "Vuelo de vuelta"
+      const folded = foldDiacritics(line);
+      if (RETURN_MARKER.test(folded)) {
+        currentLegIndex = 1;
+      } else if (OUTBOUND_MARKER.test(folded)) {
+        currentLegIndex = 0;
+      }
+      return;
+    }
+
+    const [, fullFlight, departureText, arrivalText, departureDateStr, departureTimeStr, arrivalDateStr, arrivalTimeStr] = segmentMatch;
+
+    const airlineMatch = fullFlight.match(/^([A-Z]{1,3})(\d{1,4})$/i);
+    const departureAirport = airportFromText(departureText);
+    const arrivalAirport = airportFromText(arrivalText);
+    if (!airlineMatch || !departureAirport || !arrivalAirport) {
+      return;
+    }
+    const airlineCode = airlineMatch[1].toUpperCase();
+    const flightNumber = airlineMatch[2];
+
+    // Dates may be relative ("tomorrow", "next Friday"); the arrival date defaults to the departure date
+    const departureDateIso = resolveDate(departureDateStr);
+    const arrivalDateIso = arrivalDateStr ? resolveDate(arrivalDateStr) : departureDateIso;
+    const departureTime = parseTimeTo24Hour(departureTimeStr.replace('.', ':'));
+    const arrivalTime = parseTimeTo24Hour(arrivalTimeStr.replace('.', ':'));
+
+    if (!departureDateIso || !arrivalDateIso || !departureTime || !arrivalTime) {
+      return;
+    }
+
+    const depDateObj = new Date(`${departureDateIso}T00:00:00Z`);
+    const arrDateObj = new Date(`${arrivalDateIso}T00:00:00Z`);
+    const plusDays = Math.max(0, Math.round((arrDateObj.getTime() - depDateObj.getTime()) / (24 * 60 * 60 * 1000)));
+
+    if (!legSegments[currentLegIndex]) {
+      legSegments[currentLegIndex] = [];
+    }
+
+    legSegments[currentLegIndex].push({
+      airline: airlineCode,
+      flightNumber,
+      departureAirport,
+      arrivalAirport,
+      departureDate: departureDateIso,
+      departureTime,
+      arrivalTime,
+      plusDays,
+    });
+  });
+
+  const legs = legSegments.filter(segments => Array.isArray(segments) && segments.length > 0).map(segments => ({ segments }));
+
+  if (legs.length === 0) {
+    console.error('🛟 Fallback parser: no flight segments matched regex pattern');
+    return null;
+  }
+
+  console.error(`🛟 Fallback parser: extracted ${legs.length} leg(s)`);
+  return legs;
+}
+
+export function fallbackParseFlightRequest(userRequest: string): ParseFlightRequestResult | null {
+  const legs = fallbackParseSegments(userRequest);
+  if (!legs) {
+    console.error('🛟 Fallback parser: unable to extract any legs from request');
+    return null;
+  }
+
+  const priceInfo = parseBestPriceFromText(userRequest);
+  if (priceInfo) {
+    console.error(`🛟 Fallback parser: detected price ${priceInfo.amount} ${priceInfo.currency}`);
+  } else {
+    console.error('🛟 Fallback parser: no explicit price detected; defaulting to 0.00 EUR');
+  }
+  const priceAmount = priceInfo?.amount ?? null;
+  const currency = priceInfo?.currency ?? 'EUR';
+  const formattedPrice = priceAmount !== null ? priceAmount.toFixed(2) : null;
+
+  const flightData = {
+    trip: {
+      legs,
+      travelClass: 'ECONOMY',
+      adults: 1,
+      children: 0,
+      infantsInSeat: 0,
+      infantsOnLap: 0,
+    },
+    source: 'MCP',
+    price: formattedPrice ?? '0.00',
+    currency,
+    location: 'ZZ',
+  };
+
+  const missingFields = [];
+  legs.forEach((leg, legIndex) => {
+    leg.segments.forEach((segment, segmentIndex) => {
+      if (!segment.airline) missingFields.push(`airline code for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.flightNumber) missingFields.push(`flight number for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.departureAirport) missingFields.push(`departure airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.arrivalAirport) missingFields.push(`arrival airport for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.departureDate) missingFields.push(`departure date for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.departureTime) missingFields.push(`departure time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+      if (!segment.arrivalTime) missingFields.push(`arrival time for leg ${legIndex + 1}, segment ${segmentIndex + 1}`);
+    });
+  });
+
+  if (missingFields.length > 0) {
+    console.error('🛟 Fallback parser: missing fields identified:', missingFields);
+    return {
+      needsMoreInfo: true,
+      message: `I extracted some flight details, but I still need: ${missingFields.join(', ')}.`,
+      missingFields,
+      flightData,
+    };
+  }
+
+  console.error('🛟 Fallback parser: successfully extracted complete flight data');
+  return {
+    needsMoreInfo: false,
+    flightData,
+  };
+}
+
+// Asks for the first few missing details by name
+function missingFieldsQuestion(missingFields: string[]): string {
+  let question = "I need a bit more information to search for your flight. ";
+  if (missingFields.length === 1) {
+    question += `Could you please provide: ${missingFields[0]}?`;
+  } else if (missingFields.length <= 3) {
+    question += `Could you please provide: ${missingFields.slice(0, -1).join(', ')} and ${missingFields[missingFields.length - 1]}?`;
+  } else {
+    question += `Could you please provide more details about your flight? I'm missing: ${missingFields.slice(0, 3).join(', ')} and ${missingFields.length - 3} other details.`;
+  }
+  return question;
+}
+
+/**
+ * Validates an LLM response against the flight_pricecheck contract. Fields
+ * that are missing or malformed (e.g. "6pm" as a time) are reported one by one
+ * in missingFields; the partial data is returned alongside them.
+ * Throws when the response is not a JSON object at all.
+ */
+export function validateLlmFlightRequest(response: unknown): ParseFlightRequestResult {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    throw new Error('LLM response is not a JSON object');
+  }
+  const { needsMoreInfo, message, missingFields: reportedFields, ...flightData } = response as Record<string, any>;
+
+  const result = parsedFlightRequestSchema.safeParse(flightData);
+  const validationFields = result.success ? [] : missingFieldsFromIssues(result.error.issues);
+
+  if (needsMoreInfo === true) {
+    const reported = Array.isArray(reportedFields) ? reportedFields.filter(field => typeof field === 'string') : [];
+    const missingFields = reported.length > 0 ? reported : validationFields;
+    return {
+      needsMoreInfo: true,
+      message: typeof message === 'string' && message ? message : missingFieldsQuestion(missingFields),
+      missingFields
+    };
+  }
+
+  if (!result.success) {
+    console.error('⚠️ LLM response failed validation:', validationFields);
+    return {
+      needsMoreInfo: true,
+      message: missingFieldsQuestion(validationFields),
+      missingFields: validationFields,
+      flightData: flightData as FlightSearchRequest
+    };
+  }
+
+  return {
+    needsMoreInfo: false,
+    flightData: result.data as FlightSearchRequest
+  };
+}
+
+export async function parseFlightRequest(userRequest: string): Promise<ParseFlightRequestResult> {
+  // Complete GDS displays and pastes from known layouts need no LLM call
+  const pasted = parseGdsItinerary(userRequest) ?? parsePastedItinerary(userRequest);
+  if (pasted && pasted.missingFields.length === 0) {
+    return { needsMoreInfo: false, flightData: pasted.flightData, layout: pasted.layout };
+  }
+
+  try {
+    const llm = getLlmProvider();
+    const configurationError = llm.configurationError();
+    if (configurationError) {
+      throw new Error(configurationError);
+    }
+
+    console.error(`🔍 Starting ${llm.label} request (${llm.model})...`);
+    console.error('📝 User request:', userRequest.substring(0, 200) + '...');
+    
+    // Get current date context dynamically
+    const currentYear = new Date().getFullYear();
+    const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    const prompt = `Analyze this flight request: "${userRequest}"
+
+First, identify what flight information the user HAS provided and what is MISSING.
+
+CRITICAL REQUIREMENTS:
+1. AIRLINE: Use the 2 letter IATA airline code (e.g., "AZ", "LH", "BA", "AF"), NOT the airline name (e.g., NOT "ITA Airways", "Lufthansa", "British Airways"). If only the airline name is provided, convert it to its IATA code.
+2. DATES: Use the CURRENT YEAR (${currentYear}) for dates unless explicitly specified otherwise. If a date appears to be in the past (e.g., 2014, 2023), convert it to ${currentYear} or the appropriate future year. For dates without a year, if month/day >= today (${currentDate}), use ${currentYear}; if earlier, use ${currentYear + 1}. Dates must be in YYYY-MM-DD format.
+3. TIMES: Convert times like "6:40 PM" or "6.40pm" to 24-hour format "HH:MM:SS" (e.g., "18:40:00"). Always respect AM/PM indicators:
+   - 1:55 PM → 13:55:00 (add 12 hours)
+   - 10:45 PM → 22:45:00 (add 12 hours)
+   - 1:55 AM → 01:55:00 (keep same)
+   - 12:00 PM → 12:00:00 (noon)
+   - 12:00 AM → 00:00:00 (midnight)
+4. TRIP TYPE: One-way trips are supported. If the user only describes outbound flights, return a single leg and do NOT ask for a return flight. Only add a second leg when the user describes a return flight.
+
+Return JSON with this structure. If the user has provided complete flight information (airline code, flight number, airports, dates, times, price and currency), set "needsMoreInfo" to false:
+{
+  "needsMoreInfo": false,
+  "trip": {
+    "legs": [{"segments": [{"airline": "XX", "flightNumber": "123", "departureAirport": "XXX", "arrivalAirport": "XXX", "departureDate": "YYYY-MM-DD", "departureTime": "HH:MM:SS", "arrivalTime": "HH:MM:SS", "plusDays": 0}]}],
+    "travelClass": "ECONOMY",
+    "adults": 1,
+    "children": 0,
+    "infantsInSeat": 0,
+    "infantsOnLap": 0
+  },
+  "source": "MCP",
+  "price": "100.00",
+  "currency": "EUR",
+  "location": "IT"
+}
+
+If the user has NOT provided complete information, fill in what they provided, use null for anything they did not say (never invent values), and set:
+"needsMoreInfo": true, "message": "I can see you want to [what they provided]. To complete your flight search, I need: [only the specific missing information].", "missingFields": ["..."]
+
+Return ONLY JSON.`;
+
+    const response = await generateJson(llm, {
+      parts: [{ text: prompt }],
+      timeoutMs: 45000,
+      responseSchema: { name: 'flight_pricecheck_request', schema: FLIGHT_REQUEST_RESPONSE_SCHEMA }
+    });
+    return validateLlmFlightRequest(response);
+
+  } catch (error) {
+    console.error('❌ Error parsing flight request with the LLM:', error);
+
+    const fallbackResult = fallbackParseFlightRequest(userRequest);
+    if (fallbackResult) {
+      console.error('🛟 Using fallback parser result:', JSON.stringify(fallbackResult, null, 2));
+      return fallbackResult;
+    }
+
+    if (pasted) {
+      return {
+        needsMoreInfo: true,
+        message: missingFieldsQuestion(pasted.missingFields),
+        missingFields: pasted.missingFields,
+        flightData: pasted.flightData,
+        layout: pasted.layout
+      };
+    }
+
+    return {
+      needsMoreInfo: true,
+      message: `I encountered an error parsing your request. Please provide: departure airport, arrival airport, departure date, departure time, arrival time, airline code, flight number. For round trips, also include the return date, return departure time and return arrival time.`,
+      missingFields: ['departure airport', 'arrival airport', 'departure date', 'departure time', 'arrival time', 'airline code', 'flight number']
+    };
+  }
+}
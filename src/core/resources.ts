@@ -0,0 +1,49 @@
+// MCP resources served by both transports: the HTML widget that ChatGPT
+// loads for tools whose results carry `openai/outputTemplate`.
+import { FLIGHT_RESULTS_HTML } from './flightResultsWidget.js';
+
+export const FLIGHT_RESULTS_WIDGET_URI = 'ui://widget/flight-results.html';
+
+// OpenAI Apps SDK widgets must be served with this MIME type
+export const WIDGET_MIME_TYPE = 'text/html+skybridge';
+
+export const flightResultsWidgetMeta = {
+  'openai/widgetDescription': 'Ranked flight prices from booking sites, with the savings versus the price the user already found and links to book.',
+  'openai/widgetCSP': {
+    connect_domains: [],
+    resource_domains: []
+  },
+  'openai/widgetPrefersBorder': true
+};
+
+export const flightResultsWidgetResource = {
+  uri: FLIGHT_RESULTS_WIDGET_URI,
+  name: 'flight-results-widget',
+  title: 'Flight price results',
+  description: 'Interactive widget that renders flight price comparison results',
+  mimeType: WIDGET_MIME_TYPE,
+  _meta: flightResultsWidgetMeta
+};
+
+// Resources advertised by resources/list on both transports
+export const RESOURCES = [
+  flightResultsWidgetResource
+];
+
+// Contents returned by resources/read; throws for unknown URIs
+export function readResource(uri: string) {
+  if (uri !== FLIGHT_RESULTS_WIDGET_URI) {
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  return {
+    contents: [
+      {
+        uri: FLIGHT_RESULTS_WIDGET_URI,
+        mimeType: WIDGET_MIME_TYPE,
+        text: FLIGHT_RESULTS_HTML,
+        _meta: flightResultsWidgetMeta
+      }
+    ]
+  };
+}
@@ -0,0 +1,139 @@
+// Ranking, filtering and de-duplication of the offers returned by a search, so
+// tool output only lists the offers the user asked for. Prices are compared in
+// the reference currency when the offers were normalized (see currency.ts).
+import { matchAirline } from './airlines.js';
+
+export const SORT_ORDERS = ['price', 'savings', 'trust'] as const;
+export type SortOrder = typeof SORT_ORDERS[number];
+
+export interface ResultOptions {
+  /** price: cheapest first; savings: largest saving first; trust: most trusted site first, then cheapest */
+  sortBy?: SortOrder;
+  /** Highest price to keep, in the reference currency */
+  maxPrice?: number;
+  /** Drop special (private) fares, which often come with booking restrictions */
+  standardFaresOnly?: boolean;
+  /** Only keep these booking sites ("Expedia", "kiwi") */
+  includeSites?: string[];
+  /** Drop these booking sites */
+  excludeSites?: string[];
+  /** Keep only the cheapest offer of each booking site (default true) */
+  dedupe?: boolean;
+  /** Number of offers to return */
+  limit?: number;
+}
+
+// Trust scores: 3 for airlines selling direct, 2 for established agencies, 1 for other sites
+const ESTABLISHED_AGENCIES = ['bookingcom', 'edreams', 'expedia', 'lastminute', 'opodo', 'orbitz', 'priceline', 'tripcom', 'travelocity'];
+
+// Lowest confidence at which a booking site counts as an airline selling direct
+const MIN_AIRLINE_CONFIDENCE = 0.8;
+
+const isAmount = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+// "Booking.com" and "booking com" → "bookingcom"
+const siteKey = (site: unknown) => String(site ?? '').toLowerCase().replace(/^www\./, '').replace(/[^a-z0-9]/g, '');
+
+// Price in the reference currency when the offers were normalized, otherwise as listed
+const offerPrice = (offer: any): number | null => {
+  const amount = 'normalizedAmount' in offer ? offer.normalizedAmount : offer.amount;
+  return isAmount(amount) ? amount : null;
+};
+
+// Ascending order with missing values last
+const compareNullable = (a: number | null, b: number | null) => a === null || b === null ? Number(a === null) - Number(b === null) : a - b;
+
+const matchesSite = (offer: any, sites: string[]) => {
+  const key = siteKey(offer.website);
+  return key !== '' && sites.some(site => key.includes(siteKey(site)));
+};
+
+/** 3 for an airline selling direct, 2 for an established agency, 1 for any other booking site. */
+export function providerTrust(website: string | null | undefined): number {
+  const key = siteKey(website);
+  if (!key) return 1;
+  if (/airline|direct/i.test(website) || (matchAirline(website)?.confidence ?? 0) >= MIN_AIRLINE_CONFIDENCE) return 3;
+  return ESTABLISHED_AGENCIES.some(agency => key.includes(agency)) ? 2 : 1;
+}
+
+function siteList(value: unknown, name: string): string[] | undefined {
+  if (value === undefined || value === null) return undefined;
+  const sites = (Array.isArray(value) ? value : String(value).split(',')).map(site => String(site).trim()).filter(site => siteKey(site) !== '');
+  if (sites.length === 0) throw new Error(`${name} must list at least one booking site, e.g. ["Expedia", "Kiwi.com"].`);
+  return sites;
+}
+
+/**
+ * Result options from tool arguments (sortBy, maxPrice, standardFaresOnly,
+ * includeSites, excludeSites, dedupe, limit). Throws a user-facing error for an
+ * invalid value.
+ */
+export function resultOptionsFromArgs(args: any): ResultOptions {
+  const options: ResultOptions = {};
+  if (args?.sortBy !== undefined && args.sortBy !== null) {
+    const sortBy = String(args.sortBy).trim().toLowerCase();
+    if (!(SORT_ORDERS as readonly string[]).includes(sortBy)) {
+      throw new Error(`sortBy must be one of ${SORT_ORDERS.join(', ')} (got "${args.sortBy}").`);
+    }
+    options.sortBy = sortBy as SortOrder;
+  }
+  if (args?.maxPrice !== undefined && args.maxPrice !== null) {
+    const maxPrice = Number(args.maxPrice);
+    if (!Number.isFinite(maxPrice) || maxPrice <= 0) throw new Error(`maxPrice must be a positive amount (got "${args.maxPrice}").`);
+    options.maxPrice = maxPrice;
+  }
+  if (args?.limit !== undefined && args.limit !== null) {
+    const limit = Number(args.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`limit must be a whole number of at least 1 (got "${args.limit}").`);
+    options.limit = limit;
+  }
+  if (typeof args?.standardFaresOnly === 'boolean') options.standardFaresOnly = args.standardFaresOnly;
+  if (typeof args?.dedupe === 'boolean') options.dedupe = args.dedupe;
+  const includeSites = siteList(args?.includeSites, 'includeSites');
+  const excludeSites = siteList(args?.excludeSites, 'excludeSites');
+  if (includeSites) options.includeSites = includeSites;
+  if (excludeSites) options.excludeSites = excludeSites;
+  return options;
+}
+
+/**
+ * Offers left after the filters, keeping only the cheapest offer of each booking
+ * site unless dedupe is false. Offers without a price are dropped by maxPrice.
+ */
+export function filterOffers(results: any[], options: ResultOptions = {}): any[] {
+  const { maxPrice, standardFaresOnly, includeSites, excludeSites, dedupe = true } = options;
+  const filtered = results.filter(offer => {
+    const price = offerPrice(offer);
+    if (maxPrice !== undefined && (price === null || price > maxPrice)) return false;
+    if (standardFaresOnly && offer.fareType === 'Special Fare') return false;
+    if (includeSites && !matchesSite(offer, includeSites)) return false;
+    return !(excludeSites && matchesSite(offer, excludeSites));
+  });
+  if (!dedupe) return filtered;
+
+  // Offers without a site name cannot be told apart, so they are all kept
+  const cheapest = new Map<string, any>();
+  for (const offer of filtered) {
+    const key = siteKey(offer.website);
+    const kept = cheapest.get(key);
+    if (!kept || compareNullable(offerPrice(offer), offerPrice(kept)) < 0) cheapest.set(key, offer);
+  }
+  return filtered.filter(offer => !siteKey(offer.website) || cheapest.get(siteKey(offer.website)) === offer);
+}
+
+/** Offers sorted by sortBy (default price), cut to limit, with trustScore and a fresh rank. */
+export function rankOffers(results: any[], options: ResultOptions = {}): any[] {
+  const { sortBy = 'price', limit } = options;
+  const scored = results.map(offer => ({ ...offer, trustScore: providerTrust(offer.website) }));
+  const byPrice = (a: any, b: any) => compareNullable(offerPrice(a), offerPrice(b));
+  const compare = {
+    price: byPrice,
+    savings: (a: any, b: any) => compareNullable(isAmount(a.savingsAmount) ? -a.savingsAmount : null, isAmount(b.savingsAmount) ? -b.savingsAmount : null) || byPrice(a, b),
+    trust: (a: any, b: any) => b.trustScore - a.trustScore || byPrice(a, b)
+  }[sortBy];
+
+  return scored
+    .sort(compare)
+    .slice(0, limit ?? scored.length)
+    .map((offer, index) => ({ ...offer, rank: index + 1 }));
+}
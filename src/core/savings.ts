@@ -0,0 +1,92 @@
+// Savings of the offers found against the price the user submitted (the
+// reference). Offers in another currency are compared through their normalized
+// price (see normalizeOffers in currency.ts), or the converted price the backend
+// returns when it is in the reference currency.
+import { Money, formatMoney, roundToMinorUnits } from './currency.js';
+
+export type SavingsVerdict = 'CHEAPER_FOUND' | 'WITHIN_MARGIN' | 'YOUR_PRICE_IS_BEST';
+
+// Savings below this share of the reference price are "within X%" rather than a better deal
+export const SAVINGS_MARGIN_PERCENT = 2;
+
+export interface SavingsAnalysis {
+  referencePrice: Money;
+  /** Cheapest offer comparable with the reference, or null when there is none */
+  bestPrice: (Money & { website: string | null }) | null;
+  /** Reference minus the best price: negative when every offer costs more */
+  savingsAmount: number | null;
+  savingsPercent: number | null;
+  /** Null when no offer could be compared */
+  verdict: SavingsVerdict | null;
+  summary: string;
+}
+
+const round = (value: number, decimals: number) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const isAmount = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+// Price of a result in the reference currency, or null when it cannot be compared
+function comparablePrice(result: any, currency: string): Money | null {
+  if (isAmount(result?.normalizedAmount) && result.normalizedCurrency === currency) return { amount: result.normalizedAmount, currency };
+  if (isAmount(result?.amount) && result.currency === currency) return { amount: result.amount, currency };
+  if (isAmount(result?.convertedAmount) && result.convertedCurrency === currency) return { amount: result.convertedAmount, currency };
+  return null;
+}
+
+function summarise(reference: Money, best: SavingsAnalysis['bestPrice'], savingsAmount: number, savingsPercent: number, verdict: SavingsVerdict): string {
+  const offer = `the cheapest offer (${best.website ?? 'unknown site'}, ${formatMoney(best)})`;
+  const difference = `${formatMoney({ amount: Math.abs(savingsAmount), currency: reference.currency })} (${Math.abs(savingsPercent)}%)`;
+  switch (verdict) {
+    case 'CHEAPER_FOUND':
+      return `Cheaper price found: ${best.website ?? 'an offer'} at ${formatMoney(best)} saves ${difference} on your ${formatMoney(reference)}.`;
+    case 'WITHIN_MARGIN':
+      return `Within ${SAVINGS_MARGIN_PERCENT}% of your price: ${offer} is only ${difference} below your ${formatMoney(reference)}.`;
+    default:
+      return savingsAmount === 0
+        ? `Your price is best: ${offer} matches your ${formatMoney(reference)}.`
+        : `Your price is best: ${offer} costs ${difference} more than your ${formatMoney(reference)}.`;
+  }
+}
+
+/**
+ * Adds savingsAmount and savingsPercent (positive when cheaper than the reference,
+ * null when not comparable) to each result, and sums up the cheapest offer with a
+ * verdict. Savings is null when the reference price itself is not a positive amount.
+ */
+export function analyzeSavings(results: any[], reference: Money): { results: any[]; savings: SavingsAnalysis | null } {
+  if (!isAmount(reference.amount) || reference.amount <= 0 || !reference.currency) return { results, savings: null };
+
+  let best: SavingsAnalysis['bestPrice'] = null;
+  const analyzed = results.map(result => {
+    const price = comparablePrice(result, reference.currency);
+    if (!price) return { ...result, savingsAmount: null, savingsPercent: null };
+    if (!best || price.amount < best.amount) best = { ...price, website: result.website ?? null };
+    const savingsAmount = roundToMinorUnits(reference.amount - price.amount, reference.currency);
+    return { ...result, savingsAmount, savingsPercent: round(savingsAmount / reference.amount * 100, 1) };
+  });
+
+  if (!best) {
+    const summary = results.length === 0
+      ? `No offers to compare with your price of ${formatMoney(reference)} yet.`
+      : `None of the offers is priced in ${reference.currency}, so they could not be compared with your price.`;
+    return { results: analyzed, savings: { referencePrice: reference, bestPrice: null, savingsAmount: null, savingsPercent: null, verdict: null, summary } };
+  }
+
+  const savingsAmount = roundToMinorUnits(reference.amount - best.amount, reference.currency);
+  const savingsPercent = round(savingsAmount / reference.amount * 100, 1);
+  const verdict: SavingsVerdict = savingsAmount <= 0
+    ? 'YOUR_PRICE_IS_BEST'
+    : savingsPercent < SAVINGS_MARGIN_PERCENT ? 'WITHIN_MARGIN' : 'CHEAPER_FOUND';
+
+  return {
+    results: analyzed,
+    savings: {
+      referencePrice: reference,
+      bestPrice: best,
+      savingsAmount,
+      savingsPercent,
+      verdict,
+      summary: summarise(reference, best, savingsAmount, savingsPercent, verdict)
+    }
+  };
+}
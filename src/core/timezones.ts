@@ -0,0 +1,56 @@
+// Airport time zones and wall-clock conversions. Flight times are local to each
+// airport, so converting between them needs the IANA zone of both ends.
+import { AIRPORTS } from './airports.js';
+
+// IANA time zone per IATA airport code
+export const AIRPORT_TIMEZONES: Record<string, string> = Object.fromEntries(AIRPORTS.map(airport => [airport.iata, airport.timeZone]));
+
+/** IANA time zone of an airport, or null when the airport is not in the table. */
+export function airportTimeZone(code: string | null | undefined): string | null {
+  return (code && AIRPORT_TIMEZONES[code.trim().toUpperCase()]) || null;
+}
+
+export function isValidTimeZone(zone: string | null | undefined): boolean {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Wall-clock date ("2026-12-12") and time ("10:00:00") of an instant in a time zone. */
+export function toZonedDateTime(instant: Date, zone: string): { date: string; time: string } {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}:${parts.second}` };
+}
+
+// Offset of the zone from UTC at an instant, in milliseconds
+function zoneOffset(instant: number, zone: string): number {
+  const { date, time } = toZonedDateTime(new Date(instant), zone);
+  return Date.parse(`${date}T${time}Z`) - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock date and time in a time zone. Times skipped by a DST
+ * change resolve forward; repeated times resolve to the first occurrence.
+ */
+export function fromZonedDateTime(date: string, time: string, zone: string): Date {
+  const wallClock = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  // The offsets a day before and after cover both sides of any DST change
+  const offsetBefore = zoneOffset(wallClock - 86400000, zone);
+  const offsetAfter = zoneOffset(wallClock + 86400000, zone);
+  const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant, index) => zoneOffset(instant, zone) === [offsetBefore, offsetAfter][index]);
+  return new Date(candidates.length > 0 ? Math.min(...candidates) : wallClock - offsetBefore);
+}
@@ -0,0 +1,376 @@
+// JSON Schema tool definitions shared by the HTTP and STDIO transports,
+// plus the server identity and protocol version negotiation.
+import { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from '@modelcontextprotocol/sdk/types.js';
+
+export const SERVER_INFO = {
+  name: 'navifare-mcp',
+  version: '0.1.5'
+};
+
+export const SERVER_DESCRIPTION = 'Navifare finds a better price for a specific flight the user already found. Users should provide flight details conversationally, which will be structured into the required format.';
+
+// Echo the client's protocol version when we support it, otherwise offer the latest one
+export function negotiateProtocolVersion(requestedVersion: string | undefined): string {
+  if (requestedVersion && SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)) {
+    return requestedVersion;
+  }
+  return LATEST_PROTOCOL_VERSION;
+}
+
+// A problem found by validateItinerary
+const itineraryIssuesSchema = (description: string) => ({
+  type: 'array',
+  description,
+  items: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'Kind of problem, e.g. "SHORT_CONNECTION" or "TOO_MANY_LAP_INFANTS"' },
+      message: { type: 'string', description: 'What is wrong and how to fix it' },
+      leg: { type: 'number', description: '1-based leg the problem was found in' },
+      segment: { type: 'number', description: '1-based segment the problem was found at' },
+      successor: { type: 'string', description: "IATA code of the carrier now operating a defunct carrier's flights (DEFUNCT_AIRLINE)" }
+    },
+    required: ['code', 'message']
+  }
+});
+
+const moneySchema = (description: string) => ({
+  type: 'object',
+  description,
+  properties: {
+    amount: { type: 'number' },
+    currency: { type: 'string' },
+    website: { type: 'string', description: 'Booking website (best price only)' }
+  }
+});
+
+export const flightPricecheckTool = {
+  name: 'flight_pricecheck',
+  title: 'Flight Price Check',
+  description: 'Search multiple booking sources to find better prices for a specific flight the user has already found. Compares prices across different booking platforms to find cheaper alternatives for the exact same flight details.',
+  readOnlyHint: false,
+  destructiveHint: false,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      trip: {
+        type: 'object',
+        description: 'Flight trip details including segments, passengers, and travel class',
+        properties: {
+          legs: {
+            type: 'array',
+            description: 'Array of flight legs in travel order: a single leg for one-way trips, outbound and return legs for round trips, and one leg per journey for open-jaw (e.g. MXP→JFK, BOS→MXP) or multi-city trips',
+            items: {
+              type: 'object',
+              properties: {
+                segments: {
+                  type: 'array',
+                  description: 'Array of flight segments within this leg',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      airline: { type: 'string', description: 'Two-letter IATA airline code (e.g., "LX", "AZ", "BA")' },
+                      flightNumber: { type: 'string', description: 'Numeric flight number without airline prefix (e.g., "1612", "573")' },
+                      departureAirport: { type: 'string', description: 'Three-letter IATA departure airport code (e.g., "ZRH", "MXP")' },
+                      arrivalAirport: { type: 'string', description: 'Three-letter IATA arrival airport code (e.g., "LHR", "FCO")' },
+                      departureDate: { type: 'string', description: 'Departure date in YYYY-MM-DD format (e.g., "2025-12-16")' },
+                      departureTime: { type: 'string', description: 'Departure time in HH:MM or HH:MM:SS format (e.g., "07:10" or "07:10:00")' },
+                      arrivalTime: { type: 'string', description: 'Arrival time in HH:MM or HH:MM:SS format (e.g., "08:25" or "08:25:00")' },
+                      plusDays: { type: 'number', description: 'Days to add to arrival date if arrival is next day (0 for same day, 1 for next day)' }
+                    },
+                    required: ['airline', 'flightNumber', 'departureAirport', 'arrivalAirport', 'departureDate', 'departureTime', 'arrivalTime', 'plusDays']
+                  }
+                }
+              },
+              required: ['segments']
+            }
+          },
+          travelClass: { type: 'string', description: 'Travel class: ECONOMY, PREMIUM_ECONOMY, BUSINESS, or FIRST', enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'] },
+          adults: { type: 'number', description: 'Number of adult passengers', minimum: 1 },
+          children: { type: 'number', description: 'Number of child passengers', minimum: 0 },
+          infantsInSeat: { type: 'number', description: 'Number of infants requiring a seat', minimum: 0 },
+          infantsOnLap: { type: 'number', description: 'Number of infants on lap', minimum: 0 }
+        },
+        required: ['legs', 'travelClass', 'adults', 'children', 'infantsInSeat', 'infantsOnLap']
+      },
+      source: { type: 'string', description: 'Source identifier for the original price (e.g., "ChatGPT", "User", "Booking.com")' },
+      price: { type: 'string', description: 'Reference price found by the user (e.g., "84.00", "200.50")' },
+      currency: { type: 'string', description: 'Three-letter ISO currency code (e.g., "EUR", "USD", "GBP")', pattern: '^[A-Z]{3}$' },
+      location: { type: 'string', description: 'Two-letter ISO country code for user location (e.g., "ES", "IT", "US"). If unsure, default to "ZZ" ', pattern: '^[A-Z]{2}$', default: 'ZZ' },
+      sortBy: { type: 'string', enum: ['price', 'savings', 'trust'], description: 'Order of the offers: price (cheapest first, the default), savings (largest saving first) or trust (airlines selling direct, then established agencies, then other sites)' },
+      maxPrice: { type: 'number', exclusiveMinimum: 0, description: 'Drop offers costing more than this, in the reference currency' },
+      standardFaresOnly: { type: 'boolean', description: 'Drop special (private) fares' },
+      includeSites: { type: 'array', items: { type: 'string' }, description: 'Only keep offers from these booking sites (e.g., ["Expedia", "Kiwi.com"])' },
+      excludeSites: { type: 'array', items: { type: 'string' }, description: 'Drop offers from these booking sites' },
+      dedupe: { type: 'boolean', description: 'Keep only the cheapest offer of each booking site (default true)' },
+      limit: { type: 'integer', minimum: 1, description: 'Return at most this many offers, to keep the output short' },
+      polling: {
+        type: 'object',
+        description: 'How to poll the booking sites for this search; omitted fields use the server defaults',
+        properties: {
+          initialIntervalMs: { type: 'number', minimum: 1, description: 'Delay between polls while new prices keep arriving, in ms (default 1000)' },
+          maxIntervalMs: { type: 'number', minimum: 1, description: 'Longest delay between polls, in ms (default 10000)' },
+          backoffFactor: { type: 'number', minimum: 1, description: 'Multiplier for the delay after a poll without new prices (default 1.5, 1 = fixed interval)' },
+          maxDurationMs: { type: 'number', minimum: 0, description: 'Stop and return the prices found so far after this long, in ms (default 90000)' },
+          stablePolls: { type: 'integer', minimum: 0, description: 'Stop once this many polls in a row bring no new prices (default 3, 0 = never)' },
+          minDurationMs: { type: 'number', minimum: 0, description: 'Keep polling at least this long before stopping on unchanged prices, in ms (default 30000)' }
+        },
+        additionalProperties: false
+      }
+    },
+    required: ['trip', 'source', 'price', 'currency']
+  },
+  outputSchema: {
+    type: 'object',
+    description: 'Flight price comparison results',
+    properties: {
+      message: { type: 'string', description: 'Summary message about the search results' },
+      searchResult: {
+        type: 'object',
+        description: 'Detailed search results',
+        properties: {
+          request_id: { type: 'string', description: 'Unique identifier for this search request' },
+          status: { type: 'string', description: 'Search status: IN_PROGRESS, COMPLETED, or FAILED' },
+          totalResults: { type: 'number', description: 'Total number of price comparison results found' },
+          results: {
+            type: 'array',
+            description: 'Array of price comparison results',
+            items: {
+              type: 'object',
+              properties: {
+                rank: { type: 'number', description: 'Ranking of this result' },
+                price: { type: 'string', description: 'Price with currency (e.g., "84.00 EUR")' },
+                website: { type: 'string', description: 'Booking website name' },
+                bookingUrl: { type: 'string', description: 'URL to book this flight' },
+                fareType: { type: 'string', description: 'Type of fare (Standard Fare or Special Fare)' },
+                amount: { type: ['number', 'null'], description: 'Numeric price' },
+                currency: { type: ['string', 'null'], description: 'Currency of amount' },
+                normalizedAmount: { type: ['number', 'null'], description: 'Price converted to the reference currency; offers are ranked on it' },
+                normalizedCurrency: { type: ['string', 'null'], description: 'Reference currency of normalizedAmount' },
+                exchangeRateDate: { type: 'string', description: 'Effective date of the offline exchange rate used for normalizedAmount' },
+                savingsAmount: { type: ['number', 'null'], description: 'Reference price minus this price (negative when more expensive); null when not comparable' },
+                savingsPercent: { type: ['number', 'null'], description: 'savingsAmount as a percentage of the reference price' },
+                trustScore: { type: 'number', description: '3 for an airline selling direct, 2 for an established agency, 1 for other booking sites' }
+              }
+            }
+          }
+        }
+      },
+      status: { type: 'string', description: 'Overall status of the search' },
+      errors: itineraryIssuesSchema('Itinerary problems that stopped the search'),
+      warnings: itineraryIssuesSchema('Itinerary problems worth telling the user about'),
+      savings: {
+        type: 'object',
+        description: 'Savings of the best offer against the reference price',
+        properties: {
+          referencePrice: moneySchema('Price the user found'),
+          bestPrice: { ...moneySchema('Cheapest offer comparable with the reference price'), type: ['object', 'null'] },
+          savingsAmount: { type: ['number', 'null'], description: 'Reference price minus the best price; negative when every offer costs more' },
+          savingsPercent: { type: ['number', 'null'], description: 'savingsAmount as a percentage of the reference price' },
+          verdict: { type: ['string', 'null'], enum: ['CHEAPER_FOUND', 'WITHIN_MARGIN', 'YOUR_PRICE_IS_BEST', null], description: 'CHEAPER_FOUND, WITHIN_MARGIN (less than 2% cheaper) or YOUR_PRICE_IS_BEST; null when no offer could be compared' },
+          summary: { type: 'string', description: 'The verdict in one sentence' }
+        }
+      }
+    }
+  }
+};
+
+// DEACTIVATED: Image extraction tool (not listed, kept for future use)
+export const extractFlightFromImageTool = {
+  name: 'extract_flight_from_image',
+  description: 'Extract flight details from one or more booking screenshots/images. Upload images of flight bookings, itineraries, or confirmation emails. The tool will extract flight information and return it. If the data is complete, use it to call flight_pricecheck. If incomplete, use format_flight_pricecheck_request to ask the user for missing details. ⚠️ CRITICAL: Images MUST be provided as base64-encoded strings. File IDs, file paths, or URLs will NOT work and will cause the tool to fail. You MUST convert images to base64 encoding before calling this tool.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      images: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            data: {
+              type: 'string',
+              description: '⚠️ CRITICAL REQUIREMENT: Image data MUST be a base64-encoded string. NO OTHER FORMAT WILL WORK. Do NOT send file IDs (like "file_000000009ca4720aaf20f16309d0c674"), file paths (like "/mnt/data/image.png"), or URLs. These will be rejected and the tool will fail. Format: Provide ONLY the raw base64 string without any data URI prefix. Example CORRECT: "iVBORw0KGgoAAAANSUhEUgAA..." (just the base64 characters). Example INCORRECT: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..." (has prefix - will fail). Example INCORRECT: "file_000000009ca4720aaf20f16309d0c674" (file ID - will fail). Example INCORRECT: "/mnt/data/image.png" (file path - will fail). If you have an image file, you MUST: 1) Read the file content, 2) Convert it to base64 encoding, 3) Provide ONLY the base64 string (no prefix, no file path, no file ID).'
+            },
+            mimeType: {
+              type: 'string',
+              description: 'MIME type of the image. Required values: "image/png", "image/jpeg", "image/jpg", "image/webp", or "image/gif". Must match the actual image format.'
+            }
+          },
+          required: ['data', 'mimeType']
+        },
+        minItems: 1,
+        description: 'Array of images to analyze for flight details. ⚠️ CRITICAL: Each image MUST have base64-encoded data. File paths or file IDs will NOT work and will be rejected.'
+      }
+    },
+    required: ['images']
+  }
+};
+
+export const formatFlightPricecheckRequestTool = {
+  name: 'format_flight_pricecheck_request',
+  title: 'Format Flight Request',
+  description: 'Parse and format flight details from natural language text or transcribed image content. Extracts flight information (airlines, flight numbers, dates, airports, prices) and structures it for price comparison. Returns formatted flight data ready for flight_pricecheck, or requests missing information if incomplete.',
+  readOnlyHint: true,
+  destructiveHint: false,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      user_request: { 
+        type: 'string', 
+        description: 'Flight details in natural language text. Include all available information: flight numbers, airlines, departure/arrival airports and times, dates, prices, passenger counts, and travel class. Example: "I found flight AZ 573 from ZRH to FCO on November 19th at 7:15 PM, arriving at 8:45 PM, for 200 EUR. Round trip returning AZ 572 from FCO to ZRH on November 22nd at 8:20 AM, arriving at 9:55 AM." If responding to a needsMoreInfo request, include the complete previous flight details along with the missing information.' 
+      }
+    },
+    required: ['user_request']
+  },
+  outputSchema: {
+    type: 'object',
+    description: 'Formatted flight data or request for more information',
+    properties: {
+      message: { type: 'string', description: 'Status message or instructions' },
+      needsMoreInfo: { type: 'boolean', description: 'Whether additional information is required' },
+      missingFields: { 
+        type: 'array', 
+        description: 'List of missing required fields if needsMoreInfo is true',
+        items: { type: 'string' }
+      },
+      flightData: {
+        type: 'object',
+        description: 'Formatted flight data ready for flight_pricecheck (only present if needsMoreInfo is false)',
+        properties: {
+          trip: { type: 'object' },
+          source: { type: 'string' },
+          price: { type: 'string' },
+          currency: { type: 'string' },
+          location: { type: 'string' }
+        }
+      },
+      readyForPriceCheck: { type: 'boolean', description: 'Whether the data is ready to use with flight_pricecheck' },
+      errors: itineraryIssuesSchema('Itinerary problems to fix before calling flight_pricecheck'),
+      warnings: itineraryIssuesSchema('Itinerary problems worth telling the user about')
+    }
+  }
+};
+
+export const extractFlightFromEmailTool = {
+  name: 'extract_flight_from_email',
+  title: 'Import Flight From Email',
+  description: 'Extract flight details from a booking confirmation email the user received or forwarded. Accepts the raw email (.eml content with headers and MIME parts) or its pasted HTML or text body. Reads the schema.org flight reservation markup airlines embed in their emails, and falls back to the email text. Returns flightData ready for flight_pricecheck, or the partial data plus the missing fields to ask the user for.',
+  readOnlyHint: true,
+  destructiveHint: false,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', description: 'The complete confirmation email: raw RFC 822 / .eml content (preferred, including headers and MIME parts), or the HTML or plain text body' },
+      encoding: { type: 'string', enum: ['text', 'base64'], description: 'Use "base64" when email holds a base64-encoded .eml file. Defaults to "text"' }
+    },
+    required: ['email']
+  },
+  outputSchema: {
+    type: 'object',
+    description: 'Imported flight data or the details still missing',
+    properties: {
+      message: { type: 'string', description: 'Status message or instructions' },
+      needsMoreInfo: { type: 'boolean', description: 'Whether additional information is required' },
+      missingFields: {
+        type: 'array',
+        description: 'List of missing required fields if needsMoreInfo is true',
+        items: { type: 'string' }
+      },
+      flightData: {
+        type: 'object',
+        description: 'Flight data for flight_pricecheck; partial when needsMoreInfo is true',
+        properties: {
+          trip: { type: 'object' },
+          source: { type: 'string' },
+          price: { type: 'string' },
+          currency: { type: 'string' },
+          location: { type: 'string' }
+        }
+      },
+      readyForPriceCheck: { type: 'boolean', description: 'Whether the data is ready to use with flight_pricecheck' },
+      extraction: { type: 'string', description: 'Where the flights were found: "json-ld" or "microdata" reservation markup, or "text"' }
+    }
+  }
+};
+
+export const extractFlightFromCalendarTool = {
+  name: 'extract_flight_from_calendar',
+  title: 'Import Flight From Calendar',
+  description: 'Extract flight details from an iCalendar (.ics) file, e.g. an airline calendar invite or a TripIt export. Flight events become the trip legs (other events are ignored), with local departure and arrival times at each airport. Calendars carry no fare, so ask the user for the price and currency listed in missingFields, add them to flightData and call flight_pricecheck.',
+  readOnlyHint: true,
+  destructiveHint: false,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ics: { type: 'string', description: 'Content of the .ics file (BEGIN:VCALENDAR ... END:VCALENDAR)' },
+      encoding: { type: 'string', enum: ['text', 'base64'], description: 'Use "base64" when ics holds a base64-encoded file. Defaults to "text"' }
+    },
+    required: ['ics']
+  },
+  outputSchema: {
+    type: 'object',
+    description: 'Imported flight data or the details still missing',
+    properties: {
+      message: { type: 'string', description: 'Status message or instructions' },
+      needsMoreInfo: { type: 'boolean', description: 'Whether additional information is required' },
+      missingFields: {
+        type: 'array',
+        description: 'List of missing required fields if needsMoreInfo is true',
+        items: { type: 'string' }
+      },
+      flightData: {
+        type: 'object',
+        description: 'Flight data for flight_pricecheck; partial when needsMoreInfo is true',
+        properties: {
+          trip: { type: 'object' },
+          source: { type: 'string' },
+          price: { type: 'string' },
+          currency: { type: 'string' },
+          location: { type: 'string' }
+        }
+      },
+      readyForPriceCheck: { type: 'boolean', description: 'Whether the data is ready to use with flight_pricecheck' }
+    }
+  }
+};
+
+export const exportFlightCalendarTool = {
+  name: 'export_flight_calendar',
+  title: 'Export Flight To Calendar',
+  description: 'Create an iCalendar (.ics) file from flightData (as returned by format_flight_pricecheck_request) so the user can add the itinerary to their calendar. Each flight becomes an event at the correct time in its departure and arrival airport time zones, including overnight arrivals.',
+  readOnlyHint: true,
+  destructiveHint: false,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      flightData: {
+        type: 'object',
+        description: 'Flight data with the trip to export; price and currency are not needed',
+        properties: {
+          trip: flightPricecheckTool.inputSchema.properties.trip
+        },
+        required: ['trip']
+      }
+    },
+    required: ['flightData']
+  },
+  outputSchema: {
+    type: 'object',
+    description: 'The generated calendar file',
+    properties: {
+      message: { type: 'string', description: 'Status message or instructions' },
+      ics: { type: 'string', description: 'iCalendar file content' },
+      filename: { type: 'string', description: 'Suggested file name' },
+      eventCount: { type: 'number', description: 'Number of flight events in the file' }
+    }
+  }
+};
+
+// Tools advertised by tools/list on both transports
+export const TOOLS = [
+  flightPricecheckTool,
+  formatFlightPricecheckRequestTool,
+  extractFlightFromEmailTool,
+  extractFlightFromCalendarTool,
+  exportFlightCalendarTool
+];
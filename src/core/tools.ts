@@ -0,0 +1,326 @@
+// Tool handlers shared by both transports. Transport-specific concerns
+// (SSE framing, stdio notifications, ChatGPT metadata) stay in the servers.
+import { submit_and_poll_session } from '../navifare.js';
+import type { PollingOptions } from '../polling.js';
+import { importBookingEmail, type EmailExtraction } from './bookingEmail.js';
+import { exportCalendarItinerary, importCalendarItinerary } from './calendar.js';
+import { parseIsoDate } from './dates.js';
+import { ItineraryValidationError, validateItinerary, type ItineraryIssue } from './itineraryValidator.js';
+import { parseFlightRequest } from './requestParser.js';
+import { formatMoney, normalizeOffers } from './currency.js';
+import { analyzeSavings, type SavingsAnalysis } from './savings.js';
+import { filterOffers, rankOffers, type ResultOptions } from './resultOptions.js';
+import { sanitizeSubmitArgs, transformToApiFormat } from './trip.js';
+import type { FlightSearchRequest } from './types.js';
+
+export interface FormatFlightRequestResult {
+  message: string;
+  needsMoreInfo?: boolean;
+  missingFields?: string[];
+  flightData?: FlightSearchRequest;
+  readyForPriceCheck?: boolean;
+  errors?: ItineraryIssue[];
+  warnings?: ItineraryIssue[];
+}
+
+export interface ExtractFlightFromEmailResult extends FormatFlightRequestResult {
+  extraction: EmailExtraction;
+}
+
+export interface ExportFlightCalendarResult {
+  message: string;
+  /** iCalendar file content */
+  ics: string;
+  filename: string;
+  eventCount: number;
+}
+
+export interface FlightPricecheckResult {
+  message: string;
+  searchResult?: any;
+  status?: string;
+  error?: string;
+  errors?: ItineraryIssue[];
+  warnings?: ItineraryIssue[];
+  savings?: SavingsAnalysis;
+  searchData?: any;
+}
+
+// Requests that contain pasted extraction output are attributed to IMAGE_EXTRACTION
+function detectRequestSource(userRequest: string): string {
+  return (userRequest.includes('extracted') || userRequest.includes('{"tripType"') || userRequest.includes('outboundSegments'))
+    ? 'IMAGE_EXTRACTION'
+    : 'MCP';
+}
+
+// Handler for format_flight_pricecheck_request
+export async function formatFlightPricecheckRequest(args: any): Promise<FormatFlightRequestResult> {
+  console.error('🚀 Starting format_flight_pricecheck_request...');
+
+  // Validate that we have user_request
+  if (!args?.user_request) {
+    throw new Error('user_request must be provided');
+  }
+
+  // Parse the user's natural language request (which may contain pasted extracted data)
+  const parsedRequest = await parseFlightRequest(args.user_request);
+  console.error('📊 Parsed request result:', parsedRequest.needsMoreInfo ? 'Needs more info' : 'Ready to proceed');
+
+  if (parsedRequest.needsMoreInfo) {
+    return {
+      message: parsedRequest.message + ' IMPORTANT: When providing the missing information, include the complete previous flight details (paste the full extracted data or previous request) along with the missing fields, as this tool does not retain context between calls.',
+      needsMoreInfo: true,
+      missingFields: parsedRequest.missingFields
+    };
+  }
+
+  // Prepare flightData exactly as flight_pricecheck will use it; pasted layouts keep their own source
+  const flightData = {
+    ...parsedRequest.flightData,
+    source: parsedRequest.layout ? parsedRequest.flightData.source : detectRequestSource(args.user_request)
+  };
+
+  console.error('📤 Formatted flightData for flight_pricecheck:', JSON.stringify(flightData, null, 2));
+
+  // Report every itinerary problem now rather than one at a time from flight_pricecheck,
+  // on the legs it will search
+  const { valid, errors, warnings } = validateItinerary(transformToApiFormat(flightData));
+  if (!valid) {
+    return {
+      message: `Flight details parsed, but the itinerary has problems: ${errors.map(error => error.message).join(' ')} Ask the user to correct them, then call this tool again with the complete corrected flight details.`,
+      flightData,
+      readyForPriceCheck: false,
+      errors,
+      warnings
+    };
+  }
+
+  return {
+    message: 'Flight details parsed and formatted successfully! Use the flightData below to call flight_pricecheck.'
+      + (warnings.length > 0 ? ` Mention these warnings to the user: ${warnings.map(warning => warning.message).join(' ')}` : ''),
+    flightData,
+    readyForPriceCheck: true,
+    errors,
+    warnings
+  };
+}
+
+// Handler for extract_flight_from_email
+export async function extractFlightFromEmail(args: any): Promise<ExtractFlightFromEmailResult> {
+  console.error('🚀 Starting extract_flight_from_email...');
+
+  if (!args?.email) {
+    throw new Error('email must be provided');
+  }
+  const raw = args.encoding === 'base64' ? Buffer.from(args.email, 'base64').toString('utf8') : args.email;
+
+  const { needsMoreInfo, message, missingFields, flightData, extraction } = await importBookingEmail(raw);
+  console.error(`📊 Email import (${extraction}):`, needsMoreInfo ? 'Needs more info' : 'Ready to proceed');
+
+  if (needsMoreInfo) {
+    // Unlike format_flight_pricecheck_request, keep the partial data: re-sending the whole email is impractical
+    return {
+      message: `${message} Ask the user for the missing details, add them to flightData and call flight_pricecheck.`,
+      needsMoreInfo: true,
+      missingFields,
+      ...(flightData ? { flightData } : {}),
+      extraction
+    };
+  }
+
+  return {
+    message: 'Flight details imported from the email! Use the flightData below to call flight_pricecheck.',
+    flightData,
+    readyForPriceCheck: true,
+    extraction
+  };
+}
+
+// Handler for extract_flight_from_calendar
+export async function extractFlightFromCalendar(args: any): Promise<FormatFlightRequestResult> {
+  console.error('🚀 Starting extract_flight_from_calendar...');
+
+  if (!args?.ics) {
+    throw new Error('ics must be provided');
+  }
+  const ics = args.encoding === 'base64' ? Buffer.from(args.ics, 'base64').toString('utf8') : args.ics;
+
+  const imported = importCalendarItinerary(ics);
+  if (!imported) {
+    return {
+      message: 'I could not find any flights in the calendar. Flight events need a flight number (e.g. "LH401") and the airports (e.g. "FRA to JFK") in their title or description.',
+      needsMoreInfo: true,
+      missingFields: ['flight details']
+    };
+  }
+
+  const { flightData, missingFields, flightEvents } = imported;
+  if (missingFields.length > 0) {
+    return {
+      message: `I found ${flightEvents} flight(s) in the calendar, but I still need: ${missingFields.join(', ')}. Ask the user for the missing details, add them to flightData and call flight_pricecheck.`,
+      needsMoreInfo: true,
+      missingFields,
+      flightData
+    };
+  }
+
+  return {
+    message: `Imported ${flightEvents} flight(s) from the calendar! Use the flightData below to call flight_pricecheck.`,
+    flightData,
+    readyForPriceCheck: true
+  };
+}
+
+// Segment fields the calendar export needs; the price is not required
+const CALENDAR_SEGMENT_FIELDS = ['airline', 'flightNumber', 'departureAirport', 'arrivalAirport', 'departureDate', 'departureTime', 'arrivalTime'];
+
+// Handler for export_flight_calendar
+export function exportFlightCalendar(args: any): ExportFlightCalendarResult {
+  console.error('🚀 Starting export_flight_calendar...');
+
+  const flightData = buildSearchData(args ?? {});
+  const legs = flightData?.trip?.legs;
+  if (!Array.isArray(legs) || legs.length === 0 || legs.some(leg => !Array.isArray(leg?.segments) || leg.segments.length === 0)) {
+    throw new Error('flightData.trip.legs must contain at least one leg with segments');
+  }
+  legs.forEach((leg, legIndex) => leg.segments.forEach((segment, segmentIndex) => {
+    const missing = CALENDAR_SEGMENT_FIELDS.filter(field => !segment?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`Leg ${legIndex + 1}, segment ${segmentIndex + 1} is missing ${missing.join(', ')}`);
+    }
+    if (!parseIsoDate(segment.departureDate)) {
+      throw new Error(`Leg ${legIndex + 1}, segment ${segmentIndex + 1} has an invalid departureDate: ${segment.departureDate}`);
+    }
+  }));
+
+  const ics = exportCalendarItinerary(flightData);
+  const outbound = legs[0].segments;
+  const filename = `${outbound[0].departureDate}-${outbound[0].departureAirport}-${outbound[outbound.length - 1].arrivalAirport}.ics`;
+  const eventCount = legs.reduce((count, leg) => count + leg.segments.length, 0);
+  console.error(`📅 Exported ${eventCount} flight event(s)`);
+
+  return {
+    message: `Calendar with ${eventCount} flight(s) created. Offer the ics content to the user as a file named ${filename}.`,
+    ics,
+    filename,
+    eventCount
+  };
+}
+
+// Support both the old format (flightData) and the new format (direct properties)
+export function buildSearchData(args: any): any {
+  return args.flightData || {
+    trip: args.trip,
+    source: args.source || 'MCP',
+    price: args.price,
+    currency: args.currency,
+    location: args.location
+  };
+}
+
+// Format the offers so each one is displayed on its own line, with the savings
+// against the reference price when an analysis is given
+export function formatSearchResultsMessage(searchResult: any, savings?: SavingsAnalysis | null): string {
+  const resultCount = searchResult.totalResults || searchResult.results?.length || 0;
+  let formattedMessage = `Flight price search completed! Found ${resultCount} result(s):\n\n`;
+  if (savings) {
+    formattedMessage += `${savings.summary}\n\n`;
+  }
+
+  if (searchResult.results && searchResult.results.length > 0) {
+    searchResult.results.forEach((offer: any, index: number) => {
+      const rank = offer.rank || index + 1;
+      const price = offer.price || 'N/A';
+      const website = offer.website || 'Unknown';
+      const bookingUrl = offer.bookingUrl || '';
+      const fareType = offer.fareType || '';
+
+      formattedMessage += `${rank}. ${website} - ${price}`;
+      if (fareType) {
+        formattedMessage += ` (${fareType})`;
+      }
+      if (typeof offer.normalizedAmount === 'number' && offer.normalizedCurrency !== offer.currency) {
+        formattedMessage += ` (≈ ${formatMoney({ amount: offer.normalizedAmount, currency: offer.normalizedCurrency })})`;
+      }
+      if (savings && typeof offer.savingsAmount === 'number' && offer.savingsAmount !== 0) {
+        const difference = `${formatMoney({ amount: Math.abs(offer.savingsAmount), currency: savings.referencePrice.currency })} (${Math.abs(offer.savingsPercent)}%)`;
+        formattedMessage += offer.savingsAmount > 0 ? ` - saves ${difference}` : ` - ${difference} more`;
+      }
+      if (bookingUrl) {
+        formattedMessage += `\n   🔗 ${bookingUrl}`;
+      }
+      formattedMessage += '\n\n';
+    });
+  } else {
+    formattedMessage += 'No results found.\n';
+  }
+
+  const shown = searchResult.results?.length ?? 0;
+  if (shown < resultCount) {
+    formattedMessage += `\nShowing ${shown} of ${resultCount} result(s) after filtering, de-duplication and the limit.`;
+  }
+
+  if (searchResult.stopReason === 'timeout' && searchResult.status !== 'COMPLETED') {
+    formattedMessage += '\nThe search hit its time limit before every booking site responded; prices above may be incomplete.';
+  } else if (searchResult.stopReason === 'stable') {
+    formattedMessage += '\nStopped polling early because results stopped changing.';
+  }
+
+  return formattedMessage.trim();
+}
+
+export interface FlightPricecheckOptions {
+  onProgress?: (results: any) => void;
+  polling?: Partial<PollingOptions>;
+  // Aborted when the client cancels the request or disconnects
+  signal?: AbortSignal;
+  // Sorting, filters, de-duplication and limit applied to the offers found
+  resultOptions?: ResultOptions;
+}
+
+// Handler for flight_pricecheck. Throws on validation, API errors or cancellation
+// so each transport can report them in its own way.
+export async function runFlightPricecheck(
+  searchData: any,
+  { onProgress, polling, signal, resultOptions }: FlightPricecheckOptions = {}
+): Promise<FlightPricecheckResult> {
+  console.error('📤 Search flights payload:', JSON.stringify(searchData, null, 2));
+
+  // Transform to API format, which splits flattened legs at airport changes and stopovers,
+  // and validate the legs that will be searched
+  const apiRequest = transformToApiFormat(searchData);
+  const validation = validateItinerary(apiRequest);
+  for (const warning of validation.warnings) console.error(`⚠️  ${warning.message}`);
+  if (!validation.valid) throw new ItineraryValidationError(validation);
+
+  const sanitizedRequest = sanitizeSubmitArgs(apiRequest);
+  console.error('📤 API Request after sanitization:', JSON.stringify(sanitizedRequest, null, 2));
+
+  const searchResult = await submit_and_poll_session(sanitizedRequest, onProgress, polling, signal);
+  const warnings = validation.warnings.map(warning => warning.message).join(' ');
+
+  // Convert every offer to the user's currency, keep the ones they asked for and
+  // compare them with the price they found
+  const offers = filterOffers(normalizeOffers(searchResult.results ?? [], sanitizedRequest.currency), resultOptions);
+  const { results, savings } = analyzeSavings(offers, { amount: Number(sanitizedRequest.price), currency: sanitizedRequest.currency });
+  if (Array.isArray(searchResult.results)) searchResult.results = rankOffers(results, resultOptions);
+
+  return {
+    message: formatSearchResultsMessage(searchResult, savings) + (warnings ? `\n\nItinerary warnings: ${warnings}` : ''),
+    searchResult,
+    status: searchResult.status || 'COMPLETED',
+    errors: [],
+    warnings: validation.warnings,
+    ...(savings ? { savings } : {})
+  };
+}
+
+// Result returned to the client when flight_pricecheck fails
+export function flightPricecheckFailure(searchData: any, error: Error): FlightPricecheckResult {
+  return {
+    message: `Flight search failed: ${error.message}`,
+    error: error.message,
+    ...(error instanceof ItineraryValidationError ? { errors: error.validation.errors, warnings: error.validation.warnings } : {}),
+    searchData
+  };
+}
@@ -0,0 +1,538 @@
+// Trip normalisation and validation for the Navifare API format.
+import { classifyTrip } from '../navifare.js';
+import { cleanFlightNumber, convertAirlineNameToIataCode, extractAirlineCodeFromFlightNumber } from './airlines.js';
+import { getAirport, getMetroArea, resolveAirportCode } from './airports.js';
+import { blockTimeIssue } from './blockTime.js';
+import { formatAmount, minorUnits } from './currency.js';
+import { parseIsoDate } from './dates.js';
+import { parseLocalizedAmount } from './languages.js';
+import type { FlightSearchRequest, TripLeg } from './types.js';
+
+// Valid sources accepted by the backend
+export const VALID_SOURCES = ['MANUAL', 'KAYAK', 'GOOGLE_FLIGHTS', 'BOOKING', 'MCP', 'IMAGE_EXTRACTION'];
+
+/**
+ * Validates segment dates: real YYYY-MM-DD calendar dates, not in the past,
+ * and every leg departing on or after the previous one.
+ * Throws a user-facing error message on the first problem found.
+ */
+export function validateTripDates(args: any): void {
+  if (!args?.trip?.legs?.length) {
+    throw new Error('Trip legs are required to search for flights. Please provide at least one leg with complete segment details.');
+  }
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  let previousLegLatestDate: Date | null = null;
+
+  args.trip.legs.forEach((leg: any, legIndex: number) => {
+    if (!leg?.segments?.length) {
+      throw new Error(`Leg ${legIndex + 1} is missing flight segments. Please include the airline, flight number, airports, and dates for each segment.`);
+    }
+
+    let legEarliestDate: Date | null = null;
+    let legLatestDate: Date | null = null;
+
+    leg.segments.forEach((segment: any, segmentIndex: number) => {
+      const context = `leg ${legIndex + 1}, segment ${segmentIndex + 1}`;
+      const dateStr = segment?.departureDate;
+      const parsedDate = parseIsoDate(dateStr || '');
+
+      if (!parsedDate) {
+        throw new Error(`Invalid departureDate for ${context}. Dates must use YYYY-MM-DD format and represent a real calendar date.`);
+      }
+
+      if (parsedDate.getTime() < today.getTime()) {
+        throw new Error(`The departure date ${dateStr} in ${context} is in the past. Please provide a future date to continue.`);
+      }
+
+      if (!legEarliestDate || parsedDate.getTime() < legEarliestDate.getTime()) {
+        legEarliestDate = parsedDate;
+      }
+      if (!legLatestDate || parsedDate.getTime() > legLatestDate.getTime()) {
+        legLatestDate = parsedDate;
+      }
+    });
+
+    // Every leg (return, open-jaw or multi-city) must depart on or after the previous one
+    if (previousLegLatestDate && legEarliestDate.getTime() < previousLegLatestDate.getTime()) {
+      if (args.trip.legs.length === 2) {
+        throw new Error('Return segments must depart on or after the outbound segments. Please adjust the return dates.');
+      }
+      throw new Error(`Leg ${legIndex + 1} departs before leg ${legIndex} ends. Please list the legs in travel order and adjust the dates.`);
+    }
+
+    previousLegLatestDate = legLatestDate;
+  });
+}
+
+/**
+ * Validates segment airports against the offline airport dataset. Metro area
+ * codes ("MIL") and malformed codes throw a user-facing error. The dataset does
+ * not list every airport, so well-formed codes missing from it only log a
+ * warning, unless AIRPORT_VALIDATION=strict rejects them too.
+ */
+export function validateTripAirports(args: any, env: Record<string, string | undefined> = process.env): void {
+  const strict = env.AIRPORT_VALIDATION?.trim().toLowerCase() === 'strict';
+
+  args?.trip?.legs?.forEach((leg: any, legIndex: number) => {
+    leg?.segments?.forEach((segment: any, segmentIndex: number) => {
+      const context = `leg ${legIndex + 1}, segment ${segmentIndex + 1}`;
+      for (const direction of ['departure', 'arrival'] as const) {
+        const code = segment?.[`${direction}Airport`];
+        if (!code) {
+          throw new Error(`Missing ${direction} airport for ${context}. Please provide the three-letter IATA airport code, e.g. "ZRH" for Zurich.`);
+        }
+
+        const metro = getMetroArea(code);
+        if (metro) {
+          const airports = metro.airports.map(iata => `${iata} (${getAirport(iata)!.name})`).join(', ');
+          throw new Error(`"${code}" in ${context} is the city code of ${metro.city}, not an airport. Please choose one of its airports: ${airports}.`);
+        }
+
+        if (getAirport(code)) continue;
+        if (!strict && /^[A-Z]{3}$/.test(code)) {
+          console.error(`⚠️  Airport "${code}" in ${context} is not in the airport dataset`);
+          continue;
+        }
+        throw new Error(`Unknown ${direction} airport "${code}" in ${context}. Please check the code or use the three-letter IATA code of the airport, e.g. "ZRH" for Zurich.`);
+      }
+    });
+  });
+}
+
+/**
+ * Reference price as a number, read with the user's decimal separator: "84,50",
+ * "1.234,56" and "€1,234.5" → 84.5, 1234.56 and 1234.5. Null unless it is a positive amount.
+ */
+export function parseReferencePrice(price: unknown, currency?: string | null): number | null {
+  if (typeof price === 'number') return Number.isFinite(price) && price > 0 ? price : null;
+  if (typeof price !== 'string') return null;
+  const raw = price.replace(/[^\d.,\s'’\u00a0\u202f-]/g, '').trim();
+  // With three minor units "84.500" is 84.5 rather than 84 500
+  const threeDecimals = minorUnits(currency) === 3 ? raw.match(/^(\d+)[.,](\d{3})$/) : null;
+  const amount = threeDecimals ? Number(`${threeDecimals[1]}.${threeDecimals[2]}`) : parseLocalizedAmount(raw);
+  return amount !== null && amount > 0 ? amount : null;
+}
+
+/** Rejects a reference price that is given but is not a positive amount, e.g. "" or "free". */
+export function validateTripPrice(args: any): void {
+  if (args?.price === undefined || args.price === null) return;
+  if (parseReferencePrice(args.price, args.currency) === null) {
+    throw new Error(`The price "${args.price}" is not a valid amount. Please provide the price the user found as a positive number, e.g. "84.50".`);
+  }
+}
+
+/**
+ * Rejects segments whose airline is neither a two-character code nor the name of a
+ * carrier normalizeSubmitArgs recognised, e.g. "Air" (EVA Air? Air India?).
+ */
+export function validateTripAirlineCodes(args: any): void {
+  args?.trip?.legs?.forEach((leg: any, legIndex: number) => {
+    leg?.segments?.forEach((segment: any, segmentIndex: number) => {
+      const airline = segment?.airline;
+      if (typeof airline !== 'string' || !airline || /^[A-Z0-9]{2}$/.test(airline)) return;
+      throw new Error(`Unknown airline "${airline}" in leg ${legIndex + 1}, segment ${segmentIndex + 1}. Please give the airline's two-character code, e.g. "LH", or its full name, e.g. "Lufthansa".`);
+    });
+  });
+}
+
+/**
+ * Rejects segments whose times, airport time zones and plusDays imply an impossible
+ * block time, e.g. a long-haul eastbound flight missing its next-day arrival.
+ */
+export function validateTripBlockTimes(args: any): void {
+  args?.trip?.legs?.forEach((leg: any, legIndex: number) => {
+    leg?.segments?.forEach((segment: any, segmentIndex: number) => {
+      // 00:00:00 is the fallback for a missing time, so there is nothing to check
+      if (segment?.departureTime === '00:00:00' || segment?.arrivalTime === '00:00:00') return;
+      const issue = blockTimeIssue(segment);
+      if (!issue) return;
+      const times = `${segment.departureAirport} ${segment.departureTime.slice(0, 5)} → ${segment.arrivalAirport} ${segment.arrivalTime.slice(0, 5)}, plusDays ${segment.plusDays ?? 0}`;
+      throw new Error(`Impossible flight times in leg ${legIndex + 1}, segment ${segmentIndex + 1} (${times}): ${issue}. Please check the times and the arrival day.`);
+    });
+  });
+}
+
+// Ensures times are in HH:MM:SS format (backend requires seconds)
+// If times are missing/empty, "00:00:00" is used as a fallback
+function normalizeSegmentTime(time: unknown): string {
+  if (typeof time === 'string') {
+    if (time.length === 5) {
+      return time + ':00'; // "13:00" -> "13:00:00"
+    }
+    if (!time || time.trim() === '') {
+      return '00:00:00';
+    }
+    return time;
+  }
+  return '00:00:00';
+}
+
+function normalizeAirport(value: string): string {
+  const code = value.trim();
+  return resolveAirportCode(code) ?? (/^[a-z]{3}$/i.test(code) ? code.toUpperCase() : code);
+}
+
+/**
+ * Normalises tool arguments into the exact shape the Navifare backend accepts
+ * (enums uppercased, price with 2 decimals, HH:MM:SS times, numeric flight numbers,
+ * IATA airline and airport codes) and validates the trip dates, airports, airlines and block times.
+ */
+export function sanitizeSubmitArgs(rawArgs: any): FlightSearchRequest {
+  const args = normalizeSubmitArgs(rawArgs);
+  if (!args || typeof args !== 'object') return args;
+
+  validateTripPrice(args);
+  validateTripDates(args);
+  validateTripAirports(args);
+  validateTripAirlineCodes(args);
+  validateTripBlockTimes(args);
+
+  return args;
+}
+
+/** The normalisation half of sanitizeSubmitArgs, without validation. Works on a copy, so the caller's trip is not modified. */
+export function normalizeSubmitArgs(rawArgs: any): FlightSearchRequest {
+  if (!rawArgs || typeof rawArgs !== 'object') return rawArgs;
+  const args = { ...rawArgs, trip: structuredClone(rawArgs.trip) };
+
+  // Ensure required top-level fields exist
+  if (!args.trip) args.trip = {};
+  if (!args.trip.legs) args.trip.legs = [];
+
+  // Normalize travelClass to uppercase as many backends require enums
+  if (typeof args.trip.travelClass === 'string') {
+    args.trip.travelClass = args.trip.travelClass.toUpperCase();
+  }
+
+  // Ensure currency is 3-letter uppercase
+  if (typeof args.currency === 'string') {
+    args.currency = args.currency.trim().toUpperCase();
+  }
+
+  // Format price to the currency's decimals (e.g., "99" -> "99.00" EUR, "12000" JPY, "84.500" KWD);
+  // validateTripPrice rejects prices that are not a positive amount
+  const price = parseReferencePrice(args.price, args.currency);
+  if (price !== null) {
+    args.price = formatAmount(price, args.currency);
+  }
+
+  // Location handling: default to ZZ unless a valid 2-letter country code is provided
+  if (typeof args.location === 'string' && args.location.trim()) {
+    const loc = args.location.trim().toUpperCase();
+    // Check if it's a valid 2-letter ISO country code
+    args.location = /^[A-Z]{2}$/.test(loc) ? loc : 'ZZ';
+  } else {
+    args.location = 'ZZ';
+  }
+
+  // Ensure source is valid (backend only accepts specific values)
+  if (args.source && typeof args.source === 'string') {
+    const source = args.source.toUpperCase();
+    args.source = VALID_SOURCES.includes(source) ? source : 'MANUAL'; // Default to MANUAL for unknown sources
+  } else {
+    args.source = 'MANUAL';
+  }
+
+  // Ensure infants fields are always present
+  if (!Number.isFinite(args.trip.infantsInSeat)) args.trip.infantsInSeat = 0;
+  if (!Number.isFinite(args.trip.infantsOnLap)) args.trip.infantsOnLap = 0;
+
+  // Walk all segments and normalize fields
+  for (const leg of args.trip.legs) {
+    if (!leg.segments) continue;
+    for (const seg of leg.segments) {
+      // Extract airline code from flight number if needed
+      if (typeof seg.flightNumber === 'string' && seg.flightNumber) {
+        // Check if flight number contains airline prefix (e.g., "XZ2020")
+        const airlineFromFlight = extractAirlineCodeFromFlightNumber(seg.flightNumber);
+
+        if (airlineFromFlight) {
+          // If airline is not a 2-letter code, use the one from flight number
+          if (!seg.airline || seg.airline.length !== 2 || !/^[A-Z]{2}$/i.test(seg.airline)) {
+            seg.airline = airlineFromFlight.toUpperCase();
+          }
+
+          // Clean flight number by removing airline prefix
+          seg.flightNumber = cleanFlightNumber(seg.flightNumber);
+        } else {
+          // Extract numeric part only if no airline prefix found
+          const match = seg.flightNumber.match(/\d+/);
+          if (match) seg.flightNumber = match[0];
+        }
+      }
+
+      // Airline names, brands and ICAO codes become IATA codes ("Vueling", "VLG" → "VY");
+      // anything else is kept as written for validateTripAirlineCodes to report
+      if (typeof seg.airline === 'string' && seg.airline) {
+        const normalized = convertAirlineNameToIataCode(seg.airline.trim());
+        seg.airline = /^[A-Z0-9]{2}$/i.test(normalized) ? normalized.toUpperCase() : normalized;
+      }
+
+      // Normalize airport codes (leg continuity for open-jaw/multi-city trips compares them);
+      // names and ICAO codes resolve to IATA codes ("Milan Malpensa", "LIMC" → "MXP")
+      if (typeof seg.departureAirport === 'string') seg.departureAirport = normalizeAirport(seg.departureAirport);
+      if (typeof seg.arrivalAirport === 'string') seg.arrivalAirport = normalizeAirport(seg.arrivalAirport);
+
+      // Ensure plusDays present
+      if (!Number.isFinite(seg.plusDays)) seg.plusDays = 0;
+
+      seg.departureTime = normalizeSegmentTime(seg.departureTime);
+      seg.arrivalTime = normalizeSegmentTime(seg.arrivalTime);
+    }
+  }
+
+  return args;
+}
+
+// Maximum ground time between two flights that still counts as a connection.
+// Anything longer is a stopover, which starts a new leg (open-jaw / multi-city).
+export const MAX_CONNECTION_MS = 24 * 60 * 60 * 1000;
+
+function segmentAirport(segment: any, direction: 'departure' | 'arrival'): string | null {
+  // Need departureAirport/arrivalAirport (API format) or departure/arrival (extracted format)
+  const code = direction === 'departure'
+    ? segment?.departureAirport || segment?.departure
+    : segment?.arrivalAirport || segment?.arrival;
+  return typeof code === 'string' && code ? code.toUpperCase() : null;
+}
+
+function segmentTimestamp(date: unknown, time: unknown, plusDays: unknown = 0): number | null {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const timeMatch = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})/) : null;
+  const base = new Date(`${date}T00:00:00Z`).getTime();
+  if (Number.isNaN(base)) return null;
+  const minutes = timeMatch ? Number(timeMatch[1]) * 60 + Number(timeMatch[2]) : 0;
+  return base + (Number(plusDays) || 0) * MAX_CONNECTION_MS + minutes * 60 * 1000;
+}
+
+/** Ground time between two consecutive segments in ms (local times), or null if dates are missing. */
+export function groundTimeBetween(previous: any, next: any): number | null {
+  const arrival = segmentTimestamp(previous.departureDate || previous.date, previous.arrivalTime, previous.plusDays);
+  const departure = segmentTimestamp(next.departureDate || next.date, next.departureTime);
+  if (arrival === null || departure === null) return null;
+  return departure - arrival;
+}
+
+// Helper function to split flattened segments in legs format into one leg per journey.
+// A new leg starts when the next flight leaves from a different airport than the previous
+// one landed at (open-jaw / multi-city) or after a stopover longer than a connection.
+// Continuous chains that return to their origin (A → B → A) are split at the longest
+// ground time, i.e. the stay at the destination (same idea as geminiService.ts).
+export function splitRoundTripLegs<T extends { segments?: any[] }>(legs: T[]): T[] {
+  if (!legs || legs.length === 0) return legs;
+
+  const normalizedLegs: T[] = [];
+
+  for (const leg of legs) {
+    if (!leg.segments || leg.segments.length < 2) {
+      // Single segment or no segments - keep as-is
+      normalizedLegs.push(leg);
+      continue;
+    }
+
+    // 1. Break the leg at airport discontinuities and stopovers
+    const chunks: any[][] = [[leg.segments[0]]];
+    for (let i = 1; i < leg.segments.length; i++) {
+      const previous = leg.segments[i - 1];
+      const segment = leg.segments[i];
+      const previousArrival = segmentAirport(previous, 'arrival');
+      const departure = segmentAirport(segment, 'departure');
+      const groundTime = groundTimeBetween(previous, segment);
+
+      const isDiscontinuous = previousArrival && departure && previousArrival !== departure;
+      const isStopover = groundTime !== null && groundTime > MAX_CONNECTION_MS;
+
+      if (isDiscontinuous || isStopover) {
+        console.error(`🔄 Splitting leg before segment ${i + 1}: ${isDiscontinuous ? `${previousArrival} → ${departure} gap` : 'stopover longer than 24h'}`);
+        chunks.push([segment]);
+      } else {
+        chunks[chunks.length - 1].push(segment);
+      }
+    }
+
+    // 2. A single continuous chain that returns to its origin is a round trip
+    if (chunks.length === 1) {
+      const segments = chunks[0];
+      const origin = segmentAirport(segments[0], 'departure');
+      const returnsToOrigin = origin && segmentAirport(segments[segments.length - 1], 'arrival') === origin;
+
+      if (returnsToOrigin) {
+        let splitIndex = -1;
+        let longestGroundTime = -Infinity;
+        for (let i = 1; i < segments.length; i++) {
+          const groundTime = groundTimeBetween(segments[i - 1], segments[i]);
+          if (groundTime !== null && groundTime > longestGroundTime) {
+            longestGroundTime = groundTime;
+            splitIndex = i;
+          }
+        }
+
+        if (splitIndex === -1) {
+          // No usable dates: the first segment flying back to origin starts the return
+          splitIndex = segments.findIndex((segment, i) => i > 0 && segmentAirport(segment, 'arrival') === origin);
+        }
+
+        console.error(`🔄 Splitting round trip: first ${splitIndex} segments are outbound, remaining are return`);
+        chunks.splice(0, 1, segments.slice(0, splitIndex), segments.slice(splitIndex));
+      }
+    }
+
+    for (const segments of chunks) {
+      normalizedLegs.push({ ...leg, segments });
+    }
+  }
+
+  return normalizedLegs;
+}
+
+/**
+ * Converts flight data into the Navifare API format, splitting flattened legs.
+ * Also accepts the old flat format (airline, flightNumber, departure, arrival, returnDate, ...).
+ */
+export function transformToApiFormat(flightData: any): FlightSearchRequest {
+  // If the flightData already has the correct structure, check if round trip needs splitting
+  if (flightData.trip && flightData.trip.legs) {
+    const normalizedLegs = splitRoundTripLegs(flightData.trip.legs);
+
+    if (normalizedLegs.length !== flightData.trip.legs.length) {
+      // Legs were split, return normalized structure
+      return {
+        ...flightData,
+        trip: {
+          ...flightData.trip,
+          legs: normalizedLegs
+        }
+      };
+    }
+
+    return flightData;
+  }
+
+  // Otherwise, transform the old format to the new format
+  const legs: TripLeg[] = [
+    {
+      segments: [
+        {
+          airline: flightData.airline,
+          flightNumber: flightData.flightNumber,
+          departureAirport: flightData.departure,
+          arrivalAirport: flightData.arrival,
+          departureDate: flightData.departureDate,
+          departureTime: flightData.departureTime,
+          arrivalTime: flightData.arrivalTime,
+          plusDays: 0
+        }
+      ]
+    }
+  ];
+
+  // Only add a return leg when the old format carries return details (one-way otherwise)
+  if (flightData.returnDate) {
+    legs.push({
+      segments: [
+        {
+          airline: flightData.airline, // Assuming same airline for return
+          flightNumber: flightData.flightNumber, // Assuming same flight number for return
+          departureAirport: flightData.arrival,
+          arrivalAirport: flightData.departure,
+          departureDate: flightData.returnDate,
+          departureTime: flightData.returnDepartureTime,
+          arrivalTime: flightData.returnArrivalTime,
+          plusDays: 0
+        }
+      ]
+    });
+  }
+
+  return {
+    trip: {
+      legs,
+      travelClass: flightData.travelClass,
+      adults: flightData.adults,
+      children: flightData.children,
+      infantsInSeat: flightData.infantsInSeat,
+      infantsOnLap: flightData.infantsOnLap
+    },
+    source: flightData.source,
+    price: flightData.price,
+    currency: flightData.currency,
+    location: flightData.location
+  };
+}
+
+export interface TripSummary {
+  route: string;
+  date: string;
+  passengers: string;
+  class: string;
+}
+
+// Short human-readable summary of a trip (route, first departure date, passengers, class)
+export function generateTripSummary(flightData: any): TripSummary | null {
+  if (!flightData?.trip?.legs || flightData.trip.legs.length === 0) {
+    return null;
+  }
+
+  try {
+    const firstLeg = flightData.trip.legs[0];
+    const lastLeg = flightData.trip.legs[flightData.trip.legs.length - 1];
+
+    if (!firstLeg.segments || !lastLeg.segments || firstLeg.segments.length === 0 || lastLeg.segments.length === 0) {
+      return null;
+    }
+
+    const firstSegment = firstLeg.segments[0];
+    const lastSegment = lastLeg.segments[lastLeg.segments.length - 1];
+
+    // Build route string
+    let route: string;
+    const tripType = classifyTrip(flightData.trip.legs);
+    if (tripType === 'ONE_WAY') {
+      route = `${firstSegment.departureAirport} → ${lastSegment.arrivalAirport}`;
+    } else if (tripType === 'ROUND_TRIP') {
+      const destination = firstLeg.segments[firstLeg.segments.length - 1].arrivalAirport;
+      route = `${firstSegment.departureAirport} ⇄ ${destination}`;
+    } else {
+      // Open-jaw or multi-city: list every leg in travel order
+      route = flightData.trip.legs
+        .filter((leg: any) => leg.segments?.length > 0)
+        .map((leg: any) => `${leg.segments[0].departureAirport} → ${leg.segments[leg.segments.length - 1].arrivalAirport}`)
+        .join(', ');
+    }
+
+    // Format date
+    const departureDate = new Date(firstSegment.departureDate);
+    const formattedDate = departureDate.toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+
+    // Build passenger string
+    const adults = flightData.trip.adults || 0;
+    const children = flightData.trip.children || 0;
+    const infants = (flightData.trip.infantsInSeat || 0) + (flightData.trip.infantsOnLap || 0);
+
+    let passengers = '';
+    if (adults > 0) passengers += `${adults} adult${adults !== 1 ? 's' : ''}`;
+    if (children > 0) passengers += `${passengers ? ', ' : ''}${children} child${children !== 1 ? 'ren' : ''}`;
+    if (infants > 0) passengers += `${passengers ? ', ' : ''}${infants} infant${infants !== 1 ? 's' : ''}`;
+
+    // Travel class
+    const travelClass = flightData.trip.travelClass?.toLowerCase().replace('_', ' ') || 'economy';
+    const capitalizedClass = travelClass.charAt(0).toUpperCase() + travelClass.slice(1);
+
+    return {
+      route: route,
+      date: formattedDate,
+      passengers: passengers || '1 passenger',
+      class: capitalizedClass
+    };
+  } catch (error) {
+    console.error('Error generating trip summary:', error);
+    return null;
+  }
+}
@@ -0,0 +1,82 @@
+// Shared types for the Navifare MCP core library.
+// Both transports (http-server.js and stdio-server.js) consume these shapes.
+
+/** A single flight in the Navifare API format. */
+export interface FlightSegment {
+  airline: string;
+  flightNumber: string;
+  departureAirport: string;
+  arrivalAirport: string;
+  departureDate: string; // YYYY-MM-DD
+  departureTime: string; // HH:MM or HH:MM:SS
+  arrivalTime: string; // HH:MM or HH:MM:SS
+  plusDays: number;
+}
+
+/** One journey (outbound, return, or one leg of an open-jaw/multi-city trip). */
+export interface TripLeg {
+  segments: FlightSegment[];
+}
+
+export interface Trip {
+  legs: TripLeg[];
+  travelClass: string;
+  adults: number;
+  children: number;
+  infantsInSeat: number;
+  infantsOnLap: number;
+}
+
+/** Payload accepted by flight_pricecheck and submitted to the Navifare API. */
+export interface FlightSearchRequest {
+  trip: Trip;
+  source: string;
+  price: string;
+  currency: string;
+  location?: string;
+}
+
+/** A segment as returned by the Gemini image/text extraction prompt. */
+export interface ExtractedSegment {
+  airline: string | null;
+  flightNumber: string | null;
+  departure: string | null;
+  arrival: string | null;
+  departureTime: string | null;
+  arrivalTime: string | null;
+  date: string | null;
+  flightDuration?: string | null;
+}
+
+/** Raw data returned by the Gemini image extraction prompt. */
+export interface ExtractedFlightData {
+  tripType?: 'one_way' | 'round_trip';
+  cabinClass?: string | null;
+  passengers?: {
+    adults: number | null;
+    children: number | null;
+    infants: number | null;
+  } | null;
+  outboundSegments?: ExtractedSegment[];
+  returnSegments?: ExtractedSegment[];
+  totalPrice?: number | null;
+  currency?: string | null;
+  error?: string;
+  details?: string;
+  [key: string]: any;
+}
+
+/** Outcome of parsing a natural language flight request. */
+export interface ParseFlightRequestResult {
+  needsMoreInfo: boolean;
+  message?: string;
+  missingFields?: string[];
+  flightData?: FlightSearchRequest;
+  /** Booking-site layout the request was pasted from, when the deterministic parser recognised it */
+  layout?: string;
+}
+
+export interface ImageInput {
+  data: string;
+  mimeType: string;
+}
@@ -0,0 +1,54 @@
+import type { EventId, EventStore, StreamId } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import type { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+
+interface StoredEvent {
+  eventId: EventId;
+  message: JSONRPCMessage;
+}
+
+/**
+ * In-memory event store backing resumable SSE streams (Last-Event-ID).
+ * One store is created per HTTP session, so its events are dropped with the session.
+ * Only the most recent `maxEventsPerStream` events of each stream are kept.
+ */
+export class SessionEventStore implements EventStore {
+  private streams = new Map<StreamId, StoredEvent[]>();
+  private counter = 0;
+
+  constructor(private maxEventsPerStream = 200) {}
+
+  async storeEvent(streamId: StreamId, message: JSONRPCMessage): Promise<EventId> {
+    // Event IDs embed the stream ID so a reconnecting client can be routed back to its stream
+    const eventId = `${streamId}_${String(++this.counter).padStart(10, "0")}`;
+    const events = this.streams.get(streamId) || [];
+    events.push({ eventId, message });
+    if (events.length > this.maxEventsPerStream) {
+      events.splice(0, events.length - this.maxEventsPerStream);
+    }
+    this.streams.set(streamId, events);
+    return eventId;
+  }
+
+  async replayEventsAfter(
+    lastEventId: EventId,
+    { send }: { send: (eventId: EventId, message: JSONRPCMessage) => Promise<void> }
+  ): Promise<StreamId> {
+    const streamId = lastEventId.slice(0, lastEventId.lastIndexOf("_"));
+    const events = this.streams.get(streamId);
+    if (!events) {
+      return "";
+    }
+
+    const lastIndex = events.findIndex((event) => event.eventId === lastEventId);
+    if (lastIndex === -1) {
+      // The event was evicted: replaying from an arbitrary point would skip messages silently
+      console.error(`⚠️ Cannot resume stream ${streamId}: event ${lastEventId} is no longer available`);
+      return "";
+    }
+
+    for (const event of events.slice(lastIndex + 1)) {
+      await send(event.eventId, event.message);
+    }
+    return streamId;
+  }
+}
@@ -1,4 +1,5 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { resolvePlusDays } from './core/blockTime.js';
 
 // Initialize Gemini AI
 const genAI = new GoogleGenerativeAI(
@@ -66,7 +67,7 @@ Look very carefully for pricing information:
 - If there are multiple prices, extract the cheapest one you find
 
 IMPORTANT EXTRACTION RULES:
-1. Trip Type: **ALWAYS SET TO "round_trip"** - One-way trips are not supported. If you detect a one-way booking, still set tripType to "round_trip" but note this in the response.
+1. Trip Type: Set to "round_trip" only if the booking contains return flights back to the origin. Otherwise set it to "one_way" - one-way trips are fully supported.
 2. Cabin Class: Look for class indicators like "Economy", "Business", "Premium", "First"
 3. Passengers: Extract number of adults, children, infants carefully:
    - Look for explicit passenger count indicators: "2 adults", "2 passengers", "per person", "total for X people"
@@ -89,7 +90,7 @@ IMPORTANT EXTRACTION RULES:
    SEGMENT ASSIGNMENT:
    - For ROUND TRIPS: All flights from origin city to destination city go in "outboundSegments" (including connecting flights)
    - For ROUND TRIPS: All flights from destination city back to origin city go in "returnSegments" (including connecting flights)
-   - For ONE-WAY TRIPS DETECTED: All flights go in "outboundSegments", "returnSegments" should be empty array, but set tripType to "round_trip" and add a note
+   - For ONE-WAY TRIPS: All flights go in "outboundSegments", "returnSegments" should be an empty array, and tripType is "one_way"
    - **MULTI-SEGMENT FLIGHTS**: If there are connecting flights, each flight leg is a separate segment in the same direction
    - **ROUND-TRIP DETECTION**: If the second segment's arrival airport matches the first segment's departure airport, it's a return flight (round-trip)
    - Look for visual indicators: "Return", "Back", "Round trip", airport codes returning to origin
@@ -187,14 +188,9 @@ AIRLINE NAME EXTRACTION:
                              (Array.isArray(extractedData.returnSegments) && extractedData.returnSegments.length === 0);
       
       if (isOneWayDetected) {
-        console.log('⚠️ One-way trip detected - forcing round trip structure');
-        // Force round trip structure
-        extractedData.tripType = 'round_trip';
+        console.log('✈️ One-way trip detected');
+        extractedData.tripType = 'one_way';
         extractedData.returnSegments = [];
-        
-        // Add a note about the one-way detection
-        extractedData.oneWayDetected = true;
-        extractedData.oneWayMessage = 'One-way trip detected. Return flights are required but not found in the booking. Please add return flight details manually.';
       }
       
       // Add metadata
@@ -222,44 +218,38 @@ AIRLINE NAME EXTRACTION:
 
 // Convert FlightDetails to the format expected by submit_session
 function convertToSubmitSessionFormat(flightDetails: any): any {
-  const segments: any[] = [];
+  const toSegment = (segment: any) => ({
+    airline: segment.airline || '',
+    flightNumber: segment.flightNumber || '',
+    departureAirport: segment.departure || '',
+    arrivalAirport: segment.arrival || '',
+    departureDate: segment.date || '',
+    departureTime: segment.departureTime || '',
+    arrivalTime: segment.arrivalTime || '',
+    plusDays: resolvePlusDays({
+      departureAirport: segment.departure,
+      arrivalAirport: segment.arrival,
+      departureDate: segment.date,
+      departureTime: segment.departureTime,
+      arrivalTime: segment.arrivalTime,
+      flightDuration: segment.flightDuration
+    })
+  });
+
+  const legs: any[] = [];
   
   // Process outbound segments
-  if (flightDetails.outboundSegments && Array.isArray(flightDetails.outboundSegments)) {
-    flightDetails.outboundSegments.forEach((segment: any) => {
-      segments.push({
-        airline: segment.airline || '',
-        flightNumber: segment.flightNumber || '',
-        departureAirport: segment.departure || '',
-        arrivalAirport: segment.arrival || '',
-        departureDate: segment.date || '',
-        departureTime: segment.departureTime || '',
-        arrivalTime: segment.arrivalTime || '',
-        plusDays: calculatePlusDays(segment.departureTime, segment.arrivalTime)
-      });
-    });
+  if (flightDetails.outboundSegments && Array.isArray(flightDetails.outboundSegments) && flightDetails.outboundSegments.length > 0) {
+    legs.push({ segments: flightDetails.outboundSegments.map(toSegment) });
   }
   
-  // Process return segments
-  if (flightDetails.returnSegments && Array.isArray(flightDetails.returnSegments)) {
-    flightDetails.returnSegments.forEach((segment: any) => {
-      segments.push({
-        airline: segment.airline || '',
-        flightNumber: segment.flightNumber || '',
-        departureAirport: segment.departure || '',
-        arrivalAirport: segment.arrival || '',
-        departureDate: segment.date || '',
-        departureTime: segment.departureTime || '',
-        arrivalTime: segment.arrivalTime || '',
-        plusDays: calculatePlusDays(segment.departureTime, segment.arrivalTime)
-      });
-    });
+  // Process return segments (absent for one-way trips)
+  if (flightDetails.returnSegments && Array.isArray(flightDetails.returnSegments) && flightDetails.returnSegments.length > 0) {
+    legs.push({ segments: flightDetails.returnSegments.map(toSegment) });
   }
   
   return {
-    legs: [{
-      segments: segments
-    }],
+    legs,
     travelClass: flightDetails.cabinClass || 'economy',
     adults: flightDetails.passengers?.adults || 1,
     children: flightDetails.passengers?.children || 0,
@@ -271,25 +261,3 @@ function convertToSubmitSessionFormat(flightDetails: any): any {
     location: 'Unknown' // Could be enhanced with location detection
   };
 }
-
-// Calculate plusDays based on departure and arrival times
-function calculatePlusDays(departureTime: string, arrivalTime: string): number {
-  if (!departureTime || !arrivalTime) return 0;
-  
-  try {
-    const [depHour, depMin] = departureTime.split(':').map(Number);
-    const [arrHour, arrMin] = arrivalTime.split(':').map(Number);
-    
-    const depMinutes = depHour * 60 + depMin;
-    const arrMinutes = arrHour * 60 + arrMin;
-    
-    // If arrival time is earlier than departure time, it's next day
-    if (arrMinutes < depMinutes) {
-      return 1;
-    }
-    
-    return 0;
-  } catch {
-    return 0;
-  }
-}
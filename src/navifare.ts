@@ -1,63 +1,89 @@
 import fetch from "node-fetch";
+import { nextPollInterval, resolvePollingOptions, type PollingOptions, type PollStopReason } from "./polling.js";
+import { CircuitBreaker, CircuitOpenError, resolveRetryOptions, retryingFetch } from "./resilience.js";
 
-// MCP server runs server-side (Node.js), so no CORS restrictions - call backend directly
-const API_BASE_URL = process.env.NAVIFARE_API_BASE_URL || "https://api.navifare.com/api/v1/price-discovery/flights";
+// MCP server runs server-side (Node.js), so no CORS restrictions - call backend directly.
+// Read on every call so tests can point NAVIFARE_API_BASE_URL at a mock backend (test/mock-navifare-server.js).
+const DEFAULT_API_BASE_URL = "https://api.navifare.com/api/v1/price-discovery/flights";
+
+function apiBaseUrl(): string {
+  return process.env.NAVIFARE_API_BASE_URL || DEFAULT_API_BASE_URL;
+}
+
+export type TripType = 'ONE_WAY' | 'ROUND_TRIP' | 'OPEN_JAW' | 'MULTI_CITY';
+
+/**
+ * Classifies a trip from its legs:
+ * - ONE_WAY: a single leg
+ * - ROUND_TRIP: two legs, the return goes from the outbound destination back to the outbound origin
+ * - OPEN_JAW: two legs where the return departs from and/or arrives at a different airport (e.g. MXP→JFK, BOS→MXP)
+ * - MULTI_CITY: three or more legs
+ */
+export function classifyTrip(legs: any[]): TripType {
+  if (!Array.isArray(legs) || legs.length <= 1) {
+    return 'ONE_WAY';
+  }
+  if (legs.length > 2) {
+    return 'MULTI_CITY';
+  }
+
+  const outboundSegments = legs[0]?.segments || [];
+  const returnSegments = legs[1]?.segments || [];
+  const outboundOrigin = outboundSegments[0]?.departureAirport;
+  const outboundDestination = outboundSegments[outboundSegments.length - 1]?.arrivalAirport;
+  const returnOrigin = returnSegments[0]?.departureAirport;
+  const returnDestination = returnSegments[returnSegments.length - 1]?.arrivalAirport;
+
+  // For a plain round-trip: return should go from outbound destination back to outbound origin
+  if (returnOrigin === outboundDestination && returnDestination === outboundOrigin) {
+    return 'ROUND_TRIP';
+  }
+  return 'OPEN_JAW';
+}
 
 /**
- * Validates that the trip is a supported type (round-trip with same origin/destination).
- * Throws an error for one-way trips or open-jaw trips.
+ * Validates that every leg of the trip has at least one segment.
+ * One-way, round-trip, open-jaw and multi-city trips are all supported.
  */
 function validateTripType(input: any): void {
   const legs = input?.trip?.legs;
 
-  if (!legs || !Array.isArray(legs)) {
+  if (!legs || !Array.isArray(legs) || legs.length === 0) {
     throw new Error('Invalid trip: missing legs array');
   }
 
-  // Check for one-way trips (only 1 leg)
-  if (legs.length === 1) {
-    throw new Error(
-      'One-way trips are not yet supported. Please provide a round-trip itinerary with both outbound and return flights.'
-    );
-  }
-
-  // Check for open-jaw trips (return destination doesn't match outbound origin)
-  if (legs.length >= 2) {
-    const outboundLeg = legs[0];
-    const returnLeg = legs[legs.length - 1];
+  legs.forEach((leg: any, legIndex: number) => {
+    if (!Array.isArray(leg?.segments) || leg.segments.length === 0) {
+      throw new Error(`Invalid trip: leg ${legIndex + 1} has no segments`);
+    }
+  });
 
-    // Get first segment of outbound and last segment of return
-    const outboundSegments = outboundLeg?.segments;
-    const returnSegments = returnLeg?.segments;
+  console.error(`🧭 Trip type: ${classifyTrip(legs)} (${legs.length} leg${legs.length !== 1 ? 's' : ''})`);
+}
 
-    if (outboundSegments?.length > 0 && returnSegments?.length > 0) {
-      const outboundOrigin = outboundSegments[0]?.departureAirport;
-      const outboundDestination = outboundSegments[outboundSegments.length - 1]?.arrivalAirport;
-      const returnOrigin = returnSegments[0]?.departureAirport;
-      const returnDestination = returnSegments[returnSegments.length - 1]?.arrivalAirport;
+// Shared by every call to the Navifare API, so a backend outage trips it for all searches
+export const navifareCircuit = new CircuitBreaker();
 
-      // For a valid round-trip: return should go from outbound destination back to outbound origin
-      if (returnOrigin !== outboundDestination || returnDestination !== outboundOrigin) {
-        throw new Error(
-          `Open-jaw trips are not yet supported. The return flight must depart from ${outboundDestination} and arrive at ${outboundOrigin}. ` +
-          `Got: ${returnOrigin} to ${returnDestination}.`
-        );
-      }
-    }
-  }
+/**
+ * fetch() for the Navifare API with retries and the circuit breaker (see
+ * retryingFetch in resilience.ts). The last response is returned even when it
+ * is an error, so callers keep their own error handling.
+ */
+function fetchWithRetry(url: string, init: { method?: string; headers?: Record<string, string>; body?: string }, signal?: AbortSignal) {
+  return retryingFetch(url, init, signal, { fetch, circuit: navifareCircuit, options: resolveRetryOptions(), sleep });
 }
 
-export async function submit_session(input: any) {
+export async function submit_session(input: any, signal?: AbortSignal) {
   // Validate trip type before making API call
   validateTripType(input);
 
   console.error('📤 Sending request to Navifare API:', JSON.stringify(input, null, 2));
-  console.error('📤 API URL:', `${API_BASE_URL}/session`);
-  const res = await fetch(`${API_BASE_URL}/session`, {
+  console.error('📤 API URL:', `${apiBaseUrl()}/session`);
+  const res = await fetchWithRetry(`${apiBaseUrl()}/session`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(input)
-  });
+  }, signal);
   console.error(`📥 Response status: ${res.status} ${res.statusText}`);
   console.error(`📥 Response headers:`, Object.fromEntries(res.headers.entries()));
   
@@ -136,8 +162,14 @@ export async function submit_session(input: any) {
   return responseData;
 }
 
-export async function get_session_results(request_id: string) {
-  const res = await fetch(`${API_BASE_URL}/session/${request_id}`);
+// Numeric amount of a backend price ("86.00" or 86), or null when missing
+function toAmount(price: unknown): number | null {
+  const amount = typeof price === 'number' ? price : parseFloat(String(price ?? ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+export async function get_session_results(request_id: string, signal?: AbortSignal) {
+  const res = await fetchWithRetry(`${apiBaseUrl()}/session/${request_id}`, {}, signal);
   if (!res.ok) {
     const text = await res.text();
     throw new Error(`Navifare API error: ${res.status} ${res.statusText} - ${text}`);
@@ -149,7 +181,11 @@ export async function get_session_results(request_id: string) {
     const formattedResults = data.results.map((result: any, index: number) => ({
       rank: index + 1,
       price: `${result.price} ${result.currency}`,
+      amount: toAmount(result.price),
+      currency: result.currency ?? null,
       convertedPrice: result.convertedPrice ? `${result.convertedPrice} ${result.convertedCurrency}` : null,
+      convertedAmount: toAmount(result.convertedPrice),
+      convertedCurrency: result.convertedCurrency ?? null,
       website: result.source || result.website_name,
       bookingUrl: result.booking_URL || result.booking_url,
       fareType: result.private_fare === 'true' ? 'Special Fare' : 'Standard Fare',
@@ -160,78 +196,138 @@ export async function get_session_results(request_id: string) {
       request_id: data.request_id,
       status: data.status,
       totalResults: data.results.length,
-      results: formattedResults,
-      rawData: data // Include raw data for debugging
+      results: formattedResults
     };
   }
   
   return data;
 }
 
-// Helper function to sleep
-function sleep(ms: number): Promise<void> {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Error thrown when a search is cancelled through its AbortSignal
+export class SearchCancelledError extends Error {
+  constructor(message = 'Flight search was cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+function throwIfCancelled(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new SearchCancelledError();
+  }
+}
+
+// Helper function to sleep; rejects as soon as the signal is aborted
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new SearchCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new SearchCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
-export async function submit_and_poll_session(input: any, onProgress?: (results: any) => void) {
+/**
+ * Submits a session and polls for its results until the search completes,
+ * the result count stays unchanged for `stablePolls` polls, or `maxDurationMs`
+ * elapses. Polling parameters come from `polling`, then the environment, then
+ * the adaptive defaults (see polling.ts). The returned object carries
+ * `stopReason`: 'completed', 'stable' or 'timeout'.
+ *
+ * Aborting `signal` cancels the in-flight HTTP request, stops polling and
+ * rejects with a SearchCancelledError.
+ *
+ * Each API call is retried on transient failures (see fetchWithRetry); once the
+ * circuit breaker opens the search fails fast with a CircuitOpenError.
+ */
+export async function submit_and_poll_session(
+  input: any,
+  onProgress?: (results: any) => void,
+  polling: Partial<PollingOptions> = {},
+  signal?: AbortSignal
+) {
   // Use console.error so logs are visible in MCP Inspector (which reads stderr)
   console.error('🚀 Submitting session...');
   
   try {
     // Submit the session
-    const submitResponse = await submit_session(input);
+    const submitResponse = await submit_session(input, signal);
     const request_id = submitResponse.request_id;
     
     if (!request_id) {
       throw new Error('No request_id returned from submit_session');
     }
     
+    const options = resolvePollingOptions(polling);
+    const totalTimeout = options.maxDurationMs;
+    
     console.error(`✅ Session created with ID: ${request_id}`);
-    console.error('⏳ Starting polling for results (will poll for up to 90 seconds)...');
-
-    // Poll for results: 90 seconds total, checking every 10 seconds
-    const totalTimeout = 90000; // 90 seconds in milliseconds
-    const pollInterval = 10000; // 10 seconds between polls
+    console.error(`⏳ Starting polling for results (up to ${Math.round(totalTimeout / 1000)}s, first interval ${options.initialIntervalMs}ms)...`);
     
     const startTime = Date.now();
     let lastResults: any = null;
     let attempt = 0;
     let lastResultCount = 0;
+    let stablePollCount = 0;
+    let pollInterval = options.initialIntervalMs;
+    let stopReason: PollStopReason = 'timeout';
     
-    // Keep polling until COMPLETED or timeout
+    // Keep polling until COMPLETED, stable or timeout
     while (true) {
+      throwIfCancelled(signal);
       attempt++;
       const elapsedTime = Date.now() - startTime;
       
       // Check timeout BEFORE polling to avoid unnecessary API calls
       if (elapsedTime >= totalTimeout) {
-        console.error(`  ⏱️  Reached 90-second timeout (${Math.round(elapsedTime / 1000)}s elapsed). Stopping polling.`);
+        console.error(`  ⏱️  Reached ${Math.round(totalTimeout / 1000)}-second timeout (${Math.round(elapsedTime / 1000)}s elapsed). Stopping polling.`);
         break;
       }
       
       console.error(`  🔄 Poll attempt ${attempt} (${Math.round(elapsedTime / 1000)}s elapsed, ${Math.round((totalTimeout - elapsedTime) / 1000)}s remaining)...`);
       
+      let hasNewResults = false;
       try {
-        const results = await get_session_results(request_id);
+        const results = await get_session_results(request_id, signal);
         lastResults = results;
         
         const currentCount = results.totalResults || results.results?.length || 0;
         console.error(`  📊 Poll ${attempt} response: status=${results.status}, totalResults=${currentCount}`);
         
         // Send progress update if we have new results OR if status changed to COMPLETED
-        const hasNewResults = currentCount > lastResultCount;
+        hasNewResults = currentCount > lastResultCount;
         const isCompleted = results.status === 'COMPLETED';
         
         if ((hasNewResults || isCompleted) && onProgress && currentCount > 0) {
           console.error(`  📤 Streaming ${currentCount} result${currentCount !== 1 ? 's' : ''}${hasNewResults ? ` (${currentCount - lastResultCount} new)` : ''}...`);
           onProgress(results);
+        }
+        if (hasNewResults) {
           lastResultCount = currentCount;
         }
         
         // Return immediately if status is COMPLETED
         if (isCompleted) {
           console.error(`  ✅ Search completed with ${currentCount} result${currentCount !== 1 ? 's' : ''}.`);
-          return results;
+          return { ...results, stopReason: 'completed' as PollStopReason };
+        }
+        
+        // Stability only counts once results have started to arrive
+        stablePollCount = !hasNewResults && currentCount > 0 ? stablePollCount + 1 : 0;
+        // ... and only after minDurationMs, so booking sites that answer slowly are not cut off
+        if (options.stablePolls > 0 && stablePollCount >= options.stablePolls && Date.now() - startTime >= options.minDurationMs) {
+          console.error(`  🧊 Result count unchanged for ${stablePollCount} polls (${currentCount} result${currentCount !== 1 ? 's' : ''}). Stopping polling.`);
+          stopReason = 'stable';
+          break;
         }
         
         // Log current status and continue polling if still IN_PROGRESS
@@ -242,6 +338,12 @@ export async function submit_and_poll_session(input: any, onProgress?: (results:
         }
         
       } catch (error: any) {
+        // A cancelled search must stop, not be retried
+        throwIfCancelled(signal);
+        // The backend is down: fail now instead of polling until the timeout
+        if (error instanceof CircuitOpenError) {
+          throw error;
+        }
         console.error(`  ⚠️  Poll attempt ${attempt} failed: ${error.message}`);
         console.error(`  ⚠️  Error stack: ${error.stack}`);
         // Continue polling even if one attempt fails
@@ -250,49 +352,50 @@ export async function submit_and_poll_session(input: any, onProgress?: (results:
       // Check timeout again after the poll
       const elapsed = Date.now() - startTime;
       if (elapsed >= totalTimeout) {
-        console.error(`  ⏱️  Reached 90-second timeout. Stopping polling.`);
+        console.error(`  ⏱️  Reached ${Math.round(totalTimeout / 1000)}-second timeout. Stopping polling.`);
         break;
       }
       
       // Calculate how long to wait (don't wait longer than remaining time)
+      if (attempt > 1) {
+        pollInterval = nextPollInterval(pollInterval, hasNewResults, options);
+      }
       const remainingTime = totalTimeout - elapsed;
       const waitTime = Math.min(pollInterval, remainingTime);
       
       if (waitTime > 0) {
-        console.error(`  ⏸️  Waiting ${Math.round(waitTime / 1000)}s before next poll...`);
-        await sleep(waitTime);
+        console.error(`  ⏸️  Waiting ${waitTime}ms before next poll...`);
+        await sleep(waitTime, signal);
       } else {
         console.error(`  ⏱️  No time remaining, stopping polling.`);
         break;
       }
     }
     
-    // Return final results after polling completes or timeout reached
-    console.error(`⏱️  Polling complete after ${attempt} attempt(s). Returning final status...`);
+    // Return final results after polling stops early or the timeout is reached
+    console.error(`⏱️  Polling stopped (${stopReason}) after ${attempt} attempt(s). Returning final status...`);
     if (lastResults) {
       const finalCount = lastResults.totalResults || lastResults.results?.length || 0;
       console.error(`  📤 Returning last known results: status=${lastResults.status}, totalResults=${finalCount}`);
-      // Send final progress update if we have results and haven't sent them yet
-      if (finalCount > lastResultCount && onProgress) {
-        onProgress(lastResults);
-      }
-      return lastResults;
+      return { ...lastResults, stopReason };
     }
     // Fallback: get fresh results if we don't have any
     console.error(`  📤 Fetching final results from API...`);
-    const finalResults = await get_session_results(request_id);
+    const finalResults = await get_session_results(request_id, signal);
     const finalCount = finalResults.totalResults || finalResults.results?.length || 0;
     console.error(`  📤 Final results: status=${finalResults.status}, totalResults=${finalCount}`);
     // Send final progress update if we have results
     if (finalCount > 0 && onProgress) {
       onProgress(finalResults);
     }
-    return finalResults;
+    return { ...finalResults, stopReason };
   } catch (error: any) {
+    if (signal?.aborted) {
+      console.error('🛑 Flight search cancelled, stopped polling.');
+      throw error instanceof SearchCancelledError ? error : new SearchCancelledError();
+    }
     console.error(`❌ Fatal error in submit_and_poll_session: ${error.message}`);
     console.error(`❌ Error stack: ${error.stack}`);
     throw error;
   }
 }
-
-
@@ -0,0 +1,134 @@
+/**
+ * Polling strategy for submit_and_poll_session.
+ *
+ * The default is adaptive: poll every second while new results keep arriving,
+ * then back off geometrically (up to maxIntervalMs) once the result count stops
+ * changing, and stop after stablePolls polls without new results once the search
+ * has run for minDurationMs. Every parameter can be set through the environment
+ * or per call.
+ */
+
+export interface PollingOptions {
+  /** Delay before the second poll, and after any poll that brought new results (ms) */
+  initialIntervalMs: number;
+  /** Upper bound for the delay between polls (ms) */
+  maxIntervalMs: number;
+  /** Multiplier applied to the delay after a poll without new results (1 = fixed interval) */
+  backoffFactor: number;
+  /** Give up after this long and return whatever results are available (ms) */
+  maxDurationMs: number;
+  /** Stop once the result count has not changed for this many consecutive polls (0 = never) */
+  stablePolls: number;
+  /** Keep polling at least this long before stopping on stable results (ms) */
+  minDurationMs: number;
+}
+
+export type PollStopReason = 'completed' | 'timeout' | 'stable';
+
+export const DEFAULT_POLLING_OPTIONS: PollingOptions = {
+  initialIntervalMs: 1000,
+  maxIntervalMs: 10000,
+  backoffFactor: 1.5,
+  maxDurationMs: 90000,
+  stablePolls: 3,
+  minDurationMs: 30000,
+};
+
+// Environment variable for each option
+const POLLING_ENV_VARS: Record<keyof PollingOptions, string> = {
+  initialIntervalMs: 'NAVIFARE_POLL_INITIAL_INTERVAL_MS',
+  maxIntervalMs: 'NAVIFARE_POLL_MAX_INTERVAL_MS',
+  backoffFactor: 'NAVIFARE_POLL_BACKOFF_FACTOR',
+  maxDurationMs: 'NAVIFARE_POLL_MAX_DURATION_MS',
+  stablePolls: 'NAVIFARE_POLL_STABLE_POLLS',
+  minDurationMs: 'NAVIFARE_POLL_MIN_DURATION_MS',
+};
+
+// Minimum accepted value for each option
+const POLLING_MINIMUMS: Record<keyof PollingOptions, number> = {
+  initialIntervalMs: 1,
+  maxIntervalMs: 1,
+  backoffFactor: 1,
+  maxDurationMs: 0,
+  stablePolls: 0,
+  minDurationMs: 0,
+};
+
+function validOption(key: keyof PollingOptions, value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= POLLING_MINIMUMS[key];
+}
+
+/**
+ * Resolves the polling options for one call: per-call overrides win over
+ * environment variables, which win over the defaults. Invalid values are
+ * ignored with a warning rather than failing the search.
+ */
+export function resolvePollingOptions(
+  overrides: Partial<PollingOptions> = {},
+  env: Record<string, string | undefined> = process.env
+): PollingOptions {
+  const options: PollingOptions = { ...DEFAULT_POLLING_OPTIONS };
+
+  for (const key of Object.keys(DEFAULT_POLLING_OPTIONS) as (keyof PollingOptions)[]) {
+    const envValue = env[POLLING_ENV_VARS[key]];
+    if (envValue !== undefined && envValue !== '') {
+      const parsed = Number(envValue);
+      if (validOption(key, parsed)) {
+        options[key] = parsed;
+      } else {
+        console.error(`⚠️  Ignoring invalid ${POLLING_ENV_VARS[key]}="${envValue}"`);
+      }
+    }
+
+    const override = overrides[key];
+    if (override !== undefined) {
+      if (validOption(key, override)) {
+        options[key] = override;
+      } else {
+        console.error(`⚠️  Ignoring invalid polling option ${key}=${override}`);
+      }
+    }
+  }
+
+  options.maxIntervalMs = Math.max(options.maxIntervalMs, options.initialIntervalMs);
+  return options;
+}
+
+/**
+ * Per-call polling options from a tool's `polling` argument, e.g.
+ * { maxDurationMs: 30000 }. Throws a user-facing error for an unknown option or
+ * an invalid value, unlike the environment variables, which fall back to defaults.
+ */
+export function pollingOptionsFromArgs(args: any): Partial<PollingOptions> {
+  const polling = args?.polling;
+  if (polling === undefined || polling === null) return {};
+  if (typeof polling !== 'object' || Array.isArray(polling)) {
+    throw new Error('polling must be an object, e.g. { "maxDurationMs": 30000 }.');
+  }
+
+  const options: Partial<PollingOptions> = {};
+  for (const [name, value] of Object.entries(polling)) {
+    if (!(name in DEFAULT_POLLING_OPTIONS)) {
+      throw new Error(`Unknown polling option "${name}". Use ${Object.keys(DEFAULT_POLLING_OPTIONS).join(', ')}.`);
+    }
+    if (value === undefined || value === null) continue;
+    const key = name as keyof PollingOptions;
+    const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+    if (!validOption(key, number)) {
+      throw new Error(`polling.${key} must be a number of at least ${POLLING_MINIMUMS[key]} (got "${value}").`);
+    }
+    options[key] = number;
+  }
+  return options;
+}
+
+/**
+ * Delay before the next poll: back to the initial interval when the last poll
+ * brought new results, otherwise the current delay grown by the backoff factor.
+ */
+export function nextPollInterval(currentIntervalMs: number, sawNewResults: boolean, options: PollingOptions): number {
+  if (sawNewResults) {
+    return options.initialIntervalMs;
+  }
+  return Math.min(Math.round(currentIntervalMs * options.backoffFactor), options.maxIntervalMs);
+}
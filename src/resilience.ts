@@ -0,0 +1,302 @@
+/**
+ * Retry and circuit-breaker policy for calls to the Navifare API.
+ *
+ * Failed requests are retried with exponential backoff and full jitter, waiting
+ * for the server's Retry-After instead when it sends one. After too many
+ * consecutive failed calls the circuit opens and calls fail fast until the
+ * reset timeout elapses; then a single trial call decides whether it closes.
+ */
+
+export interface RetryOptions {
+  /** Total attempts per request, including the first one (1 = no retries) */
+  maxAttempts: number;
+  /** Backoff ceiling for the first retry; doubles on each further retry (ms) */
+  baseDelayMs: number;
+  /** Upper bound for a single backoff delay (ms) */
+  maxDelayMs: number;
+  /** Give up instead of waiting when Retry-After asks for longer than this (ms) */
+  maxRetryAfterMs: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failed calls that open the circuit */
+  failureThreshold: number;
+  /** How long the circuit stays open before a trial call is let through (ms) */
+  resetTimeoutMs: number;
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 15000,
+};
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS: CircuitBreakerOptions = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+};
+
+const RETRY_ENV_VARS: Record<keyof RetryOptions, string> = {
+  maxAttempts: 'NAVIFARE_RETRY_MAX_ATTEMPTS',
+  baseDelayMs: 'NAVIFARE_RETRY_BASE_DELAY_MS',
+  maxDelayMs: 'NAVIFARE_RETRY_MAX_DELAY_MS',
+  maxRetryAfterMs: 'NAVIFARE_RETRY_MAX_RETRY_AFTER_MS',
+};
+
+const CIRCUIT_ENV_VARS: Record<keyof CircuitBreakerOptions, string> = {
+  failureThreshold: 'NAVIFARE_CIRCUIT_FAILURE_THRESHOLD',
+  resetTimeoutMs: 'NAVIFARE_CIRCUIT_RESET_TIMEOUT_MS',
+};
+
+// Reads numeric options from the environment; invalid values keep the default with a warning
+function resolveFromEnv<T extends { [K in keyof T]: number }>(
+  defaults: T,
+  envVars: Record<keyof T, string>,
+  minimum: (key: keyof T) => number,
+  env: Record<string, string | undefined>
+): T {
+  const options = { ...defaults };
+  for (const key of Object.keys(defaults) as (keyof T)[]) {
+    const envValue = env[envVars[key]];
+    if (envValue === undefined || envValue === '') {
+      continue;
+    }
+    const parsed = Number(envValue);
+    if (Number.isFinite(parsed) && parsed >= minimum(key)) {
+      options[key] = parsed as T[keyof T];
+    } else {
+      console.error(`⚠️  Ignoring invalid ${envVars[key]}="${envValue}"`);
+    }
+  }
+  return options;
+}
+
+export function resolveRetryOptions(env: Record<string, string | undefined> = process.env): RetryOptions {
+  const options = resolveFromEnv(DEFAULT_RETRY_OPTIONS, RETRY_ENV_VARS, key => (key === 'maxAttempts' ? 1 : 0), env);
+  options.maxAttempts = Math.floor(options.maxAttempts);
+  options.maxDelayMs = Math.max(options.maxDelayMs, options.baseDelayMs);
+  return options;
+}
+
+export function resolveCircuitBreakerOptions(env: Record<string, string | undefined> = process.env): CircuitBreakerOptions {
+  return resolveFromEnv(DEFAULT_CIRCUIT_BREAKER_OPTIONS, CIRCUIT_ENV_VARS, key => (key === 'failureThreshold' ? 1 : 0), env);
+}
+
+// Statuses worth retrying. POST only retries statuses where the backend did not process the request.
+const RETRYABLE_GET_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_POST_STATUSES = new Set([429, 502, 503, 504]);
+
+// Network errors raised before a response arrived (node-fetch FetchError codes)
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET',
+]);
+
+export function isRetryableStatus(method: string, status: number): boolean {
+  return (method.toUpperCase() === 'GET' ? RETRYABLE_GET_STATUSES : RETRYABLE_POST_STATUSES).has(status);
+}
+
+export function isRetryableNetworkError(error: any): boolean {
+  return !!error && error.name !== 'AbortError' && RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date) into
+ * milliseconds from `now`. Returns undefined when the header is missing or invalid.
+ */
+export function parseRetryAfter(header: string | null | undefined, now: number = Date.now()): number | undefined {
+  if (!header || !header.trim()) {
+    return undefined;
+  }
+  const value = header.trim();
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Delay before retry number `retry` (1 for the first retry): a random value
+ * between 0 and min(maxDelayMs, baseDelayMs * 2^(retry - 1)) ("full jitter"),
+ * so that clients failing together do not retry together.
+ */
+export function backoffDelay(retry: number, options: RetryOptions, random: () => number = Math.random): number {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, Math.max(0, retry - 1)));
+  return Math.round(random() * ceiling);
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+// Thrown instead of calling the backend while the circuit is open, or while the
+// half-open circuit waits for its trial call (retryInMs is then 0)
+export class CircuitOpenError extends Error {
+  constructor(public readonly retryInMs: number, public readonly trialInProgress = false) {
+    super(trialInProgress
+      ? 'Navifare API is recovering from repeated failures and is checked with a single request first. Please try again in a few seconds.'
+      : `Navifare API is temporarily unavailable after repeated failures; not retrying for another ${Math.ceil(retryInMs / 1000)}s. Please try again later.`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+
+  constructor(
+    private readonly options: CircuitBreakerOptions = resolveCircuitBreakerOptions(),
+    private readonly now: () => number = Date.now
+  ) {}
+
+  get currentState(): CircuitState {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.options.resetTimeoutMs) {
+      return 'half-open';
+    }
+    return this.state;
+  }
+
+  /**
+   * Throws a CircuitOpenError unless a call may go through. Once the reset
+   * timeout has elapsed only one trial call is allowed until it reports back.
+   */
+  beforeCall(): void {
+    const state = this.currentState;
+    if (state === 'closed') {
+      return;
+    }
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.state = 'half-open';
+      this.trialInFlight = true;
+      console.error('🔌 Navifare circuit half-open, sending a trial request...');
+      return;
+    }
+    if (state === 'half-open') {
+      throw new CircuitOpenError(0, true);
+    }
+    throw new CircuitOpenError(this.openedAt + this.options.resetTimeoutMs - this.now());
+  }
+
+  recordSuccess(): void {
+    if (this.state !== 'closed') {
+      console.error('🔌 Navifare circuit closed, backend is responding again.');
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  // A cancelled call says nothing about the backend; just free the trial slot
+  recordCancelled(): void {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.options.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`🔌 Navifare circuit opened after ${this.consecutiveFailures} consecutive failure(s); failing fast for ${Math.round(this.options.resetTimeoutMs / 1000)}s.`);
+      }
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  reset(): void {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+}
+
+/** The parts of a fetch() response the retry loop reads */
+export interface RetryableResponse {
+  status: number;
+  headers: { get(name: string): string | null };
+  text(): Promise<string>;
+}
+
+export interface RetryContext<R extends RetryableResponse> {
+  fetch: (url: string, init: { method: string; headers?: Record<string, string>; body?: string; signal?: AbortSignal }) => Promise<R>;
+  circuit: CircuitBreaker;
+  options?: RetryOptions;
+  /** Waits between attempts; rejects when the signal aborts */
+  sleep: (ms: number, signal?: AbortSignal) => Promise<void>;
+  random?: () => number;
+  now?: () => number;
+}
+
+// Responses that say the backend itself is failing (as opposed to rejecting the request)
+function isBackendFailure(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * fetch() with retries and a circuit breaker. Retryable statuses and network
+ * errors are retried with jittered backoff, or after the server's Retry-After
+ * delay unless it exceeds maxRetryAfterMs. The last response is returned even
+ * when it is an error; network errors are rethrown once retries are exhausted.
+ * Throws a CircuitOpenError without calling fetch while the circuit is open.
+ */
+export async function retryingFetch<R extends RetryableResponse>(
+  url: string,
+  init: { method?: string; headers?: Record<string, string>; body?: string },
+  signal: AbortSignal | undefined,
+  { fetch, circuit, options = resolveRetryOptions(), sleep, random = Math.random, now = Date.now }: RetryContext<R>
+): Promise<R> {
+  const method = init.method || 'GET';
+  circuit.beforeCall();
+
+  for (let attempt = 1; ; attempt++) {
+    let res: R | undefined;
+    let failure: any;
+    try {
+      res = await fetch(url, { ...init, method, signal });
+    } catch (error: any) {
+      if (signal?.aborted) {
+        circuit.recordCancelled();
+        throw error;
+      }
+      failure = error;
+    }
+
+    const retryable = res ? isRetryableStatus(method, res.status) : isRetryableNetworkError(failure);
+    if (res && !isBackendFailure(res.status)) {
+      circuit.recordSuccess();
+      return res;
+    }
+
+    let delay = res ? parseRetryAfter(res.headers.get('retry-after'), now()) : undefined;
+    const retryAfterTooLong = delay !== undefined && delay > options.maxRetryAfterMs;
+    if (!retryable || attempt >= options.maxAttempts || retryAfterTooLong) {
+      circuit.recordFailure();
+      if (retryAfterTooLong) {
+        console.error(`  ⚠️  ${method} ${url}: server asked to retry after ${Math.round(delay! / 1000)}s, not waiting that long.`);
+      }
+      if (res) {
+        return res;
+      }
+      throw failure;
+    }
+
+    delay = delay ?? backoffDelay(attempt, options, random);
+    const reason = res ? `status ${res.status}` : (failure.code || failure.message);
+    console.error(`  🔁 ${method} ${url} failed (${reason}); retry ${attempt}/${options.maxAttempts - 1} in ${delay}ms...`);
+    if (res) {
+      // Drain the body so the connection can be reused
+      await res.text().catch(() => undefined);
+    }
+    try {
+      await sleep(delay, signal);
+    } catch (error) {
+      circuit.recordCancelled();
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,480 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { submit_session, get_session_results, submit_and_poll_session } from "./navifare.js";
+import { pollingOptionsFromArgs } from "./polling.js";
+import {
+  FLIGHT_RESULTS_WIDGET_URI,
+  SERVER_INFO,
+  buildSearchData,
+  flightPricecheckFailure,
+  formatFlightPricecheckRequest,
+  extractFlightFromEmail,
+  extractFlightFromCalendar,
+  exportFlightCalendar,
+  runFlightPricecheck,
+  flightResultsWidgetResource,
+  readResource,
+  sanitizeSubmitArgs,
+  parseReferencePrice,
+  validateTripPrice,
+  analyzeSavings,
+  normalizeOffers,
+  filterOffers,
+  rankOffers,
+  resultOptionsFromArgs,
+} from "./core/index.js";
+
+const segmentSchema = z.object({
+  airline: z.string().describe('Two-letter IATA airline code (e.g., "LX", "AZ", "BA")'),
+  flightNumber: z.string().describe('Numeric flight number without airline prefix (e.g., "1612", "573")'),
+  departureAirport: z.string().describe('Three-letter IATA departure airport code (e.g., "ZRH", "MXP")'),
+  arrivalAirport: z.string().describe('Three-letter IATA arrival airport code (e.g., "LHR", "FCO")'),
+  departureDate: z.string().describe('Departure date in YYYY-MM-DD format (e.g., "2025-12-16")'),
+  departureTime: z.string().describe('Departure time in HH:MM or HH:MM:SS format (e.g., "07:10" or "07:10:00")'),
+  arrivalTime: z.string().describe('Arrival time in HH:MM or HH:MM:SS format (e.g., "08:25" or "08:25:00")'),
+  plusDays: z.number().describe("Days to add to arrival date if arrival is next day (0 for same day, 1 for next day)"),
+});
+
+const tripSchema = z.object({
+  legs: z.array(
+    z.object({
+      segments: z.array(segmentSchema).describe("Array of flight segments within this leg"),
+    })
+  ).describe("Array of flight legs in travel order: a single leg for one-way trips, outbound and return legs for round trips, and one leg per journey for open-jaw (e.g. MXP→JFK, BOS→MXP) or multi-city trips"),
+  travelClass: z.enum(["ECONOMY", "PREMIUM_ECONOMY", "BUSINESS", "FIRST"]).describe("Travel class: ECONOMY, PREMIUM_ECONOMY, BUSINESS, or FIRST"),
+  adults: z.number().min(1).describe("Number of adult passengers"),
+  children: z.number().min(0).describe("Number of child passengers"),
+  infantsInSeat: z.number().min(0).describe("Number of infants requiring a seat"),
+  infantsOnLap: z.number().min(0).describe("Number of infants on lap"),
+}).describe("Flight trip details including segments, passengers, and travel class");
+
+const itineraryIssueSchema = z.object({
+  code: z.string().describe('Kind of problem, e.g. "SHORT_CONNECTION" or "TOO_MANY_LAP_INFANTS"'),
+  message: z.string().describe("What is wrong and how to fix it"),
+  leg: z.number().optional().describe("1-based leg the problem was found in"),
+  segment: z.number().optional().describe("1-based segment the problem was found at"),
+  successor: z.string().optional().describe("IATA code of the carrier now operating a defunct carrier's flights (DEFUNCT_AIRLINE)"),
+});
+
+const moneySchema = z.object({ amount: z.number(), currency: z.string() });
+
+const savingsSchema = z.object({
+  referencePrice: moneySchema.describe("Price the user found"),
+  bestPrice: moneySchema.extend({ website: z.string().nullable() }).nullable().describe("Cheapest offer comparable with the reference price"),
+  savingsAmount: z.number().nullable().describe("Reference price minus the best price; negative when every offer costs more"),
+  savingsPercent: z.number().nullable().describe("savingsAmount as a percentage of the reference price"),
+  verdict: z.enum(["CHEAPER_FOUND", "WITHIN_MARGIN", "YOUR_PRICE_IS_BEST"]).nullable().describe("CHEAPER_FOUND, WITHIN_MARGIN (less than 2% cheaper) or YOUR_PRICE_IS_BEST; null when no offer could be compared"),
+  summary: z.string().describe("The verdict in one sentence"),
+});
+
+const searchResultSchema = z.object({
+  request_id: z.string().optional().describe("Unique identifier for this search request"),
+  status: z.string().optional().describe("Search status: IN_PROGRESS, COMPLETED, or FAILED"),
+  totalResults: z.number().optional().describe("Total number of price comparison results found"),
+  results: z.array(
+    z.object({
+      rank: z.number().optional().describe("Ranking of this result"),
+      price: z.string().optional().describe('Price with currency (e.g., "84.00 EUR")'),
+      website: z.string().optional().describe("Booking website name"),
+      bookingUrl: z.string().optional().describe("URL to book this flight"),
+      fareType: z.string().optional().describe("Type of fare (Standard Fare or Special Fare)"),
+      amount: z.number().nullable().optional().describe("Numeric price"),
+      currency: z.string().nullable().optional().describe("Currency of amount"),
+      normalizedAmount: z.number().nullable().optional().describe("Price converted to the reference currency; offers are ranked on it"),
+      normalizedCurrency: z.string().nullable().optional().describe("Reference currency of normalizedAmount"),
+      exchangeRateDate: z.string().optional().describe("Effective date of the offline exchange rate used for normalizedAmount"),
+      savingsAmount: z.number().nullable().optional().describe("Reference price minus this price (negative when more expensive); null when not comparable"),
+      savingsPercent: z.number().nullable().optional().describe("savingsAmount as a percentage of the reference price"),
+      trustScore: z.number().optional().describe("3 for an airline selling direct, 2 for an established agency, 1 for other booking sites"),
+    }).passthrough()
+  ).optional().describe("Array of price comparison results"),
+}).passthrough();
+
+// Sorting, filter, de-duplication and limit inputs shared by flight_pricecheck and get_session_results
+const resultOptionsShape = {
+  sortBy: z.enum(["price", "savings", "trust"]).optional().describe("Order of the offers: price (cheapest first, the default), savings (largest saving first) or trust (airlines selling direct, then established agencies, then other sites)"),
+  maxPrice: z.number().positive().optional().describe("Drop offers costing more than this, in the reference currency"),
+  standardFaresOnly: z.boolean().optional().describe("Drop special (private) fares"),
+  includeSites: z.array(z.string()).optional().describe('Only keep offers from these booking sites (e.g., ["Expedia", "Kiwi.com"])'),
+  excludeSites: z.array(z.string()).optional().describe("Drop offers from these booking sites"),
+  dedupe: z.boolean().optional().describe("Keep only the cheapest offer of each booking site (default true)"),
+  limit: z.number().int().min(1).optional().describe("Return at most this many offers, to keep the output short"),
+};
+
+// Per-call polling settings of flight_pricecheck; omitted fields use the environment or defaults
+const pollingSchema = z.object({
+  initialIntervalMs: z.number().min(1).optional().describe("Delay between polls while new prices keep arriving, in ms (default 1000)"),
+  maxIntervalMs: z.number().min(1).optional().describe("Longest delay between polls, in ms (default 10000)"),
+  backoffFactor: z.number().min(1).optional().describe("Multiplier for the delay after a poll without new prices (default 1.5, 1 = fixed interval)"),
+  maxDurationMs: z.number().min(0).optional().describe("Stop and return the prices found so far after this long, in ms (default 90000)"),
+  stablePolls: z.number().int().min(0).optional().describe("Stop once this many polls in a row bring no new prices (default 3, 0 = never)"),
+  minDurationMs: z.number().min(0).optional().describe("Keep polling at least this long before stopping on unchanged prices, in ms (default 30000)"),
+}).strict();
+
+// ChatGPT sends OpenAI metadata with every tool call; its requests always use location "ZZ"
+function isChatGptRequest(meta: any): boolean {
+  return !!meta && typeof meta === "object" && !!(meta["openai/userAgent"] || meta["openai/userLocation"]);
+}
+
+// OpenAI Apps SDK metadata; pass the request's `extra` to include the client's locale
+function widgetMeta(extra: any, invoking?: string, invoked?: string) {
+  const meta: Record<string, unknown> = {
+    "openai/outputTemplate": FLIGHT_RESULTS_WIDGET_URI,
+    "openai/widgetAccessible": true,
+  };
+  if (invoking) meta["openai/toolInvocation/invoking"] = invoking;
+  if (invoked) meta["openai/toolInvocation/invoked"] = invoked;
+  if (extra) meta["openai/locale"] = extra.requestInfo?.headers?.["openai-locale"] || "en-US";
+  return meta;
+}
+
+function jsonResult(result: any): CallToolResult {
+  return {
+    content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+    structuredContent: result,
+  };
+}
+
+/**
+ * Creates an MCP server with every Navifare tool registered.
+ * Each transport connection (stdio, or one Streamable HTTP session) gets its own instance.
+ */
+export function createNavifareServer(): McpServer {
+  const mcpServer = new McpServer(SERVER_INFO, {
+    capabilities: { logging: {} },
+  });
+
+  const { uri, name, ...widgetMetadata } = flightResultsWidgetResource;
+  mcpServer.registerResource(name, uri, widgetMetadata, async () => readResource(uri));
+
+  mcpServer.registerTool(
+    "flight_pricecheck",
+    {
+      title: "Flight Price Check",
+      description: "Search multiple booking sources to find better prices for a specific flight the user has already found. Compares prices across different booking platforms to find cheaper alternatives for the exact same flight details.",
+      annotations: { readOnlyHint: false, destructiveHint: false },
+      inputSchema: {
+        trip: tripSchema,
+        source: z.string().describe('Source identifier for the original price (e.g., "ChatGPT", "User", "Booking.com")'),
+        price: z.string().describe('Reference price found by the user (e.g., "84.00", "200.50")'),
+        currency: z.string().regex(/^[A-Z]{3}$/).describe('Three-letter ISO currency code (e.g., "EUR", "USD", "GBP")'),
+        location: z.string().regex(/^[A-Z]{2}$/).default("ZZ").describe('Two-letter ISO country code for user location (e.g., "ES", "IT", "US"). If unsure, default to "ZZ" '),
+        ...resultOptionsShape,
+        polling: pollingSchema.optional().describe("How to poll the booking sites for this search; omitted fields use the server defaults"),
+      },
+      outputSchema: {
+        message: z.string().describe("Summary message about the search results"),
+        searchResult: searchResultSchema.optional().describe("Detailed search results"),
+        status: z.string().optional().describe("Overall status of the search"),
+        error: z.string().optional(),
+        errors: z.array(itineraryIssueSchema).optional().describe("Itinerary problems that stopped the search"),
+        warnings: z.array(itineraryIssueSchema).optional().describe("Itinerary problems worth telling the user about"),
+        savings: savingsSchema.optional().describe("Savings of the best offer against the reference price"),
+        searchData: z.any().optional(),
+      },
+    },
+    async (args: any, extra) => {
+      const searchData = buildSearchData(args);
+      const progressToken = extra._meta?.progressToken;
+      let progressCount = 0;
+
+      // Stream partial results to the client as they arrive
+      const onProgress = (progressResults: any) => {
+        const resultCount = progressResults.totalResults || progressResults.results?.length || 0;
+        const status = progressResults.status || "IN_PROGRESS";
+        const message = `Flight search progress: Found ${resultCount} result${resultCount !== 1 ? "s" : ""} (status: ${status})`;
+
+        extra.sendNotification({
+          method: "notifications/message",
+          params: {
+            level: "info",
+            data: { message, results: progressResults, resultCount, status },
+          },
+        }).catch((error) => console.error("❌ Failed to send progress message:", error));
+
+        if (progressToken !== undefined) {
+          extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress: ++progressCount, message },
+          }).catch((error) => console.error("❌ Failed to send progress notification:", error));
+        }
+      };
+
+      try {
+        const resultOptions = resultOptionsFromArgs(args);
+        const polling = pollingOptionsFromArgs(args);
+        return jsonResult(await runFlightPricecheck(searchData, { onProgress, polling, signal: extra.signal, resultOptions }));
+      } catch (apiError) {
+        console.error("❌ API Error:", apiError);
+        return jsonResult(flightPricecheckFailure(searchData, apiError));
+      }
+    }
+  );
+
+  mcpServer.registerTool(
+    "format_flight_pricecheck_request",
+    {
+      title: "Format Flight Request",
+      description: "Parse and format flight details from natural language text or transcribed image content. Extracts flight information (airlines, flight numbers, dates, airports, prices) and structures it for price comparison. Returns formatted flight data ready for flight_pricecheck, or requests missing information if incomplete.",
+      annotations: { readOnlyHint: true, destructiveHint: false },
+      inputSchema: {
+        user_request: z.string().describe('Flight details in natural language text. Include all available information: flight numbers, airlines, departure/arrival airports and times, dates, prices, passenger counts, and travel class. Example: "I found flight AZ 573 from ZRH to FCO on November 19th at 7:15 PM, arriving at 8:45 PM, for 200 EUR. Round trip returning AZ 572 from FCO to ZRH on November 22nd at 8:20 AM, arriving at 9:55 AM." If responding to a needsMoreInfo request, include the complete previous flight details along with the missing information.'),
+      },
+      outputSchema: {
+        message: z.string().describe("Status message or instructions"),
+        needsMoreInfo: z.boolean().optional().describe("Whether additional information is required"),
+        missingFields: z.array(z.string()).optional().describe("List of missing required fields if needsMoreInfo is true"),
+        flightData: z.object({
+          trip: z.object({}).passthrough(),
+          source: z.string(),
+          price: z.string(),
+          currency: z.string(),
+          location: z.string().optional(),
+        }).passthrough().optional().describe("Formatted flight data ready for flight_pricecheck (only present if needsMoreInfo is false)"),
+        readyForPriceCheck: z.boolean().optional().describe("Whether the data is ready to use with flight_pricecheck"),
+        errors: z.array(itineraryIssueSchema).optional().describe("Itinerary problems to fix before calling flight_pricecheck"),
+        warnings: z.array(itineraryIssueSchema).optional().describe("Itinerary problems worth telling the user about"),
+      },
+    },
+    async (args: any) => jsonResult(await formatFlightPricecheckRequest(args))
+  );
+
+  mcpServer.registerTool(
+    "extract_flight_from_email",
+    {
+      title: "Import Flight From Email",
+      description: "Extract flight details from a booking confirmation email the user received or forwarded. Accepts the raw email (.eml content with headers and MIME parts) or its pasted HTML or text body. Reads the schema.org flight reservation markup airlines embed in their emails, and falls back to the email text. Returns flightData ready for flight_pricecheck, or the partial data plus the missing fields to ask the user for.",
+      annotations: { readOnlyHint: true, destructiveHint: false },
+      inputSchema: {
+        email: z.string().describe("The complete confirmation email: raw RFC 822 / .eml content (preferred, including headers and MIME parts), or the HTML or plain text body"),
+        encoding: z.enum(["text", "base64"]).optional().describe('Use "base64" when email holds a base64-encoded .eml file. Defaults to "text"'),
+      },
+      outputSchema: {
+        message: z.string().describe("Status message or instructions"),
+        needsMoreInfo: z.boolean().optional().describe("Whether additional information is required"),
+        missingFields: z.array(z.string()).optional().describe("List of missing required fields if needsMoreInfo is true"),
+        flightData: z.object({
+          trip: z.object({}).passthrough(),
+          source: z.string().optional(),
+          price: z.string().nullable().optional(),
+          currency: z.string().nullable().optional(),
+          location: z.string().optional(),
+        }).passthrough().optional().describe("Flight data for flight_pricecheck; partial when needsMoreInfo is true"),
+        readyForPriceCheck: z.boolean().optional().describe("Whether the data is ready to use with flight_pricecheck"),
+        extraction: z.string().describe('Where the flights were found: "json-ld" or "microdata" reservation markup, or "text"'),
+      },
+    },
+    async (args: any) => jsonResult(await extractFlightFromEmail(args))
+  );
+
+  mcpServer.registerTool(
+    "extract_flight_from_calendar",
+    {
+      title: "Import Flight From Calendar",
+      description: "Extract flight details from an iCalendar (.ics) file, e.g. an airline calendar invite or a TripIt export. Flight events become the trip legs (other events are ignored), with local departure and arrival times at each airport. Calendars carry no fare, so ask the user for the price and currency listed in missingFields, add them to flightData and call flight_pricecheck.",
+      annotations: { readOnlyHint: true, destructiveHint: false },
+      inputSchema: {
+        ics: z.string().describe("Content of the .ics file (BEGIN:VCALENDAR ... END:VCALENDAR)"),
+        encoding: z.enum(["text", "base64"]).optional().describe('Use "base64" when ics holds a base64-encoded file. Defaults to "text"'),
+      },
+      outputSchema: {
+        message: z.string().describe("Status message or instructions"),
+        needsMoreInfo: z.boolean().optional().describe("Whether additional information is required"),
+        missingFields: z.array(z.string()).optional().describe("List of missing required fields if needsMoreInfo is true"),
+        flightData: z.object({
+          trip: z.object({}).passthrough(),
+          source: z.string().optional(),
+          price: z.string().nullable().optional(),
+          currency: z.string().nullable().optional(),
+          location: z.string().optional(),
+        }).passthrough().optional().describe("Flight data for flight_pricecheck; partial when needsMoreInfo is true"),
+        readyForPriceCheck: z.boolean().optional().describe("Whether the data is ready to use with flight_pricecheck"),
+      },
+    },
+    async (args: any) => jsonResult(await extractFlightFromCalendar(args))
+  );
+
+  mcpServer.registerTool(
+    "export_flight_calendar",
+    {
+      title: "Export Flight To Calendar",
+      description: "Create an iCalendar (.ics) file from flightData (as returned by format_flight_pricecheck_request) so the user can add the itinerary to their calendar. Each flight becomes an event at the correct time in its departure and arrival airport time zones, including overnight arrivals.",
+      annotations: { readOnlyHint: true, destructiveHint: false },
+      inputSchema: {
+        flightData: z.object({
+          trip: tripSchema,
+        }).passthrough().describe("Flight data with the trip to export; price and currency are not needed"),
+      },
+      outputSchema: {
+        message: z.string().describe("Status message or instructions"),
+        ics: z.string().describe("iCalendar file content"),
+        filename: z.string().describe("Suggested file name"),
+        eventCount: z.number().describe("Number of flight events in the file"),
+      },
+    },
+    async (args: any) => jsonResult(exportFlightCalendar(args))
+  );
+
+  mcpServer.registerTool(
+    "search_flights",
+    {
+      description: "Search for flight prices across multiple booking sources. Ask the user for ALL required flight details: airline code (2-letter), flight number, departure/arrival airports (3-letter IATA codes), departure/arrival times (HH:MM format), dates (YYYY-MM-DD), cabin class (ECONOMY/BUSINESS/FIRST), number of passengers (adults/children/infants), reference price they saw, and currency. Then submit the search and automatically poll for results.",
+      inputSchema: {
+        trip: z.object({
+          legs: z.array(
+            z.object({
+              segments: z.array(
+                z.object({
+                  airline: z.string().describe("2-letter airline code (e.g., 'AZ' for Alitalia)"),
+                  flightNumber: z.string().describe("Flight number (e.g., '2133')"),
+                  departureAirport: z.string().describe("3-letter IATA code (e.g., 'LIN')"),
+                  arrivalAirport: z.string().describe("3-letter IATA code (e.g., 'FCO')"),
+                  departureDate: z.string().describe("YYYY-MM-DD format"),
+                  departureTime: z.string().describe("HH:MM format (e.g., '13:00'). ASK the user if not provided."),
+                  arrivalTime: z.string().describe("HH:MM format (e.g., '14:10'). ASK the user if not provided."),
+                  plusDays: z.number().describe("0 if arrival is same day, 1 if next day, etc."),
+                })
+              ),
+            })
+          ).describe("Legs in travel order: one for one-way, outbound + return for round trips, one per journey for open-jaw or multi-city trips"),
+          travelClass: z.string().describe("ECONOMY, BUSINESS, or FIRST"),
+          adults: z.number(),
+          children: z.number(),
+          infantsInSeat: z.number(),
+          infantsOnLap: z.number(),
+        }),
+        source: z.string().describe("Set to 'ChatGPT'"),
+        price: z.string().describe("Reference price the user saw (numeric, e.g., '99')"),
+        currency: z.string().describe("3-letter currency code (e.g., 'EUR', 'USD', 'CHF')"),
+        location: z.string().optional().describe("User's country (optional, e.g., 'Italy', 'IT', 'Milan, Italy')"),
+      },
+      _meta: widgetMeta(null, "Searching for flight prices...", "Flight search completed"),
+    },
+    async (input: any, extra) => {
+      if (isChatGptRequest(extra._meta)) {
+        input.location = "ZZ";
+      }
+
+      try {
+        const request = sanitizeSubmitArgs(input);
+        const searchResult = await submit_and_poll_session(request, undefined, {}, extra.signal);
+        const referencePrice = { amount: Number(request.price), currency: request.currency };
+        const { results, savings } = analyzeSavings(normalizeOffers(searchResult.results || [], request.currency), referencePrice);
+
+        // Format response in OpenAI Apps SDK format with structuredContent
+        const structuredContent = {
+          request_id: searchResult.request_id,
+          status: searchResult.status || "COMPLETED",
+          totalResults: searchResult.totalResults || searchResult.results?.length || 0,
+          results,
+          referencePrice,
+          savings,
+          stopReason: searchResult.stopReason,
+        };
+
+        return {
+          content: [{ type: "text", text: `Flight search completed! Found ${structuredContent.totalResults} result(s).${savings ? ` ${savings.summary}` : ""}` }],
+          structuredContent,
+          _meta: widgetMeta(extra, "Searching for flight prices...", "Flight search completed"),
+        };
+      } catch (apiError) {
+        console.error("❌ API Error:", apiError);
+        return {
+          content: [{ type: "text", text: `Flight search failed: ${apiError.message}` }],
+          structuredContent: { error: true, message: apiError.message },
+          _meta: widgetMeta(extra),
+        };
+      }
+    }
+  );
+
+  mcpServer.registerTool(
+    "submit_session",
+    {
+      description: "Create a price discovery session in Navifare",
+      inputSchema: {
+        location: z.string().optional().describe("User's country code (2-letter ISO, e.g., 'ZZ', 'CH', 'US')"),
+        trip: z.object({
+          legs: z.array(
+            z.object({
+              segments: z.array(
+                z.object({
+                  airline: z.string(),
+                  flightNumber: z.string(),
+                  departureAirport: z.string(),
+                  arrivalAirport: z.string(),
+                  departureDate: z.string(),
+                  departureTime: z.string(), // Can be "HH:MM" or "HH:MM:SS"
+                  arrivalTime: z.string(),   // Can be "HH:MM" or "HH:MM:SS"
+                  plusDays: z.number(),
+                })
+              ),
+            })
+          ),
+          travelClass: z.string(),
+          adults: z.number(),
+          children: z.number(),
+          infantsInSeat: z.number(),
+          infantsOnLap: z.number(),
+        }),
+        source: z.string(),
+        price: z.string(),
+        currency: z.string(),
+      },
+      _meta: widgetMeta(null, "Creating price discovery session...", "Session created successfully"),
+    },
+    async (input: any, extra) => {
+      if (isChatGptRequest(extra._meta)) {
+        input.location = "ZZ";
+      }
+
+      try {
+        const submitResult = await submit_session(sanitizeSubmitArgs(input), extra.signal);
+        return {
+          content: [{ type: "text", text: "Session created successfully" }],
+          structuredContent: {
+            request_id: submitResult.request_id,
+            status: submitResult.status || "NEW",
+            message: "Session created successfully",
+          },
+          _meta: widgetMeta(extra, "Creating price discovery session...", "Session created successfully"),
+        };
+      } catch (apiError) {
+        console.error("❌ API Error:", apiError);
+        return {
+          content: [{ type: "text", text: `Flight search failed: ${apiError.message}` }],
+          structuredContent: { error: true, message: apiError.message },
+          _meta: widgetMeta(extra),
+        };
+      }
+    }
+  );
+
+  mcpServer.registerTool(
+    "get_session_results",
+    {
+      description: "Get results for a Navifare session. Pass a currency to rank the offers by their price converted to it, and the reference price the user found to also get the savings of each offer against it. Offers can be sorted, filtered, de-duplicated per booking site and limited like in flight_pricecheck.",
+      inputSchema: {
+        request_id: z.string(),
+        price: z.string().optional().describe('Reference price found by the user (e.g., "84.00")'),
+        currency: z.string().optional().describe('Three-letter ISO currency code of the reference price (e.g., "EUR")'),
+        ...resultOptionsShape,
+      },
+    },
+    async ({ request_id, price, currency, ...options }, extra) => {
+      validateTripPrice({ price, currency });
+      const resultOptions = resultOptionsFromArgs(options);
+      const sessionResults = await get_session_results(request_id, extra.signal);
+      if (!Array.isArray(sessionResults.results)) return jsonResult(sessionResults);
+
+      const offers = filterOffers(currency ? normalizeOffers(sessionResults.results, currency) : sessionResults.results, resultOptions);
+      const { results, savings } = price && currency
+        ? analyzeSavings(offers, { amount: parseReferencePrice(price, currency), currency: currency.trim().toUpperCase() })
+        : { results: offers, savings: null };
+      return jsonResult({ ...sessionResults, results: rankOffers(results, resultOptions), ...(savings ? { savings } : {}) });
+    }
+  );
+
+  return mcpServer;
+}
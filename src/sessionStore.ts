@@ -0,0 +1,104 @@
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+
+export interface McpSession {
+  transport: StreamableHTTPServerTransport;
+  server: McpServer;
+  lastActivity: number;
+  /** Server-to-client SSE streams (GET /mcp) currently open */
+  openStreams: number;
+}
+
+/**
+ * Tracks live Streamable HTTP sessions and closes the ones that have been idle
+ * longer than `ttlMs`: no request and no open SSE stream. Closing a session
+ * closes its transport; clients then get 404 and must initialize a new session.
+ */
+export class SessionStore {
+  private sessions = new Map<string, McpSession>();
+  private sweepTimer: NodeJS.Timeout | null = null;
+
+  constructor(public readonly ttlMs: number, private now: () => number = Date.now) {}
+
+  get size(): number {
+    return this.sessions.size;
+  }
+
+  add(sessionId: string, transport: StreamableHTTPServerTransport, server: McpServer): void {
+    this.sessions.set(sessionId, { transport, server, lastActivity: this.now(), openStreams: 0 });
+  }
+
+  // Returns the session and refreshes its expiry
+  touch(sessionId: string): McpSession | undefined {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.lastActivity = this.now();
+    }
+    return session;
+  }
+
+  // Keeps the session alive while an SSE stream is open; returns the callback for
+  // when the stream closes, from which the idle time counts again
+  openStream(sessionId: string): () => void {
+    const session = this.touch(sessionId);
+    if (!session) return () => {};
+    session.openStreams++;
+    let open = true;
+    return () => {
+      if (!open) return;
+      open = false;
+      session.openStreams--;
+      session.lastActivity = this.now();
+    };
+  }
+
+  delete(sessionId: string): void {
+    this.sessions.delete(sessionId);
+  }
+
+  async close(sessionId: string): Promise<void> {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`❌ Failed to close session ${sessionId}:`, error);
+    }
+  }
+
+  // Close every session idle for longer than the TTL; returns the expired session IDs
+  async sweep(): Promise<string[]> {
+    const cutoff = this.now() - this.ttlMs;
+    const expired = [...this.sessions.entries()]
+      .filter(([, session]) => session.openStreams === 0 && session.lastActivity < cutoff)
+      .map(([sessionId]) => sessionId);
+
+    for (const sessionId of expired) {
+      console.log(`⌛ Session ${sessionId} expired after ${Math.round(this.ttlMs / 1000)}s of inactivity`);
+      await this.close(sessionId);
+    }
+    return expired;
+  }
+
+  startSweeping(intervalMs: number): void {
+    this.stopSweeping();
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => console.error("❌ Session sweep failed:", error));
+    }, intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref();
+  }
+
+  stopSweeping(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async closeAll(): Promise<void> {
+    this.stopSweeping();
+    await Promise.all([...this.sessions.keys()].map((sessionId) => this.close(sessionId)));
+  }
+}
@@ -0,0 +1,56 @@
+// iCalendar exports with flights, dated relative to FROZEN_NOW (2026-03-01).
+
+const ics = lines => `${lines.join('\r\n')}\r\n`;
+
+// TripIt style: zoned times, a hotel event, an alarm, folded lines and escaped text
+export const TRIPIT_ROUND_TRIP = ics([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TripIt//TripIt Calendar//EN',
+  'X-WR-CALNAME:TripIt - Jane Doe',
+  'X-WR-TIMEZONE:Europe/Zurich',
+  'BEGIN:VEVENT',
+  'UID:item-1@tripit.com',
+  'DTSTART;TZID=Europe/Zurich:20260310T191500',
+  'DTEND;TZID=Europe/Rome:20260310T204500',
+  'SUMMARY:AZ573 ZRH to FCO',
+  'LOCATION:Zurich (ZRH)',
+  'DESCRIPTION:[Flight] 3/10/2026 ITA Airways(AZ) #573 dep ZRH 7:15pm CET\\; a',
+  ' rr FCO 8:45pm CET\\nConfirmation: RXJ34P',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Check in for LX999 GVA to LHR',
+  'TRIGGER:-PT24H',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:item-2@tripit.com',
+  'DTSTART;VALUE=DATE:20260310',
+  'DTEND;VALUE=DATE:20260313',
+  'SUMMARY:Hotel Artemide\\, Rome',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:item-3@tripit.com',
+  'DTSTART;TZID=Europe/Rome:20260313T070000',
+  'DTEND;TZID=Europe/Zurich:20260313T083500',
+  'SUMMARY:AZ572 FCO to ZRH',
+  'LOCATION:Rome (FCO)',
+  'END:VEVENT',
+  'END:VCALENDAR'
+]);
+
+// Airline invite in UTC: the overnight arrival is the next day at the destination
+export const AIRLINE_UTC_INVITE = ics([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Emirates//Trip Calendar//EN',
+  'METHOD:PUBLISH',
+  'BEGIN:VEVENT',
+  'UID:EK92-20260402@emirates.com',
+  'DTSTAMP:20260215T101500Z',
+  'DTSTART:20260402T202500Z',
+  'DTEND:20260403T023000Z',
+  'SUMMARY:Emirates EK 92: Milan (MXP) - Dubai (DXB)',
+  'END:VEVENT',
+  'END:VCALENDAR'
+]);
@@ -0,0 +1,127 @@
+// Booking confirmation emails as raw RFC 822 messages, dated relative to FROZEN_NOW (2026-03-01).
+import { AIRLINE_ROUND_TRIP } from './pastes.js';
+
+// Quoted-printable with soft line breaks, as mail clients send HTML bodies
+function quotedPrintable(text) {
+  return text.split('\n').map(line => {
+    const encoded = [...Buffer.from(line, 'utf8')]
+      .map(byte => (byte === 0x3d || byte > 0x7e ? `=${byte.toString(16).toUpperCase()}` : String.fromCharCode(byte)))
+      .join('');
+    return (encoded.match(/(?:=[0-9A-F]{2}|[^=]){1,72}/g) ?? ['']).join('=\n');
+  }).join('\n');
+}
+
+function base64(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\n');
+}
+
+function flightReservation(passenger, flight) {
+  return {
+    '@context': 'http://schema.org',
+    '@type': 'FlightReservation',
+    reservationNumber: 'RXJ34P',
+    underName: { '@type': 'Person', name: passenger },
+    reservationFor: {
+      '@type': 'Flight',
+      flightNumber: flight.flightNumber,
+      airline: { '@type': 'Airline', name: 'ITA Airways', iataCode: 'AZ' },
+      departureAirport: { '@type': 'Airport', name: flight.fromName, iataCode: flight.from },
+      departureTime: flight.departure,
+      arrivalAirport: { '@type': 'Airport', name: flight.toName, iataCode: flight.to },
+      arrivalTime: flight.arrival
+    },
+    airplaneSeatClass: { '@type': 'AirplaneSeatClass', name: 'Business' },
+    totalPrice: '412.80',
+    priceCurrency: 'EUR'
+  };
+}
+
+const OUTBOUND = { flightNumber: 'AZ573', from: 'ZRH', fromName: 'Zürich', to: 'FCO', toName: 'Roma Fiumicino', departure: '2026-03-10T19:15:00+01:00', arrival: '2026-03-10T20:45:00+01:00' };
+const RETURN = { flightNumber: '572', from: 'FCO', fromName: 'Roma Fiumicino', to: 'ZRH', toName: 'Zürich', departure: '2026-03-13T07:00:00+01:00', arrival: '2026-03-13T08:35:00+01:00' };
+
+const JSON_LD_HTML = `<html><head>
+<script type="application/ld+json">
+${JSON.stringify([
+  flightReservation('Anna Rossi', OUTBOUND),
+  flightReservation('Luca Rossi', OUTBOUND),
+  flightReservation('Anna Rossi', RETURN),
+  flightReservation('Luca Rossi', RETURN)
+], null, 2)}
+</script>
+</head><body><p>Grazie per aver scelto ITA Airways – buon viaggio!</p></body></html>`;
+
+// multipart/alternative: a text part and a quoted-printable HTML part with JSON-LD
+export const JSON_LD_EMAIL = `From: ITA Airways <noreply@ita-airways.com>
+To: anna.rossi@example.com
+Subject: =?UTF-8?Q?La_tua_prenotazione_RXJ34P_=E2=9C=88?=
+MIME-Version: 1.0
+Content-Type: multipart/alternative; boundary="ita-boundary"
+
+--ita-boundary
+Content-Type: text/plain; charset=utf-8
+
+Your booking RXJ34P is confirmed.
+
+--ita-boundary
+Content-Type: text/html; charset="utf-8"
+Content-Transfer-Encoding: quoted-printable
+
+${quotedPrintable(JSON_LD_HTML)}
+--ita-boundary--
+`;
+
+const MICRODATA_HTML = `<html><body>
+<div itemscope itemtype="http://schema.org/FlightReservation">
+  <meta itemprop="reservationNumber" content="X7K2LM"/>
+  <div itemprop="underName" itemscope itemtype="http://schema.org/Person">
+    Passenger: <span itemprop="name">Jane Doe</span>
+  </div>
+  <div itemprop="reservationFor" itemscope itemtype="http://schema.org/Flight">
+    <span itemprop="airline" itemscope itemtype="http://schema.org/Airline"><span itemprop="name">Lufthansa</span></span>
+    Flight <span itemprop="flightNumber">LH 401</span>
+    <div itemprop="departureAirport" itemscope itemtype="http://schema.org/Airport">
+      <span itemprop="name">Frankfurt</span> (<span itemprop="iataCode">FRA</span>)
+    </div>
+    <time itemprop="departureTime" datetime="2026-12-12T10:00:00+01:00">Sat, 12 Dec 2026 10:00</time>
+    <div itemprop="arrivalAirport" itemscope itemtype="http://schema.org/Airport">
+      <span itemprop="name">New York JFK</span> (<meta itemprop="iataCode" content="JFK">JFK)
+    </div>
+    <time itemprop="arrivalTime" datetime="2026-12-12T12:50:00-05:00">12:50</time>
+  </div>
+</div>
+<table><tr><td>Total price:</td><td>&euro;&nbsp;1.234,50</td></tr></table>
+</body></html>`;
+
+// Single base64 HTML part with microdata; the price is only in the text
+export const MICRODATA_EMAIL = `Return-Path: <bookings@lufthansa.com>
+From: Lufthansa <bookings@lufthansa.com>
+Subject: Your booking confirmation X7K2LM
+Content-Type: text/html; charset=utf-8
+Content-Transfer-Encoding: base64
+
+${base64(MICRODATA_HTML)}
+`;
+
+// A forwarded confirmation with no markup, attached as message/rfc822
+export const FORWARDED_TEXT_EMAIL = `From: Jane Doe <jane@example.com>
+To: trips@example.com
+Subject: Fwd: Booking confirmation
+MIME-Version: 1.0
+Content-Type: multipart/mixed; boundary="outer"
+
+--outer
+Content-Type: text/plain; charset=us-ascii
+
+Can you check whether this is a good price?
+
+--outer
+Content-Type: message/rfc822
+
+From: Lufthansa <bookings@lufthansa.com>
+Subject: Booking confirmation
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: quoted-printable
+
+${quotedPrintable(AIRLINE_ROUND_TRIP)}
+--outer--
+`;
@@ -0,0 +1,124 @@
+// Itineraries as users copy them from booking sites, dated relative to FROZEN_NOW (2026-03-01).
+
+export const GOOGLE_FLIGHTS_ROUND_TRIP = `Departure · Tue, Mar 10
+7:15 PM · Zurich Airport (ZRH)
+Travel time: 1 hr 30 min
+8:45 PM · Leonardo da Vinci International Airport (FCO)
+ITA Airways · Economy · Airbus A320neo · AZ 573
+Return · Fri, Mar 13
+7:00 AM · Leonardo da Vinci International Airport (FCO)
+Travel time: 1 hr 35 min
+8:35 AM · Zurich Airport (ZRH)
+ITA Airways · Economy · Airbus A220-100 · AZ 572
+€168 round trip`;
+
+// Times and airports on separate lines, an overnight arrival and a connection
+export const GOOGLE_FLIGHTS_CONNECTION = `Departing flight · Thu, Apr 2
+10:25 PM
+Milan Malpensa Airport (MXP)
+Travel time: 6 hr 5 min
+Overnight
+6:30 AM+1
+Dubai International Airport (DXB)
+Emirates · Business · Boeing 777 · EK 92
+3 hr 5 min layover · Dubai International Airport (DXB)
+9:35 AM
+Dubai International Airport (DXB)
+Travel time: 6 hr
+7:35 PM
+Suvarnabhumi Airport (BKK)
+Emirates · Business · Boeing 777 · EK 384
+€3,412.60`;
+
+export const KAYAK_ROUND_TRIP = `Depart  Tue, Mar 10
+ITA Airways 573
+Zurich (ZRH) → Rome Fiumicino (FCO)
+7:15 pm – 8:45 pm
+1h 30m · Nonstop · Economy
+Return  Fri, Mar 13
+ITA Airways 572
+Rome Fiumicino (FCO) → Zurich (ZRH)
+7:00 am – 8:35 am
+1h 35m · Nonstop · Economy
+$182 total · 2 adults`;
+
+export const SKYSCANNER_ROUND_TRIP = `Outbound  Tue, 10 Mar 2026
+19:15 ZRH Zurich
+1h 30 · Direct
+20:45 FCO Rome Fiumicino
+ITA Airways AZ573
+Inbound  Fri, 13 Mar 2026
+07:00 FCO Rome Fiumicino
+08:35 ZRH Zurich
+ITA Airways AZ572
+Total £146`;
+
+export const EXPEDIA_ONE_WAY = `Zurich (ZRH) to New York (JFK)
+Tue, Mar 10
+1:00pm - 8:40pm (13h 40m, 1 stop)
+SWISS 1072
+Zurich (ZRH) - Frankfurt (FRA)
+1:00pm - 2:05pm
+Lufthansa 400
+Frankfurt (FRA) - New York (JFK)
+4:00pm - 6:40pm
+Economy / Coach
+Total: $1,024.40`;
+
+// Airline confirmation page: no leg headers, the legs are told apart by the stay
+export const AIRLINE_ROUND_TRIP = `Booking reference: X7K2LM
+Flight LH 401
+Frankfurt (FRA) → New York (JFK)
+Sat, 12 Dec 2026
+Departure 10:00  Arrival 12:50
+Flight LH 400
+New York (JFK) → Frankfurt (FRA)
+Sat, 19 Dec 2026
+Departure 17:40  Arrival 07:25 +1
+Economy (Y)
+Total price: EUR 1,234.50`;
+
+// Google Flights in Italian: localised leg headers, weekday and month abbreviations
+export const GOOGLE_FLIGHTS_ITALIAN = `Andata · mar 10 mar
+19:15 · Aeroporto di Zurigo (ZRH)
+Durata del viaggio: 1 h 30 min
+20:45 · Aeroporto Internazionale Leonardo da Vinci (FCO)
+ITA Airways · Economy · Airbus A320neo · AZ 573
+Ritorno · ven 13 mar
+07:00 · Aeroporto Internazionale Leonardo da Vinci (FCO)
+Durata del viaggio: 1 h 35 min
+08:35 · Aeroporto di Zurigo (ZRH)
+ITA Airways · Economy · Airbus A220-100 · AZ 572
+168,50 € andata e ritorno`;
+
+// German airline confirmation: "12. Dez. 2026" dates and a decimal-comma total
+export const AIRLINE_GERMAN = `Buchungsnummer: X7K2LM
+Flug LH 401
+Frankfurt (FRA) → New York (JFK)
+Sa., 12. Dez. 2026
+Abflug 10:00  Ankunft 12:50
+Flug LH 400
+New York (JFK) → Frankfurt (FRA)
+Sa., 19. Dez. 2026
+Abflug 17:40  Ankunft 07:25 +1
+Economy (Y)
+Gesamtpreis: 1.234,50 EUR`;
+
+// GDS displays as a travel desk copies them out of the terminal
+
+export const AMADEUS_ROUND_TRIP = `RP/ZRHL12100/ZRHL12100            AA/SU  20FEB26/0915Z   X7K2LM
+  1.DOE/JANE MRS   2.DOE/JOHN MR
+  3  LH 401 Y 12DEC 6 FRAJFK HK2  1000 1250  12DEC  E  LH/X7K2LM
+  4  LH 400 Y 19DEC 6 JFKFRA HK2  1740 0725  20DEC  E  LH/X7K2LM
+  5 AP ZRH 044 123 45 67
+  6 TK OK20FEB/ZRHL12100
+TOTAL EUR 2469.00`;
+
+export const SABRE_CONNECTIONS = `1.1DOE/JANE MRS
+ 1 LX1072M 10MAR T ZRHFRA HK1  1300  1405  /DCLX*ABC123 /E
+ 2 LH 400C 10MAR T FRAJFK HK1   400P  640P  /DCLH*ABC123 /E
+ 3 LH 405C 17MAR T JFKFRA HK1   600P  735A#1 /DCLH*ABC123 /E
+ 4 LX1073M 18MAR W FRAZRH HK1   935A 1040A  /DCLX*ABC123 /E
+TKT/TIME LIMIT
+  1.TAW/20FEB
+GRAND TOTAL CHF 3,150.40`;
@@ -0,0 +1,10 @@
+// Natural language requests in the "extracted details" form the fallback parser understands.
+
+export const ONE_WAY_REQUEST = 'Flight AZ573 from ZRH (Zurich) to FCO (Rome Fiumicino) departing 10 March 2026, 7:15 PM and arriving 10 March 2026, 8:45 PM';
+
+export const ROUND_TRIP_REQUEST = `Outbound itinerary:
+Flight LX1612 from ZRH to FRA departing 10 March 2026, 07:00 and arriving 10 March 2026, 08:05
+Flight LH400 from FRA to JFK departing 10 March 2026, 10:00 and arriving 10 March 2026, 12:45
+Return itinerary:
+Flight LH401 from JFK to FRA departing 20 March 2026, 5:30 PM and arriving 21 March 2026, 7:15 AM
+Best price: €1234.50`;
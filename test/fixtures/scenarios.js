@@ -0,0 +1,29 @@
+// Expected flight_pricecheck outcome for each failure scenario of test/mock-navifare-server.js,
+// with the number of submit and poll requests the server sends (retries included).
+import assert from 'node:assert/strict';
+
+export const BACKEND_SCENARIOS = [
+  { scenario: 'flaky', submits: 2, polls: 5, stopReason: 'completed', results: 4 },
+  { scenario: 'never-complete', submits: 1, polls: 7, stopReason: 'stable', results: 4, message: /Stopped polling early because results stopped changing\./ },
+  { scenario: 'malformed-results', submits: 1, polls: 8, stopReason: 'completed', results: 4 },
+  { scenario: 'unavailable', submits: 3, polls: 0, error: /^Navifare API error: 503 Service Unavailable/ },
+  { scenario: 'error-body', submits: 1, polls: 0, error: /400 Bad Request .*Invalid request: departure airport is not supported$/ },
+  { scenario: 'error-200', submits: 1, polls: 0, error: /^Navifare API error 422: Unable to start price discovery for this itinerary$/ },
+  { scenario: 'malformed-json', submits: 1, polls: 0, error: /^Navifare API returned invalid JSON \(status 200\)/ },
+  { scenario: 'empty-body', submits: 1, polls: 0, error: /^Navifare API returned empty response body \(status 200\)$/ }
+];
+
+// Asserts a flight_pricecheck result and the requests the mock received against a BACKEND_SCENARIOS entry
+export function assertScenarioOutcome(expected, result, requests) {
+  const sent = method => requests.filter(request => request.method === method && request.scenario === expected.scenario).length;
+  assert.deepEqual([sent('POST'), sent('GET')], [expected.submits, expected.polls]);
+
+  if (expected.error) {
+    assert.match(result.error, expected.error);
+    assert.equal(result.message, `Flight search failed: ${result.error}`);
+    assert.equal(result.searchResult, undefined);
+    return;
+  }
+  assert.deepEqual([result.searchResult.stopReason, result.searchResult.results.length], [expected.stopReason, expected.results]);
+  if (expected.message) assert.match(result.message, expected.message);
+}
@@ -0,0 +1,52 @@
+// Itinerary fixtures in the flight_pricecheck format, dated relative to FROZEN_NOW (2026-03-01).
+
+export function segment(overrides = {}) {
+  return {
+    airline: 'AZ',
+    flightNumber: '573',
+    departureAirport: 'ZRH',
+    arrivalAirport: 'FCO',
+    departureDate: '2026-03-10',
+    departureTime: '19:15:00',
+    arrivalTime: '20:45:00',
+    plusDays: 0,
+    ...overrides
+  };
+}
+
+export function searchRequest(legs, overrides = {}) {
+  return {
+    trip: {
+      legs,
+      travelClass: 'ECONOMY',
+      adults: 1,
+      children: 0,
+      infantsInSeat: 0,
+      infantsOnLap: 0
+    },
+    source: 'MCP',
+    price: '84.00',
+    currency: 'EUR',
+    location: 'IT',
+    ...overrides
+  };
+}
+
+export const ONE_WAY = searchRequest([
+  { segments: [segment()] }
+]);
+
+export const ROUND_TRIP = searchRequest([
+  { segments: [segment()] },
+  { segments: [segment({ flightNumber: '578', departureAirport: 'FCO', arrivalAirport: 'ZRH', departureDate: '2026-03-17', departureTime: '07:10:00', arrivalTime: '08:40:00' })] }
+]);
+
+// Outbound and return flattened into one leg, as LLM extraction often returns them
+export const FLATTENED_ROUND_TRIP_LEG = {
+  segments: [
+    segment({ airline: 'LX', flightNumber: '1612', departureAirport: 'ZRH', arrivalAirport: 'FRA', departureTime: '07:00:00', arrivalTime: '08:05:00' }),
+    segment({ airline: 'LH', flightNumber: '400', departureAirport: 'FRA', arrivalAirport: 'JFK', departureTime: '10:00:00', arrivalTime: '12:45:00' }),
+    segment({ airline: 'LH', flightNumber: '401', departureAirport: 'JFK', arrivalAirport: 'FRA', departureDate: '2026-03-20', departureTime: '17:30:00', arrivalTime: '07:15:00', plusDays: 1 }),
+    segment({ airline: 'LX', flightNumber: '1071', departureAirport: 'FRA', arrivalAirport: 'ZRH', departureDate: '2026-03-21', departureTime: '09:00:00', arrivalTime: '10:00:00' })
+  ]
+};
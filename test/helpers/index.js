@@ -0,0 +1,19 @@
+// Shared helpers for the node:test suite (npm test).
+import { mock } from 'node:test';
+
+// Default "now" for date-relative tests: midday UTC, so the local date is
+// the same in every timezone the suite is likely to run in.
+export const FROZEN_NOW = '2026-03-01T12:00:00.000Z';
+
+/**
+ * Freezes Date (new Date(), Date.now()) at `now` for the current test.
+ * Timers are left alone; the mock is restored when the test ends.
+ */
+export function freezeClock(t, now = FROZEN_NOW) {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(now) });
+}
+
+// The core library logs every step to stderr; keep the test output readable
+export function silenceLogs() {
+  mock.method(console, 'error', () => {});
+}
@@ -0,0 +1,155 @@
+// Spawns the real server entry points (stdio-server.js, http-server.js) for the JSON-RPC dispatch tests.
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Deterministic environment: no Gemini (regex fallback only) and fast polling
+function serverEnv(env) {
+  return {
+    ...process.env,
+    GEMINI_API_KEY: '',
+    NAVIFARE_POLL_INITIAL_INTERVAL_MS: '20',
+    NAVIFARE_POLL_MAX_INTERVAL_MS: '50',
+    NAVIFARE_POLL_MAX_DURATION_MS: '2000',
+    NAVIFARE_POLL_MIN_DURATION_MS: '0',
+    NAVIFARE_RETRY_BASE_DELAY_MS: '10',
+    ...env
+  };
+}
+
+/**
+ * Starts stdio-server.js. `request()` resolves with the response carrying
+ * the same id, or rejects if the server exits first; every message without
+ * an id is collected in `notifications`.
+ */
+export function startStdioServer(env = {}) {
+  const child = spawn(process.execPath, ['stdio-server.js'], { cwd: ROOT, env: serverEnv(env), stdio: ['pipe', 'pipe', 'ignore'] });
+  const pending = new Map();
+  const messages = [];
+  const notifications = [];
+  let buffer = '';
+  let nextId = 1;
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      const message = JSON.parse(line);
+      messages.push(message);
+      if (message.id !== undefined && pending.has(message.id)) {
+        pending.get(message.id).resolve(message);
+        pending.delete(message.id);
+      } else if (message.id === undefined) {
+        notifications.push(message);
+      }
+    }
+  });
+
+  // Requests still waiting once the server has exited and its output is read never get their response
+  child.once('close', () => {
+    for (const { reject } of pending.values()) reject(new Error('stdio-server.js exited before responding'));
+    pending.clear();
+  });
+
+  const write = message => child.stdin.write((typeof message === 'string' ? message : JSON.stringify(message)) + '\n');
+
+  return {
+    messages,
+    notifications,
+    write,
+    request(method, params, id = nextId++) {
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        write({ jsonrpc: '2.0', id, method, params });
+      });
+    },
+    notify(method, params) {
+      write({ jsonrpc: '2.0', method, params });
+    },
+    stop() {
+      return new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.stdin.end();
+      });
+    }
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Extracts JSON-RPC messages from a JSON or SSE (text/event-stream) response body
+export function parseMcpBody(contentType, text) {
+  if (!contentType?.includes('text/event-stream')) {
+    return text ? [JSON.parse(text)] : [];
+  }
+  return text.split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .filter(Boolean)
+    .map(data => JSON.parse(data));
+}
+
+/**
+ * Starts http-server.js on a free port and waits for /health.
+ * `post()` sends one JSON-RPC message to /mcp and returns the status,
+ * headers and the parsed messages of the response.
+ */
+export async function startHttpServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ['http-server.js'], { cwd: ROOT, env: serverEnv({ PORT: String(port), ...env }), stdio: 'ignore' });
+
+  const deadline = Date.now() + 10000;
+  while (true) {
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error('http-server.js did not start');
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return {
+    baseUrl,
+    async post(message, headers = {}) {
+      const res = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...headers
+        },
+        body: JSON.stringify(message)
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, messages: parseMcpBody(res.headers.get('content-type'), text) };
+    },
+    stop() {
+      return new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.kill('SIGTERM');
+      });
+    }
+  };
+}
@@ -0,0 +1,306 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockNavifareServer } from '../mock-navifare-server.js';
+import { assertScenarioOutcome, BACKEND_SCENARIOS } from '../fixtures/scenarios.js';
+import { searchRequest, segment } from '../fixtures/trips.js';
+import { silenceLogs } from '../helpers/index.js';
+import { startHttpServer } from '../helpers/servers.js';
+
+silenceLogs();
+
+const departureDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 0,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+describe('http-server.js JSON-RPC dispatch', () => {
+  let mock;
+  let server;
+  let sessionHeaders;
+  let nextId = 1;
+
+  // Sends a request in the test session and returns its JSON-RPC response
+  async function call(method, params) {
+    const id = nextId++;
+    const { status, messages } = await server.post({ jsonrpc: '2.0', id, method, params }, sessionHeaders);
+    assert.equal(status, 200);
+    return messages.find(message => message.id === id);
+  }
+
+  before(async () => {
+    mock = createMockNavifareServer({ scenario: 'instant' });
+    const baseUrl = await mock.listen();
+    server = await startHttpServer({ NAVIFARE_API_BASE_URL: baseUrl });
+
+    const { status, headers, messages } = await server.post(initialize);
+    assert.equal(status, 200);
+    assert.equal(messages[0].result.protocolVersion, '2025-06-18');
+    sessionHeaders = { 'Mcp-Session-Id': headers.get('mcp-session-id'), 'Mcp-Protocol-Version': '2025-06-18' };
+    await server.post({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionHeaders);
+  });
+
+  after(async () => {
+    await server.stop();
+    await mock.close();
+  });
+
+  test('initialize assigns a session id', () => {
+    assert.match(sessionHeaders['Mcp-Session-Id'], /^[0-9a-f-]{36}$/);
+  });
+
+  test('tools/list returns every registered tool', async () => {
+    const response = await call('tools/list');
+    assert.deepEqual(response.result.tools.map(tool => tool.name).sort(), [
+      'export_flight_calendar',
+      'extract_flight_from_calendar',
+      'extract_flight_from_email',
+      'flight_pricecheck',
+      'format_flight_pricecheck_request',
+      'get_session_results',
+      'search_flights',
+      'submit_session'
+    ]);
+  });
+
+  test('resources/read serves the widget', async () => {
+    const response = await call('resources/read', { uri: 'ui://widget/flight-results.html' });
+    assert.equal(response.result.contents[0].mimeType, 'text/html+skybridge');
+  });
+
+  const errorCases = [
+    ['unknown method', 'prompts/list', undefined, -32601],
+    ['unknown tool', 'tools/call', { name: 'book_flight', arguments: {} }, -32602],
+    ['invalid tool arguments', 'tools/call', { name: 'format_flight_pricecheck_request', arguments: {} }, -32602],
+    ['invalid polling options', 'tools/call', { name: 'flight_pricecheck', arguments: searchRequest([{ segments: [segment({ departureDate })] }], { polling: { backoffFactor: 0.5 } }) }, -32602]
+  ];
+
+  for (const [name, method, params, code] of errorCases) {
+    test(`${name} returns error ${code}`, async () => {
+      const response = await call(method, params);
+      assert.equal(response.error.code, code);
+    });
+  }
+
+  test('flight_pricecheck returns structured results', async () => {
+    const response = await call('tools/call', {
+      name: 'flight_pricecheck',
+      arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' })
+    });
+    const { structuredContent } = response.result;
+    assert.equal(structuredContent.status, 'COMPLETED');
+    assert.equal(structuredContent.searchResult.results.length, 4);
+    assert.deepEqual(structuredContent.searchResult.results.map(result => result.savingsAmount), [14, 7, 0, -8]);
+    assert.deepEqual([structuredContent.savings.verdict, structuredContent.savings.savingsPercent], ['CHEAPER_FOUND', 14]);
+    assert.match(response.result.content[0].text, /Kiwi\.com/);
+    assert.match(response.result.content[0].text, /Cheaper price found: Kiwi\.com at 86\.00 EUR saves 14\.00 EUR \(14%\)/);
+  });
+
+  test('flight_pricecheck sorts, filters and limits the offers', async () => {
+    const response = await call('tools/call', {
+      name: 'flight_pricecheck',
+      arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100', sortBy: 'trust', excludeSites: ['Kiwi.com'], limit: 2 })
+    });
+    const { structuredContent } = response.result;
+    assert.deepEqual(structuredContent.searchResult.results.map(result => [result.rank, result.website, result.trustScore]), [[1, 'Airline direct', 3], [2, 'eDreams', 2]]);
+    assert.deepEqual([structuredContent.savings.bestPrice.website, structuredContent.savings.savingsAmount], ['eDreams', 7]);
+    assert.match(response.result.content[0].text, /Showing 2 of 4 result\(s\)/);
+    assert.equal(structuredContent.searchResult.rawData, undefined);
+    assert.doesNotMatch(response.result.content[0].text, /Kiwi\.com|Expedia/);
+  });
+
+  test('get_session_results returns only the filtered, limited offers', async () => {
+    const submitted = await call('tools/call', {
+      name: 'submit_session',
+      arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' })
+    });
+    const response = await call('tools/call', {
+      name: 'get_session_results',
+      arguments: { request_id: submitted.result.structuredContent.request_id, excludeSites: ['eDreams'], limit: 1 }
+    });
+    const { structuredContent } = response.result;
+    assert.deepEqual(structuredContent.results.map(result => result.website), ['Kiwi.com']);
+    assert.equal(structuredContent.rawData, undefined);
+    assert.doesNotMatch(response.result.content[0].text, /eDreams|Expedia|Airline direct/);
+  });
+
+  test('flight_pricecheck returns every itinerary error without searching', async () => {
+    const request = searchRequest([{ segments: [segment({ departureDate }), segment({ departureDate })] }]);
+    request.trip.infantsOnLap = 2;
+    const response = await call('tools/call', { name: 'flight_pricecheck', arguments: request });
+    const { structuredContent } = response.result;
+    assert.equal(structuredContent.searchResult, undefined);
+    assert.deepEqual(structuredContent.errors.map(error => [error.code, error.leg]), [['DUPLICATE_SEGMENT', 2], ['TOO_MANY_LAP_INFANTS', undefined]]);
+  });
+
+  test('flight_pricecheck splits a flattened trip at a same-day airport change', async () => {
+    // Fly into Rome and back from Milan the same day
+    const request = searchRequest([{
+      segments: [
+        segment({ departureDate, departureAirport: 'ZRH', arrivalAirport: 'FCO', departureTime: '07:00:00', arrivalTime: '08:35:00' }),
+        segment({ departureDate, airline: 'LX', flightNumber: '1633', departureAirport: 'MXP', arrivalAirport: 'ZRH', departureTime: '19:00:00', arrivalTime: '20:00:00' })
+      ]
+    }]);
+    const response = await call('tools/call', { name: 'flight_pricecheck', arguments: request });
+    const { structuredContent } = response.result;
+    assert.equal(structuredContent.status, 'COMPLETED');
+    assert.deepEqual(structuredContent.errors, []);
+    const [session] = [...mock.sessions.values()].slice(-1);
+    assert.deepEqual(session.input.trip.legs.map(leg => leg.segments.map(s => `${s.departureAirport}-${s.arrivalAirport}`)), [['ZRH-FCO'], ['MXP-ZRH']]);
+  });
+
+  const sessionCases = [
+    ['a request without a session', {}, 400, -32000],
+    ['an unknown session', { 'Mcp-Session-Id': 'no-such-session' }, 404, -32001]
+  ];
+
+  for (const [name, headers, status, code] of sessionCases) {
+    test(`rejects ${name}`, async () => {
+      const response = await server.post({ jsonrpc: '2.0', id: 99, method: 'tools/list' }, headers);
+      assert.equal(response.status, status);
+      assert.equal(response.messages[0].error.code, code);
+    });
+  }
+
+  test('DELETE terminates the session', async () => {
+    const { headers } = await server.post(initialize);
+    const ephemeral = { 'Mcp-Session-Id': headers.get('mcp-session-id'), 'Mcp-Protocol-Version': '2025-06-18' };
+
+    const deleted = await fetch(`${server.baseUrl}/mcp`, { method: 'DELETE', headers: ephemeral });
+    assert.equal(deleted.status, 200);
+
+    const response = await server.post({ jsonrpc: '2.0', id: 100, method: 'tools/list' }, ephemeral);
+    assert.equal(response.status, 404);
+  });
+});
+
+describe('http-server.js session expiry', () => {
+  let server;
+
+  before(async () => {
+    server = await startHttpServer({ MCP_SESSION_TTL_MS: '200' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function openSession() {
+    const { headers } = await server.post(initialize);
+    return { 'Mcp-Session-Id': headers.get('mcp-session-id'), 'Mcp-Protocol-Version': '2025-06-18' };
+  }
+
+  test('keeps a session with an open SSE stream and expires an idle one', async () => {
+    const streaming = await openSession();
+    const idle = await openSession();
+    const controller = new AbortController();
+    const stream = await fetch(`${server.baseUrl}/mcp`, { headers: { Accept: 'text/event-stream', ...streaming }, signal: controller.signal });
+    assert.equal(stream.status, 200);
+
+    await wait(800);
+    const [kept, expired] = await Promise.all([streaming, idle].map(headers => server.post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, headers)));
+    controller.abort();
+    assert.deepEqual([kept.status, expired.status], [200, 404]);
+  });
+});
+
+describe('http-server.js with a failing backend', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockNavifareServer();
+    baseUrl = await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  // A server per scenario, so the circuit breaker starts closed every time
+  for (const expected of BACKEND_SCENARIOS) {
+    test(`flight_pricecheck handles the ${expected.scenario} scenario`, async () => {
+      const server = await startHttpServer({ NAVIFARE_API_BASE_URL: `${baseUrl}/scenarios/${expected.scenario}` });
+      try {
+        const { headers } = await server.post(initialize);
+        const session = { 'Mcp-Session-Id': headers.get('mcp-session-id'), 'Mcp-Protocol-Version': '2025-06-18' };
+        const { messages } = await server.post({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'tools/call',
+          params: { name: 'flight_pricecheck', arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' }) }
+        }, session);
+        const response = messages.find(message => message.id === 1);
+        assertScenarioOutcome(expected, response.result.structuredContent, mock.requests);
+      } finally {
+        await server.stop();
+      }
+    });
+  }
+});
+
+describe('http-server.js client disconnect', () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockNavifareServer({ scenario: 'never-complete' });
+    // Without stable-result stopping the search would poll for the full two seconds
+    server = await startHttpServer({ NAVIFARE_API_BASE_URL: await mock.listen(), NAVIFARE_POLL_STABLE_POLLS: '0' });
+  });
+
+  after(async () => {
+    await server.stop();
+    await mock.close();
+  });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const polls = () => mock.requests.filter(request => request.method === 'GET').length;
+
+  test('flight_pricecheck applies the polling options of the call over the environment', async () => {
+    const { headers } = await server.post(initialize);
+    const session = { 'Mcp-Session-Id': headers.get('mcp-session-id'), 'Mcp-Protocol-Version': '2025-06-18' };
+    const { messages } = await server.post({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'tools/call',
+      params: { name: 'flight_pricecheck', arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100', polling: { stablePolls: 2 } }) }
+    }, session);
+    assert.equal(messages.find(message => message.id === 1).result.structuredContent.searchResult.stopReason, 'stable');
+  });
+
+  test('cancels the running flight_pricecheck when the client disconnects', async () => {
+    const { headers } = await server.post(initialize);
+    const controller = new AbortController();
+    const response = fetch(`${server.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Mcp-Session-Id': headers.get('mcp-session-id'),
+        'Mcp-Protocol-Version': '2025-06-18'
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'flight_pricecheck', arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' }) }
+      }),
+      signal: controller.signal
+    }).then(res => res.text());
+
+    while (polls() === 0) await wait(10);
+    controller.abort();
+    await assert.rejects(response, { name: 'AbortError' });
+
+    // A poll already in flight may still land, then polling stops
+    await wait(200);
+    const pollsAfterDisconnect = polls();
+    await wait(300);
+    assert.equal(polls(), pollsAfterDisconnect);
+    assert.ok(pollsAfterDisconnect < 10, `polled ${pollsAfterDisconnect} times`);
+  });
+});
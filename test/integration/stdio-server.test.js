@@ -0,0 +1,212 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LATEST_PROTOCOL_VERSION } from '@modelcontextprotocol/sdk/types.js';
+import { createMockNavifareServer } from '../mock-navifare-server.js';
+import { assertScenarioOutcome, BACKEND_SCENARIOS } from '../fixtures/scenarios.js';
+import { searchRequest, segment } from '../fixtures/trips.js';
+import { silenceLogs } from '../helpers/index.js';
+import { startStdioServer } from '../helpers/servers.js';
+
+silenceLogs();
+
+// The servers run on the real clock, so searches use a date one month ahead
+const departureDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('stdio-server.js JSON-RPC dispatch', () => {
+  let mock;
+  let server;
+
+  before(async () => {
+    mock = createMockNavifareServer({ scenario: 'instant' });
+    const baseUrl = await mock.listen();
+    server = startStdioServer({ NAVIFARE_API_BASE_URL: baseUrl });
+  });
+
+  after(async () => {
+    await server.stop();
+    await mock.close();
+  });
+
+  const protocolCases = [
+    ['echoes a supported protocol version', '2025-06-18', '2025-06-18'],
+    ['falls back to the latest version for unknown ones', '1999-01-01', LATEST_PROTOCOL_VERSION]
+  ];
+
+  for (const [name, requested, expected] of protocolCases) {
+    test(`initialize ${name}`, async () => {
+      const response = await server.request('initialize', { protocolVersion: requested, capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } });
+      assert.equal(response.result.protocolVersion, expected);
+      assert.equal(response.result.serverInfo.name, 'navifare-mcp');
+      assert.deepEqual(Object.keys(response.result.capabilities).sort(), ['resources', 'tools']);
+    });
+  }
+
+  test('tools/list returns the public tools', async () => {
+    const response = await server.request('tools/list');
+    assert.deepEqual(response.result.tools.map(tool => tool.name), [
+      'flight_pricecheck',
+      'format_flight_pricecheck_request',
+      'extract_flight_from_email',
+      'extract_flight_from_calendar',
+      'export_flight_calendar'
+    ]);
+  });
+
+  test('resources/list and resources/read serve the widget', async () => {
+    const list = await server.request('resources/list');
+    const [resource] = list.result.resources;
+    const read = await server.request('resources/read', { uri: resource.uri });
+    assert.equal(read.result.contents[0].mimeType, 'text/html+skybridge');
+    assert.match(read.result.contents[0].text, /<!DOCTYPE html>/);
+  });
+
+  const errorCases = [
+    ['unknown resource', 'resources/read', { uri: 'ui://widget/missing.html' }, -32002],
+    ['unknown method', 'prompts/list', undefined, -32601],
+    ['unknown tool', 'tools/call', { name: 'book_flight', arguments: {} }, -32601],
+    ['tool error', 'tools/call', { name: 'format_flight_pricecheck_request', arguments: {} }, -32603]
+  ];
+
+  for (const [name, method, params, code] of errorCases) {
+    test(`${name} returns error ${code}`, async () => {
+      const response = await server.request(method, params);
+      assert.equal(response.error.code, code);
+    });
+  }
+
+  test('notifications and unparsable lines get no response', async () => {
+    const before = server.messages.length;
+    server.notify('notifications/initialized');
+    server.write('{ not json');
+    const response = await server.request('tools/list');
+    assert.ok(response.result);
+    assert.equal(server.messages.length, before + 1);
+  });
+
+  const userRequest = date => `Flight AZ573 from ZRH to FCO departing ${date}, 19:15 and arriving ${date}, 20:45\nBest price: €84`;
+
+  test('format_flight_pricecheck_request parses with the regex fallback', async () => {
+    const date = new Date(departureDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const response = await server.request('tools/call', {
+      name: 'format_flight_pricecheck_request',
+      arguments: { user_request: userRequest(date) }
+    });
+    const result = response.result.structuredContent;
+    assert.equal(response.result.content[0].text, JSON.stringify(result, null, 2));
+    assert.equal(result.readyForPriceCheck, true);
+    assert.equal(result.flightData.trip.legs[0].segments[0].flightNumber, '573');
+    assert.deepEqual([result.errors, result.warnings], [[], []]);
+  });
+
+  test('format_flight_pricecheck_request lists itinerary errors', async () => {
+    const response = await server.request('tools/call', {
+      name: 'format_flight_pricecheck_request',
+      arguments: { user_request: userRequest('10 March 2030') }
+    });
+    const result = JSON.parse(response.result.content[0].text);
+    assert.equal(result.readyForPriceCheck, false);
+    assert.deepEqual(result.errors.map(error => [error.code, error.leg, error.segment]), [['BEYOND_BOOKING_HORIZON', 1, 1]]);
+  });
+
+  test('flight_pricecheck returns the offers and streams progress', async () => {
+    const response = await server.request('tools/call', {
+      name: 'flight_pricecheck',
+      arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' })
+    });
+    const result = JSON.parse(response.result.content[0].text);
+    assert.deepEqual(response.result.structuredContent, result);
+    assert.equal(result.status, 'COMPLETED');
+    assert.equal(result.searchResult.totalResults, 4);
+    assert.equal(result.searchResult.results[0].price, '86.00 EUR');
+    assert.ok(server.notifications.some(message => message.method === 'notifications/message'));
+  });
+
+  test('flight_pricecheck reports validation errors in the result', async () => {
+    const response = await server.request('tools/call', {
+      name: 'flight_pricecheck',
+      arguments: searchRequest([{ segments: [segment({ departureDate: '2020-01-01' })] }])
+    });
+    const result = JSON.parse(response.result.content[0].text);
+    assert.match(result.error, /is in the past/);
+    assert.deepEqual(result.errors.map(error => error.code), ['INVALID_DATE']);
+  });
+});
+
+describe('stdio-server.js with a failing backend', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockNavifareServer();
+    baseUrl = await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  // A server per scenario, so the circuit breaker starts closed every time
+  for (const expected of BACKEND_SCENARIOS) {
+    test(`flight_pricecheck handles the ${expected.scenario} scenario`, async () => {
+      const server = startStdioServer({ NAVIFARE_API_BASE_URL: `${baseUrl}/scenarios/${expected.scenario}` });
+      try {
+        const response = await server.request('tools/call', {
+          name: 'flight_pricecheck',
+          arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' })
+        });
+        assertScenarioOutcome(expected, JSON.parse(response.result.content[0].text), mock.requests);
+      } finally {
+        await server.stop();
+      }
+    });
+  }
+});
+
+describe('stdio-server.js request lifecycle', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockNavifareServer();
+    baseUrl = await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  const pricecheck = { name: 'flight_pricecheck', arguments: searchRequest([{ segments: [segment({ departureDate })] }], { price: '100' }) };
+
+  test('a cancelled flight_pricecheck stops polling and gets no response', async () => {
+    // Without stable-result stopping the search would poll for the full two seconds
+    const server = startStdioServer({ NAVIFARE_API_BASE_URL: `${baseUrl}/scenarios/never-complete`, NAVIFARE_POLL_STABLE_POLLS: '0' });
+    server.write({ jsonrpc: '2.0', id: 'search', method: 'tools/call', params: pricecheck });
+    while (!server.notifications.some(message => message.method === 'notifications/message')) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    server.notify('notifications/cancelled', { requestId: 'search', reason: 'User cancelled' });
+
+    // stop() waits for the cancelled search to wind down
+    await server.stop();
+    const [session] = [...mock.sessions.values()].filter(session => session.scenario === 'never-complete');
+    assert.equal(server.messages.some(message => message.id === 'search'), false);
+    assert.ok(session.polls < 10, `polled ${session.polls} times`);
+  });
+
+  test('flight_pricecheck applies the polling options of the call', async () => {
+    const server = startStdioServer({ NAVIFARE_API_BASE_URL: `${baseUrl}/scenarios/never-complete` });
+    try {
+      const search = polling => server.request('tools/call', { ...pricecheck, arguments: { ...pricecheck.arguments, polling } });
+      const timedOut = (await search({ stablePolls: 0, maxDurationMs: 150 })).result.structuredContent;
+      assert.equal(timedOut.searchResult.stopReason, 'timeout');
+      const invalid = (await search({ backoffFactor: 0.5 })).result.structuredContent;
+      assert.match(invalid.error, /polling\.backoffFactor must be a number of at least 1/);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('closing stdin lets running requests send their response', async () => {
+    const server = startStdioServer({ NAVIFARE_API_BASE_URL: `${baseUrl}/scenarios/progressive` });
+    const pending = server.request('tools/call', pricecheck);
+    await server.stop();
+    const result = JSON.parse((await pending).result.content[0].text);
+    assert.equal(result.searchResult.stopReason, 'completed');
+  });
+});
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Navifare price-discovery backend for offline development and tests.
+ *
+ * Implements POST /session and GET /session/:id with scripted scenarios, so
+ * every navifare.ts code path can be exercised without api.navifare.com.
+ * Point the MCP server at it with NAVIFARE_API_BASE_URL:
+ *
+ *   node test/mock-navifare-server.js            # listens on port 4010
+ *   NAVIFARE_API_BASE_URL=http://localhost:4010 npm run serve
+ *
+ * The scenario comes from a /scenarios/<name> prefix in the base URL
+ * (e.g. http://localhost:4010/scenarios/never-complete), or from
+ * MOCK_NAVIFARE_SCENARIO for URLs without a prefix. Any other path before
+ * /session is ignored, so the real API path layout works too.
+ *
+ * Results are revealed one offer per poll, so runs are deterministic.
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCENARIOS = {
+  'progressive': 'Offers arrive one per poll, then the search completes',
+  'instant': 'All offers and COMPLETED status on the first poll',
+  'never-complete': 'Offers arrive but the search never completes',
+  'no-results': 'The search never returns any offer',
+  'error-body': 'POST /session returns 400 with an is_error body',
+  'error-200': 'POST /session returns 200 with an is_error payload',
+  'malformed-json': 'POST /session returns invalid JSON',
+  'empty-body': 'POST /session returns an empty body',
+  'malformed-results': 'GET /session/:id returns invalid JSON on every other poll',
+  'flaky': 'First submit and first poll answer 503 with Retry-After: 1',
+  'unavailable': 'Every request answers 503 Service Unavailable'
+};
+
+export const DEFAULT_SCENARIO = 'progressive';
+
+// Booking sites and price multipliers (relative to the submitted price) for the mock offers
+const MOCK_OFFERS = [
+  { source: 'Kiwi.com', factor: 0.86, privateFare: 'false' },
+  { source: 'eDreams', factor: 0.93, privateFare: 'true' },
+  { source: 'Expedia', factor: 1.0, privateFare: 'false' },
+  { source: 'Airline direct', factor: 1.08, privateFare: 'false' }
+];
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRaw(res, status, text, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(text);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Splits "/scenarios/never-complete/api/v1/session/mock-1" into scenario and route
+function parsePath(pathname, defaultScenario) {
+  const scenarioMatch = pathname.match(/^\/scenarios\/([\w-]+)(\/.*)?$/);
+  const scenario = scenarioMatch ? scenarioMatch[1] : defaultScenario;
+  const rest = scenarioMatch ? scenarioMatch[2] || '' : pathname;
+  const routeMatch = rest.match(/\/session(?:\/([^/]+))?\/?$/);
+  if (!routeMatch) {
+    return { scenario };
+  }
+  return { scenario, route: routeMatch[1] ? 'results' : 'submit', requestId: routeMatch[1] && decodeURIComponent(routeMatch[1]) };
+}
+
+function buildOffers(session, count) {
+  const basePrice = parseFloat(session.input?.price) || 100;
+  const currency = session.input?.currency || 'EUR';
+  return MOCK_OFFERS.slice(0, count).map((offer, index) => ({
+    result_id: `${session.requestId}-${index + 1}`,
+    price: (basePrice * offer.factor).toFixed(2),
+    currency,
+    source: offer.source,
+    booking_URL: `https://example.com/book/${encodeURIComponent(offer.source)}?session=${session.requestId}`,
+    private_fare: offer.privateFare,
+    timestamp: new Date(session.createdAt + (index + 1) * 1000).toISOString()
+  }));
+}
+
+/**
+ * Creates the mock backend. `requests` records every request received
+ * ({ method, path, scenario, body }) and `sessions` the submitted sessions,
+ * so tests can assert on what the server sent.
+ */
+export function createMockNavifareServer({ scenario = process.env.MOCK_NAVIFARE_SCENARIO || DEFAULT_SCENARIO } = {}) {
+  const requests = [];
+  const sessions = new Map();
+  let sessionCounter = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { scenario: activeScenario, route, requestId } = parsePath(url.pathname, scenario);
+    const rawBody = req.method === 'POST' ? await readBody(req) : '';
+    let body;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : undefined;
+    } catch {
+      body = rawBody;
+    }
+    requests.push({ method: req.method, path: url.pathname, scenario: activeScenario, body });
+
+    if (!SCENARIOS[activeScenario]) {
+      sendJson(res, 404, { is_error: true, type: 'http_error', code: 404, message: `Unknown mock scenario "${activeScenario}". Available: ${Object.keys(SCENARIOS).join(', ')}` });
+      return;
+    }
+    if (activeScenario === 'unavailable') {
+      sendRaw(res, 503, 'Service Unavailable', { 'Content-Type': 'text/plain' });
+      return;
+    }
+
+    if (route === 'submit' && req.method === 'POST') {
+      const submitCount = requests.filter(r => r.method === 'POST' && r.scenario === activeScenario).length;
+      switch (activeScenario) {
+        case 'error-body':
+          sendJson(res, 400, { is_error: true, type: 'http_error', code: 400, message: 'Invalid request: departure airport is not supported' });
+          return;
+        case 'error-200':
+          sendJson(res, 200, { is_error: true, type: 'http_error', code: 422, message: 'Unable to start price discovery for this itinerary' });
+          return;
+        case 'malformed-json':
+          sendRaw(res, 200, '{"request_id": "mock-broken", "status": ');
+          return;
+        case 'empty-body':
+          sendRaw(res, 200, '');
+          return;
+        case 'flaky':
+          if (submitCount === 1) {
+            sendJson(res, 503, { is_error: true, type: 'http_error', code: 503, message: 'Temporarily overloaded' }, { 'Retry-After': '1' });
+            return;
+          }
+          break;
+      }
+
+      const id = `mock-${++sessionCounter}`;
+      sessions.set(id, { requestId: id, scenario: activeScenario, input: body, polls: 0, createdAt: Date.now() });
+      console.error(`🧪 Mock session ${id} created (scenario: ${activeScenario})`);
+      sendJson(res, 200, { request_id: id, status: 'IN_PROGRESS' });
+      return;
+    }
+
+    if (route === 'results' && req.method === 'GET') {
+      const session = sessions.get(requestId);
+      if (!session) {
+        sendJson(res, 404, { is_error: true, type: 'http_error', code: 404, message: `Session ${requestId} not found` });
+        return;
+      }
+      session.polls++;
+
+      if (session.scenario === 'flaky' && session.polls === 1) {
+        sendJson(res, 503, { is_error: true, type: 'http_error', code: 503, message: 'Temporarily overloaded' }, { 'Retry-After': '1' });
+        return;
+      }
+      if (session.scenario === 'malformed-results' && session.polls % 2 === 1 && session.polls < MOCK_OFFERS.length * 2) {
+        sendRaw(res, 200, '{"request_id": "' + session.requestId + '", "results": [');
+        return;
+      }
+
+      // Offers revealed so far: one per successful poll
+      let visible;
+      switch (session.scenario) {
+        case 'instant':
+          visible = MOCK_OFFERS.length;
+          break;
+        case 'no-results':
+          visible = 0;
+          break;
+        case 'flaky':
+          visible = Math.min(session.polls - 1, MOCK_OFFERS.length);
+          break;
+        case 'malformed-results':
+          visible = Math.min(Math.floor(session.polls / 2), MOCK_OFFERS.length);
+          break;
+        default:
+          visible = Math.min(session.polls, MOCK_OFFERS.length);
+      }
+      const completed = session.scenario !== 'never-complete' && session.scenario !== 'no-results' && visible === MOCK_OFFERS.length;
+
+      sendJson(res, 200, {
+        request_id: session.requestId,
+        status: completed ? 'COMPLETED' : 'IN_PROGRESS',
+        results: buildOffers(session, visible)
+      });
+      return;
+    }
+
+    sendJson(res, 404, { is_error: true, type: 'http_error', code: 404, message: `No mock route for ${req.method} ${url.pathname}` });
+  });
+
+  return {
+    server,
+    requests,
+    sessions,
+    // Resolves with the base URL to use as NAVIFARE_API_BASE_URL
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+// Run standalone: node test/mock-navifare-server.js [port]
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_NAVIFARE_PORT || '4010', 10);
+  const mock = createMockNavifareServer();
+  const baseUrl = await mock.listen(port);
+  console.log(`🧪 Mock Navifare backend listening on ${baseUrl}`);
+  console.log(`   NAVIFARE_API_BASE_URL=${baseUrl}`);
+  console.log('   Scenarios (use NAVIFARE_API_BASE_URL=' + baseUrl + '/scenarios/<name>):');
+  for (const [name, description] of Object.entries(SCENARIOS)) {
+    console.log(`   - ${name.padEnd(18)} ${description}`);
+  }
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,135 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AIRLINES,
+  cleanFlightNumber,
+  convertAirlineNameToIataCode,
+  extractAirlineCodeFromFlightNumber,
+  getAirline,
+  matchAirline
+} from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+describe('extractAirlineCodeFromFlightNumber', () => {
+  const cases = [
+    ['AZ573', 'AZ'],
+    ['az 573', 'AZ'],
+    ['LH-400', 'LH'],
+    ['U2123', 'U2'],
+    ['9W123', '9W'],
+    ['A2123', 'A2'],
+    ['DLH400', 'LH'],
+    ['EZY 1234', 'U2'],
+    ['573', null],
+    ['12', null],
+    ['A', null],
+    ['', null],
+    [null, null],
+    [undefined, null]
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+      assert.equal(extractAirlineCodeFromFlightNumber(input), expected);
+    });
+  }
+});
+
+describe('cleanFlightNumber', () => {
+  const cases = [
+    ['AZ573', '573'],
+    ['AZ0573', '573'],
+    ['lh 400', '400'],
+    ['LH-0400', '400'],
+    ['BAW123', '123'],
+    ['573', '573'],
+    ['0057', '57'],
+    ['AZ000', '0'],
+    ['U2123', '2123'],
+    ['ABC', ''],
+    ['', ''],
+    [null, '']
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+      assert.equal(cleanFlightNumber(input), expected);
+    });
+  }
+});
+
+describe('airline dataset', () => {
+  test('operating carriers have unique codes', () => {
+    const codes = AIRLINES.filter(airline => !airline.defunct).flatMap(airline => [airline.iata, airline.icao]);
+    assert.equal(new Set(codes).size, codes.length);
+  });
+
+  test('successors of defunct carriers are operating carriers', () => {
+    for (const airline of AIRLINES.filter(airline => airline.successor)) {
+      assert.equal(getAirline(airline.successor).defunct, null, airline.name);
+    }
+  });
+
+  test('looks up IATA and ICAO codes, preferring operating carriers', () => {
+    assert.equal(getAirline('dlh').iata, 'LH');
+    assert.equal(getAirline('AZ').name, 'ITA Airways');
+    assert.equal(getAirline('AZA').name, 'Alitalia');
+    assert.deepEqual(
+      (({ name, defunct, successor }) => ({ name, defunct, successor }))(getAirline('4U')),
+      { name: 'Germanwings', defunct: 2020, successor: 'EW' }
+    );
+  });
+});
+
+describe('matchAirline', () => {
+  const cases = [
+    ['an IATA code', 'vy', 'VY', 1],
+    ['an ICAO code', 'VLG', 'VY', 1],
+    ['a brand', 'Vueling', 'VY', 1],
+    ['an alias', 'Swiss', 'LX', 1],
+    ['a name without "Airlines"', 'Turkish', 'TK', 1],
+    ['a name with accents', 'Aeroméxico', 'AM', 1],
+    ['a name written apart', 'Ryan Air', 'FR', 0.98],
+    ['a misspelled name', 'Luftansa', 'LH', 0.8]
+  ];
+
+  for (const [name, query, iata, confidence] of cases) {
+    test(name, () => {
+      const match = matchAirline(query);
+      assert.equal(match.airline.iata, iata);
+      assert.ok(Math.abs(match.confidence - confidence) < 0.01, `confidence ${match.confidence}`);
+    });
+  }
+
+  test('gives low confidence to generic and ambiguous names', () => {
+    assert.ok(matchAirline('Air').confidence < 0.8);
+    assert.ok(matchAirline('Virgin').confidence < 0.8);
+  });
+
+  test('returns null without a match', () => {
+    assert.equal(matchAirline(''), null);
+    assert.equal(matchAirline('--'), null);
+  });
+});
+
+describe('convertAirlineNameToIataCode', () => {
+  const cases = [
+    ['ITA Airways', 'AZ'],
+    ['Lufthansa CityLine', 'CL'],
+    ['EZY', 'U2'],
+    ['Alitalia', 'AZ'],
+    ['Air Berlin', 'AB'],
+    ['Air', 'Air'],
+    ['Virgin', 'Virgin'],
+    ['xx', 'xx'],
+    ['', '']
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+      assert.equal(convertAirlineNameToIataCode(input), expected);
+    });
+  }
+});
@@ -0,0 +1,76 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIRPORTS, METRO_AREAS, airportTimeZone, getAirport, getMetroArea, isValidTimeZone, resolveAirportCode } from '../../dist/core/index.js';
+
+describe('airport dataset', () => {
+  test('codes are unique and well formed', () => {
+    const codes = AIRPORTS.flatMap(airport => [airport.iata, airport.icao]);
+    assert.equal(new Set(codes).size, codes.length);
+    for (const airport of AIRPORTS) {
+      assert.match(`${airport.iata} ${airport.icao} ${airport.country}`, /^[A-Z]{3} [A-Z]{4} [A-Z]{2}$/, airport.iata);
+      assert.ok(Math.abs(airport.latitude) <= 90 && Math.abs(airport.longitude) <= 180, airport.iata);
+    }
+  });
+
+  test('time zones are valid and back airportTimeZone', () => {
+    for (const airport of AIRPORTS) {
+      assert.ok(isValidTimeZone(airport.timeZone), airport.iata);
+      assert.equal(airportTimeZone(airport.iata), airport.timeZone);
+    }
+  });
+
+  test('metro areas list known airports and do not reuse airport codes', () => {
+    for (const metro of Object.values(METRO_AREAS)) {
+      assert.equal(getAirport(metro.code), null, metro.code);
+      for (const code of metro.airports) assert.equal(getAirport(code).metro, metro.code);
+    }
+  });
+});
+
+describe('getAirport and getMetroArea', () => {
+  test('look up IATA and ICAO codes in any case', () => {
+    assert.equal(getAirport(' lirf ').iata, 'FCO');
+    assert.deepEqual(
+      (({ icao, name, city, country, timeZone, metro }) => ({ icao, name, city, country, timeZone, metro }))(getAirport('MXP')),
+      { icao: 'LIMC', name: 'Malpensa', city: 'Milan', country: 'IT', timeZone: 'Europe/Rome', metro: 'MIL' }
+    );
+    assert.equal(getAirport('XYZ'), null);
+  });
+
+  test('metro areas group the airports of a city', () => {
+    assert.deepEqual(getMetroArea('mil'), { code: 'MIL', city: 'Milan', airports: ['MXP', 'LIN', 'BGY'] });
+    assert.equal(getMetroArea('MXP'), null);
+  });
+});
+
+describe('resolveAirportCode', () => {
+  const cases = [
+    ['an IATA code', 'ZRH', 'ZRH'],
+    ['a lowercase code', 'fco', 'FCO'],
+    ['an ICAO code', 'LIMC', 'MXP'],
+    ['a code next to a name', 'Zurich (ZRH)', 'ZRH'],
+    ['a city with one airport', 'Frankfurt', 'FRA'],
+    ['a city with accents', 'Zürich', 'ZRH'],
+    ['a city with several airports', 'Milan', 'MIL'],
+    ['a city in another language', 'Roma', 'ROM'],
+    ['a multi-word alias', 'Monaco di Baviera', 'MUC'],
+    ['a city and airport name', 'Milano Malpensa', 'MXP'],
+    ['an airport name', 'Aeroporto di Roma-Fiumicino', 'FCO'],
+    ['an airport name alone', 'Heathrow', 'LHR'],
+    ['a city and code', 'New York JFK', 'JFK'],
+    ['an airport in a metro area outside its city', 'Paris Beauvais', 'BVA'],
+    ['the main airport named after its city', 'Dubai', 'DXB'],
+    ['an uppercase code over a name', 'GOA', 'GOA'],
+    ['a name over a lowercase code', 'Goa', 'GOI'],
+    ['an ambiguous city', 'Bangkok', null],
+    ['an unknown code', 'XYZ', null],
+    ['an unknown name', 'Atlantis', null],
+    ['empty input', '', null]
+  ];
+
+  for (const [name, query, expected] of cases) {
+    test(name, () => {
+      assert.equal(resolveAirportCode(query), expected);
+    });
+  }
+});
@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blockTimeIssue, parseFlightDuration, resolvePlusDays, segmentBlockMinutes } from '../../dist/core/index.js';
+import { segment } from '../fixtures/trips.js';
+
+describe('parseFlightDuration', () => {
+  const cases = [
+    ['13:25', 805],
+    ['7:05', 425],
+    ['13h 25m', 805],
+    ['13h25', 805],
+    ['2 hours 5 minutes', 125],
+    ['45min', 45],
+    ['45', null],
+    ['PT13H25M', 805],
+    ['', null],
+    ['long', null],
+    [null, null]
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} → ${expected}`, () => {
+      assert.equal(parseFlightDuration(input), expected);
+    });
+  }
+});
+
+describe('resolvePlusDays', () => {
+  const cases = [
+    ['a short daytime flight', segment(), 0],
+    ['an eastbound overnight flight', segment({ departureAirport: 'JFK', arrivalAirport: 'LHR', departureTime: '22:00', arrivalTime: '10:00' }), 1],
+    ['a westbound flight landing at an earlier clock time', segment({ departureAirport: 'LHR', arrivalAirport: 'JFK', departureTime: '10:30', arrivalTime: '13:30' }), 0],
+    ['an ultra long-haul flight landing two days later', segment({ departureAirport: 'LAX', arrivalAirport: 'SIN', departureTime: '21:40', arrivalTime: '07:05' }), 2],
+    ['a date-line crossing landing the day before', segment({ departureAirport: 'AKL', arrivalAirport: 'HNL', departureTime: '10:00', arrivalTime: '19:45' }), -1],
+    ['the offset matching the flight duration', segment({ departureAirport: 'SIN', arrivalAirport: 'JFK', departureTime: '23:35', arrivalTime: '05:35', flightDuration: '18:00' }), 1],
+    ['unknown airports: the duration', segment({ departureAirport: 'XXX', arrivalAirport: 'YYY', departureTime: '23:30', arrivalTime: '01:15', flightDuration: '1h 45m' }), 1],
+    ['unknown airports: an earlier arrival clock time', segment({ departureAirport: 'XXX', arrivalAirport: 'YYY', departureTime: '10:00', arrivalTime: '08:00' }), 1],
+    ['missing times', segment({ departureTime: null, arrivalTime: '' }), 0]
+  ];
+
+  for (const [name, input, expected] of cases) {
+    test(name, () => {
+      assert.equal(resolvePlusDays(input), expected);
+    });
+  }
+});
+
+describe('segmentBlockMinutes', () => {
+  test('converts both local times to UTC', () => {
+    assert.equal(segmentBlockMinutes(segment({ departureAirport: 'JFK', arrivalAirport: 'LHR', departureTime: '22:00:00', arrivalTime: '10:00:00', plusDays: 1 })), 480);
+  });
+
+  test('is null without the time zone of both airports', () => {
+    assert.equal(segmentBlockMinutes(segment({ arrivalAirport: 'XXX' })), null);
+  });
+});
+
+describe('blockTimeIssue', () => {
+  const cases = [
+    ['a plausible segment', segment(), null],
+    ['an unknown airport', segment({ arrivalAirport: 'XXX', plusDays: 3 }), null],
+    ['a missing next-day arrival', segment({ departureAirport: 'JFK', arrivalAirport: 'LHR', departureTime: '22:00', arrivalTime: '10:00' }), 'it arrives before it departs. With plusDays 1 it would take 8h 00m'],
+    ['an arrival a day late', segment({ plusDays: 1 }), 'it would take 25h 30m, longer than any scheduled flight. With plusDays 0 it would take 1h 30m'],
+    ['a duration disagreeing with the times', segment({ flightDuration: '03:30' }), 'it would take 1h 30m, but the flight duration is 3h 30m'],
+    ['a duration within tolerance', segment({ flightDuration: '01:45' }), null]
+  ];
+
+  for (const [name, input, expected] of cases) {
+    test(name, () => {
+      assert.equal(blockTimeIssue(input), expected);
+    });
+  }
+});
@@ -0,0 +1,164 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  StubProvider,
+  extractFlightFromEmail,
+  extractFlightReservations,
+  htmlToText,
+  importBookingEmail,
+  parseEmailMessage,
+  setLlmProvider
+} from '../../dist/core/index.js';
+import { freezeClock, silenceLogs } from '../helpers/index.js';
+import { FORWARDED_TEXT_EMAIL, JSON_LD_EMAIL, MICRODATA_EMAIL } from '../fixtures/emails.js';
+
+silenceLogs();
+
+// "AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0", one array per leg
+function describeLegs(flightData) {
+  return flightData.trip.legs.map(leg => leg.segments.map(s => (
+    `${s.airline}${s.flightNumber} ${s.departureAirport}-${s.arrivalAirport} ${s.departureDate} ${s.departureTime.slice(0, 5)}-${s.arrivalTime.slice(0, 5)}+${s.plusDays}`
+  )));
+}
+
+function offline() {
+  setLlmProvider(new StubProvider(() => {
+    throw new Error('offline');
+  }));
+}
+
+describe('parseEmailMessage', () => {
+  test('decodes encoded-word subjects and quoted-printable HTML parts', () => {
+    const email = parseEmailMessage(JSON_LD_EMAIL);
+    assert.equal(email.subject, 'La tua prenotazione RXJ34P ✈');
+    assert.equal(email.text.trim(), 'Your booking RXJ34P is confirmed.');
+    assert.match(email.html, /"iataCode": "FCO"/);
+    assert.match(email.html, /Zürich/);
+  });
+
+  test('decodes base64 parts', () => {
+    const email = parseEmailMessage(MICRODATA_EMAIL);
+    assert.equal(email.subject, 'Your booking confirmation X7K2LM');
+    assert.match(email.html, /itemprop="flightNumber">LH 401</);
+  });
+
+  test('reads forwarded messages', () => {
+    const email = parseEmailMessage(FORWARDED_TEXT_EMAIL);
+    assert.equal(email.subject, 'Fwd: Booking confirmation');
+    assert.match(email.text, /Frankfurt \(FRA\) → New York \(JFK\)/);
+  });
+
+  const bodies = [
+    ['plain text', 'Booking reference: X7K2LM\n\nFlight LH 401', { text: 'Booking reference: X7K2LM\n\nFlight LH 401', html: '' }],
+    ['HTML', '<html><body><p>LH 401</p></body></html>', { text: '', html: '<html><body><p>LH 401</p></body></html>' }]
+  ];
+
+  for (const [name, raw, expected] of bodies) {
+    test(`returns a pasted ${name} body as-is`, () => {
+      assert.deepEqual(parseEmailMessage(raw), { subject: null, ...expected });
+    });
+  }
+});
+
+test('htmlToText renders rows and blocks as lines', () => {
+  const html = '<table>\n<tr><td>Total price:</td>\n<td>&euro;&nbsp;1.234,50</td></tr></table><p>Thank&#39;s<br>Bye</p>';
+  assert.equal(htmlToText(html), "Total price: € 1.234,50\nThank's\nBye");
+});
+
+describe('extractFlightReservations', () => {
+  test('reads JSON-LD arrays and @graph', () => {
+    const html = `<script type="application/ld+json">{"@graph": [{"@type": "FlightReservation"}, {"@type": "Organization"}]}</script>
+<script type="application/ld+json">not json</script>`;
+    assert.deepEqual(extractFlightReservations(html), { reservations: [{ '@type': 'FlightReservation' }], extraction: 'json-ld' });
+  });
+
+  test('reads nested microdata items', () => {
+    const { reservations, extraction } = extractFlightReservations(parseEmailMessage(MICRODATA_EMAIL).html);
+    assert.equal(extraction, 'microdata');
+    assert.equal(reservations.length, 1);
+    const flight = reservations[0].reservationFor;
+    assert.equal(flight.flightNumber, 'LH 401');
+    assert.equal(flight.airline.name, 'Lufthansa');
+    assert.equal(flight.arrivalAirport.iataCode, 'JFK');
+    assert.equal(flight.departureTime, '2026-12-12T10:00:00+01:00');
+    assert.equal(reservations[0].underName.name, 'Jane Doe');
+  });
+
+  test('finds nothing in plain HTML', () => {
+    assert.deepEqual(extractFlightReservations('<p>Flight LH 401</p>'), { reservations: [], extraction: null });
+  });
+});
+
+describe('importBookingEmail', () => {
+  afterEach(() => setLlmProvider(null));
+
+  const cases = [
+    ['JSON-LD reservations for two passengers', JSON_LD_EMAIL, 'json-ld', {
+      legs: [['AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0'], ['AZ572 FCO-ZRH 2026-03-13 07:00-08:35+0']],
+      price: '412.80', currency: 'EUR', travelClass: 'BUSINESS', adults: 2
+    }],
+    ['microdata with the price in the text', MICRODATA_EMAIL, 'microdata', {
+      legs: [['LH401 FRA-JFK 2026-12-12 10:00-12:50+0']],
+      price: '1234.50', currency: 'EUR', travelClass: 'ECONOMY', adults: 1
+    }],
+    ['a forwarded text confirmation', FORWARDED_TEXT_EMAIL, 'text', {
+      legs: [['LH401 FRA-JFK 2026-12-12 10:00-12:50+0'], ['LH400 JFK-FRA 2026-12-19 17:40-07:25+1']],
+      price: '1234.50', currency: 'EUR', travelClass: 'ECONOMY', adults: 1
+    }]
+  ];
+
+  for (const [name, raw, extraction, expected] of cases) {
+    test(name, async t => {
+      freezeClock(t);
+      offline();
+      const result = await importBookingEmail(raw);
+      assert.equal(result.needsMoreInfo, false);
+      assert.equal(result.extraction, extraction);
+      assert.deepEqual(describeLegs(result.flightData), expected.legs);
+      assert.equal(result.flightData.price, expected.price);
+      assert.equal(result.flightData.currency, expected.currency);
+      assert.equal(result.flightData.trip.travelClass, expected.travelClass);
+      assert.equal(result.flightData.trip.adults, expected.adults);
+    });
+  }
+
+  test('returns the flights found and asks for a missing price', async () => {
+    const html = parseEmailMessage(MICRODATA_EMAIL).html.replace(/<table>.*<\/table>/, '');
+    const result = await importBookingEmail(html);
+    assert.equal(result.needsMoreInfo, true);
+    assert.equal(result.extraction, 'microdata');
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+    assert.deepEqual(describeLegs(result.flightData), [['LH401 FRA-JFK 2026-12-12 10:00-12:50+0']]);
+  });
+
+  test('asks for flight details when the email has no text', async () => {
+    const result = await importBookingEmail('From: a@example.com\nSubject:\n\n');
+    assert.deepEqual(
+      { needsMoreInfo: result.needsMoreInfo, missingFields: result.missingFields, extraction: result.extraction },
+      { needsMoreInfo: true, missingFields: ['flight details'], extraction: 'text' }
+    );
+  });
+});
+
+describe('extract_flight_from_email', () => {
+  afterEach(() => setLlmProvider(null));
+
+  test('accepts base64 encoded messages', async t => {
+    freezeClock(t);
+    const result = await extractFlightFromEmail({ email: Buffer.from(JSON_LD_EMAIL).toString('base64'), encoding: 'base64' });
+    assert.equal(result.readyForPriceCheck, true);
+    assert.equal(result.extraction, 'json-ld');
+    assert.equal(result.flightData.trip.adults, 2);
+  });
+
+  test('keeps partial flight data for follow-up questions', async () => {
+    const result = await extractFlightFromEmail({ email: JSON_LD_EMAIL.replaceAll('412.80', '') });
+    assert.equal(result.needsMoreInfo, true);
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+    assert.equal(result.flightData.trip.legs.length, 2);
+  });
+
+  test('requires the email', async () => {
+    await assert.rejects(extractFlightFromEmail({}), /email/);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  airportTimeZone,
+  exportCalendarItinerary,
+  exportFlightCalendar,
+  extractFlightFromCalendar,
+  fromZonedDateTime,
+  importCalendarItinerary,
+  parseCalendar,
+  toZonedDateTime
+} from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+import { AIRLINE_UTC_INVITE, TRIPIT_ROUND_TRIP } from '../fixtures/calendars.js';
+import { ROUND_TRIP, searchRequest, segment } from '../fixtures/trips.js';
+
+silenceLogs();
+
+// "AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0", one array per leg
+function describeLegs(flightData) {
+  return flightData.trip.legs.map(leg => leg.segments.map(s => (
+    `${s.airline}${s.flightNumber} ${s.departureAirport}-${s.arrivalAirport} ${s.departureDate} ${s.departureTime.slice(0, 5)}-${s.arrivalTime.slice(0, 5)}+${s.plusDays}`
+  )));
+}
+
+const property = (ics, name) => ics.split('\r\n').filter(line => line.startsWith(`${name}:`)).map(line => line.slice(name.length + 1));
+
+describe('timezones', () => {
+  const cases = [
+    ['winter time', '2026-12-12', '10:00', 'Europe/Berlin', '2026-12-12T09:00:00.000Z'],
+    ['summer time', '2026-07-01', '10:00:00', 'America/New_York', '2026-07-01T14:00:00.000Z'],
+    ['a time skipped by DST resolves forward', '2026-03-29', '02:30', 'Europe/Berlin', '2026-03-29T01:30:00.000Z'],
+    ['a repeated time resolves to the first occurrence', '2026-10-25', '02:30', 'Europe/Berlin', '2026-10-25T00:30:00.000Z'],
+    ['a repeated time in the southern hemisphere', '2026-04-05', '02:30', 'Australia/Sydney', '2026-04-04T15:30:00.000Z'],
+    ['a half-hour zone', '2026-05-01', '09:00', 'Asia/Kolkata', '2026-05-01T03:30:00.000Z']
+  ];
+
+  for (const [name, date, time, zone, expected] of cases) {
+    test(`fromZonedDateTime: ${name}`, () => {
+      assert.equal(fromZonedDateTime(date, time, zone).toISOString(), expected);
+    });
+  }
+
+  test('toZonedDateTime crosses the date line', () => {
+    assert.deepEqual(toZonedDateTime(new Date('2026-04-03T02:30:00Z'), 'Asia/Dubai'), { date: '2026-04-03', time: '06:30:00' });
+    assert.deepEqual(toZonedDateTime(new Date('2026-04-03T02:30:00Z'), 'America/Los_Angeles'), { date: '2026-04-02', time: '19:30:00' });
+  });
+
+  test('airportTimeZone', () => {
+    assert.equal(airportTimeZone('jfk'), 'America/New_York');
+    assert.equal(airportTimeZone('XYZ'), null);
+  });
+});
+
+describe('parseCalendar', () => {
+  test('reads events, unfolds lines and skips nested alarms', () => {
+    const { events, defaultTimeZone } = parseCalendar(TRIPIT_ROUND_TRIP);
+    assert.equal(defaultTimeZone, 'Europe/Zurich');
+    assert.equal(events.length, 3);
+    assert.equal(events[0].properties.DTSTART.params.TZID, 'Europe/Zurich');
+    assert.match(events[0].properties.DESCRIPTION.value, /CET\\; arr FCO/);
+  });
+});
+
+describe('importCalendarItinerary', () => {
+  test('turns zoned TripIt flights into legs and ignores other events', () => {
+    const result = importCalendarItinerary(TRIPIT_ROUND_TRIP);
+    assert.deepEqual(describeLegs(result.flightData), [
+      ['AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0'],
+      ['AZ572 FCO-ZRH 2026-03-13 07:00-08:35+0']
+    ]);
+    assert.deepEqual([result.flightEvents, result.totalEvents], [2, 3]);
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+  });
+
+  test('converts UTC times to each airport', () => {
+    const result = importCalendarItinerary(AIRLINE_UTC_INVITE);
+    assert.deepEqual(describeLegs(result.flightData), [['EK92 MXP-DXB 2026-04-02 22:25-06:30+1']]);
+  });
+
+  test('converts zoned times that are not the airport zone', () => {
+    const ics = TRIPIT_ROUND_TRIP.replace('DTSTART;TZID=Europe/Zurich:20260310T191500', 'DTSTART;TZID=America/New_York:20260310T141500');
+    assert.equal(describeLegs(importCalendarItinerary(ics).flightData)[0][0], 'AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0');
+  });
+
+  test('keeps floating times at airports without a known zone', () => {
+    const ics = AIRLINE_UTC_INVITE
+      .replace('DTSTART:20260402T202500Z', 'DTSTART:20260402T222500')
+      .replace('DTEND:20260403T023000Z', 'DTEND:20260403T063000')
+      .replace('(DXB)', '(XYZ)');
+    assert.deepEqual(describeLegs(importCalendarItinerary(ics).flightData), [['EK92 MXP-XYZ 2026-04-02 22:25-06:30+1']]);
+  });
+
+  test('asks for the local time of UTC events at unknown airports', () => {
+    const { missingFields } = importCalendarItinerary(AIRLINE_UTC_INVITE.replace('(MXP)', '(XYZ)'));
+    assert.ok(missingFields.includes('departure time for leg 1, segment 1'));
+  });
+
+  test('returns null without flight events', () => {
+    assert.equal(importCalendarItinerary('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:Team meeting\r\nEND:VEVENT\r\nEND:VCALENDAR'), null);
+  });
+});
+
+describe('exportCalendarItinerary', () => {
+  const flightData = searchRequest([
+    { segments: [segment({ airline: 'LH', flightNumber: '401', departureAirport: 'FRA', arrivalAirport: 'JFK', departureDate: '2026-12-12', departureTime: '10:00:00', arrivalTime: '12:50:00' })] },
+    { segments: [segment({ airline: 'LH', flightNumber: '400', departureAirport: 'JFK', arrivalAirport: 'FRA', departureDate: '2026-12-19', departureTime: '17:40:00', arrivalTime: '07:25:00', plusDays: 1 })] }
+  ]);
+
+  test('writes UTC times from each airport zone, with overnight arrivals', () => {
+    const ics = exportCalendarItinerary(flightData, new Date('2026-03-01T12:00:00Z'));
+    assert.deepEqual(property(ics, 'DTSTART'), ['20261212T090000Z', '20261219T224000Z']);
+    assert.deepEqual(property(ics, 'DTEND'), ['20261212T175000Z', '20261220T062500Z']);
+    assert.deepEqual(property(ics, 'SUMMARY'), ['Flight LH401 FRA → JFK', 'Flight LH400 JFK → FRA']);
+    assert.deepEqual(property(ics, 'DTSTAMP'), ['20260301T120000Z', '20260301T120000Z']);
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  });
+
+  test('imports back to the same legs', () => {
+    assert.deepEqual(describeLegs(importCalendarItinerary(exportCalendarItinerary(flightData)).flightData), describeLegs(flightData));
+    assert.deepEqual(describeLegs(importCalendarItinerary(exportCalendarItinerary(ROUND_TRIP)).flightData), describeLegs(ROUND_TRIP));
+  });
+
+  test('writes floating times at airports without a known zone', () => {
+    const unknown = searchRequest([{ segments: [segment({ departureAirport: 'XYZ', departureDate: '2026-05-01', departureTime: '07:05:00' })] }]);
+    assert.equal(property(exportCalendarItinerary(unknown), 'DTSTART')[0], '20260501T070500');
+  });
+});
+
+describe('calendar tools', () => {
+  test('extract_flight_from_calendar accepts base64 files', async () => {
+    const result = await extractFlightFromCalendar({ ics: Buffer.from(AIRLINE_UTC_INVITE).toString('base64'), encoding: 'base64' });
+    assert.equal(result.needsMoreInfo, true);
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+    assert.equal(result.flightData.trip.legs.length, 1);
+  });
+
+  test('extract_flight_from_calendar reports calendars without flights', async () => {
+    const result = await extractFlightFromCalendar({ ics: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' });
+    assert.deepEqual(result.missingFields, ['flight details']);
+  });
+
+  test('export_flight_calendar names the file after the outbound leg', () => {
+    const result = exportFlightCalendar({ flightData: ROUND_TRIP });
+    const [outbound] = ROUND_TRIP.trip.legs;
+    const first = outbound.segments[0];
+    assert.equal(result.filename, `${first.departureDate}-${first.departureAirport}-${outbound.segments.at(-1).arrivalAirport}.ics`);
+    assert.equal(result.eventCount, ROUND_TRIP.trip.legs.flatMap(leg => leg.segments).length);
+  });
+
+  const invalid = [
+    ['no legs', { flightData: { trip: { legs: [] } } }, /at least one leg/],
+    ['a segment without times', { flightData: searchRequest([{ segments: [segment({ departureTime: '' })] }]) }, /segment 1 is missing departureTime/],
+    ['an impossible date', { flightData: searchRequest([{ segments: [segment({ departureDate: '2026-02-30' })] }]) }, /invalid departureDate/]
+  ];
+
+  for (const [name, args, error] of invalid) {
+    test(`export_flight_calendar rejects ${name}`, () => {
+      assert.throws(() => exportFlightCalendar(args), error);
+    });
+  }
+});
@@ -0,0 +1,105 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  BUNDLED_EXCHANGE_RATES,
+  convertAmount,
+  formatMoney,
+  getExchangeRates,
+  normalizeOffers,
+  resolveExchangeRates,
+  roundToMinorUnits,
+  setExchangeRates
+} from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+
+const rates = { base: 'EUR', effectiveDate: '2026-10-01', rates: { USD: 1.25, JPY: 160, KWD: 0.4 } };
+const offer = (website, amount, currency, extra = {}) => ({ website, price: `${amount} ${currency}`, amount, currency, ...extra });
+
+describe('minor units', () => {
+  const cases = [
+    [{ amount: 84.5, currency: 'EUR' }, '84.50 EUR'],
+    [{ amount: 12000.4, currency: 'JPY' }, '12000 JPY'],
+    [{ amount: 84.5, currency: 'KWD' }, '84.500 KWD'],
+    [{ amount: 7, currency: 'XYZ' }, '7.00 XYZ']
+  ];
+
+  for (const [money, expected] of cases) {
+    test(`formats ${expected}`, () => assert.equal(formatMoney(money), expected));
+  }
+
+  test('rounds to the decimals of the currency', () => {
+    assert.deepEqual([roundToMinorUnits(123.456, 'USD'), roundToMinorUnits(123.5, 'JPY'), roundToMinorUnits(1.23456, 'BHD')], [123.46, 124, 1.235]);
+  });
+});
+
+describe('convertAmount', () => {
+  const cases = [
+    ['from the base currency', 100, 'EUR', 'USD', 125],
+    ['to the base currency', 125, 'USD', 'EUR', 100],
+    ['between two other currencies', 16000, 'JPY', 'usd', 125],
+    ['within one currency', 42, 'CHF', 'CHF', 42],
+    ['from a currency missing from the table', 42, 'CHF', 'EUR', null]
+  ];
+
+  for (const [name, amount, from, to, expected] of cases) {
+    test(name, () => assert.equal(convertAmount(amount, from, to, rates), expected));
+  }
+});
+
+describe('normalizeOffers', () => {
+  test('converts every offer to the reference currency and ranks on it', () => {
+    const results = normalizeOffers([
+      offer('Airline direct', 110, 'EUR'),
+      offer('Trip.com', 125, 'USD'),
+      offer('Kiwi.com', 120, 'USD', { convertedAmount: 95, convertedCurrency: 'EUR' }),
+      offer('Local site', 90, 'CHF'),
+      offer('Rakuten', 16800, 'JPY')
+    ], 'eur', rates);
+
+    assert.deepEqual(results.map(r => [r.rank, r.website, r.normalizedAmount, r.normalizedCurrency, r.exchangeRateDate]), [
+      [1, 'Kiwi.com', 95, 'EUR', undefined],
+      [2, 'Trip.com', 100, 'EUR', '2026-10-01'],
+      [3, 'Rakuten', 105, 'EUR', '2026-10-01'],
+      [4, 'Airline direct', 110, 'EUR', undefined],
+      [5, 'Local site', null, null, undefined]
+    ]);
+  });
+
+  test('rounds to the minor units of the reference currency', () => {
+    const [jpy] = normalizeOffers([offer('Trip.com', 99.99, 'USD')], 'JPY', rates);
+    const [kwd] = normalizeOffers([offer('Trip.com', 99.99, 'USD')], 'KWD', rates);
+    assert.deepEqual([jpy.normalizedAmount, kwd.normalizedAmount], [12799, 31.997]);
+  });
+});
+
+describe('exchange rate table', () => {
+  test('falls back to the bundled table', () => {
+    assert.equal(resolveExchangeRates({}), BUNDLED_EXCHANGE_RATES);
+    assert.match(BUNDLED_EXCHANGE_RATES.effectiveDate, /^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  test('reads EXCHANGE_RATES_FILE', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'rates-')), 'rates.json');
+    writeFileSync(file, JSON.stringify({ ...rates, base: 'usd' }));
+    assert.deepEqual(resolveExchangeRates({ EXCHANGE_RATES_FILE: file }), { ...rates, base: 'USD', rates: { ...rates.rates, USD: 1 } });
+  });
+
+  test('ignores an invalid or missing EXCHANGE_RATES_FILE', () => {
+    silenceLogs();
+    const file = join(mkdtempSync(join(tmpdir(), 'rates-')), 'rates.json');
+    writeFileSync(file, JSON.stringify({ ...rates, rates: { USD: -1 } }));
+    assert.equal(resolveExchangeRates({ EXCHANGE_RATES_FILE: file }), BUNDLED_EXCHANGE_RATES);
+    assert.equal(resolveExchangeRates({ EXCHANGE_RATES_FILE: `${file}.missing` }), BUNDLED_EXCHANGE_RATES);
+  });
+
+  test('can be replaced at runtime', t => {
+    t.after(() => setExchangeRates(BUNDLED_EXCHANGE_RATES));
+    setExchangeRates({ ...rates, effectiveDate: '2026-10-15' });
+    assert.equal(getExchangeRates().effectiveDate, '2026-10-15');
+    assert.equal(normalizeOffers([offer('Trip.com', 125, 'USD')], 'EUR')[0].normalizedAmount, 100);
+    assert.throws(() => setExchangeRates({ base: 'EUR', effectiveDate: 'today', rates: {} }), /Invalid exchange rate table/);
+  });
+});
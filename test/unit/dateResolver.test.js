@@ -0,0 +1,154 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dateOrderForLocale,
+  findDates,
+  resolveDate,
+  resolveDateRange,
+  resolveDateResolverOptions
+} from '../../dist/core/index.js';
+import { FROZEN_NOW, silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+// Sunday 2026-03-01
+const options = { now: new Date(FROZEN_NOW), timeZone: 'Europe/Zurich', order: 'DMY' };
+
+describe('resolveDate', () => {
+  const cases = [
+    ['today', '2026-03-01'],
+    ['Tomorrow', '2026-03-02'],
+    ['the day after tomorrow', '2026-03-03'],
+    ['Friday', '2026-03-06'],
+    ['this Sunday', '2026-03-01'],
+    ['next Sunday', '2026-03-08'],
+    ['on Wed.', '2026-03-04'],
+    ['in two weeks', '2026-03-15'],
+    ['in a fortnight', '2026-03-15'],
+    ['in 3 days', '2026-03-04'],
+    ['in one month', '2026-04-01'],
+    ['a week from tomorrow', '2026-03-09'],
+    ['the 14th', '2026-03-14'],
+    ['31st', '2026-03-31'],
+    ['Dec 3rd', '2026-12-03'],
+    ['the 3rd of December', '2026-12-03'],
+    ['Thu, Dec 3rd 2027', '2027-12-03'],
+    ['February 15', '2027-02-15'],
+    ['Feb 29', '2028-02-29'],
+    ['2026-12-03', '2026-12-03'],
+    ['13/03', '2026-03-13'],
+    ['03/12', '2026-12-03'],
+    ['3.12.', '2026-12-03'],
+    ['3.12.26', '2026-12-03'],
+    ['10.11', null],
+    ['2026-02-30', null],
+    ['31/02', null],
+    ['domani', '2026-03-02'],
+    ['übermorgen', '2026-03-03'],
+    ['pasado mañana', '2026-03-03'],
+    ['il 12 dicembre', '2026-12-12'],
+    ['Freitag, den 12. Dezember', '2026-12-12'],
+    ['12 de diciembre de 2027', '2027-12-12'],
+    ['le 1er décembre', '2026-12-01'],
+    ['3 dez', '2026-12-03'],
+    ['venerdì prossimo', '2026-03-06'],
+    ['el viernes que viene', '2026-03-06'],
+    ['sexta-feira', '2026-03-06'],
+    ['am 14.', '2026-03-14'],
+    ['next week', null],
+    ['', null]
+  ];
+
+  for (const [expression, expected] of cases) {
+    test(`${JSON.stringify(expression)} → ${JSON.stringify(expected)}`, () => {
+      assert.equal(resolveDate(expression, options), expected);
+    });
+  }
+
+  test('"next" is the weekday of next week', () => {
+    const wednesday = { ...options, now: new Date('2026-03-04T12:00:00Z') };
+    assert.equal(resolveDate('Friday', wednesday), '2026-03-06');
+    assert.equal(resolveDate('next Friday', wednesday), '2026-03-13');
+  });
+
+  test('ambiguous numeric dates follow the order or locale hint', () => {
+    assert.equal(resolveDate('03/12/2026', { ...options, order: 'MDY' }), '2026-03-12');
+    assert.equal(resolveDate('03/12/2026', { now: options.now, locale: 'en-US' }), '2026-03-12');
+    assert.equal(resolveDate('03/12/2026', { now: options.now, locale: 'en-GB' }), '2026-12-03');
+    assert.equal(resolveDate('13/03/2026', { ...options, order: 'MDY' }), '2026-03-13');
+  });
+
+  test('"today" is the date in the configured time zone', () => {
+    const lateEvening = new Date('2026-03-01T23:30:00Z');
+    assert.equal(resolveDate('tomorrow', { now: lateEvening, timeZone: 'Asia/Tokyo' }), '2026-03-03');
+    assert.equal(resolveDate('tomorrow', { now: lateEvening, timeZone: 'America/New_York' }), '2026-03-02');
+  });
+});
+
+describe('resolveDateRange', () => {
+  const cases = [
+    ['Dec 3-10', { start: '2026-12-03', end: '2026-12-10' }],
+    ['3–10 Dec', { start: '2026-12-03', end: '2026-12-10' }],
+    ['3rd to 10th of December 2027', { start: '2027-12-03', end: '2027-12-10' }],
+    ['from tomorrow until next Friday', { start: '2026-03-02', end: '2026-03-06' }],
+    ['between 12/03 and 19/03', { start: '2026-03-12', end: '2026-03-19' }],
+    ['2026-12-03 - 2026-12-10', { start: '2026-12-03', end: '2026-12-10' }],
+    ['Dec 28 - Jan 4', { start: '2026-12-28', end: '2027-01-04' }],
+    ['Dec 28 for two weeks', { start: '2026-12-28', end: '2027-01-11' }],
+    ['dal 12 al 20 dicembre', { start: '2026-12-12', end: '2026-12-20' }],
+    ['vom 12. bis 20. Dezember', { start: '2026-12-12', end: '2026-12-20' }],
+    ['del 12 al 20 de diciembre', { start: '2026-12-12', end: '2026-12-20' }],
+    ['du 12 au 20 décembre', { start: '2026-12-12', end: '2026-12-20' }],
+    ['2026-12-10 - 2026-12-03', null],
+    ['sometime in December', null]
+  ];
+
+  for (const [expression, expected] of cases) {
+    test(`${JSON.stringify(expression)}`, () => {
+      assert.deepEqual(resolveDateRange(expression, options), expected);
+    });
+  }
+});
+
+test('findDates picks dates out of free text, not times', () => {
+  const matches = findDates('Leaving tomorrow at 19.31, returning next Friday at 10.11 (or Tue, Dec 8th).', options);
+  assert.deepEqual(matches.map(({ text, date }) => [text, date]), [
+    ['tomorrow', '2026-03-02'],
+    ['next Friday', '2026-03-06'],
+    ['Tue, Dec 8th', '2026-12-08']
+  ]);
+});
+
+test('findDates continues a bare day of the month from the date before it', () => {
+  const matches = findDates('andata il 12 dicembre, ritorno il 20', options);
+  assert.deepEqual(matches.map(({ text, date }) => [text, date]), [
+    ['il 12 dicembre', '2026-12-12'],
+    ['il 20', '2026-12-20']
+  ]);
+});
+
+describe('options', () => {
+  const locales = [['en-US', 'MDY'], ['US', 'MDY'], ['fil_PH', 'MDY'], ['de-CH', 'DMY'], ['zh-Hant-TW', 'DMY'], ['en', null], ['', null]];
+
+  for (const [locale, expected] of locales) {
+    test(`dateOrderForLocale(${JSON.stringify(locale)})`, () => {
+      assert.equal(dateOrderForLocale(locale), expected);
+    });
+  }
+
+  test('overrides win over the environment, which wins over the defaults', () => {
+    const env = { DATE_TIMEZONE: 'America/Chicago', DATE_ORDER: 'mdy' };
+    assert.deepEqual(
+      [resolveDateResolverOptions({}, env).timeZone, resolveDateResolverOptions({}, env).order],
+      ['America/Chicago', 'MDY']
+    );
+    const resolved = resolveDateResolverOptions({ timeZone: 'Asia/Tokyo', locale: 'it-IT' }, env);
+    assert.deepEqual([resolved.timeZone, resolved.order], ['Asia/Tokyo', 'DMY']);
+  });
+
+  test('invalid values are ignored', () => {
+    const resolved = resolveDateResolverOptions({ timeZone: 'Mars/Olympus' }, { DATE_TIMEZONE: 'Nowhere', DATE_ORDER: 'YMD' });
+    assert.notEqual(resolved.timeZone, 'Mars/Olympus');
+    assert.equal(resolved.order, 'DMY');
+  });
+});
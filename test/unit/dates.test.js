@@ -0,0 +1,92 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixPastDates, parseTimeTo24Hour } from '../../dist/core/index.js';
+import { freezeClock, silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+describe('parseTimeTo24Hour', () => {
+  const cases = [
+    ['18:40', '18:40:00'],
+    ['7:05', '07:05:00'],
+    ['6:40 PM', '18:40:00'],
+    ['6:40 pm', '18:40:00'],
+    ['12:15 AM', '00:15:00'],
+    ['12:15 PM', '12:15:00'],
+    ['11:59PM', '23:59:00'],
+    ['00:00', '00:00:00'],
+    ['  09:30  ', '09:30:00'],
+    ['1840', null],
+    ['noon', null],
+    ['', null],
+    [null, null]
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+      assert.equal(parseTimeTo24Hour(input), expected);
+    });
+  }
+});
+
+describe('fixPastDates', () => {
+  // Today is 2026-03-01 (FROZEN_NOW)
+  const cases = [
+    { date: '2026-05-01', expected: '2026-05-01', note: 'future ISO date is kept' },
+    { date: '2025-05-01', expected: '2026-05-01', note: 'past year is moved to the current year' },
+    { date: '2027-01-15', expected: '2027-01-15', note: 'next year is kept' },
+    { date: '03-15', expected: '2026-03-15', note: 'only the month-first reading is a date' },
+    { date: '13/05', expected: '2026-05-13', note: 'only the day-first reading is a date' },
+    { date: '1/3', expected: '2026-03-01', note: 'D/M today stays this year' },
+    { date: '03/12', expected: '2026-12-03', note: 'ambiguous numeric dates are day-first by default' },
+    { date: '10-02', expected: '2027-02-10', note: 'D-M already passed rolls to next year' },
+    { date: '13/13', expected: null, note: 'impossible numeric date is dropped' },
+    { date: 'Sep 16', expected: '2026-09-16', note: 'month name later this year' },
+    { date: 'Sep 31', expected: null, note: 'impossible day of the month is dropped' },
+    { date: 'September 5', expected: '2026-09-05', note: 'full month name' },
+    { date: 'Feb 3', expected: '2027-02-03', note: 'month name already passed rolls to next year' },
+    { date: 'next Friday', expected: '2026-03-06', note: 'relative dates are resolved' },
+    { date: 'the 14th', expected: '2026-03-14', note: 'day of the month' },
+    { date: 'sometime in spring', expected: 'sometime in spring', note: 'unknown format is returned as-is' },
+    { date: null, expected: null, note: 'missing date is kept' }
+  ];
+
+  for (const { date, expected, note } of cases) {
+    test(`${JSON.stringify(date)} → ${JSON.stringify(expected)} (${note})`, t => {
+      freezeClock(t);
+      const result = fixPastDates({ tripType: 'one_way', outboundSegments: [{ date }] }, 2026);
+      assert.equal(result.outboundSegments[0].date, expected);
+    });
+  }
+
+  test('normalises return segments too', t => {
+    freezeClock(t);
+    const result = fixPastDates({
+      tripType: 'round_trip',
+      outboundSegments: [{ date: 'Dec 20' }],
+      returnSegments: [{ date: 'Jan 4' }]
+    }, 2026);
+    assert.equal(result.outboundSegments[0].date, '2026-12-20');
+    assert.equal(result.returnSegments[0].date, '2027-01-04');
+  });
+
+  const orderCases = [
+    ['an explicit order', { order: 'MDY' }, '2026-03-12'],
+    ['a month-first locale', { locale: 'en-US' }, '2026-03-12'],
+    ['a day-first locale', { locale: 'de-CH' }, '2026-12-03']
+  ];
+
+  for (const [name, dateOptions, expected] of orderCases) {
+    test(`reads ambiguous numeric dates with ${name}`, t => {
+      freezeClock(t);
+      const result = fixPastDates({ tripType: 'one_way', outboundSegments: [{ date: '03/12' }] }, 2026, undefined, dateOptions);
+      assert.equal(result.outboundSegments[0].date, expected);
+    });
+  }
+
+  test('an explicit reference date wins over the clock', t => {
+    freezeClock(t);
+    const result = fixPastDates({ tripType: 'one_way', outboundSegments: [{ date: '01-06' }] }, 2026, '2026-07-01T12:00:00Z');
+    assert.equal(result.outboundSegments[0].date, '2027-06-01');
+  });
+});
@@ -0,0 +1,108 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FLIGHT_REQUEST_RESPONSE_SCHEMA,
+  StubProvider,
+  flightPricecheckTool,
+  parseFlightRequest,
+  setLlmProvider,
+  toGeminiSchema,
+  validateLlmFlightRequest
+} from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+import { ONE_WAY, ROUND_TRIP, searchRequest, segment } from '../fixtures/trips.js';
+
+silenceLogs();
+
+describe('FLIGHT_REQUEST_RESPONSE_SCHEMA', () => {
+  test('extends the flight_pricecheck input schema', () => {
+    const { properties, required } = FLIGHT_REQUEST_RESPONSE_SCHEMA;
+    for (const key of Object.keys(flightPricecheckTool.inputSchema.properties)) {
+      assert.ok(properties[key], `missing ${key}`);
+    }
+    assert.deepEqual(required, ['needsMoreInfo', ...flightPricecheckTool.inputSchema.required]);
+    assert.deepEqual(properties.trip.properties.legs.items.properties.segments.items.properties.airline.type, ['string', 'null']);
+  });
+
+  test('converts to the Gemini response schema subset', () => {
+    const schema = toGeminiSchema(FLIGHT_REQUEST_RESPONSE_SCHEMA);
+    const segmentSchema = schema.properties.trip.properties.legs.items.properties.segments.items;
+    assert.deepEqual(segmentSchema.properties.airline, { type: 'string', nullable: true, description: flightPricecheckTool.inputSchema.properties.trip.properties.legs.items.properties.segments.items.properties.airline.description });
+    assert.equal(schema.properties.needsMoreInfo.nullable, undefined);
+    assert.equal(schema.properties.trip.properties.travelClass.format, 'enum');
+    assert.equal(schema.properties.trip.properties.adults.minimum, undefined);
+    assert.equal(schema.properties.currency.pattern, undefined);
+    assert.equal(schema.properties.location.default, undefined);
+  });
+});
+
+describe('validateLlmFlightRequest', () => {
+  test('accepts a complete response and normalises it', () => {
+    const response = {
+      needsMoreInfo: false,
+      ...searchRequest([{ segments: [segment({ airline: 'az', flightNumber: 573, departureAirport: 'zrh', plusDays: null })] }], {
+        price: 84,
+        location: null
+      }),
+      message: null,
+      missingFields: null
+    };
+    const result = validateLlmFlightRequest(response);
+    assert.equal(result.needsMoreInfo, false);
+    assert.deepEqual(result.flightData, { ...ONE_WAY, location: 'ZZ' });
+  });
+
+  const issueCases = [
+    ['a malformed time', searchRequest([{ segments: [segment({ departureTime: '7pm' })] }]), ['departure time for leg 1, segment 1']],
+    ['an airline name instead of a code', searchRequest([{ segments: [segment()] }, { segments: [segment(), segment({ airline: 'ITA Airways' })] }]), ['airline code for leg 2, segment 2']],
+    ['a city with several airports', searchRequest([{ segments: [segment({ departureAirport: 'Milan' })] }]), ['departure airport for leg 1, segment 1']],
+    ['an impossible date', searchRequest([{ segments: [segment({ departureDate: '2026-02-30' })] }]), ['departure date for leg 1, segment 1']],
+    ['null passengers and class', { ...ONE_WAY, trip: { ...ONE_WAY.trip, adults: null, travelClass: null } }, ['travel class', 'number of adults']],
+    ['no legs', searchRequest([]), ['flight legs']],
+    ['an empty leg', searchRequest([{ segments: [] }]), ['segments for leg 1']],
+    ['no trip', { source: 'MCP', price: '84.00', currency: 'EUR' }, ['trip information']],
+    ['missing price and currency', { ...ONE_WAY, price: null, currency: 'euro' }, ['price', 'currency']]
+  ];
+
+  for (const [name, response, missingFields] of issueCases) {
+    test(`reports ${name} as missing fields`, () => {
+      const result = validateLlmFlightRequest({ needsMoreInfo: false, ...response });
+      assert.equal(result.needsMoreInfo, true);
+      assert.deepEqual(result.missingFields, missingFields);
+      assert.match(result.message, /I need a bit more information/);
+      assert.ok(result.flightData);
+    });
+  }
+
+  test('keeps the model question and its missing fields', () => {
+    const result = validateLlmFlightRequest({ needsMoreInfo: true, message: 'Which date?', missingFields: ['departure date'], trip: null });
+    assert.deepEqual(result, { needsMoreInfo: true, message: 'Which date?', missingFields: ['departure date'] });
+  });
+
+  test('derives missing fields when the model lists none', () => {
+    const result = validateLlmFlightRequest({ needsMoreInfo: true, message: null, missingFields: null, ...ROUND_TRIP, price: null });
+    assert.deepEqual(result.missingFields, ['price']);
+    assert.match(result.message, /Could you please provide: price\?/);
+  });
+
+  test('rejects responses that are not objects', () => {
+    assert.throws(() => validateLlmFlightRequest([ONE_WAY]), /not a JSON object/);
+  });
+});
+
+describe('parseFlightRequest structured output', () => {
+  afterEach(() => setLlmProvider(null));
+
+  test('requests the response schema and validates the answer', async () => {
+    let received;
+    setLlmProvider(new StubProvider(request => {
+      received = request;
+      return JSON.stringify({ needsMoreInfo: false, ...searchRequest([{ segments: [segment({ arrivalTime: null })] }]) });
+    }));
+    const result = await parseFlightRequest('AZ573 ZRH-FCO 10 March 19:15, 84 EUR');
+    assert.equal(received.responseSchema.name, 'flight_pricecheck_request');
+    assert.equal(received.responseSchema.schema, FLIGHT_REQUEST_RESPONSE_SCHEMA);
+    assert.equal(result.needsMoreInfo, true);
+    assert.deepEqual(result.missingFields, ['arrival time for leg 1, segment 1']);
+  });
+});
@@ -0,0 +1,159 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  StubProvider,
+  bookingClassToTravelClass,
+  parseFlightRequest,
+  parseGdsItinerary,
+  parseGdsSegmentLine,
+  resolveYearlessDate,
+  setLlmProvider
+} from '../../dist/core/index.js';
+import { FROZEN_NOW, freezeClock, silenceLogs } from '../helpers/index.js';
+import { AMADEUS_ROUND_TRIP, SABRE_CONNECTIONS } from '../fixtures/pastes.js';
+
+silenceLogs();
+
+const now = new Date(FROZEN_NOW);
+
+// "LH401 FRA-JFK 2026-12-12 10:00-12:50+0", one array per leg
+function describeLegs(flightData) {
+  return flightData.trip.legs.map(leg => leg.segments.map(s => (
+    `${s.airline}${s.flightNumber} ${s.departureAirport}-${s.arrivalAirport} ${s.departureDate} ${s.departureTime.slice(0, 5)}-${s.arrivalTime.slice(0, 5)}+${s.plusDays}`
+  )));
+}
+
+const describeSegment = s => (
+  `${s.airline}${s.flightNumber} ${s.bookingClass} ${s.departureAirport}-${s.arrivalAirport} ${s.departureDate} ${s.departureTime.slice(0, 5)}-${s.arrivalTime.slice(0, 5)}+${s.plusDays} ${s.status}${s.seats}`
+);
+
+describe('parseGdsSegmentLine', () => {
+  const cases = [
+    ['Amadeus', '1 LH 401 Y 12DEC 3 FRAJFK HK1 1000 1250', 'LH401 Y FRA-JFK 2026-12-12 10:00-12:50+0 HK1'],
+    ['Amadeus with an arrival date', '  4  LH 400 Y 19DEC 6 JFKFRA HK2  1740 0725  20DEC  E  LH/X7K2LM', 'LH400 Y JFK-FRA 2026-12-19 17:40-07:25+1 HK2'],
+    ['Amadeus with a year', '2 AZ 573 J 10MAR27 3 ZRHFCO HK1 1915 2045', 'AZ573 J ZRH-FCO 2027-03-10 19:15-20:45+0 HK1'],
+    ['Sabre with 12-hour times', ' 3 LH 405C 17MAR T JFKFRA HK1   600P  735A#1 /DCLH*ABC123 /E', 'LH405 C JFK-FRA 2026-03-17 18:00-07:35+1 HK1'],
+    ['Sabre noon departure', ' 1 BA 117J 05APR S LHRJFK SS1  1200N  245P', 'BA117 J LHR-JFK 2026-04-05 12:00-14:45+0 SS1'],
+    ['Galileo without a weekday', ' 1. LX   8 Y  12MAY ZRHORD HK1  1015   1250  O*  TU', 'LX8 Y ZRH-ORD 2026-05-12 10:15-12:50+0 HK1'],
+    ['arrival the day before', '1 NZ 1 Y 20MAR 5 AKLLAX HK1 1930 1100-1', 'NZ1 Y AKL-LAX 2026-03-20 19:30-11:00+-1 HK1'],
+    ['a date that already passed this year', '1 LH 401 Y 12FEB FRAJFK HK1 1000 1250', 'LH401 Y FRA-JFK 2027-02-12 10:00-12:50+0 HK1']
+  ];
+
+  for (const [name, line, expected] of cases) {
+    test(name, () => {
+      assert.equal(describeSegment(parseGdsSegmentLine(line, now)), expected);
+    });
+  }
+
+  const notSegments = [
+    ['a name element', '  1.DOE/JANE MRS   2.DOE/JOHN MR'],
+    ['a contact element', '  5 AP ZRH 044 123 45 67'],
+    ['a ticketing element', '  6 TK OK20FEB/ZRHL12100'],
+    ['an impossible date', '1 LH 401 Y 31FEB FRAJFK HK1 1000 1250'],
+    ['an impossible time', '1 LH 401 Y 12DEC FRAJFK HK1 1075 1250'],
+    ['free text', 'LH 401 from FRA to JFK on 12 December']
+  ];
+
+  for (const [name, line] of notSegments) {
+    test(`returns null for ${name}`, () => {
+      assert.equal(parseGdsSegmentLine(line, now), null);
+    });
+  }
+});
+
+describe('bookingClassToTravelClass', () => {
+  const cases = [
+    ['F', undefined, 'FIRST'],
+    ['j', undefined, 'BUSINESS'],
+    ['Z', 'AZ', 'BUSINESS'],
+    ['W', undefined, 'PREMIUM_ECONOMY'],
+    ['E', undefined, 'ECONOMY'],
+    ['E', 'BA', 'PREMIUM_ECONOMY'],
+    ['N', 'LH', 'PREMIUM_ECONOMY'],
+    ['Y', 'LH', 'ECONOMY'],
+    ['M', undefined, 'ECONOMY']
+  ];
+
+  for (const [bookingClass, airline, expected] of cases) {
+    test(`${bookingClass}${airline ? ` on ${airline}` : ''} is ${expected}`, () => {
+      assert.equal(bookingClassToTravelClass(bookingClass, airline), expected);
+    });
+  }
+});
+
+describe('parseGdsItinerary', () => {
+  test('reads an Amadeus round trip for two passengers', () => {
+    const result = parseGdsItinerary(AMADEUS_ROUND_TRIP, now);
+    assert.equal(result.layout, 'gds');
+    assert.deepEqual(result.missingFields, []);
+    assert.deepEqual(describeLegs(result.flightData), [
+      ['LH401 FRA-JFK 2026-12-12 10:00-12:50+0'],
+      ['LH400 JFK-FRA 2026-12-19 17:40-07:25+1']
+    ]);
+    assert.equal(result.flightData.trip.adults, 2);
+    assert.equal(result.flightData.trip.travelClass, 'ECONOMY');
+    assert.equal(result.flightData.price, '2469.00');
+    assert.equal(result.flightData.currency, 'EUR');
+  });
+
+  test('splits Sabre connections into legs and takes the highest cabin', () => {
+    const result = parseGdsItinerary(SABRE_CONNECTIONS, now);
+    assert.deepEqual(describeLegs(result.flightData), [
+      ['LX1072 ZRH-FRA 2026-03-10 13:00-14:05+0', 'LH400 FRA-JFK 2026-03-10 16:00-18:40+0'],
+      ['LH405 JFK-FRA 2026-03-17 18:00-07:35+1', 'LX1073 FRA-ZRH 2026-03-18 09:35-10:40+0']
+    ]);
+    assert.equal(result.flightData.trip.adults, 1);
+    assert.equal(result.flightData.trip.travelClass, 'BUSINESS');
+    assert.equal(result.flightData.price, '3150.40');
+    assert.equal(result.flightData.currency, 'CHF');
+  });
+
+  test('counts children and lap infants from the name elements', () => {
+    const text = `1.DOE/JANE MRS(INFDOE/MIA/12JAN26)  2.DOE/TOM MSTR(CHD/12MAR18)
+1 LH 401 Y 12DEC 6 FRAJFK HK2 1000 1250
+TOTAL EUR 1200.00`;
+    const { trip } = parseGdsItinerary(text, now).flightData;
+    assert.deepEqual([trip.adults, trip.children, trip.infantsOnLap], [1, 1, 1]);
+  });
+
+  test('skips cancelled segments', () => {
+    const text = `1 LH 401 Y 12DEC 6 FRAJFK HX1 1000 1250\n2 LH 403 Y 12DEC 6 FRAJFK HK1 1330 1600\nTOTAL EUR 600.00`;
+    assert.deepEqual(describeLegs(parseGdsItinerary(text, now).flightData), [['LH403 FRA-JFK 2026-12-12 13:30-16:00+0']]);
+  });
+
+  test('reports the missing price', () => {
+    const result = parseGdsItinerary(AMADEUS_ROUND_TRIP.replace('TOTAL EUR 2469.00', ''), now);
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+  });
+
+  test('returns null without segment lines', () => {
+    assert.equal(parseGdsItinerary('RP/ZRHL12100/\n  1.DOE/JANE MRS', now), null);
+  });
+});
+
+test('resolveYearlessDate rolls passed days into next year', () => {
+  assert.equal(resolveYearlessDate(3, 1, now, 'UTC'), '2026-03-01');
+  assert.equal(resolveYearlessDate(2, 28, now, 'UTC'), '2027-02-28');
+});
+
+test('resolveYearlessDate takes today in the given time zone', () => {
+  // Midday UTC on March 1 is already March 2 in Kiritimati (UTC+14)
+  assert.equal(resolveYearlessDate(3, 1, now, 'Pacific/Kiritimati'), '2027-03-01');
+});
+
+describe('parseFlightRequest with GDS itineraries', () => {
+  afterEach(() => setLlmProvider(null));
+
+  test('parses complete displays without calling the LLM', async t => {
+    freezeClock(t);
+    let calls = 0;
+    setLlmProvider(new StubProvider(() => {
+      calls++;
+      return '{}';
+    }));
+    const result = await parseFlightRequest(SABRE_CONNECTIONS);
+    assert.equal(calls, 0);
+    assert.equal(result.needsMoreInfo, false);
+    assert.equal(result.layout, 'gds');
+  });
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformExtractedToFlightData } from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+const extracted = (outboundSegments, returnSegments = []) => ({
+  tripType: returnSegments.length ? 'round_trip' : 'one_way',
+  cabinClass: 'economy',
+  passengers: { adults: 1, children: 0, infants: 0 },
+  outboundSegments,
+  returnSegments,
+  totalPrice: 612,
+  currency: 'EUR'
+});
+
+test('transformExtractedToFlightData works out plusDays from time zones and duration', () => {
+  const flightData = transformExtractedToFlightData(extracted(
+    [
+      { airline: 'LX', flightNumber: '40', departure: 'ZRH', arrival: 'LAX', date: '2026-03-10', departureTime: '13:00', arrivalTime: '17:35', flightDuration: '12:35' },
+      { airline: 'SQ', flightNumber: '37', departure: 'LAX', arrival: 'SIN', date: '2026-03-10', departureTime: '21:40', arrivalTime: '06:05', flightDuration: '17:25' }
+    ],
+    [{ airline: 'NZ', flightNumber: '10', departure: 'AKL', arrival: 'HNL', date: '2026-03-20', departureTime: '10:00', arrivalTime: '19:45', flightDuration: null }]
+  ));
+
+  assert.deepEqual(flightData.trip.legs.map(leg => leg.segments.map(s => s.plusDays)), [[0, 2], [-1]]);
+});
@@ -0,0 +1,94 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItineraryValidationError, validateItinerary } from '../../dist/core/index.js';
+import { freezeClock, silenceLogs } from '../helpers/index.js';
+import { FLATTENED_ROUND_TRIP_LEG, ROUND_TRIP, searchRequest, segment } from '../fixtures/trips.js';
+
+silenceLogs();
+
+// ZRH → FRA → JFK with the connection in Frankfurt set by the overrides of the second flight
+function connecting(overrides = {}) {
+  return searchRequest([{
+    segments: [
+      segment({ airline: 'LX', flightNumber: '1070', departureAirport: 'ZRH', arrivalAirport: 'FRA', departureTime: '07:00:00', arrivalTime: '08:05:00' }),
+      segment({ airline: 'LH', flightNumber: '400', departureAirport: 'FRA', arrivalAirport: 'JFK', departureTime: '10:00:00', arrivalTime: '12:45:00', ...overrides })
+    ]
+  }]);
+}
+
+const issues = list => list.map(({ code, leg, segment }) => [code, leg, segment]);
+
+describe('validateItinerary', () => {
+  test('accepts a valid round trip', t => {
+    freezeClock(t);
+    assert.deepEqual(validateItinerary(ROUND_TRIP), { valid: true, errors: [], warnings: [] });
+  });
+
+  test('does not modify the request', t => {
+    freezeClock(t);
+    const request = searchRequest([{ segments: [segment({ airline: 'swiss', flightNumber: 'LX1612' })] }]);
+    validateItinerary(request);
+    assert.equal(request.trip.legs[0].segments[0].airline, 'swiss');
+  });
+
+  const errorCases = [
+    ['no legs', searchRequest([]), [['MISSING_SEGMENTS', undefined, undefined]]],
+    ['a leg without segments', searchRequest([{ segments: [segment()] }, { segments: [] }]), [['MISSING_SEGMENTS', 2, undefined]]],
+    ['an airport gap within a connection', connecting({ departureAirport: 'MUC' }), [['DISCONTINUOUS_SEGMENTS', 1, 2]]],
+    ['a connection leaving before the previous flight lands', connecting({ departureTime: '07:30:00' }), [['OVERLAPPING_SEGMENTS', 1, 2]]],
+    ['a duplicate flight', searchRequest([{ segments: [segment()] }, { segments: [segment()] }]), [['DUPLICATE_SEGMENT', 2, 1]]],
+    ['an unknown airline name', searchRequest([{ segments: [segment({ airline: 'Air', flightNumber: '123' })] }]), [['UNKNOWN_AIRLINE', undefined, undefined]]],
+    ['a malformed flight number', searchRequest([{ segments: [segment({ flightNumber: '57312' })] }]), [['INVALID_FLIGHT_NUMBER', 1, 1]]],
+    ['a date beyond the booking horizon', searchRequest([{ segments: [segment({ departureDate: '2027-02-01' })] }]), [['BEYOND_BOOKING_HORIZON', 1, 1]]],
+    ['more lap infants than adults', searchRequest([{ segments: [segment()] }], { trip: { ...ROUND_TRIP.trip, legs: [{ segments: [segment()] }], adults: 1, infantsOnLap: 2 } }), [['TOO_MANY_LAP_INFANTS', undefined, undefined]]],
+    ['more than nine passengers', searchRequest([{ segments: [segment()] }], { trip: { ...ROUND_TRIP.trip, legs: [{ segments: [segment()] }], adults: 6, children: 4 } }), [['TOO_MANY_PASSENGERS', undefined, undefined]]],
+    ['a price that is not an amount', searchRequest([{ segments: [segment()] }], { price: '' }), [['INVALID_PRICE', undefined, undefined]]],
+    ['a past date and an unknown airport at once', searchRequest([{ segments: [segment({ departureDate: '2026-02-01', arrivalAirport: 'X1Z' })] }]), [['INVALID_DATE', undefined, undefined], ['INVALID_AIRPORT', undefined, undefined]]]
+  ];
+
+  for (const [name, request, expected] of errorCases) {
+    test(`reports ${name}`, t => {
+      freezeClock(t);
+      const validation = validateItinerary(request);
+      assert.equal(validation.valid, false);
+      assert.deepEqual(issues(validation.errors), expected);
+    });
+  }
+
+  const warningCases = [
+    ['a connection shorter than the minimum connection time', connecting({ departureTime: '08:35:00', arrivalTime: '11:20:00' }), [['SHORT_CONNECTION', 1, 2]]],
+    ['an airport change within a city', searchRequest([{ segments: [segment({ departureAirport: 'FCO', arrivalAirport: 'LHR', departureTime: '07:00:00', arrivalTime: '08:45:00' }), segment({ airline: 'BA', flightNumber: '2950', departureAirport: 'LGW', arrivalAirport: 'EDI', departureTime: '13:00:00', arrivalTime: '14:25:00' })] }]), [['AIRPORT_CHANGE', 1, 2]]],
+    ['a stopover in a flattened round trip', searchRequest([FLATTENED_ROUND_TRIP_LEG]), [['STOPOVER', 1, 3]]],
+    ['a carrier that stopped flying', searchRequest([{ segments: [segment({ airline: '9W', flightNumber: '120' })] }]), [['DEFUNCT_AIRLINE', 1, 1]]]
+  ];
+
+  for (const [name, request, expected] of warningCases) {
+    test(`warns about ${name}`, t => {
+      freezeClock(t);
+      const validation = validateItinerary(request);
+      assert.deepEqual([validation.valid, issues(validation.warnings)], [true, expected]);
+    });
+  }
+
+  test('messages name the problem and the fix', t => {
+    freezeClock(t);
+    const [error] = validateItinerary(connecting({ departureAirport: 'MUC' })).errors;
+    assert.equal(error.message, 'In leg 1, segments 1 and 2 the first flight lands in FRA but the next one leaves from MUC. Please check the airports, or list the flights as separate legs.');
+  });
+
+  test('defunct carriers are flagged with the code of their successor', t => {
+    freezeClock(t);
+    const [warning] = validateItinerary(searchRequest([{ segments: [segment({ airline: 'Virgin America', flightNumber: '27' })] }])).warnings;
+    assert.equal(warning.successor, 'AS');
+    assert.equal(warning.message, 'Virgin America (VX) in leg 1, segment 1 stopped flying in 2018. Its flights are now operated by Alaska Airlines (AS). Please check the airline and flight number.');
+    assert.equal(validateItinerary(searchRequest([{ segments: [segment({ airline: '9W', flightNumber: '120' })] }])).warnings[0].successor, undefined);
+  });
+
+  test('ItineraryValidationError carries the validation', t => {
+    freezeClock(t);
+    const validation = validateItinerary(searchRequest([{ segments: [segment({ flightNumber: 'ABC' })] }], { trip: { ...ROUND_TRIP.trip, legs: [{ segments: [segment({ flightNumber: 'ABC' })] }], infantsOnLap: 2 } }));
+    const error = new ItineraryValidationError(validation);
+    assert.equal(error.validation, validation);
+    assert.match(error.message, /"AZ ABC" in leg 1, segment 1 is not a valid flight number\. .* 2 infants on lap need as many adults/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, foldDiacritics, monthFromName, parseLocalizedAmount, weekdayFromName } from '../../dist/core/index.js';
+
+describe('monthFromName', () => {
+  const cases = [
+    ['Dec', 12], ['dicembre', 12], ['Dezember', 12], ['diciembre', 12], ['décembre', 12], ['dezembro', 12],
+    ['März', 3], ['Mrz', 3], ['março', 3], ['août', 8], ['juil.', 7], ['juin', 6], ['Sept', 9], ['out', 10],
+    ['jui', null], ['Monday', null], ['', null]
+  ];
+
+  for (const [name, expected] of cases) {
+    test(`${JSON.stringify(name)} → ${expected}`, () => {
+      assert.equal(monthFromName(name), expected);
+    });
+  }
+
+  test('no name means two different months', () => {
+    const seen = new Map();
+    for (const vocabulary of Object.values(LANGUAGES)) {
+      vocabulary.months.forEach((names, month) => {
+        for (const name of names.split(' ')) {
+          assert.equal(seen.get(name) ?? month, month, `"${name}" is ambiguous`);
+          seen.set(name, month);
+        }
+      });
+    }
+  });
+});
+
+test('weekdayFromName', () => {
+  assert.deepEqual(
+    ['Sun', 'venerdì', 'Freitag', 'miércoles', 'samedi', 'sexta-feira', 'Dec'].map(weekdayFromName),
+    [0, 5, 5, 3, 6, 5, null]
+  );
+});
+
+test('foldDiacritics keeps the text length', () => {
+  const text = 'Rückflug am 3. März, après-demain, mañana, março';
+  assert.equal(foldDiacritics(text), 'Ruckflug am 3. Marz, apres-demain, manana, marco');
+  assert.equal(foldDiacritics(text).length, text.length);
+});
+
+describe('parseLocalizedAmount', () => {
+  const cases = [
+    ['1,234.50', 1234.5],
+    ['1.234,50', 1234.5],
+    ['1 234,50', 1234.5],
+    ["1'234.50", 1234.5],
+    ['84,5', 84.5],
+    ['1.234,-', 1234],
+    ['3,412', 3412],
+    ['168', 168],
+    ['abc', null],
+    ['', null]
+  ];
+
+  for (const [raw, expected] of cases) {
+    test(`${JSON.stringify(raw)} → ${expected}`, () => {
+      assert.equal(parseLocalizedAmount(raw), expected);
+    });
+  }
+});
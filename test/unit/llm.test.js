@@ -0,0 +1,176 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  GEMINI_MODEL,
+  StubProvider,
+  generateJson,
+  generateText,
+  getLlmProvider,
+  parseFlightRequest,
+  setLlmProvider
+} from '../../dist/core/index.js';
+import { silenceLogs } from '../helpers/index.js';
+import { ONE_WAY_REQUEST } from '../fixtures/requests.js';
+
+silenceLogs();
+
+describe('getLlmProvider', () => {
+  const cases = [
+    ['defaults to Gemini', {}, 'gemini', GEMINI_MODEL],
+    ['selects the OpenAI-compatible provider', { LLM_PROVIDER: 'openai' }, 'openai', 'gpt-4o-mini'],
+    ['accepts any case', { LLM_PROVIDER: ' Stub ' }, 'stub', 'stub'],
+    ['uses LLM_MODEL for any provider', { LLM_PROVIDER: 'gemini', LLM_MODEL: 'gemini-2.5-pro' }, 'gemini', 'gemini-2.5-pro'],
+    ['uses the provider-specific model', { LLM_PROVIDER: 'openai', OPENAI_MODEL: 'llama3.1' }, 'openai', 'llama3.1'],
+    ['prefers LLM_MODEL over the provider-specific model', { LLM_PROVIDER: 'openai', OPENAI_MODEL: 'llama3.1', LLM_MODEL: 'qwen2.5' }, 'openai', 'qwen2.5']
+  ];
+
+  for (const [name, env, provider, model] of cases) {
+    test(name, () => {
+      const llm = getLlmProvider(env);
+      assert.equal(llm.name, provider);
+      assert.equal(llm.model, model);
+    });
+  }
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => getLlmProvider({ LLM_PROVIDER: 'claude' }), /Unknown LLM_PROVIDER "claude"/);
+  });
+
+  const configurationCases = [
+    ['openai without key or base URL', { LLM_PROVIDER: 'openai' }, /OPENAI_API_KEY/],
+    ['openai with a self-hosted base URL', { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1' }, null],
+    ['openai with a key', { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' }, null],
+    ['stub', { LLM_PROVIDER: 'stub' }, null]
+  ];
+
+  for (const [name, env, expected] of configurationCases) {
+    test(`configurationError: ${name}`, () => {
+      const error = getLlmProvider(env).configurationError();
+      if (expected) {
+        assert.match(error, expected);
+      } else {
+        assert.equal(error, null);
+      }
+    });
+  }
+});
+
+describe('generateText / generateJson', () => {
+  afterEach(() => {
+    delete process.env.STUB_TIMEOUT_MS;
+  });
+
+  test('strips markdown fences from JSON responses', async () => {
+    const llm = new StubProvider(() => '```json\n{"ok": true}\n```');
+    assert.deepEqual(await generateJson(llm, { parts: [{ text: 'hi' }], timeoutMs: 1000 }), { ok: true });
+  });
+
+  test('requests JSON mode', async () => {
+    let received;
+    const llm = new StubProvider(request => {
+      received = request;
+      return '{}';
+    });
+    await generateJson(llm, { parts: [{ text: 'hi' }], timeoutMs: 1000 });
+    assert.equal(received.json, true);
+  });
+
+  test('times out with the provider-specific timeout', async () => {
+    process.env.STUB_TIMEOUT_MS = '20';
+    const llm = new StubProvider(() => new Promise(() => {}));
+    await assert.rejects(generateText(llm, { parts: [{ text: 'hi' }], timeoutMs: 60000 }), /LLM stub request timed out/);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  test('sends a chat completion with images and JSON mode', async () => {
+    let received;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '{"tripType": "one_way"}' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const llm = getLlmProvider({
+        LLM_PROVIDER: 'openai',
+        OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1/`,
+        OPENAI_API_KEY: 'sk-test',
+        LLM_MODEL: 'local-model'
+      });
+      const result = await generateJson(llm, {
+        parts: [{ text: 'Extract' }, { image: { data: 'aGVsbG8=', mimeType: 'image/png' } }],
+        timeoutMs: 5000
+      });
+
+      assert.deepEqual(result, { tripType: 'one_way' });
+      assert.equal(received.url, '/v1/chat/completions');
+      assert.equal(received.authorization, 'Bearer sk-test');
+      assert.equal(received.body.model, 'local-model');
+      assert.deepEqual(received.body.response_format, { type: 'json_object' });
+      assert.deepEqual(received.body.messages[0].content[1], { type: 'image_url', image_url: { url: 'data:image/png;base64,aGVsbG8=' } });
+    } finally {
+      server.close();
+    }
+  });
+
+  const responseFormatCases = [
+    ['uses json_schema for a response schema', {}, 'json_schema'],
+    ['falls back to JSON mode when OPENAI_JSON_SCHEMA=false', { OPENAI_JSON_SCHEMA: 'false' }, 'json_object'],
+    ['leaves response_format out when OPENAI_JSON_MODE=false', { OPENAI_JSON_MODE: 'false' }, undefined]
+  ];
+
+  for (const [name, env, expected] of responseFormatCases) {
+    test(name, async () => {
+      let received;
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ choices: [{ message: { content: '{}' } }] }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const llm = getLlmProvider({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, ...env });
+        const schema = { type: 'object', properties: { ok: { type: 'boolean' } } };
+        await generateJson(llm, { parts: [{ text: 'hi' }], timeoutMs: 5000, responseSchema: { name: 'test', schema } });
+        assert.equal(received.response_format?.type, expected);
+        if (expected === 'json_schema') {
+          assert.deepEqual(received.response_format.json_schema, { name: 'test', schema, strict: false });
+        }
+      } finally {
+        server.close();
+      }
+    });
+  }
+});
+
+describe('parseFlightRequest with a provider', () => {
+  afterEach(() => setLlmProvider(null));
+
+  test('uses the provider response', async () => {
+    setLlmProvider(new StubProvider(() => JSON.stringify({ needsMoreInfo: true, message: 'Which date?' })));
+    const result = await parseFlightRequest('AZ573 from Zurich to Rome');
+    assert.equal(result.needsMoreInfo, true);
+    assert.equal(result.message, 'Which date?');
+  });
+
+  test('falls back to the regex parser when the provider fails', async () => {
+    setLlmProvider(new StubProvider(() => {
+      throw new Error('offline');
+    }));
+    const result = await parseFlightRequest(ONE_WAY_REQUEST);
+    assert.equal(result.needsMoreInfo, false);
+    assert.equal(result.flightData.trip.legs[0].segments[0].flightNumber, '573');
+  });
+});
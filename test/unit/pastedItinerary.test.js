@@ -0,0 +1,171 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  StubProvider,
+  detectPasteLayout,
+  formatFlightPricecheckRequest,
+  parseFlightRequest,
+  parsePastedItinerary,
+  setLlmProvider
+} from '../../dist/core/index.js';
+import { FROZEN_NOW, freezeClock, silenceLogs } from '../helpers/index.js';
+import { ONE_WAY_REQUEST } from '../fixtures/requests.js';
+import {
+  AIRLINE_GERMAN,
+  AIRLINE_ROUND_TRIP,
+  EXPEDIA_ONE_WAY,
+  GOOGLE_FLIGHTS_CONNECTION,
+  GOOGLE_FLIGHTS_ITALIAN,
+  GOOGLE_FLIGHTS_ROUND_TRIP,
+  KAYAK_ROUND_TRIP,
+  SKYSCANNER_ROUND_TRIP
+} from '../fixtures/pastes.js';
+
+silenceLogs();
+
+const now = new Date(FROZEN_NOW);
+
+// "AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0", one array per leg
+function describeLegs(flightData) {
+  return flightData.trip.legs.map(leg => leg.segments.map(s => (
+    `${s.airline}${s.flightNumber} ${s.departureAirport}-${s.arrivalAirport} ${s.departureDate} ${s.departureTime.slice(0, 5)}-${s.arrivalTime.slice(0, 5)}+${s.plusDays}`
+  )));
+}
+
+const ZRH_FCO_ROUND_TRIP = [
+  ['AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0'],
+  ['AZ572 FCO-ZRH 2026-03-13 07:00-08:35+0']
+];
+
+describe('parsePastedItinerary', () => {
+  const cases = [
+    ['Google Flights round trip', GOOGLE_FLIGHTS_ROUND_TRIP, 'google_flights', {
+      legs: ZRH_FCO_ROUND_TRIP, price: '168.00', currency: 'EUR', source: 'GOOGLE_FLIGHTS'
+    }],
+    ['Google Flights connection with an overnight flight', GOOGLE_FLIGHTS_CONNECTION, 'google_flights', {
+      legs: [['EK92 MXP-DXB 2026-04-02 22:25-06:30+1', 'EK384 DXB-BKK 2026-04-03 09:35-19:35+0']],
+      price: '3412.60', currency: 'EUR', source: 'GOOGLE_FLIGHTS', travelClass: 'BUSINESS'
+    }],
+    ['Kayak round trip with airline names', KAYAK_ROUND_TRIP, 'kayak', {
+      legs: ZRH_FCO_ROUND_TRIP, price: '182.00', currency: 'USD', source: 'KAYAK', adults: 2
+    }],
+    ['Skyscanner round trip', SKYSCANNER_ROUND_TRIP, 'skyscanner', {
+      legs: ZRH_FCO_ROUND_TRIP, price: '146.00', currency: 'GBP'
+    }],
+    ['Expedia connection after a leg overview', EXPEDIA_ONE_WAY, 'expedia', {
+      legs: [['LX1072 ZRH-FRA 2026-03-10 13:00-14:05+0', 'LH400 FRA-JFK 2026-03-10 16:00-18:40+0']],
+      price: '1024.40', currency: 'USD'
+    }],
+    ['airline confirmation without leg headers', AIRLINE_ROUND_TRIP, 'airline', {
+      legs: [['LH401 FRA-JFK 2026-12-12 10:00-12:50+0'], ['LH400 JFK-FRA 2026-12-19 17:40-07:25+1']],
+      price: '1234.50', currency: 'EUR'
+    }],
+    ['Google Flights in Italian', GOOGLE_FLIGHTS_ITALIAN, 'google_flights', {
+      legs: ZRH_FCO_ROUND_TRIP, price: '168.50', currency: 'EUR', source: 'GOOGLE_FLIGHTS'
+    }],
+    ['airline confirmation in German', AIRLINE_GERMAN, 'airline', {
+      legs: [['LH401 FRA-JFK 2026-12-12 10:00-12:50+0'], ['LH400 JFK-FRA 2026-12-19 17:40-07:25+1']],
+      price: '1234.50', currency: 'EUR'
+    }]
+  ];
+
+  for (const [name, text, layout, expected] of cases) {
+    test(name, () => {
+      const result = parsePastedItinerary(text, now);
+      assert.equal(result.layout, layout);
+      assert.deepEqual(result.missingFields, []);
+      assert.deepEqual(describeLegs(result.flightData), expected.legs);
+      assert.equal(result.flightData.price, expected.price);
+      assert.equal(result.flightData.currency, expected.currency);
+      assert.equal(result.flightData.source, expected.source ?? 'MCP');
+      assert.equal(result.flightData.trip.travelClass, expected.travelClass ?? 'ECONOMY');
+      assert.equal(result.flightData.trip.adults, expected.adults ?? 1);
+    });
+  }
+
+  test('fills a nonstop Expedia leg from its overview', () => {
+    const text = 'Zurich (ZRH) to Rome (FCO)\nTue, Mar 10\n7:15pm - 8:45pm (1h 30m, Nonstop)\nITA Airways 573\n€84';
+    assert.deepEqual(describeLegs(parsePastedItinerary(text, now).flightData), [['AZ573 ZRH-FCO 2026-03-10 19:15-20:45+0']]);
+  });
+
+  test('rolls dates without a year into the next twelve months', () => {
+    const text = GOOGLE_FLIGHTS_ROUND_TRIP.replace('Tue, Mar 10', 'Sun, Feb 1').replace('Fri, Mar 13', 'Wed, Feb 4');
+    const [[outbound], [inbound]] = describeLegs(parsePastedItinerary(text, now).flightData);
+    assert.match(outbound, / 2027-02-01 /);
+    assert.match(inbound, / 2027-02-04 /);
+  });
+
+  test('reports what the paste is missing', () => {
+    const text = SKYSCANNER_ROUND_TRIP.replace('Total £146', '').replace('ITA Airways AZ572', '');
+    assert.deepEqual(parsePastedItinerary(text, now).missingFields, [
+      'airline code for leg 2, segment 1',
+      'flight number for leg 2, segment 1',
+      'price',
+      'currency'
+    ]);
+  });
+
+  const unrecognised = [
+    ['empty input', ''],
+    ['free text', 'I found a flight from Zurich to Rome next Friday for 84 euros'],
+    ['a layout header without flights', 'Outbound\nNo flights found']
+  ];
+
+  for (const [name, text] of unrecognised) {
+    test(`returns null for ${name}`, () => {
+      assert.equal(parsePastedItinerary(text, now), null);
+    });
+  }
+
+  test('does not read aircraft types as flight numbers', () => {
+    const text = GOOGLE_FLIGHTS_ROUND_TRIP.replace('Airbus A320neo', 'Airbus A321');
+    assert.deepEqual(describeLegs(parsePastedItinerary(text, now).flightData), ZRH_FCO_ROUND_TRIP);
+  });
+
+  test('detectPasteLayout ignores plain requests', () => {
+    assert.equal(detectPasteLayout('AZ573 from Zurich to Rome on March 10'), null);
+  });
+});
+
+describe('parseFlightRequest with pasted itineraries', () => {
+  afterEach(() => setLlmProvider(null));
+
+  test('parses complete pastes without calling the LLM', async t => {
+    freezeClock(t);
+    let calls = 0;
+    setLlmProvider(new StubProvider(() => {
+      calls++;
+      return '{}';
+    }));
+    const result = await parseFlightRequest(KAYAK_ROUND_TRIP);
+    assert.equal(calls, 0);
+    assert.equal(result.needsMoreInfo, false);
+    assert.equal(result.layout, 'kayak');
+  });
+
+  test('asks for what an incomplete paste is missing when the LLM is unavailable', async t => {
+    freezeClock(t);
+    setLlmProvider(new StubProvider(() => {
+      throw new Error('offline');
+    }));
+    const result = await parseFlightRequest(GOOGLE_FLIGHTS_ROUND_TRIP.replace('€168 round trip', ''));
+    assert.equal(result.needsMoreInfo, true);
+    assert.deepEqual(result.missingFields, ['price', 'currency']);
+  });
+
+  test('keeps the regex fallback for its own sentence format', async () => {
+    setLlmProvider(new StubProvider(() => {
+      throw new Error('offline');
+    }));
+    const result = await parseFlightRequest(ONE_WAY_REQUEST);
+    assert.equal(result.needsMoreInfo, false);
+    assert.equal(result.layout, undefined);
+  });
+
+  test('format_flight_pricecheck_request keeps the layout source', async t => {
+    freezeClock(t);
+    const result = await formatFlightPricecheckRequest({ user_request: GOOGLE_FLIGHTS_ROUND_TRIP });
+    assert.equal(result.readyForPriceCheck, true);
+    assert.equal(result.flightData.source, 'GOOGLE_FLIGHTS');
+  });
+});
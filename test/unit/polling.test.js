@@ -0,0 +1,120 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POLLING_OPTIONS, nextPollInterval, pollingOptionsFromArgs, resolvePollingOptions } from '../../dist/polling.js';
+import { SearchCancelledError, submit_and_poll_session } from '../../dist/navifare.js';
+import { createMockNavifareServer } from '../mock-navifare-server.js';
+import { ONE_WAY } from '../fixtures/trips.js';
+import { silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+describe('nextPollInterval', () => {
+  const options = { ...DEFAULT_POLLING_OPTIONS, initialIntervalMs: 1000, backoffFactor: 1.5, maxIntervalMs: 4000 };
+
+  test('grows the delay after polls without new results, up to maxIntervalMs', () => {
+    const delays = [];
+    let delay = options.initialIntervalMs;
+    for (let poll = 0; poll < 5; poll++) delays.push(delay = nextPollInterval(delay, false, options));
+    assert.deepEqual(delays, [1500, 2250, 3375, 4000, 4000]);
+  });
+
+  test('returns to the initial interval when new results arrive', () => {
+    assert.equal(nextPollInterval(3375, true, options), 1000);
+  });
+});
+
+describe('resolvePollingOptions', () => {
+  test('stops on stable results by default, after 30 seconds at the earliest', () => {
+    const { stablePolls, minDurationMs } = resolvePollingOptions({}, {});
+    assert.deepEqual({ stablePolls, minDurationMs }, { stablePolls: 3, minDurationMs: 30000 });
+  });
+
+  test('reads the environment, with per-call overrides winning', () => {
+    const env = { NAVIFARE_POLL_INITIAL_INTERVAL_MS: '200', NAVIFARE_POLL_STABLE_POLLS: '0', NAVIFARE_POLL_MAX_DURATION_MS: '5000' };
+    assert.deepEqual(resolvePollingOptions({ maxDurationMs: 1000 }, env), { ...DEFAULT_POLLING_OPTIONS, initialIntervalMs: 200, stablePolls: 0, maxDurationMs: 1000 });
+  });
+
+  const invalid = [
+    ['a non-numeric value', { NAVIFARE_POLL_MAX_INTERVAL_MS: 'fast' }, {}],
+    ['a backoff factor below 1', { NAVIFARE_POLL_BACKOFF_FACTOR: '0.5' }, {}],
+    ['a negative override', {}, { stablePolls: -1 }]
+  ];
+
+  for (const [name, env, overrides] of invalid) {
+    test(`ignores ${name}`, () => assert.deepEqual(resolvePollingOptions(overrides, env), DEFAULT_POLLING_OPTIONS));
+  }
+
+  test('raises maxIntervalMs to the initial interval', () => {
+    assert.equal(resolvePollingOptions({ initialIntervalMs: 3000, maxIntervalMs: 1000 }, {}).maxIntervalMs, 3000);
+  });
+});
+
+describe('pollingOptionsFromArgs', () => {
+  test('reads the polling argument of a tool call', () => {
+    assert.deepEqual(pollingOptionsFromArgs({ polling: { maxDurationMs: '30000', stablePolls: 0, backoffFactor: null } }), { maxDurationMs: 30000, stablePolls: 0 });
+    assert.deepEqual(pollingOptionsFromArgs({}), {});
+  });
+
+  const invalid = [
+    ['an unknown option', { interval: 500 }, /Unknown polling option "interval"\. Use initialIntervalMs, maxIntervalMs, backoffFactor, maxDurationMs, stablePolls, minDurationMs\./],
+    ['a value below the minimum', { backoffFactor: 0.5 }, /polling\.backoffFactor must be a number of at least 1 \(got "0\.5"\)\./],
+    ['a value that is not a number', { maxDurationMs: '' }, /polling\.maxDurationMs must be a number/],
+    ['a polling argument that is not an object', 30000, /polling must be an object/]
+  ];
+
+  for (const [name, polling, error] of invalid) {
+    test(`rejects ${name}`, () => assert.throws(() => pollingOptionsFromArgs({ polling }), error));
+  }
+});
+
+describe('submit_and_poll_session stopReason', () => {
+  const fast = { initialIntervalMs: 10, maxIntervalMs: 20, maxDurationMs: 1000, minDurationMs: 0 };
+  let mock;
+  let baseUrl;
+  let previousBaseUrl;
+
+  before(async () => {
+    mock = createMockNavifareServer();
+    baseUrl = await mock.listen();
+    previousBaseUrl = process.env.NAVIFARE_API_BASE_URL;
+  });
+
+  after(async () => {
+    if (previousBaseUrl === undefined) delete process.env.NAVIFARE_API_BASE_URL;
+    else process.env.NAVIFARE_API_BASE_URL = previousBaseUrl;
+    await mock.close();
+  });
+
+  const search = (scenario, polling, signal) => {
+    process.env.NAVIFARE_API_BASE_URL = `${baseUrl}/scenarios/${scenario}`;
+    return submit_and_poll_session(structuredClone(ONE_WAY), undefined, { ...fast, ...polling }, signal);
+  };
+
+  const cases = [
+    ['completed when the backend completes', 'progressive', {}, 'completed', 4],
+    ['stable once the result count stops changing', 'never-complete', { stablePolls: 3 }, 'stable', 4],
+    ['timeout when the polling budget runs out', 'no-results', { maxDurationMs: 150 }, 'timeout', 0],
+    ['timeout with stable polling disabled', 'never-complete', { stablePolls: 0, maxDurationMs: 150 }, 'timeout', 4],
+    ['timeout when stable results come before minDurationMs', 'never-complete', { stablePolls: 3, minDurationMs: 5000, maxDurationMs: 300 }, 'timeout', 4]
+  ];
+
+  for (const [name, scenario, polling, stopReason, resultCount] of cases) {
+    test(name, async () => {
+      const result = await search(scenario, polling);
+      assert.deepEqual([result.stopReason, result.results.length], [stopReason, resultCount]);
+    });
+  }
+
+  test('keeps polling stable results until minDurationMs has passed', async () => {
+    const startedAt = Date.now();
+    const result = await search('never-complete', { stablePolls: 3, minDurationMs: 300 });
+    assert.equal(result.stopReason, 'stable');
+    assert.ok(Date.now() - startedAt >= 300);
+  });
+
+  test('rejects when cancelled instead of returning a stopReason', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(search('never-complete', { stablePolls: 0, maxDurationMs: 5000 }, controller.signal), SearchCancelledError);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fallbackParseFlightRequest, fallbackParseSegments, parseBestPriceFromText } from '../../dist/core/index.js';
+import { freezeClock, silenceLogs } from '../helpers/index.js';
+import { ONE_WAY_REQUEST, ROUND_TRIP_REQUEST } from '../fixtures/requests.js';
+
+silenceLogs();
+
+describe('fallbackParseSegments', () => {
+  test('parses a one-way flight with 12-hour times', () => {
+    assert.deepEqual(fallbackParseSegments(ONE_WAY_REQUEST), [
+      {
+        segments: [{
+          airline: 'AZ',
+          flightNumber: '573',
+          departureAirport: 'ZRH',
+          arrivalAirport: 'FCO',
+          departureDate: '2026-03-10',
+          departureTime: '19:15:00',
+          arrivalTime: '20:45:00',
+          plusDays: 0
+        }]
+      }
+    ]);
+  });
+
+  test('splits outbound and return itineraries into legs', () => {
+    const legs = fallbackParseSegments(ROUND_TRIP_REQUEST);
+    assert.equal(legs.length, 2);
+    assert.deepEqual(legs[0].segments.map(s => `${s.airline}${s.flightNumber}`), ['LX1612', 'LH400']);
+    assert.deepEqual(legs[1].segments.map(s => `${s.airline}${s.flightNumber}`), ['LH401']);
+  });
+
+  test('derives plusDays from the arrival date', () => {
+    const [, returnLeg] = fallbackParseSegments(ROUND_TRIP_REQUEST);
+    assert.equal(returnLeg.segments[0].plusDays, 1);
+    assert.equal(returnLeg.segments[0].arrivalTime, '07:15:00');
+  });
+
+  test('resolves relative dates and dotted times', t => {
+    freezeClock(t);
+    const [leg] = fallbackParseSegments('Flight AZ573 from ZRH to FCO departing next Friday at 19.15 and arriving 20.45');
+    assert.deepEqual(
+      [leg.segments[0].departureDate, leg.segments[0].departureTime, leg.segments[0].arrivalTime],
+      ['2026-03-06', '19:15:00', '20:45:00']
+    );
+  });
+
+  test('switches legs on localised headers and reads localised dates', () => {
+    const legs = fallbackParseSegments(`Andata:
+Flight AZ573 from ZRH to FCO departing 12 dicembre 2026, 19:15 and arriving 12 dicembre 2026, 20:45
+Volo di ritorno:
+Flight AZ572 from FCO to ZRH departing 20 dicembre 2026, 07:00 and arriving 20 dicembre 2026, 08:35`);
+    assert.deepEqual(legs.map(leg => leg.segments.map(s => `${s.airline}${s.flightNumber} ${s.departureDate}`)), [
+      ['AZ573 2026-12-12'],
+      ['AZ572 2026-12-20']
+    ]);
+  });
+
+  test('resolves airport names and skips cities with several airports', () => {
+    const [leg] = fallbackParseSegments(`Flight AZ573 from Zurich to Rome Fiumicino departing 10 March 2026, 19:15 and arriving 10 March 2026, 20:45
+Flight AZ1010 from Rome to Milano Linate departing 11 March 2026, 07:00 and arriving 11 March 2026, 08:10`);
+    assert.deepEqual(leg.segments.map(s => `${s.departureAirport}-${s.arrivalAirport}`), ['ZRH-FCO']);
+  });
+
+  const unparsable = [
+    ['empty input', ''],
+    ['blank lines', '\n  \n'],
+    ['free text', 'I found a flight from Zurich to Rome next Friday for 84 euros'],
+    ['flight number without airline', 'Flight 573 from ZRH to FCO departing 10 March 2026, 19:15 and arriving 10 March 2026, 20:45'],
+    ['invalid month', 'Flight AZ573 from ZRH to FCO departing 10 Foo 2026, 19:15 and arriving 10 Foo 2026, 20:45']
+  ];
+
+  for (const [name, input] of unparsable) {
+    test(`returns null for ${name}`, () => {
+      assert.equal(fallbackParseSegments(input), null);
+    });
+  }
+});
+
+describe('parseBestPriceFromText', () => {
+  const cases = [
+    ['Best price: €1234.50', { amount: 1234.5, currency: 'EUR' }],
+    ['Best price: €1,234.50', { amount: 1234.5, currency: 'EUR' }],
+    ['Best price: 1234.50 USD', { amount: 1234.5, currency: 'USD' }],
+    ['Miglior prezzo: 1.234,50 €', { amount: 1234.5, currency: 'EUR' }],
+    ['Bester Preis: 1’234.50 CHF', { amount: 1234.5, currency: 'CHF' }],
+    ['Mejor precio: 1 234,50 EUR', { amount: 1234.5, currency: 'EUR' }],
+    ['Meilleur prix : £99,90', { amount: 99.9, currency: 'GBP' }],
+    ['Melhor preço: 221 EUR por pessoa', { amount: 221, currency: 'EUR' }],
+    ['no price here', null]
+  ];
+
+  for (const [text, expected] of cases) {
+    test(JSON.stringify(text), () => {
+      assert.deepEqual(parseBestPriceFromText(text), expected);
+    });
+  }
+});
+
+describe('fallbackParseFlightRequest', () => {
+  test('builds flightData with the detected price', () => {
+    const result = fallbackParseFlightRequest(ROUND_TRIP_REQUEST);
+    assert.equal(result.needsMoreInfo, false);
+    assert.equal(result.flightData.price, '1234.50');
+    assert.equal(result.flightData.currency, 'EUR');
+    assert.equal(result.flightData.trip.legs.length, 2);
+  });
+
+  test('defaults the price to 0.00 EUR when none is given', () => {
+    const result = fallbackParseFlightRequest(ONE_WAY_REQUEST);
+    assert.equal(result.flightData.price, '0.00');
+    assert.equal(result.flightData.currency, 'EUR');
+  });
+
+  test('returns null when nothing can be parsed', () => {
+    assert.equal(fallbackParseFlightRequest('hello'), null);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+  DEFAULT_RETRY_OPTIONS,
+  backoffDelay,
+  parseRetryAfter,
+  resolveRetryOptions,
+  retryingFetch
+} from '../../dist/resilience.js';
+import { silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+const response = (status, headers = {}) => ({ status, headers: { get: name => headers[name.toLowerCase()] ?? null }, text: async () => '' });
+
+const networkError = code => Object.assign(new Error(`connect ${code}`), { code });
+
+// A backend answering with `replies` in turn (a status, a response, or an error to throw),
+// on a fake clock that sleeping advances
+function harness(replies, { options = DEFAULT_RETRY_OPTIONS, circuit } = {}) {
+  const state = { clock: 0, calls: 0, sleeps: [] };
+  const now = () => state.clock;
+  state.circuit = circuit ?? new CircuitBreaker(DEFAULT_CIRCUIT_BREAKER_OPTIONS, now);
+  const fetch = async () => {
+    const reply = replies[Math.min(state.calls++, replies.length - 1)];
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'number' ? response(reply) : reply;
+  };
+  const sleep = async ms => {
+    state.sleeps.push(ms);
+    state.clock += ms;
+  };
+  state.run = (method = 'GET', signal) => retryingFetch('https://api.test/session', { method }, signal, { fetch, circuit: state.circuit, options, sleep, random: () => 0.5, now });
+  return state;
+}
+
+describe('retryingFetch', () => {
+  test('retries a failing request up to maxAttempts with jittered backoff', async () => {
+    const backend = harness([503]);
+    assert.equal((await backend.run()).status, 503);
+    assert.deepEqual([backend.calls, backend.sleeps], [3, [250, 500]]);
+  });
+
+  test('returns the first successful response', async () => {
+    const backend = harness([502, networkError('ECONNRESET'), 200]);
+    assert.equal((await backend.run()).status, 200);
+    assert.deepEqual([backend.calls, backend.circuit.currentState], [3, 'closed']);
+  });
+
+  test('waits for Retry-After instead of the backoff', async () => {
+    const backend = harness([response(429, { 'retry-after': '2' }), 200]);
+    assert.equal((await backend.run()).status, 200);
+    assert.deepEqual(backend.sleeps, [2000]);
+  });
+
+  const tooLong = [
+    ['in seconds', () => '60'],
+    ['as an HTTP date', clock => new Date(clock + 20000).toUTCString()]
+  ];
+
+  for (const [name, header] of tooLong) {
+    test(`gives up when Retry-After ${name} exceeds maxRetryAfterMs`, async () => {
+      const backend = harness([response(503, { 'retry-after': header(0) }), 200]);
+      assert.equal((await backend.run()).status, 503);
+      assert.deepEqual([backend.calls, backend.sleeps], [1, []]);
+    });
+  }
+
+  const notRetried = [
+    ['a client error', 'GET', 404, 'closed'],
+    ['a POST the backend may have processed', 'POST', 500, 'closed'],
+    ['an unknown network error', 'GET', networkError('EPROTO'), 'closed']
+  ];
+
+  for (const [name, method, reply, state] of notRetried) {
+    test(`does not retry ${name}`, async () => {
+      const backend = harness([reply, 200]);
+      await backend.run(method).catch(() => undefined);
+      assert.deepEqual([backend.calls, backend.sleeps, backend.circuit.currentState], [1, [], state]);
+    });
+  }
+});
+
+describe('circuit breaker', () => {
+  const once = { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+
+  test('opens after 5 consecutive failed calls and fails fast', async () => {
+    const backend = harness([503], { options: once });
+    for (let call = 0; call < 5; call++) await backend.run();
+    assert.equal(backend.circuit.currentState, 'open');
+
+    await assert.rejects(backend.run(), error => error instanceof CircuitOpenError && /not retrying for another 30s/.test(error.message));
+    assert.equal(backend.calls, 5);
+  });
+
+  test('lets exactly one trial call through once half-open', async () => {
+    const backend = harness([503], { options: once });
+    for (let call = 0; call < 5; call++) await backend.run();
+    backend.clock += DEFAULT_CIRCUIT_BREAKER_OPTIONS.resetTimeoutMs;
+    assert.equal(backend.circuit.currentState, 'half-open');
+
+    let answer;
+    const trial = retryingFetch('https://api.test/session', {}, undefined, {
+      fetch: () => new Promise(resolve => { answer = resolve; }),
+      circuit: backend.circuit,
+      options: once,
+      sleep: async () => {}
+    });
+    await assert.rejects(backend.run(), error => error.trialInProgress && /a single request first\. Please try again in a few seconds/.test(error.message));
+    assert.equal(backend.calls, 5);
+
+    answer(response(200));
+    assert.equal((await trial).status, 200);
+    assert.equal(backend.circuit.currentState, 'closed');
+  });
+
+  test('reopens when the trial call fails', async () => {
+    const backend = harness([503], { options: once });
+    for (let call = 0; call < 5; call++) await backend.run();
+    backend.clock += DEFAULT_CIRCUIT_BREAKER_OPTIONS.resetTimeoutMs;
+    await backend.run();
+    assert.deepEqual([backend.calls, backend.circuit.currentState], [6, 'open']);
+  });
+
+  test('does not count cancelled calls as failures', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const backend = harness([aborted]);
+    for (let call = 0; call < 6; call++) await assert.rejects(backend.run('GET', controller.signal), /aborted/);
+    assert.equal(backend.circuit.currentState, 'closed');
+  });
+
+  test('frees the trial slot when the trial call is cancelled', () => {
+    let clock = 0;
+    const circuit = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 }, () => clock);
+    circuit.recordFailure();
+    clock = 1000;
+    circuit.beforeCall();
+    assert.throws(() => circuit.beforeCall(), CircuitOpenError);
+    circuit.recordCancelled();
+    assert.doesNotThrow(() => circuit.beforeCall());
+  });
+});
+
+describe('retry options', () => {
+  test('reads the environment and keeps defaults for invalid values', () => {
+    assert.deepEqual(resolveRetryOptions({ NAVIFARE_RETRY_MAX_ATTEMPTS: '5', NAVIFARE_RETRY_BASE_DELAY_MS: 'soon' }), { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 5 });
+  });
+
+  test('caps the backoff at maxDelayMs', () => {
+    assert.deepEqual([1, 2, 5, 10].map(retry => backoffDelay(retry, DEFAULT_RETRY_OPTIONS, () => 1)), [500, 1000, 8000, 8000]);
+  });
+
+  test('parses Retry-After seconds and dates', () => {
+    assert.deepEqual([parseRetryAfter('1.5'), parseRetryAfter('Thu, 01 Jan 1970 00:00:10 GMT', 4000), parseRetryAfter('soon')], [1500, 6000, undefined]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterOffers, providerTrust, rankOffers, resultOptionsFromArgs } from '../../dist/core/index.js';
+
+const offer = (website, amount, extra = {}) => ({
+  website,
+  amount,
+  currency: 'EUR',
+  normalizedAmount: amount,
+  normalizedCurrency: 'EUR',
+  fareType: 'Standard Fare',
+  ...extra
+});
+
+const offers = [
+  offer('Kiwi.com', 86),
+  offer('eDreams', 93, { fareType: 'Special Fare' }),
+  offer('Expedia', 100),
+  offer('Kiwi.com', 91),
+  offer('Airline direct', 108),
+  offer('Local site', 70, { currency: 'CHF', normalizedAmount: null, normalizedCurrency: null })
+];
+
+const websites = results => results.map(result => `${result.website} ${result.amount}`);
+
+describe('resultOptionsFromArgs', () => {
+  test('reads every option', () => {
+    const args = { sortBy: 'Trust', maxPrice: '120', standardFaresOnly: true, includeSites: 'Expedia, Kiwi.com', excludeSites: ['eDreams'], dedupe: false, limit: 3 };
+    assert.deepEqual(resultOptionsFromArgs(args), { sortBy: 'trust', maxPrice: 120, standardFaresOnly: true, includeSites: ['Expedia', 'Kiwi.com'], excludeSites: ['eDreams'], dedupe: false, limit: 3 });
+    assert.deepEqual(resultOptionsFromArgs({ trip: {}, price: '100' }), {});
+  });
+
+  const invalid = [
+    ['an unknown sort order', { sortBy: 'rating' }, /sortBy must be one of price, savings, trust/],
+    ['a negative maxPrice', { maxPrice: -5 }, /maxPrice must be a positive amount/],
+    ['a fractional limit', { limit: 2.5 }, /limit must be a whole number/],
+    ['an empty site list', { excludeSites: [' '] }, /excludeSites must list at least one booking site/]
+  ];
+
+  for (const [name, args, message] of invalid) {
+    test(`rejects ${name}`, () => assert.throws(() => resultOptionsFromArgs(args), message));
+  }
+});
+
+describe('filterOffers', () => {
+  const cases = [
+    ['keeps the cheapest offer of each site', {}, ['Kiwi.com 86', 'eDreams 93', 'Expedia 100', 'Airline direct 108', 'Local site 70']],
+    ['keeps duplicates without dedupe', { dedupe: false }, ['Kiwi.com 86', 'eDreams 93', 'Expedia 100', 'Kiwi.com 91', 'Airline direct 108', 'Local site 70']],
+    ['drops offers above maxPrice or without a comparable price', { maxPrice: 100 }, ['Kiwi.com 86', 'eDreams 93', 'Expedia 100']],
+    ['drops special fares', { standardFaresOnly: true }, ['Kiwi.com 86', 'Expedia 100', 'Airline direct 108', 'Local site 70']],
+    ['keeps only the included sites', { includeSites: ['kiwi', 'EXPEDIA'] }, ['Kiwi.com 86', 'Expedia 100']],
+    ['drops the excluded sites', { excludeSites: ['Kiwi.com', 'local site'] }, ['eDreams 93', 'Expedia 100', 'Airline direct 108']]
+  ];
+
+  for (const [name, options, expected] of cases) {
+    test(name, () => assert.deepEqual(websites(filterOffers(offers, options)), expected));
+  }
+
+  test('compares listed prices when the offers were not normalized', () => {
+    const listed = [{ website: 'Kiwi.com', amount: 95 }, { website: 'Kiwi.com', amount: 90 }];
+    assert.deepEqual(websites(filterOffers(listed, { maxPrice: 92 })), ['Kiwi.com 90']);
+  });
+});
+
+describe('rankOffers', () => {
+  const savings = offers.map(result => ({ ...result, savingsAmount: result.normalizedAmount === null ? null : 100 - result.normalizedAmount }));
+
+  const cases = [
+    ['sorts by price by default', {}, ['Kiwi.com 86', 'Kiwi.com 91', 'eDreams 93', 'Expedia 100', 'Airline direct 108', 'Local site 70']],
+    ['sorts by savings', { sortBy: 'savings' }, ['Kiwi.com 86', 'Kiwi.com 91', 'eDreams 93', 'Expedia 100', 'Airline direct 108', 'Local site 70']],
+    ['sorts by trust, then price', { sortBy: 'trust' }, ['Airline direct 108', 'eDreams 93', 'Expedia 100', 'Kiwi.com 86', 'Kiwi.com 91', 'Local site 70']],
+    ['cuts the list to the limit', { limit: 2 }, ['Kiwi.com 86', 'Kiwi.com 91']]
+  ];
+
+  for (const [name, options, expected] of cases) {
+    test(name, () => assert.deepEqual(websites(rankOffers(savings, options)), expected));
+  }
+
+  test('ranks from 1 and adds the trust score', () => {
+    assert.deepEqual(rankOffers(savings, { sortBy: 'trust', limit: 3 }).map(result => [result.rank, result.trustScore]), [[1, 3], [2, 2], [3, 2]]);
+  });
+});
+
+describe('providerTrust', () => {
+  const cases = [['Airline direct', 3], ['Lufthansa', 3], ['swiss.com', 3], ['Booking.com', 2], ['www.expedia.co.uk', 2], ['Kiwi.com', 1], [null, 1]];
+
+  for (const [website, expected] of cases) {
+    test(`scores ${website}`, () => assert.equal(providerTrust(website), expected));
+  }
+});
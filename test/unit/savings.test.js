@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSavings, formatSearchResultsMessage } from '../../dist/core/index.js';
+
+const offer = (website, amount, currency = 'EUR', extra = {}) => ({ website, price: `${amount} ${currency}`, amount, currency, ...extra });
+const reference = { amount: 100, currency: 'EUR' };
+
+describe('analyzeSavings', () => {
+  const verdicts = [
+    ['a clearly cheaper offer', [offer('eDreams', 93), offer('Kiwi.com', 86)], 'CHEAPER_FOUND', 14, 14, 'Cheaper price found: Kiwi.com at 86.00 EUR saves 14.00 EUR (14%) on your 100.00 EUR.'],
+    ['an offer less than 2% cheaper', [offer('Expedia', 98.5)], 'WITHIN_MARGIN', 1.5, 1.5, 'Within 2% of your price: the cheapest offer (Expedia, 98.50 EUR) is only 1.50 EUR (1.5%) below your 100.00 EUR.'],
+    ['only dearer offers', [offer('Airline direct', 108)], 'YOUR_PRICE_IS_BEST', -8, -8, 'Your price is best: the cheapest offer (Airline direct, 108.00 EUR) costs 8.00 EUR (8%) more than your 100.00 EUR.'],
+    ['an offer at the same price', [offer('Expedia', 100)], 'YOUR_PRICE_IS_BEST', 0, 0, 'Your price is best: the cheapest offer (Expedia, 100.00 EUR) matches your 100.00 EUR.'],
+    ['an offer converted to the reference currency', [offer('Kiwi.com', 95, 'USD', { convertedAmount: 80, convertedCurrency: 'EUR' })], 'CHEAPER_FOUND', 20, 20, 'Cheaper price found: Kiwi.com at 80.00 EUR saves 20.00 EUR (20%) on your 100.00 EUR.'],
+    ['an offer with a normalized price', [offer('Trip.com', 95, 'USD', { normalizedAmount: 81.55, normalizedCurrency: 'EUR' })], 'CHEAPER_FOUND', 18.45, 18.5, 'Cheaper price found: Trip.com at 81.55 EUR saves 18.45 EUR (18.5%) on your 100.00 EUR.']
+  ];
+
+  for (const [name, results, verdict, savingsAmount, savingsPercent, summary] of verdicts) {
+    test(name, () => {
+      const { savings } = analyzeSavings(results, reference);
+      assert.deepEqual([savings.verdict, savings.savingsAmount, savings.savingsPercent, savings.summary], [verdict, savingsAmount, savingsPercent, summary]);
+    });
+  }
+
+  test('adds the savings to each result', () => {
+    const { results } = analyzeSavings([offer('Kiwi.com', 86), offer('Airline direct', 108), offer('Trip.com', 90, 'USD')], reference);
+    assert.deepEqual(results.map(r => [r.website, r.savingsAmount, r.savingsPercent]), [
+      ['Kiwi.com', 14, 14],
+      ['Airline direct', -8, -8],
+      ['Trip.com', null, null]
+    ]);
+  });
+
+  test('has no verdict when no offer can be compared', () => {
+    assert.deepEqual(analyzeSavings([offer('Trip.com', 90, 'USD')], reference).savings.verdict, null);
+    assert.match(analyzeSavings([], reference).savings.summary, /No offers to compare/);
+  });
+
+  test('rounds to the minor units of the reference currency', () => {
+    const { savings } = analyzeSavings([offer('Rakuten', 11000, 'JPY')], { amount: 12000, currency: 'JPY' });
+    assert.deepEqual([savings.savingsAmount, savings.summary], [1000, 'Cheaper price found: Rakuten at 11000 JPY saves 1000 JPY (8.3%) on your 12000 JPY.']);
+  });
+
+  test('skips the analysis without a valid reference price', () => {
+    const results = [offer('Kiwi.com', 86)];
+    assert.deepEqual(analyzeSavings(results, { amount: Number.NaN, currency: 'EUR' }), { results, savings: null });
+  });
+});
+
+describe('formatSearchResultsMessage', () => {
+  test('includes the verdict and the savings of each offer', () => {
+    const { results, savings } = analyzeSavings([offer('Kiwi.com', 86), offer('Airline direct', 108)], reference);
+    const message = formatSearchResultsMessage({ results, totalResults: 2 }, savings);
+    assert.match(message, /Found 2 result\(s\):\n\nCheaper price found: Kiwi\.com/);
+    assert.match(message, /1\. Kiwi\.com - 86 EUR - saves 14\.00 EUR \(14%\)/);
+    assert.match(message, /2\. Airline direct - 108 EUR - 8\.00 EUR \(8%\) more/);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionStore } from '../../dist/sessionStore.js';
+import { silenceLogs } from '../helpers/index.js';
+
+silenceLogs();
+
+describe('SessionStore', () => {
+  // Store on a manual clock, with one session added at time 0
+  function storeAt(ttlMs) {
+    const clock = { now: 0 };
+    const store = new SessionStore(ttlMs, () => clock.now);
+    store.add('a', {}, { close: async () => {} });
+    return { clock, store };
+  }
+
+  test('sweeps sessions idle for longer than the TTL', async () => {
+    const { clock, store } = storeAt(1000);
+    clock.now = 1000;
+    assert.deepEqual(await store.sweep(), []);
+    clock.now = 1001;
+    assert.deepEqual(await store.sweep(), ['a']);
+    assert.equal(store.size, 0);
+  });
+
+  test('requests refresh the expiry', async () => {
+    const { clock, store } = storeAt(1000);
+    clock.now = 800;
+    store.touch('a');
+    clock.now = 1500;
+    assert.deepEqual(await store.sweep(), []);
+  });
+
+  test('keeps sessions with an open stream, and counts the idle time from its close', async () => {
+    const { clock, store } = storeAt(1000);
+    const closeStream = store.openStream('a');
+    clock.now = 5000;
+    assert.deepEqual(await store.sweep(), []);
+
+    closeStream();
+    closeStream();
+    assert.equal(store.touch('a').openStreams, 0);
+    clock.now = 6001;
+    assert.deepEqual(await store.sweep(), ['a']);
+  });
+
+  test('openStream ignores unknown sessions', () => {
+    const { store } = storeAt(1000);
+    assert.doesNotThrow(store.openStream('no-such-session'));
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSubmitArgs, splitRoundTripLegs, validateTripAirports, validateTripDates } from '../../dist/core/index.js';
+import { freezeClock, silenceLogs } from '../helpers/index.js';
+import { FLATTENED_ROUND_TRIP_LEG, ONE_WAY, ROUND_TRIP, searchRequest, segment } from '../fixtures/trips.js';
+
+silenceLogs();
+
+describe('validateTripDates', () => {
+  const valid = [
+    ['one-way', ONE_WAY],
+    ['round trip', ROUND_TRIP],
+    ['departure today', searchRequest([{ segments: [segment({ departureDate: '2026-03-01' })] }])],
+    ['return on the outbound day', searchRequest([
+      { segments: [segment()] },
+      { segments: [segment({ departureAirport: 'FCO', arrivalAirport: 'ZRH' })] }
+    ])],
+    ['multi-city in order', searchRequest([
+      { segments: [segment({ departureAirport: 'MXP', arrivalAirport: 'JFK', departureDate: '2026-04-01' })] },
+      { segments: [segment({ departureAirport: 'JFK', arrivalAirport: 'LAX', departureDate: '2026-04-05' })] },
+      { segments: [segment({ departureAirport: 'LAX', arrivalAirport: 'MXP', departureDate: '2026-04-12' })] }
+    ])]
+  ];
+
+  for (const [name, request] of valid) {
+    test(`accepts ${name}`, t => {
+      freezeClock(t);
+      assert.doesNotThrow(() => validateTripDates(structuredClone(request)));
+    });
+  }
+
+  const invalid = [
+    ['missing trip', {}, /Trip legs are required/],
+    ['empty legs', searchRequest([]), /Trip legs are required/],
+    ['leg without segments', searchRequest([{ segments: [] }]), /Leg 1 is missing flight segments/],
+    ['non-ISO date', searchRequest([{ segments: [segment({ departureDate: '10/03/2026' })] }]), /Invalid departureDate for leg 1, segment 1/],
+    ['impossible date', searchRequest([{ segments: [segment({ departureDate: '2026-02-30' })] }]), /Invalid departureDate/],
+    ['yesterday', searchRequest([{ segments: [segment({ departureDate: '2026-02-28' })] }]), /2026-02-28 in leg 1, segment 1 is in the past/],
+    ['return before outbound', searchRequest([
+      { segments: [segment({ departureDate: '2026-03-10' })] },
+      { segments: [segment({ departureAirport: 'FCO', arrivalAirport: 'ZRH', departureDate: '2026-03-09' })] }
+    ]), /Return segments must depart on or after the outbound segments/],
+    ['multi-city out of order', searchRequest([
+      { segments: [segment({ departureDate: '2026-04-01' })] },
+      { segments: [segment({ departureDate: '2026-04-05' })] },
+      { segments: [segment({ departureDate: '2026-04-03' })] }
+    ]), /Leg 3 departs before leg 2 ends/]
+  ];
+
+  for (const [name, request, message] of invalid) {
+    test(`rejects ${name}`, t => {
+      freezeClock(t);
+      assert.throws(() => validateTripDates(structuredClone(request)), message);
+    });
+  }
+});
+
+describe('sanitizeSubmitArgs', () => {
+  const cases = [
+    ['uppercases the travel class', { trip: { travelClass: 'premium_economy' } }, r => r.trip.travelClass, 'PREMIUM_ECONOMY'],
+    ['formats an integer price', { price: '99' }, r => r.price, '99.00'],
+    ['formats a numeric price', { price: 84.5 }, r => r.price, '84.50'],
+    ['strips symbols and thousands separators', { price: '€1,234.5' }, r => r.price, '1234.50'],
+    ['formats a yen price without decimals', { price: '¥12,000', currency: 'jpy' }, r => r.price, '12000'],
+    ['formats a dinar price with three decimals', { price: '84.5', currency: 'KWD' }, r => r.price, '84.500'],
+    ['keeps three dinar decimals', { price: '84.500', currency: 'KWD' }, r => r.price, '84.500'],
+    ['reads a decimal comma', { price: '84,50' }, r => r.price, '84.50'],
+    ['reads dots grouping thousands before a decimal comma', { price: '1.234,56' }, r => r.price, '1234.56'],
+    ['trims and uppercases the currency', { currency: ' eur ' }, r => r.currency, 'EUR'],
+    ['keeps a 2-letter country code', { location: 'ch' }, r => r.location, 'CH'],
+    ['replaces a country name with ZZ', { location: 'Switzerland' }, r => r.location, 'ZZ'],
+    ['defaults a missing location to ZZ', { location: undefined }, r => r.location, 'ZZ'],
+    ['keeps a valid source', { source: 'google_flights' }, r => r.source, 'GOOGLE_FLIGHTS'],
+    ['maps an unknown source to MANUAL', { source: 'ChatGPT' }, r => r.source, 'MANUAL'],
+    ['defaults infants to 0', { trip: { infantsInSeat: undefined, infantsOnLap: null } }, r => [r.trip.infantsInSeat, r.trip.infantsOnLap], [0, 0]]
+  ];
+
+  for (const [name, overrides, pick, expected] of cases) {
+    test(name, t => {
+      freezeClock(t);
+      const request = structuredClone(ONE_WAY);
+      Object.assign(request.trip, overrides.trip);
+      const { trip, ...topLevel } = overrides;
+      Object.assign(request, topLevel);
+      assert.deepEqual(pick(sanitizeSubmitArgs(request)), expected);
+    });
+  }
+
+  const segmentCases = [
+    ['takes the airline from a prefixed flight number', { airline: 'ITA Airways', flightNumber: 'AZ0573' }, { airline: 'AZ', flightNumber: '573' }],
+    ['keeps a valid airline and strips the prefix', { airline: 'az', flightNumber: 'AZ 573' }, { airline: 'AZ', flightNumber: '573' }],
+    ['keeps digits of an unprefixed flight number', { airline: 'LX', flightNumber: '#1612' }, { airline: 'LX', flightNumber: '1612' }],
+    ['resolves airline names', { airline: 'swiss', flightNumber: '1612' }, { airline: 'LX', flightNumber: '1612' }],
+    ['converts ICAO airline codes', { airline: 'VLG', flightNumber: '6312' }, { airline: 'VY', flightNumber: '6312' }],
+    ['converts ICAO flight number prefixes', { airline: '', flightNumber: 'DLH0400' }, { airline: 'LH', flightNumber: '400' }],
+    ['uppercases two-character codes missing from the airline table', { airline: 'xz', flightNumber: '2020' }, { airline: 'XZ', flightNumber: '2020' }],
+    ['uppercases airports', { departureAirport: ' zrh', arrivalAirport: 'fco ' }, { departureAirport: 'ZRH', arrivalAirport: 'FCO' }],
+    ['resolves airport names and ICAO codes', { departureAirport: 'Zurich', arrivalAirport: 'LIRF' }, { departureAirport: 'ZRH', arrivalAirport: 'FCO' }],
+    ['adds seconds to HH:MM times', { departureTime: '07:10', arrivalTime: '08:25' }, { departureTime: '07:10:00', arrivalTime: '08:25:00' }],
+    ['defaults missing times to midnight', { departureTime: '', arrivalTime: null }, { departureTime: '00:00:00', arrivalTime: '00:00:00' }],
+    ['defaults plusDays to 0', { plusDays: undefined }, { plusDays: 0 }]
+  ];
+
+  for (const [name, overrides, expected] of segmentCases) {
+    test(name, t => {
+      freezeClock(t);
+      const request = searchRequest([{ segments: [segment(overrides)] }]);
+      const sanitized = sanitizeSubmitArgs(request).trip.legs[0].segments[0];
+      for (const [key, value] of Object.entries(expected)) {
+        assert.equal(sanitized[key], value, key);
+      }
+    });
+  }
+
+  test('validates dates after normalising', t => {
+    freezeClock(t);
+    const request = searchRequest([{ segments: [segment({ departureDate: '2026-02-01' })] }]);
+    assert.throws(() => sanitizeSubmitArgs(request), /is in the past/);
+  });
+
+  const segmentErrors = [
+    ['a malformed code', { arrivalAirport: 'X1Z' }, /Unknown arrival airport "X1Z" in leg 1, segment 1\./],
+    ['a name matching several airports', { departureAirport: 'Bangkok' }, /Unknown departure airport "Bangkok" in leg 1, segment 1\./],
+    ['a metro area code', { departureAirport: 'Milan' }, /"MIL" in leg 1, segment 1 is the city code of Milan, not an airport\. Please choose one of its airports: MXP \(Malpensa\), LIN \(Linate\), BGY \(Orio al Serio\)\./],
+    ['a missing airport', { arrivalAirport: '' }, /Missing arrival airport for leg 1, segment 1\./],
+    ['an airline name matching no carrier', { airline: 'Air', flightNumber: '123' }, /Unknown airline "Air" in leg 1, segment 1\. Please give the airline's two-character code/],
+    ['an airline name matching several carriers', { airline: 'Virgin', flightNumber: '27' }, /Unknown airline "Virgin" in leg 1, segment 1\./],
+    ['a long-haul flight missing its next-day arrival', { airline: 'AA', flightNumber: '100', departureAirport: 'JFK', arrivalAirport: 'LHR', departureTime: '22:00', arrivalTime: '10:00' }, /Impossible flight times in leg 1, segment 1 \(JFK 22:00 → LHR 10:00, plusDays 0\): it arrives before it departs\. With plusDays 1 it would take 8h 00m\./],
+    ['an arrival day that is too late', { plusDays: 2 }, /\(ZRH 19:15 → FCO 20:45, plusDays 2\): it would take 49h 30m, longer than any scheduled flight\. With plusDays 0/]
+  ];
+
+  for (const [name, overrides, error] of segmentErrors) {
+    test(`rejects ${name}`, t => {
+      freezeClock(t);
+      assert.throws(() => sanitizeSubmitArgs(searchRequest([{ segments: [segment(overrides)] }])), error);
+    });
+  }
+
+  test('keeps defunct carriers for validateItinerary to flag', t => {
+    freezeClock(t);
+    const [sanitized] = sanitizeSubmitArgs(searchRequest([{ segments: [segment({ airline: 'Virgin America', flightNumber: '27' })] }])).trip.legs[0].segments;
+    assert.equal(sanitized.airline, 'VX');
+  });
+
+  const invalidPrices = [['an empty price', ''], ['a price without digits', 'free'], ['a zero price', '0'], ['a negative price', -84]];
+
+  for (const [name, price] of invalidPrices) {
+    test(`rejects ${name}`, t => {
+      freezeClock(t);
+      assert.throws(() => sanitizeSubmitArgs(searchRequest(ONE_WAY.trip.legs, { price })), /is not a valid amount\. Please provide the price the user found as a positive number/);
+    });
+  }
+
+  test('does not modify the request', t => {
+    freezeClock(t);
+    const request = searchRequest([{ segments: [segment({ airline: 'Lufthansa', flightNumber: 'LH 400' })] }, structuredClone(FLATTENED_ROUND_TRIP_LEG)]);
+    const original = structuredClone(request);
+    sanitizeSubmitArgs(request);
+    assert.deepEqual(request, original);
+  });
+
+  test('returns non-object input unchanged', () => {
+    assert.equal(sanitizeSubmitArgs(null), null);
+  });
+});
+
+describe('validateTripAirports', () => {
+  const request = searchRequest([{ segments: [segment({ arrivalAirport: 'FDH' })] }]);
+
+  test('only warns about unlisted codes by default', () => {
+    assert.doesNotThrow(() => validateTripAirports(request, {}));
+    assert.doesNotThrow(() => validateTripAirports(request, { AIRPORT_VALIDATION: 'warn' }));
+  });
+
+  test('rejects unlisted codes with AIRPORT_VALIDATION=strict', () => {
+    assert.throws(() => validateTripAirports(request, { AIRPORT_VALIDATION: 'strict' }), /Unknown arrival airport "FDH"/);
+  });
+
+  test('still rejects metro area codes when warning', () => {
+    const metro = searchRequest([{ segments: [segment({ arrivalAirport: 'LON' })] }]);
+    assert.throws(() => validateTripAirports(metro, {}), /city code of London/);
+  });
+
+  test('lets a real airport missing from the dataset through sanitizeSubmitArgs', t => {
+    freezeClock(t);
+    const request = searchRequest([{ segments: [segment({ airline: 'DL', flightNumber: '1234', departureAirport: 'ATL', arrivalAirport: 'JAX', departureTime: '10:00', arrivalTime: '11:10' })] }]);
+    assert.deepEqual(sanitizeSubmitArgs(request).trip.legs[0].segments.map(s => s.arrivalAirport), ['JAX']);
+  });
+});
+
+describe('splitRoundTripLegs', () => {
+  const route = legs => legs.map(leg => leg.segments.map(s => `${s.departureAirport}-${s.arrivalAirport}`).join(' '));
+
+  const cases = [
+    {
+      name: 'keeps a single-segment leg',
+      legs: [{ segments: [segment()] }],
+      expected: ['ZRH-FCO']
+    },
+    {
+      name: 'keeps a same-day connection together',
+      legs: [{ segments: FLATTENED_ROUND_TRIP_LEG.segments.slice(0, 2) }],
+      expected: ['ZRH-FRA FRA-JFK']
+    },
+    {
+      name: 'splits a flattened round trip at the stay',
+      legs: [FLATTENED_ROUND_TRIP_LEG],
+      expected: ['ZRH-FRA FRA-JFK', 'JFK-FRA FRA-ZRH']
+    },
+    {
+      name: 'splits an open jaw at the airport gap',
+      legs: [{ segments: [
+        segment({ departureAirport: 'MXP', arrivalAirport: 'JFK' }),
+        segment({ departureAirport: 'BOS', arrivalAirport: 'MXP', departureDate: '2026-03-18' })
+      ] }],
+      expected: ['MXP-JFK', 'BOS-MXP']
+    },
+    {
+      name: 'splits at a stopover longer than 24 hours',
+      legs: [{ segments: [
+        segment({ departureAirport: 'ZRH', arrivalAirport: 'DXB', departureTime: '10:00:00', arrivalTime: '18:00:00' }),
+        segment({ departureAirport: 'DXB', arrivalAirport: 'SYD', departureDate: '2026-03-13', departureTime: '02:00:00' })
+      ] }],
+      expected: ['ZRH-DXB', 'DXB-SYD']
+    },
+    {
+      name: 'splits an undated round trip at the first flight back to the origin',
+      legs: [{ segments: [
+        segment({ departureAirport: 'ZRH', arrivalAirport: 'FCO', departureDate: undefined }),
+        segment({ departureAirport: 'FCO', arrivalAirport: 'ZRH', departureDate: undefined })
+      ] }],
+      expected: ['ZRH-FCO', 'FCO-ZRH']
+    },
+    {
+      name: 'leaves already split legs alone',
+      legs: ROUND_TRIP.trip.legs,
+      expected: ['ZRH-FCO', 'FCO-ZRH']
+    }
+  ];
+
+  for (const { name, legs, expected } of cases) {
+    test(name, () => {
+      assert.deepEqual(route(splitRoundTripLegs(structuredClone(legs))), expected);
+    });
+  }
+
+  test('keeps leg properties on the split legs', () => {
+    const legs = splitRoundTripLegs([{ ...structuredClone(FLATTENED_ROUND_TRIP_LEG), cabin: 'BUSINESS' }]);
+    assert.deepEqual(legs.map(leg => leg.cabin), ['BUSINESS', 'BUSINESS']);
+  });
+});